@@ -0,0 +1,220 @@
+/**
+ * API Tokens
+ * Admin-issued bearer tokens for programmatic access to /api/chats. Each
+ * token has scopes (read, export, delete), an expiry and its own rate limit.
+ * Only a SHA-256 hash of the token is stored; the token itself is shown once
+ * when it is created.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('apiTokens');
+
+const TOKEN_SCOPES = ['read', 'export', 'delete'];
+
+const TOKEN_PREFIX = 'lai_';
+
+// Days a token is valid when no expiry is given, and the longest allowed
+const DEFAULT_EXPIRY_DAYS = 90;
+const MAX_EXPIRY_DAYS = 365;
+
+// Requests per minute when no rate limit is given
+const DEFAULT_RATE_LIMIT = parseInt(process.env.API_TOKEN_RATE_LIMIT, 10) || 60;
+const MAX_RATE_LIMIT = 10000;
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Only refresh last_used_at once in a while instead of on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Request counts of the current rate window, keyed by token ID
+const rateWindows = new Map();
+
+/**
+ * Hash a token for storage and lookup
+ */
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Shape a token for API responses (never includes the hash)
+ */
+function publicApiToken(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.token_prefix,
+    scopes: record.scopes,
+    rateLimit: record.rate_limit,
+    createdBy: record.created_by,
+    expiresAt: record.expires_at,
+    revokedAt: record.revoked_at,
+    lastUsedAt: record.last_used_at,
+    lastUsedIp: record.last_used_ip,
+    createdAt: record.created_at
+  };
+}
+
+/**
+ * Validate the fields of a new token
+ * @param {Object} fields - { name, scopes, expiresInDays, rateLimit }
+ * @returns {Object|null} { code, error } or null if valid
+ */
+function validateApiToken({ name, scopes, expiresInDays, rateLimit }) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return { code: 'INVALID_NAME', error: 'Name is required (at most 100 characters)' };
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !TOKEN_SCOPES.includes(scope))) {
+    return { code: 'INVALID_SCOPES', error: `Scopes must be a non-empty list of: ${TOKEN_SCOPES.join(', ')}` };
+  }
+
+  if (typeof expiresInDays !== 'number' || !(expiresInDays > 0) || expiresInDays > MAX_EXPIRY_DAYS) {
+    return { code: 'INVALID_EXPIRY', error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` };
+  }
+
+  if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > MAX_RATE_LIMIT) {
+    return { code: 'INVALID_RATE_LIMIT', error: `rateLimit must be an integer between 1 and ${MAX_RATE_LIMIT}` };
+  }
+
+  return null;
+}
+
+/**
+ * Issue a new token
+ * @param {Object} fields - Token fields
+ * @param {string} fields.name - What the token is for
+ * @param {Array<string>} fields.scopes - Scopes from TOKEN_SCOPES
+ * @param {number} fields.expiresInDays - Days until the token expires
+ * @param {number} fields.rateLimit - Requests per minute
+ * @param {number} fields.createdBy - ID of the issuing account
+ * @returns {Promise<Object>} { token, record } or { error } if invalid
+ */
+async function createApiToken({
+  name,
+  scopes,
+  expiresInDays = DEFAULT_EXPIRY_DAYS,
+  rateLimit = DEFAULT_RATE_LIMIT,
+  createdBy = null
+}) {
+  const invalid = validateApiToken({ name, scopes, expiresInDays, rateLimit });
+  if (invalid) return { error: invalid };
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const [record] = await getStorage().insert('api_tokens', {
+    name: name.trim(),
+    token_hash: tokenHash(token),
+    token_prefix: token.slice(0, 12),
+    scopes: [...new Set(scopes)],
+    rate_limit: rateLimit,
+    created_by: createdBy,
+    expires_at: new Date(Date.now() + expiresInDays * DAY_MS).toISOString()
+  });
+
+  logger.info(`🔑 Issued API token "${record.name}"`, { tokenId: record.id, scopes: record.scopes });
+  return { token, record };
+}
+
+/**
+ * Get all tokens, newest first
+ * @returns {Promise<Array<Object>>} Tokens
+ */
+async function listApiTokens() {
+  const { rows } = await getStorage().select('api_tokens', {
+    order: [{ column: 'id', ascending: false }]
+  });
+
+  return rows;
+}
+
+/**
+ * Revoke a token (it stays listed for reference)
+ * @param {number} id - Token ID
+ * @returns {Promise<Object|null>} Revoked token, or null if not found
+ */
+async function revokeApiToken(id) {
+  const storage = getStorage();
+  const { rows } = await storage.select('api_tokens', {
+    filters: [{ column: 'id', op: 'eq', value: id }],
+    limit: 1
+  });
+
+  const record = rows[0];
+  if (!record || record.revoked_at) return record || null;
+
+  const [revoked] = await storage.update('api_tokens', [
+    { column: 'id', op: 'eq', value: id }
+  ], { revoked_at: new Date().toISOString() });
+
+  rateWindows.delete(id);
+  return revoked;
+}
+
+/**
+ * Resolve a bearer token and record its use
+ * @param {string} token - Token from the Authorization header
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object|null>} Token record, or null if unknown, revoked or expired
+ */
+async function resolveApiToken(token, ip) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+  const storage = getStorage();
+  const { rows } = await storage.select('api_tokens', {
+    filters: [{ column: 'token_hash', op: 'eq', value: tokenHash(token) }],
+    limit: 1
+  });
+
+  const record = rows[0];
+  const now = Date.now();
+  if (!record || record.revoked_at || new Date(record.expires_at).getTime() <= now) return null;
+
+  if (!record.last_used_at || now - new Date(record.last_used_at).getTime() > LAST_USED_INTERVAL_MS) {
+    await storage.update('api_tokens', [
+      { column: 'id', op: 'eq', value: record.id }
+    ], { last_used_at: new Date(now).toISOString(), last_used_ip: ip || null });
+  }
+
+  return record;
+}
+
+/**
+ * Count a request against the token's per-minute rate limit
+ * @param {Object} record - Token record
+ * @returns {Object} { allowed, limit, remaining, resetAt }
+ */
+function consumeRateLimit(record) {
+  const now = Date.now();
+  let window = rateWindows.get(record.id);
+
+  if (!window || now - window.start >= RATE_WINDOW_MS) {
+    window = { start: now, count: 0 };
+    rateWindows.set(record.id, window);
+  }
+
+  window.count++;
+
+  return {
+    allowed: window.count <= record.rate_limit,
+    limit: record.rate_limit,
+    remaining: Math.max(0, record.rate_limit - window.count),
+    resetAt: window.start + RATE_WINDOW_MS
+  };
+}
+
+module.exports = {
+  TOKEN_SCOPES,
+  DEFAULT_EXPIRY_DAYS,
+  DEFAULT_RATE_LIMIT,
+  publicApiToken,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  resolveApiToken,
+  consumeRateLimit
+};
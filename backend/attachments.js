@@ -0,0 +1,366 @@
+/**
+ * Attachments
+ * Extracts photos, documents, voice notes, stickers and other media from
+ * platform messages, stores their metadata and optionally downloads the files
+ * to a local storage directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { getStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('attachments');
+
+// Download configuration
+const ATTACHMENTS_DOWNLOAD = process.env.ATTACHMENTS_DOWNLOAD === 'true';
+const ATTACHMENTS_DIR = path.resolve(process.env.ATTACHMENTS_DIR || './data/attachments');
+const ATTACHMENTS_MAX_BYTES = parseInt(process.env.ATTACHMENTS_MAX_BYTES, 10) || 20 * 1024 * 1024;
+
+const DOWNLOAD_STATUSES = ['pending', 'downloaded', 'failed', 'skipped'];
+
+// Telegram message fields that carry a single file
+const TELEGRAM_MEDIA_FIELDS = ['animation', 'document', 'audio', 'voice', 'video', 'video_note', 'sticker'];
+
+// Resolvers turning a stored attachment into a download URL, per platform
+const fileUrlResolvers = new Map();
+
+/**
+ * Register how files of a platform are resolved to a download URL.
+ * Telegram only delivers file IDs, so the bot registers a resolver that
+ * looks up the file link with its token.
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Function} resolver - async (attachment) => url
+ */
+function setFileUrlResolver(platform, resolver) {
+  fileUrlResolvers.set(platform, resolver);
+}
+
+/**
+ * Extract attachment metadata from a Telegram message
+ * @param {Object} message - Telegram message
+ * @returns {Array<Object>} Attachment metadata
+ */
+function extractTelegramAttachments(message) {
+  const attachments = [];
+
+  // Photos come in several sizes; keep the largest one
+  if (Array.isArray(message.photo) && message.photo.length > 0) {
+    const photo = message.photo[message.photo.length - 1];
+    attachments.push({
+      attachment_type: 'photo',
+      platform_file_id: photo.file_id,
+      file_name: null,
+      mime_type: 'image/jpeg',
+      file_size: photo.file_size || null,
+      width: photo.width || null,
+      height: photo.height || null,
+      duration: null
+    });
+  }
+
+  for (const field of TELEGRAM_MEDIA_FIELDS) {
+    const media = message[field];
+    if (!media?.file_id) continue;
+
+    // Animations are also sent as a document; only keep the animation
+    if (field === 'document' && message.animation) continue;
+
+    attachments.push({
+      attachment_type: field,
+      platform_file_id: media.file_id,
+      file_name: media.file_name || null,
+      mime_type: media.mime_type || (field === 'sticker' ? 'image/webp' : null),
+      file_size: media.file_size || null,
+      width: media.width || media.length || null,
+      height: media.height || media.length || null,
+      duration: media.duration || null
+    });
+  }
+
+  return attachments;
+}
+
+/**
+ * Extract attachment metadata from a Discord message
+ * @param {Object} message - Discord message
+ * @returns {Array<Object>} Attachment metadata
+ */
+function extractDiscordAttachments(message) {
+  const attachments = [];
+
+  for (const attachment of message.attachments?.values?.() || []) {
+    const mimeType = attachment.contentType || null;
+
+    attachments.push({
+      attachment_type: mimeType?.startsWith('image/') ? 'image'
+        : mimeType?.startsWith('video/') ? 'video'
+          : mimeType?.startsWith('audio/') ? 'audio'
+            : 'file',
+      platform_file_id: attachment.id,
+      file_name: attachment.name || null,
+      mime_type: mimeType,
+      file_size: attachment.size || null,
+      width: attachment.width || null,
+      height: attachment.height || null,
+      duration: attachment.duration || null,
+      url: attachment.url || null
+    });
+  }
+
+  for (const sticker of message.stickers?.values?.() || []) {
+    attachments.push({
+      attachment_type: 'sticker',
+      platform_file_id: sticker.id,
+      file_name: sticker.name || null,
+      mime_type: null,
+      file_size: null,
+      width: null,
+      height: null,
+      duration: null,
+      url: sticker.url || null
+    });
+  }
+
+  return attachments;
+}
+
+/**
+ * Extract attachment metadata from a platform message
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Object} messageData - Raw message data from platform
+ * @returns {Array<Object>} Attachment metadata
+ */
+function extractAttachments(platform, messageData) {
+  if (platform === 'telegram') return extractTelegramAttachments(messageData);
+  if (platform === 'discord') return extractDiscordAttachments(messageData);
+  return [];
+}
+
+/**
+ * Store the attachments of a logged message and start downloading them
+ * @param {Object} message - Logged message row
+ * @param {Array<Object>} attachments - Metadata from extractAttachments
+ * @returns {Promise<Array<Object>>} Stored attachment rows
+ */
+async function saveAttachments(message, attachments) {
+  if (attachments.length === 0) return [];
+
+  const rows = await getStorage().insert('attachments', attachments.map(attachment => ({
+    url: null,
+    ...attachment,
+    message_id: message.id,
+    platform: message.platform,
+    download_status: ATTACHMENTS_DOWNLOAD ? 'pending' : 'skipped'
+  })));
+
+  if (ATTACHMENTS_DOWNLOAD) {
+    // Download in the background so logging is never held up by large files
+    rows.forEach(row => {
+      downloadAttachment(row).catch((error) => {
+        logger.error('Failed to download attachment', { attachmentId: row.id, error: error.message });
+      });
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Make a file name safe to use on disk
+ */
+function safeFileName(name) {
+  return (name || 'file').replace(/[^a-zA-Z0-9._-]/g, '_').slice(-100);
+}
+
+/**
+ * Stream a URL to a file, following redirects and enforcing a size limit
+ * @param {string} url - Source URL
+ * @param {string} destination - Absolute file path
+ * @param {number} redirects - Redirects left to follow
+ * @returns {Promise<number>} Bytes written
+ */
+function downloadToFile(url, destination, redirects = 3) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+
+    const request = client.get(url, (response) => {
+      const { statusCode, headers } = response;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location && redirects > 0) {
+        response.resume();
+        resolve(downloadToFile(new URL(headers.location, url).toString(), destination, redirects - 1));
+        return;
+      }
+
+      if (statusCode !== 200) {
+        response.resume();
+        reject(new Error(`Download failed with status ${statusCode}`));
+        return;
+      }
+
+      const partial = `${destination}.part`;
+      const file = fs.createWriteStream(partial);
+      let bytes = 0;
+
+      response.on('data', (chunk) => {
+        bytes += chunk.length;
+        if (bytes > ATTACHMENTS_MAX_BYTES) {
+          response.destroy(new Error(`File exceeds ${ATTACHMENTS_MAX_BYTES} bytes`));
+        }
+      });
+
+      response.on('error', (error) => {
+        file.destroy();
+        fs.rm(partial, { force: true }, () => reject(error));
+      });
+
+      // Disk full, permissions or a missing directory
+      file.on('error', (error) => {
+        response.destroy();
+        fs.rm(partial, { force: true }, () => reject(error));
+      });
+
+      file.on('finish', () => {
+        fs.rename(partial, destination, (error) => (error ? reject(error) : resolve(bytes)));
+      });
+
+      response.pipe(file);
+    });
+
+    request.setTimeout(60000, () => request.destroy(new Error('Download timed out')));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Download an attachment to the storage directory and record the result
+ * @param {Object} attachment - Attachment row
+ * @returns {Promise<Object>} Updated attachment row
+ */
+async function downloadAttachment(attachment) {
+  const storage = getStorage();
+  const filters = [{ column: 'id', op: 'eq', value: attachment.id }];
+
+  if (attachment.file_size && attachment.file_size > ATTACHMENTS_MAX_BYTES) {
+    const [skipped] = await storage.update('attachments', filters, {
+      download_status: 'skipped',
+      updated_at: new Date().toISOString()
+    });
+    return skipped;
+  }
+
+  try {
+    const resolver = fileUrlResolvers.get(attachment.platform);
+    const url = resolver ? await resolver(attachment) : attachment.url;
+
+    if (!url) {
+      throw new Error('No download URL available');
+    }
+
+    const relativePath = path.join(
+      attachment.platform,
+      String(attachment.message_id),
+      `${attachment.id}-${safeFileName(attachment.file_name || path.basename(new URL(url).pathname))}`
+    );
+    const destination = path.join(ATTACHMENTS_DIR, relativePath);
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    const bytes = await downloadToFile(url, destination);
+
+    const [updated] = await storage.update('attachments', filters, {
+      storage_path: relativePath,
+      file_size: attachment.file_size || bytes,
+      download_status: 'downloaded',
+      updated_at: new Date().toISOString()
+    });
+
+    logger.info(`📎 Downloaded ${attachment.platform} attachment`, { attachmentId: attachment.id });
+    return updated;
+  } catch (error) {
+    await storage.update('attachments', filters, {
+      download_status: 'failed',
+      updated_at: new Date().toISOString()
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get the attachments of one or more messages
+ * @param {number|Array<number>} messageIds - Message ID(s)
+ * @returns {Promise<Array<Object>>} Attachments
+ */
+async function getMessageAttachments(messageIds) {
+  const ids = Array.isArray(messageIds) ? messageIds : [messageIds];
+  if (ids.length === 0) return [];
+
+  const { rows } = await getStorage().select('attachments', {
+    filters: [{ column: 'message_id', op: 'in', value: ids }],
+    order: [{ column: 'id', ascending: true }]
+  });
+
+  return rows;
+}
+
+/**
+ * Get a single attachment by ID
+ * @param {number} id - Attachment ID
+ * @returns {Promise<Object|null>} Attachment or null if not found
+ */
+async function getAttachmentById(id) {
+  const { rows } = await getStorage().select('attachments', {
+    filters: [{ column: 'id', op: 'eq', value: id }],
+    limit: 1
+  });
+
+  return rows[0] || null;
+}
+
+/**
+ * Absolute path of a downloaded attachment
+ * @param {Object} attachment - Attachment row
+ * @returns {string|null} File path, or null if not downloaded
+ */
+function getAttachmentFilePath(attachment) {
+  if (attachment.download_status !== 'downloaded' || !attachment.storage_path) {
+    return null;
+  }
+  return path.join(ATTACHMENTS_DIR, attachment.storage_path);
+}
+
+/**
+ * Delete the attachment rows and downloaded files of removed messages
+ * @param {Array<number>} messageIds - IDs of removed messages
+ * @returns {Promise<number>} Number of attachments removed
+ */
+async function removeMessageAttachments(messageIds) {
+  if (messageIds.length === 0) return 0;
+
+  const removed = await getStorage().remove('attachments', [
+    { column: 'message_id', op: 'in', value: messageIds }
+  ]);
+
+  await Promise.all(removed.map((attachment) => {
+    const filePath = getAttachmentFilePath(attachment);
+    return filePath ? fs.promises.rm(filePath, { force: true }) : null;
+  }));
+
+  return removed.length;
+}
+
+module.exports = {
+  ATTACHMENTS_DOWNLOAD,
+  ATTACHMENTS_DIR,
+  DOWNLOAD_STATUSES,
+  setFileUrlResolver,
+  extractAttachments,
+  saveAttachments,
+  downloadAttachment,
+  getMessageAttachments,
+  getAttachmentById,
+  getAttachmentFilePath,
+  removeMessageAttachments
+};
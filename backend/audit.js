@@ -0,0 +1,160 @@
+/**
+ * Audit Log
+ * Append-only record of administrative and operator actions: who did what,
+ * when, with which filters and how many rows were affected. Entries are only
+ * ever inserted; nothing in the application updates or deletes them.
+ */
+
+const { getStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('audit');
+
+const AUDIT_ACTIONS = [
+  'messages.export',
+  'messages.clear',
+  'trash.restore',
+  'trash.purge',
+  'user.export',
+  'user.erase',
+  'retention.run',
+  'auth.login',
+  'auth.login_failed',
+  'account.create',
+  'account.update',
+  'account.delete',
+  'token.create',
+  'token.revoke',
+  'webhook.create',
+  'webhook.update',
+  'webhook.delete',
+  'webhook.retry',
+  'spool.retry',
+  'telegram.link_topic',
+  'telegram.reply',
+  'discord.reply',
+  'discord.close',
+  'discord.block',
+  'discord.unblock'
+];
+
+const ACTOR_TYPES = ['api', 'token', 'telegram', 'discord', 'system'];
+
+// Actor of actions the server performs on its own
+const SCHEDULER_ACTOR = { type: 'system', id: 'scheduler', name: null };
+
+/**
+ * Describe the caller of an API request: the API token, the logged-in account,
+ * or the client IP
+ * @param {Object} req - Express request
+ * @returns {Object} Actor ({ type, id, name })
+ */
+function apiActor(req) {
+  if (req.apiToken) {
+    return { type: 'token', id: req.apiToken.id, name: req.apiToken.name };
+  }
+
+  if (req.account) {
+    return { type: 'api', id: req.account.id, name: req.account.username };
+  }
+
+  return { type: 'api', id: req.ip || null, name: null };
+}
+
+/**
+ * Describe a bot operator
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Object} user - Platform user (Telegram msg.from, Discord message.author)
+ * @returns {Object} Actor ({ type, id, name })
+ */
+function platformActor(platform, user) {
+  return {
+    type: platform,
+    id: user?.id || null,
+    name: user?.username || user?.first_name || null
+  };
+}
+
+/**
+ * Record an audit entry. Failures are logged and never interrupt the audited action.
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {Object} entry.actor - { type, id, name } of whoever performed the action
+ * @param {string} entry.target - What the action was applied to (chat ID, batch ID, ...)
+ * @param {Object} entry.filters - Filters the action was scoped by
+ * @param {number} entry.affectedCount - Rows affected
+ * @param {Object} entry.details - Extra action-specific details
+ * @returns {Promise<Object|null>} Audit entry, or null if it could not be stored
+ */
+async function recordAudit({ action, actor, target = null, filters = null, affectedCount = null, details = null }) {
+  try {
+    const [entry] = await getStorage().insert('audit_log', {
+      action,
+      actor_type: actor.type,
+      actor_id: actor.id ? String(actor.id) : null,
+      actor_name: actor.name || null,
+      target: target !== null ? String(target) : null,
+      filters,
+      affected_count: affectedCount,
+      details
+    });
+
+    return entry;
+  } catch (error) {
+    logger.error('Failed to record audit entry', { action, error });
+    return null;
+  }
+}
+
+/**
+ * Get audit entries, newest first
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Items per page
+ * @param {string} options.action - Filter by action
+ * @param {string} options.actorType - Filter by actor type
+ * @param {string} options.actorId - Filter by actor ID
+ * @param {string} options.target - Filter by target
+ * @param {string} options.dateFrom - Start date (ISO string)
+ * @param {string} options.dateTo - End date (ISO string)
+ * @returns {Promise<Object>} { data, pagination }
+ */
+async function getAuditLog(options = {}) {
+  const { page = 1, limit = 50, action, actorType, actorId, target, dateFrom, dateTo } = options;
+
+  const filters = [];
+  if (action) filters.push({ column: 'action', op: 'eq', value: action });
+  if (actorType) filters.push({ column: 'actor_type', op: 'eq', value: actorType });
+  if (actorId) filters.push({ column: 'actor_id', op: 'eq', value: actorId });
+  if (target) filters.push({ column: 'target', op: 'eq', value: target });
+  if (dateFrom) filters.push({ column: 'created_at', op: 'gte', value: dateFrom });
+  if (dateTo) filters.push({ column: 'created_at', op: 'lte', value: dateTo });
+
+  const { rows: data, count } = await getStorage().select('audit_log', {
+    filters,
+    order: [{ column: 'id', ascending: false }],
+    limit,
+    offset: (page - 1) * limit,
+    count: true
+  });
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  ACTOR_TYPES,
+  SCHEDULER_ACTOR,
+  apiActor,
+  platformActor,
+  recordAudit,
+  getAuditLog
+};
@@ -0,0 +1,612 @@
+/**
+ * Authentication
+ * Local dashboard accounts with scrypt-hashed passwords, cookie sessions and
+ * role-based access. Roles are ordered: a viewer can read messages and
+ * statistics, an operator can additionally export data, and an admin can
+ * also clear, restore and erase data, run retention, read the audit log and
+ * manage accounts. Scripts authenticate with API tokens instead (see
+ * apiTokens.js), which are limited to their scopes on /api/chats.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getStorage } = require('./storage');
+const { resolveApiToken, consumeRateLimit } = require('./apiTokens');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('auth');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SESSION_COOKIE = 'session';
+
+// Hours a session stays valid after login
+const SESSION_TTL_HOURS = process.env.SESSION_TTL_HOURS !== undefined
+  ? parseFloat(process.env.SESSION_TTL_HOURS)
+  : 12;
+
+if (isNaN(SESSION_TTL_HOURS) || SESSION_TTL_HOURS <= 0) {
+  throw new Error('SESSION_TTL_HOURS must be a positive number');
+}
+
+const PASSWORD_MIN_LENGTH = 10;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,50}$/;
+
+// scrypt cost parameters for new hashes (stored with each hash)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+// Only refresh last_seen_at once in a while instead of on every request
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} scrypt$N$r$p$salt$hash (base64)
+ */
+async function hashPassword(password) {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+
+  return ['scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Compared against when the username does not exist, so lookups take as long as real checks
+const dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+/**
+ * Check whether a role includes the permissions of another role
+ * @param {string} role - Role of the account
+ * @param {string} required - Minimum role
+ * @returns {boolean} True if role is at least required
+ */
+function hasRole(role, required) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/**
+ * Validate account fields
+ * @param {Object} fields - { username, password, role, disabled }
+ * @param {boolean} partial - Skip username and password when not given (for updates)
+ * @returns {Object|null} { code, error } or null if valid
+ */
+function validateAccount({ username, password, role, disabled }, partial = false) {
+  const given = value => !partial || value !== undefined;
+
+  if (given(username) && (typeof username !== 'string' || !USERNAME_PATTERN.test(username))) {
+    return { code: 'INVALID_USERNAME', error: 'Username must be 3-50 letters, digits, dots, dashes or underscores' };
+  }
+
+  if (given(password) && (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH)) {
+    return { code: 'INVALID_PASSWORD', error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` };
+  }
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    return { code: 'INVALID_ROLE', error: `Role must be one of: ${ROLES.join(', ')}` };
+  }
+
+  if (disabled !== undefined && typeof disabled !== 'boolean') {
+    return { code: 'INVALID_DISABLED', error: 'disabled must be true or false' };
+  }
+
+  return null;
+}
+
+/**
+ * Shape an account for API responses (never includes the password hash)
+ */
+function publicAccount(account) {
+  return {
+    id: account.id,
+    username: account.username,
+    role: account.role,
+    disabled: Boolean(account.disabled),
+    lastLoginAt: account.last_login_at,
+    createdAt: account.created_at
+  };
+}
+
+/**
+ * Get an account by a column value
+ */
+async function findAccount(column, value) {
+  const { rows } = await getStorage().select('accounts', {
+    filters: [{ column, op: 'eq', value }],
+    limit: 1
+  });
+
+  return rows[0] || null;
+}
+
+/**
+ * Get an account by ID
+ * @param {number} id - Account ID
+ * @returns {Promise<Object|null>} Account or null
+ */
+function getAccount(id) {
+  return findAccount('id', id);
+}
+
+/**
+ * Get all accounts, ordered by username
+ * @returns {Promise<Array<Object>>} Accounts
+ */
+async function listAccounts() {
+  const { rows } = await getStorage().select('accounts', {
+    order: [{ column: 'username', ascending: true }]
+  });
+
+  return rows;
+}
+
+/**
+ * Create an account
+ * @param {Object} fields - { username, password, role }
+ * @returns {Promise<Object>} { account } or { error } if invalid or the username is taken
+ */
+async function createAccount({ username, password, role = 'viewer' }) {
+  const invalid = validateAccount({ username, password, role });
+  if (invalid) return { error: invalid };
+
+  if (await findAccount('username', username)) {
+    return { error: { code: 'USERNAME_TAKEN', error: 'An account with this username already exists' } };
+  }
+
+  const [account] = await getStorage().insert('accounts', {
+    username,
+    password_hash: await hashPassword(password),
+    role,
+    disabled: false
+  });
+
+  logger.info(`👤 Created ${role} account ${username}`, { accountId: account.id });
+  return { account };
+}
+
+/**
+ * Update the role, password or disabled flag of an account. Changing the
+ * password or disabling the account ends its sessions.
+ * @param {number} id - Account ID
+ * @param {Object} changes - { role, password, disabled }
+ * @returns {Promise<Object>} { account } (null if not found) or { error }
+ */
+async function updateAccount(id, { role, password, disabled }) {
+  const invalid = validateAccount({ role, password, disabled }, true);
+  if (invalid) return { error: invalid };
+
+  const patch = { updated_at: new Date().toISOString() };
+  if (role !== undefined) patch.role = role;
+  if (password !== undefined) patch.password_hash = await hashPassword(password);
+  if (disabled !== undefined) patch.disabled = disabled;
+
+  const [account] = await getStorage().update('accounts', [
+    { column: 'id', op: 'eq', value: id }
+  ], patch);
+
+  if (account && (password !== undefined || account.disabled)) {
+    await endAccountSessions(id);
+  }
+
+  return { account: account || null };
+}
+
+/**
+ * Delete an account and its sessions
+ * @param {number} id - Account ID
+ * @returns {Promise<Object|null>} Deleted account or null if not found
+ */
+async function deleteAccount(id) {
+  await endAccountSessions(id);
+
+  const [account] = await getStorage().remove('accounts', [
+    { column: 'id', op: 'eq', value: id }
+  ]);
+
+  return account || null;
+}
+
+/**
+ * Count the enabled admin accounts (used to refuse locking everyone out)
+ * @returns {Promise<number>} Number of enabled admins
+ */
+async function countActiveAdmins() {
+  const { count } = await getStorage().select('accounts', {
+    filters: [
+      { column: 'role', op: 'eq', value: 'admin' },
+      { column: 'disabled', op: 'eq', value: false }
+    ],
+    count: true,
+    head: true
+  });
+
+  return count;
+}
+
+/**
+ * Create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when no accounts exist yet
+ * @returns {Promise<boolean>} True if an admin was created
+ */
+async function ensureBootstrapAdmin() {
+  const { count } = await getStorage().select('accounts', { count: true, head: true });
+  if (count > 0) return false;
+
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    logger.warn('⚠️  No dashboard accounts exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin.');
+    return false;
+  }
+
+  const { error } = await createAccount({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD, role: 'admin' });
+  if (error) {
+    throw new Error(`Cannot create the admin account: ${error.error}`);
+  }
+
+  return true;
+}
+
+/**
+ * Hash a session token for storage (tokens themselves are never stored)
+ */
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check a username and password
+ * @param {string} username - Username
+ * @param {string} password - Password
+ * @returns {Promise<Object|null>} Account, or null if the credentials are wrong or the account is disabled
+ */
+async function authenticateAccount(username, password) {
+  const account = typeof username === 'string' ? await findAccount('username', username) : null;
+
+  if (!account) {
+    await verifyPassword(String(password), await dummyHash);
+    return null;
+  }
+
+  const valid = await verifyPassword(String(password), account.password_hash);
+  return valid && !account.disabled ? account : null;
+}
+
+/**
+ * Start a session for an account
+ * @param {Object} account - Account
+ * @param {Object} client - { ip, userAgent } of the login request
+ * @returns {Promise<Object>} { token, expiresAt }
+ */
+async function createSession(account, { ip = null, userAgent = null } = {}) {
+  const storage = getStorage();
+  const now = new Date();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_HOURS * HOUR_MS).toISOString();
+
+  // Drop expired sessions while we are at it
+  await storage.remove('sessions', [{ column: 'expires_at', op: 'lt', value: now.toISOString() }]);
+
+  await storage.insert('sessions', {
+    token_hash: tokenHash(token),
+    account_id: account.id,
+    ip,
+    user_agent: userAgent ? userAgent.slice(0, 255) : null,
+    expires_at: expiresAt,
+    last_seen_at: now.toISOString()
+  });
+
+  await storage.update('accounts', [
+    { column: 'id', op: 'eq', value: account.id }
+  ], { last_login_at: now.toISOString() });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Resolve a session token to its account
+ * @param {string} token - Session token from the cookie
+ * @returns {Promise<Object|null>} { session, account } or null if unknown, expired or disabled
+ */
+async function getSession(token) {
+  if (!token) return null;
+
+  const storage = getStorage();
+  const { rows } = await storage.select('sessions', {
+    filters: [{ column: 'token_hash', op: 'eq', value: tokenHash(token) }],
+    limit: 1
+  });
+
+  const session = rows[0];
+  if (!session) return null;
+
+  const now = Date.now();
+  if (new Date(session.expires_at).getTime() <= now) {
+    await storage.remove('sessions', [{ column: 'id', op: 'eq', value: session.id }]);
+    return null;
+  }
+
+  const account = await getAccount(session.account_id);
+  if (!account || account.disabled) return null;
+
+  if (now - new Date(session.last_seen_at).getTime() > LAST_SEEN_INTERVAL_MS) {
+    await storage.update('sessions', [
+      { column: 'id', op: 'eq', value: session.id }
+    ], { last_seen_at: new Date(now).toISOString() });
+  }
+
+  return { session, account };
+}
+
+/**
+ * End a session
+ * @param {string} token - Session token from the cookie
+ */
+async function endSession(token) {
+  if (!token) return;
+
+  await getStorage().remove('sessions', [
+    { column: 'token_hash', op: 'eq', value: tokenHash(token) }
+  ]);
+}
+
+/**
+ * End every session of an account
+ * @param {number} accountId - Account ID
+ */
+async function endAccountSessions(accountId) {
+  await getStorage().remove('sessions', [
+    { column: 'account_id', op: 'eq', value: accountId }
+  ]);
+}
+
+/**
+ * Read the session token from the request cookies
+ * @param {Object} req - Express request
+ * @returns {string|null} Session token
+ */
+function readSessionToken(req) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [name, ...value] = part.trim().split('=');
+    if (name === SESSION_COOKIE) {
+      try {
+        return decodeURIComponent(value.join('='));
+      } catch (error) {
+        // Malformed percent-encoding: treat as no session
+        return null;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Set the session cookie on a response
+ * @param {Object} res - Express response
+ * @param {string} token - Session token
+ * @param {string} expiresAt - Session expiry (ISO string)
+ */
+function setSessionCookie(res, token, expiresAt) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'strict',
+    secure: process.env.NODE_ENV === 'production',
+    path: '/',
+    expires: new Date(expiresAt)
+  });
+}
+
+/**
+ * Remove the session cookie
+ * @param {Object} res - Express response
+ */
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+/**
+ * Read a bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token
+ */
+function readBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolve a bearer token to req.apiToken and enforce its rate limit
+ * @returns {Promise<boolean>} True if the request may continue (otherwise a response was sent)
+ */
+async function authenticateApiToken(req, res, bearer) {
+  const record = await resolveApiToken(bearer, req.ip);
+
+  if (!record) {
+    res.status(401).json({
+      success: false,
+      error: 'Invalid, expired or revoked API token',
+      code: 'INVALID_TOKEN'
+    });
+    return false;
+  }
+
+  const { allowed, limit, remaining, resetAt } = consumeRateLimit(record);
+  res.set({
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(remaining),
+    'X-RateLimit-Reset': String(Math.ceil(resetAt / 1000))
+  });
+
+  if (!allowed) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))));
+    res.status(429).json({
+      success: false,
+      error: `API token rate limit of ${limit} requests per minute exceeded`,
+      code: 'TOKEN_RATE_LIMIT_EXCEEDED'
+    });
+    return false;
+  }
+
+  req.apiToken = record;
+  return true;
+}
+
+/**
+ * Middleware: attach the API token (Authorization: Bearer) to req.apiToken or
+ * the logged-in account to req.account (if any)
+ */
+async function authenticate(req, res, next) {
+  try {
+    const bearer = readBearerToken(req);
+    if (bearer) {
+      if (await authenticateApiToken(req, res, bearer)) next();
+      return;
+    }
+
+    const token = readSessionToken(req);
+    const result = await getSession(token);
+
+    if (result) {
+      req.account = result.account;
+      req.sessionToken = token;
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error resolving session', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check authentication',
+      code: 'AUTH_ERROR'
+    });
+  }
+}
+
+/**
+ * Middleware factory: only let accounts with at least the given role through
+ * @param {string} role - Minimum role ('viewer', 'operator' or 'admin')
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+  return requireAccess(role);
+}
+
+/**
+ * Middleware factory: only let accounts with at least the given role, or API
+ * tokens with the given scope, through
+ * @param {string} role - Minimum account role ('viewer', 'operator' or 'admin')
+ * @param {string} scope - Required token scope ('read', 'export' or 'delete');
+ *   null accepts any token, undefined accepts none
+ * @returns {Function} Express middleware
+ */
+function requireAccess(role, scope) {
+  return (req, res, next) => {
+    if (req.apiToken) {
+      if (scope === undefined) {
+        return res.status(403).json({
+          success: false,
+          error: 'API tokens are not accepted on this endpoint',
+          code: 'TOKEN_NOT_ALLOWED'
+        });
+      }
+
+      if (scope !== null && !req.apiToken.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `This action requires the ${scope} scope`,
+          code: 'INSUFFICIENT_SCOPE'
+        });
+      }
+
+      return next();
+    }
+
+    if (!req.account) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required',
+        code: 'AUTH_REQUIRED'
+      });
+    }
+
+    if (!hasRole(req.account.role, role)) {
+      return res.status(403).json({
+        success: false,
+        error: `This action requires the ${role} role`,
+        code: 'INSUFFICIENT_ROLE'
+      });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Check again that the session or API token a request was authenticated with
+ * is still valid and allowed. Long-lived responses (the live stream) call this
+ * periodically, since authentication only runs when they start.
+ * @param {Object} req - Request that passed requireAccess(role, scope)
+ * @param {string} role - Minimum account role
+ * @param {string} scope - Required token scope (null accepts any token)
+ * @returns {Promise<boolean>} True if access is still allowed
+ */
+async function recheckAccess(req, role, scope) {
+  if (req.apiToken) {
+    const record = await resolveApiToken(readBearerToken(req), req.ip);
+    return Boolean(record) && (scope === null || record.scopes.includes(scope));
+  }
+
+  const result = await getSession(req.sessionToken);
+  return Boolean(result) && hasRole(result.account.role, role);
+}
+
+module.exports = {
+  ROLES,
+  SESSION_TTL_HOURS,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  validateAccount,
+  publicAccount,
+  getAccount,
+  listAccounts,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  countActiveAdmins,
+  ensureBootstrapAdmin,
+  authenticateAccount,
+  createSession,
+  getSession,
+  endSession,
+  readSessionToken,
+  setSessionCookie,
+  clearSessionCookie,
+  authenticate,
+  requireRole,
+  requireAccess,
+  recheckAccess
+};
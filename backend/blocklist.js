@@ -0,0 +1,135 @@
+/**
+ * Blocked Users
+ * Users an operator blocked from the management server. Their private
+ * messages are ignored: not logged and not forwarded to the operators
+ * (consent commands keep working so they can still opt out or be forgotten).
+ */
+
+const { getStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('blocklist');
+
+const LOAD_PAGE_SIZE = 1000;
+
+// Blocked users keyed by "platform:userId" (loaded on first use)
+let blocked = null;
+let loading = null;
+
+/**
+ * Key used for the blocked users cache
+ */
+function blockKey(platform, userId) {
+  return `${platform}:${userId}`;
+}
+
+/**
+ * Load every blocked user into memory
+ * @returns {Promise<Set>} Blocked user keys
+ */
+async function loadBlocked() {
+  const keys = new Set();
+  let offset = 0;
+
+  while (true) {
+    const { rows } = await getStorage().select('blocked_users', {
+      columns: 'platform, user_id',
+      order: [{ column: 'id', ascending: true }],
+      limit: LOAD_PAGE_SIZE,
+      offset
+    });
+
+    for (const row of rows) {
+      keys.add(blockKey(row.platform, row.user_id));
+    }
+
+    if (rows.length < LOAD_PAGE_SIZE) break;
+    offset += LOAD_PAGE_SIZE;
+  }
+
+  return keys;
+}
+
+/**
+ * Get the blocked users cache, loading it once
+ * @returns {Promise<Set>} Blocked user keys
+ */
+async function getBlocked() {
+  if (blocked) return blocked;
+
+  if (!loading) {
+    loading = loadBlocked()
+      .then((loaded) => {
+        blocked = loaded;
+        return loaded;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return loading;
+}
+
+/**
+ * Check whether a user is blocked
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @returns {Promise<boolean>} True if blocked
+ */
+async function isBlocked(platform, userId) {
+  if (!userId) return false;
+  const keys = await getBlocked();
+  return keys.has(blockKey(platform, userId));
+}
+
+/**
+ * Block a user
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @param {Object} options - Extra details
+ * @param {string} options.username - Username for the operator's reference
+ * @param {string} options.blockedBy - Operator who blocked the user
+ * @returns {Promise<Object>} Block row
+ */
+async function blockUser(platform, userId, { username = null, blockedBy = null } = {}) {
+  const [row] = await getStorage().upsert('blocked_users', {
+    platform,
+    user_id: String(userId),
+    username: username || undefined,
+    blocked_by: blockedBy ? String(blockedBy) : undefined
+  }, { onConflict: ['platform', 'user_id'] });
+
+  const keys = await getBlocked();
+  keys.add(blockKey(platform, row.user_id));
+
+  logger.info(`🚫 Blocked ${platform} user`, { userId: row.user_id });
+  return row;
+}
+
+/**
+ * Unblock a user
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @returns {Promise<boolean>} True if the user was blocked
+ */
+async function unblockUser(platform, userId) {
+  const removed = await getStorage().remove('blocked_users', [
+    { column: 'platform', op: 'eq', value: platform },
+    { column: 'user_id', op: 'eq', value: String(userId) }
+  ]);
+
+  const keys = await getBlocked();
+  keys.delete(blockKey(platform, String(userId)));
+
+  if (removed.length > 0) {
+    logger.info(`✅ Unblocked ${platform} user`, { userId: String(userId) });
+  }
+  return removed.length > 0;
+}
+
+module.exports = {
+  isBlocked,
+  blockUser,
+  unblockUser
+};
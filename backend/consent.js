@@ -0,0 +1,248 @@
+/**
+ * User Consent
+ * Records whether users agree to have their conversations logged for AI
+ * training. Users are opted in by default (the bots announce logging on
+ * /start); /optout stops logging and excludes the user from exports,
+ * /optin resumes logging. Messages logged before a user opted out are
+ * flagged with `opted_out_at`, so queries can leave them out with a plain
+ * column condition however many users opted out.
+ */
+
+const { getStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('consent');
+
+const CONSENT_STATUSES = ['opted_in', 'opted_out'];
+
+// Keep forwarding opted-out users' messages to the operator (they are still not logged)
+const FORWARD_OPTED_OUT = process.env.FORWARD_OPTED_OUT !== 'false';
+
+const LOAD_PAGE_SIZE = 1000;
+
+// Storage conditions leaving out, or matching only, the messages of opted-out
+// users (and the bot's replies in their private chats)
+const CONSENT_EXCLUSION = { column: 'opted_out_at', op: 'is', value: null };
+const CONSENT_INCLUSION = { column: 'opted_out_at', op: 'isnot', value: null };
+
+// Opted-out users and their private chats, keyed by "platform:id" (loaded on first use)
+let optedOut = null;
+let loading = null;
+
+/**
+ * Key used for the opted-out caches
+ */
+function consentKey(platform, id) {
+  return `${platform}:${id}`;
+}
+
+/**
+ * Load every opted-out user into memory
+ * @returns {Promise<Object>} { users: Set, chats: Set }
+ */
+async function loadOptedOut() {
+  const users = new Set();
+  const chats = new Set();
+  let offset = 0;
+
+  while (true) {
+    const { rows } = await getStorage().select('user_consent', {
+      filters: [{ column: 'status', op: 'eq', value: 'opted_out' }],
+      order: [{ column: 'id', ascending: true }],
+      limit: LOAD_PAGE_SIZE,
+      offset
+    });
+
+    for (const row of rows) {
+      users.add(consentKey(row.platform, row.user_id));
+      if (row.chat_id) chats.add(consentKey(row.platform, row.chat_id));
+    }
+
+    if (rows.length < LOAD_PAGE_SIZE) break;
+    offset += LOAD_PAGE_SIZE;
+  }
+
+  return { users, chats };
+}
+
+/**
+ * Get the opted-out caches, loading them on first use
+ * @returns {Promise<Object>} { users: Set, chats: Set }
+ */
+async function getOptedOut() {
+  if (optedOut) return optedOut;
+
+  if (!loading) {
+    loading = loadOptedOut()
+      .then((loaded) => {
+        optedOut = loaded;
+        return loaded;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return loading;
+}
+
+/**
+ * Set or clear the opted-out flag on the messages of a user and on the bot's
+ * replies in their private chat
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @param {string|null} chatId - Private chat with the user
+ * @param {boolean} optedOut - Flag (true) or unflag (false) the messages
+ * @returns {Promise<number>} Number of messages changed
+ */
+async function flagMessages(platform, userId, chatId, optedOut) {
+  const storage = getStorage();
+  const pending = { column: 'opted_out_at', op: optedOut ? 'is' : 'isnot', value: null };
+  const patch = { opted_out_at: optedOut ? new Date().toISOString() : null };
+  let changed = 0;
+
+  for (const [column, value] of [['user_id', userId], ['chat_id', chatId]]) {
+    if (!value) continue;
+
+    const rows = await storage.update('messages', [
+      { column: 'platform', op: 'eq', value: platform },
+      { column, op: 'eq', value },
+      pending
+    ], patch);
+    changed += rows.length;
+  }
+
+  return changed;
+}
+
+/**
+ * Flag the messages of users who opted out before messages carried the
+ * flag. Only unflagged messages are touched, so this is cheap once done.
+ * @returns {Promise<number>} Number of messages flagged
+ */
+async function syncOptedOutMessages() {
+  let flagged = 0;
+  let lastId = 0;
+
+  while (true) {
+    const { rows } = await getStorage().select('user_consent', {
+      filters: [
+        { column: 'status', op: 'eq', value: 'opted_out' },
+        { column: 'id', op: 'gt', value: lastId }
+      ],
+      order: [{ column: 'id', ascending: true }],
+      limit: LOAD_PAGE_SIZE
+    });
+
+    for (const row of rows) {
+      flagged += await flagMessages(row.platform, row.user_id, row.chat_id, true);
+    }
+
+    if (rows.length < LOAD_PAGE_SIZE) break;
+    lastId = rows[rows.length - 1].id;
+  }
+
+  if (flagged > 0) {
+    logger.info(`🙈 Flagged ${flagged} messages of opted-out users`);
+  }
+
+  return flagged;
+}
+
+/**
+ * Get the consent record of a user
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @returns {Promise<Object>} Consent row, or { status: 'opted_in' } if the user never changed it
+ */
+async function getConsent(platform, userId) {
+  const { rows } = await getStorage().select('user_consent', {
+    filters: [
+      { column: 'platform', op: 'eq', value: platform },
+      { column: 'user_id', op: 'eq', value: String(userId) }
+    ],
+    limit: 1
+  });
+
+  return rows[0] || { platform, user_id: String(userId), status: 'opted_in' };
+}
+
+/**
+ * Record a user's consent choice
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @param {string} status - 'opted_in' or 'opted_out'
+ * @param {Object} options - Extra details
+ * @param {string} options.chatId - Private chat with the user (bot replies there are not logged while opted out)
+ * @param {string} options.username - Username for the operator's reference
+ * @returns {Promise<Object>} Consent row
+ */
+async function setConsent(platform, userId, status, { chatId = null, username = null } = {}) {
+  if (!CONSENT_STATUSES.includes(status)) {
+    throw new Error(`Unsupported consent status: ${status}`);
+  }
+
+  const [row] = await getStorage().upsert('user_consent', {
+    platform,
+    user_id: String(userId),
+    chat_id: chatId ? String(chatId) : undefined,
+    username: username || undefined,
+    status,
+    updated_at: new Date().toISOString()
+  }, { onConflict: ['platform', 'user_id'] });
+
+  const flagged = await flagMessages(platform, row.user_id, row.chat_id, status === 'opted_out');
+
+  const cache = await getOptedOut();
+  const userKey = consentKey(platform, row.user_id);
+  const chatKey = row.chat_id ? consentKey(platform, row.chat_id) : null;
+
+  if (status === 'opted_out') {
+    cache.users.add(userKey);
+    if (chatKey) cache.chats.add(chatKey);
+  } else {
+    cache.users.delete(userKey);
+    if (chatKey) cache.chats.delete(chatKey);
+  }
+
+  logger.info(`🙋 ${platform} user is now ${status.replace('_', ' ')}`, { userId: row.user_id, messages: flagged });
+  return row;
+}
+
+/**
+ * Check whether a user has opted out of logging
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @returns {Promise<boolean>} True if opted out
+ */
+async function isOptedOut(platform, userId) {
+  if (!userId) return false;
+  const { users } = await getOptedOut();
+  return users.has(consentKey(platform, userId));
+}
+
+/**
+ * Check whether a normalized message must not be logged: it was sent by an
+ * opted-out user, or by the bot in the private chat with one
+ * @param {Object} message - Normalized message (see normalizeMessage)
+ * @returns {Promise<boolean>} True if the message must be skipped
+ */
+async function isMessageExcluded(message) {
+  const { users, chats } = await getOptedOut();
+
+  return (message.user_id && users.has(consentKey(message.platform, message.user_id)))
+    || (message.chat_id && chats.has(consentKey(message.platform, message.chat_id)))
+    || false;
+}
+
+module.exports = {
+  CONSENT_STATUSES,
+  FORWARD_OPTED_OUT,
+  CONSENT_EXCLUSION,
+  CONSENT_INCLUSION,
+  getConsent,
+  setConsent,
+  isOptedOut,
+  isMessageExcluded,
+  syncOptedOutMessages
+};
@@ -0,0 +1,68 @@
+/**
+ * Consent Commands
+ * /optout, /optin and /forgetme, shared by the Telegram and Discord bots
+ */
+
+const { FORWARD_OPTED_OUT, setConsent } = require('./consent');
+const { eraseUserData } = require('./userData');
+
+// "/optout", "!optout" or "/optout@MyBot" (Telegram group syntax)
+const CONSENT_COMMAND_PATTERN = /^[/!](optout|optin|forgetme)(?:@\w+)?\s*$/i;
+
+/**
+ * Detect a consent command in a message
+ * @param {string} text - Message text
+ * @returns {string|null} 'optout', 'optin', 'forgetme' or null
+ */
+function parseConsentCommand(text) {
+  const match = text?.trim().match(CONSENT_COMMAND_PATTERN);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Run a consent command for a user
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} command - 'optout', 'optin' or 'forgetme'
+ * @param {Object} user - Who sent the command
+ * @param {string} user.userId - Platform user ID
+ * @param {string} user.chatId - Private chat with the user (null in group chats)
+ * @param {string} user.username - Username
+ * @returns {Promise<string>} Reply for the user
+ */
+async function runConsentCommand(platform, command, { userId, chatId = null, username = null }) {
+  const forwarding = FORWARD_OPTED_OUT
+    ? 'A person will still read and reply to your messages.'
+    : 'Your messages will no longer be forwarded or stored.';
+
+  switch (command) {
+    case 'optout':
+      await setConsent(platform, userId, 'opted_out', { chatId, username });
+      return `🙈 You have opted out. Your new messages will not be logged for AI training. ${forwarding}
+
+Send /optin to opt back in, or /forgetme to also delete your history.`;
+
+    case 'optin':
+      await setConsent(platform, userId, 'opted_in', { chatId, username });
+      return `✅ You have opted back in. Your messages will be logged for AI training again.
+
+Send /optout at any time to stop.`;
+
+    case 'forgetme': {
+      // Opt out first so nothing new is logged while the history is erased
+      await setConsent(platform, userId, 'opted_out', { chatId, username });
+      const { messages } = await eraseUserData(platform, userId, { source: platform });
+      return `🗑️ Your conversation history has been deleted (${messages} message${messages === 1 ? '' : 's'}) and logging is turned off. ${forwarding}
+
+Send /optin if you want your messages to be logged again.`;
+    }
+
+    default:
+      throw new Error(`Unsupported consent command: ${command}`);
+  }
+}
+
+module.exports = {
+  CONSENT_COMMAND_PATTERN,
+  parseConsentCommand,
+  runConsentCommand
+};
@@ -0,0 +1,293 @@
+/**
+ * Conversations
+ * Groups logged messages into whole dialogs (one per platform chat) and
+ * keeps participant info and activity timestamps up to date. Message counts
+ * are taken from the messages table when conversations are read, so they
+ * follow trash, retention and erasure.
+ */
+
+const { getStorage } = require('./storage');
+const { MESSAGE_COLUMNS, NOT_TRASHED } = require('./messageQuery');
+const { emitWebhookEvent } = require('./webhooks');
+
+const CONVERSATION_STATUSES = ['open', 'closed'];
+
+// Attempts to apply a message to a conversation that other messages keep
+// changing, and the longest random pause before retrying
+const MAX_UPDATE_ATTEMPTS = 10;
+const RETRY_JITTER_MS = 50;
+
+/**
+ * Find a conversation by platform and chat ID
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} chatId - Platform chat/channel ID
+ * @returns {Promise<Object|null>} Conversation or null
+ */
+async function findConversation(platform, chatId) {
+  const { rows } = await getStorage().select('conversations', {
+    filters: [
+      { column: 'platform', op: 'eq', value: platform },
+      { column: 'chat_id', op: 'eq', value: chatId }
+    ],
+    limit: 1
+  });
+
+  return rows[0] || null;
+}
+
+/**
+ * Add a message's author to a participant list if not already present
+ * @param {Array<Object>} participants - Existing participants
+ * @param {Object} message - Normalized message
+ * @returns {Array<Object>} Updated participants
+ */
+function mergeParticipant(participants = [], message) {
+  if (!message.user_id || participants.some(p => p.user_id === message.user_id)) {
+    return participants;
+  }
+
+  return [
+    ...participants,
+    {
+      user_id: message.user_id,
+      username: message.username || null,
+      message_type: message.message_type
+    }
+  ];
+}
+
+/**
+ * Pick the later of two timestamps, so a message that arrives late (or a
+ * backfill) never moves a conversation's activity back in time
+ * @param {string|null} current - Stored timestamp
+ * @param {string} candidate - New timestamp
+ * @returns {string} The later timestamp
+ */
+function laterOf(current, candidate) {
+  return current && Date.parse(current) > Date.parse(candidate) ? current : candidate;
+}
+
+/**
+ * Record a message against its conversation, creating the conversation on
+ * the first message in a chat. The update only applies if the conversation
+ * is unchanged since it was read (its updated_at is used as a version), and
+ * is retried on a fresh copy otherwise, so concurrent messages in one chat
+ * never lose a participant.
+ * @param {Object} message - Normalized message (before insert)
+ * @returns {Promise<Object|null>} Conversation, or null if the message has no chat
+ */
+async function recordConversationMessage(message) {
+  if (!message.chat_id) {
+    return null;
+  }
+
+  const storage = getStorage();
+  const isUser = message.message_type === 'user';
+  const now = new Date().toISOString();
+
+  let conversation = await findConversation(message.platform, message.chat_id);
+
+  if (!conversation) {
+    try {
+      [conversation] = await storage.insert('conversations', {
+        platform: message.platform,
+        chat_id: message.chat_id,
+        user_id: isUser ? message.user_id : null,
+        username: isUser ? message.username : null,
+        participants: mergeParticipant([], message),
+        first_message_at: message.created_at,
+        last_message_at: message.created_at,
+        status: 'open',
+        updated_at: now
+      });
+      await emitWebhookEvent('conversation.created', conversation);
+      return conversation;
+    } catch (error) {
+      // Another message may have created the conversation concurrently
+      conversation = await findConversation(message.platform, message.chat_id);
+      if (!conversation) throw error;
+    }
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    // Each update moves updated_at forward, even within the same millisecond
+    const version = conversation.updated_at;
+    const updatedAt = new Date(Math.max(Date.now(), (Date.parse(version) || 0) + 1)).toISOString();
+
+    const [updated] = await storage.update('conversations', [
+      { column: 'id', op: 'eq', value: conversation.id },
+      version ? { column: 'updated_at', op: 'eq', value: version } : { column: 'updated_at', op: 'is', value: null }
+    ], {
+      user_id: conversation.user_id || (isUser ? message.user_id : null),
+      username: isUser && message.username ? message.username : conversation.username,
+      participants: mergeParticipant(conversation.participants, message),
+      last_message_at: laterOf(conversation.last_message_at, message.created_at),
+      status: 'open',
+      updated_at: updatedAt
+    });
+
+    if (updated) return updated;
+
+    // Another message changed the conversation first: apply this one to the new state
+    await new Promise(resolve => setTimeout(resolve, Math.random() * RETRY_JITTER_MS));
+    conversation = await findConversation(message.platform, message.chat_id);
+    if (!conversation || attempt >= MAX_UPDATE_ATTEMPTS) {
+      throw new Error(`Could not update conversation for ${message.platform} chat ${message.chat_id}`);
+    }
+  }
+}
+
+/**
+ * Fill in the number of messages (not in the trash) of each conversation
+ * @param {Array<Object>} conversations - Conversations
+ * @returns {Promise<Array<Object>>} Conversations with message_count
+ */
+async function withMessageCounts(conversations) {
+  if (conversations.length === 0) return conversations;
+
+  const counts = await getStorage().countBy('messages', 'conversation_id', [
+    { column: 'conversation_id', op: 'in', value: conversations.map(conversation => conversation.id) },
+    NOT_TRASHED
+  ]);
+  const countById = new Map(counts.map(({ value, count }) => [value, count]));
+
+  return conversations.map(conversation => ({
+    ...conversation,
+    message_count: countById.get(conversation.id) || 0
+  }));
+}
+
+/**
+ * Set the status of a conversation (a new message reopens a closed one)
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} chatId - Platform chat/channel ID
+ * @param {string} status - 'open' or 'closed'
+ * @returns {Promise<Object|null>} Updated conversation, or null if the chat has none
+ */
+async function setConversationStatus(platform, chatId, status) {
+  if (!CONVERSATION_STATUSES.includes(status)) {
+    throw new Error(`Unsupported conversation status: ${status}`);
+  }
+
+  const [updated] = await getStorage().update('conversations', [
+    { column: 'platform', op: 'eq', value: platform },
+    { column: 'chat_id', op: 'eq', value: String(chatId) }
+  ], {
+    status,
+    updated_at: new Date().toISOString()
+  });
+
+  return updated || null;
+}
+
+/**
+ * Retrieve conversations with pagination and filtering
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Items per page
+ * @param {string} options.platform - Filter by platform
+ * @param {string} options.status - Filter by status ('open' or 'closed')
+ * @param {string} options.userId - Filter by participant user ID
+ * @param {string} options.search - Search in username
+ * @returns {Promise<Object>} Conversations and pagination info
+ */
+async function getConversations(options = {}) {
+  const {
+    page = 1,
+    limit = 50,
+    platform,
+    status,
+    userId,
+    search
+  } = options;
+
+  const filters = [];
+  if (platform) filters.push({ column: 'platform', op: 'eq', value: platform });
+  if (status) filters.push({ column: 'status', op: 'eq', value: status });
+  if (userId) filters.push({ column: 'user_id', op: 'eq', value: userId });
+  if (search) filters.push({ column: 'username', op: 'ilike', value: `%${search}%` });
+
+  const offset = (page - 1) * limit;
+
+  const { rows: data, count } = await getStorage().select('conversations', {
+    filters,
+    order: [
+      { column: 'last_message_at', ascending: false },
+      { column: 'id', ascending: false }
+    ],
+    limit,
+    offset,
+    count: true
+  });
+
+  return {
+    data: await withMessageCounts(data),
+    pagination: {
+      page,
+      limit,
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+}
+
+/**
+ * Get a conversation by ID
+ * @param {number} id - Conversation ID
+ * @returns {Promise<Object|null>} Conversation or null
+ */
+async function getConversationById(id) {
+  const { rows } = await getStorage().select('conversations', {
+    filters: [{ column: 'id', op: 'eq', value: id }],
+    limit: 1
+  });
+
+  if (!rows[0]) return null;
+
+  const [conversation] = await withMessageCounts(rows);
+  return conversation;
+}
+
+/**
+ * Retrieve the messages of a conversation in chronological order
+ * @param {number} conversationId - Conversation ID
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Items per page
+ * @returns {Promise<Object>} Messages and pagination info
+ */
+async function getConversationMessages(conversationId, options = {}) {
+  const { page = 1, limit = 100 } = options;
+  const offset = (page - 1) * limit;
+
+  const { rows: data, count } = await getStorage().select('messages', {
+    columns: MESSAGE_COLUMNS,
+    filters: [{ column: 'conversation_id', op: 'eq', value: conversationId }, NOT_TRASHED],
+    order: [
+      { column: 'created_at', ascending: true },
+      { column: 'id', ascending: true }
+    ],
+    limit,
+    offset,
+    count: true
+  });
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+}
+
+module.exports = {
+  CONVERSATION_STATUSES,
+  recordConversationMessage,
+  setConversationStatus,
+  getConversations,
+  getConversationById,
+  getConversationMessages
+};
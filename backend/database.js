@@ -0,0 +1,681 @@
+/**
+ * Database helpers for the Learning AI Assistant
+ * Provides message logging and querying on top of the configured storage adapter
+ */
+
+const { getStorage } = require('./storage');
+const { recordConversationMessage } = require('./conversations');
+const { extractAttachments, saveAttachments, removeMessageAttachments } = require('./attachments');
+const { KEYSET_FIELDS, MESSAGE_COLUMNS, NOT_TRASHED, encodeCursor } = require('./messageQuery');
+const { redactMessage } = require('./redaction');
+const { isMessageExcluded, CONSENT_EXCLUSION } = require('./consent');
+const { publishMessage } = require('./messageEvents');
+const { emitWebhookEvent, removeMessageDeliveries } = require('./webhooks');
+const { metrics } = require('./metrics');
+const { createLogger, withCorrelationId, getCorrelationId } = require('./logger');
+const { spoolAndStore, trackWrite } = require('./spool');
+
+const logger = createLogger('database');
+
+// Rows fetched per page when streaming exports
+const EXPORT_BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE, 10) || 500;
+
+// Message IDs per request when removing dependent rows (keeps filter URLs short)
+const ID_CHUNK_SIZE = 200;
+
+// Messages removed per delete request when purging
+const PURGE_BATCH_SIZE = 500;
+
+/**
+ * Normalize message data from different platforms into consistent format
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Object} messageData - Raw message data from platform
+ * @returns {Object} Normalized message object
+ */
+function normalizeMessage(platform, messageData) {
+  const baseMessage = {
+    platform,
+    created_at: new Date().toISOString(),
+    raw_data: messageData,
+    is_deleted: false
+  };
+
+  if (platform === 'telegram') {
+    return {
+      ...baseMessage,
+      platform_message_id: messageData.message_id?.toString(),
+      user_id: messageData.from?.id?.toString(),
+      username: messageData.from?.username || messageData.from?.first_name,
+      message_text: messageData.text || messageData.caption || null,
+      message_type: messageData.from?.is_bot ? 'bot' : 'user',
+      chat_id: messageData.chat?.id?.toString(),
+      thread_id: messageData.message_thread_id?.toString() || null
+    };
+  } else if (platform === 'discord') {
+    return {
+      ...baseMessage,
+      platform_message_id: messageData.id,
+      user_id: messageData.author?.id,
+      username: messageData.author?.username,
+      message_text: messageData.content || null,
+      message_type: messageData.author?.bot ? 'bot' : 'user',
+      chat_id: messageData.channel?.id || messageData.channelId,
+      thread_id: messageData.thread?.id || null
+    };
+  }
+
+  throw new Error(`Unsupported platform: ${platform}`);
+}
+
+/**
+ * Build storage filter conditions from message filters
+ * @param {Object} filters - Message filters
+ * @param {string} filters.platform - Filter by platform
+ * @param {string} filters.messageType - Filter by message type
+ * @param {string} filters.search - Search in message text
+ * @param {string} filters.dateFrom - Start date (ISO string)
+ * @param {string} filters.dateTo - End date (ISO string)
+ * @param {string} filters.userId - Filter by user ID
+ * @param {string} filters.chatId - Filter by chat ID
+ * @param {string} filters.threadId - Filter by thread ID
+ * @returns {Array<Object>} Storage filter conditions
+ */
+function buildMessageFilters(filters = {}) {
+  // Messages in the trash are only visible through the trash endpoints
+  const conditions = [NOT_TRASHED];
+
+  if (filters.platform) {
+    conditions.push({ column: 'platform', op: 'eq', value: filters.platform });
+  }
+
+  if (filters.messageType) {
+    conditions.push({ column: 'message_type', op: 'eq', value: filters.messageType });
+  }
+
+  if (filters.search) {
+    conditions.push({ column: 'message_text', op: 'ilike', value: `%${filters.search}%` });
+  }
+
+  if (filters.dateFrom) {
+    conditions.push({ column: 'created_at', op: 'gte', value: filters.dateFrom });
+  }
+
+  if (filters.dateTo) {
+    conditions.push({ column: 'created_at', op: 'lte', value: filters.dateTo });
+  }
+
+  if (filters.userId) {
+    conditions.push({ column: 'user_id', op: 'eq', value: filters.userId });
+  }
+
+  if (filters.chatId) {
+    conditions.push({ column: 'chat_id', op: 'eq', value: filters.chatId });
+  }
+
+  if (filters.threadId) {
+    conditions.push({ column: 'thread_id', op: 'eq', value: filters.threadId });
+  }
+
+  return conditions;
+}
+
+/**
+ * Log a message. It is written to the local spool first and stored in the
+ * database right away, or later by the spool flusher when the database is
+ * unavailable or older messages are still waiting.
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Object} messageData - Raw message data from platform
+ * @returns {Promise<Object|null>} Stored message, or null if the user opted out or the message is waiting in the spool
+ */
+function logMessage(platform, messageData) {
+  return trackWrite(spoolMessage(platform, messageData));
+}
+
+/**
+ * Normalize, redact and spool a message, then try to store it
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Object} messageData - Raw message data from platform
+ * @returns {Promise<Object|null>} Stored message, or null (see logMessage)
+ */
+async function spoolMessage(platform, messageData) {
+  try {
+    const message = normalizeMessage(platform, messageData);
+
+    // Respect users who opted out of logging (checked again when storing,
+    // in case their consent could not be read now)
+    if (await isMessageExcluded(message).catch(() => false)) {
+      metrics.messagesSkipped.inc({ platform, message_type: message.message_type });
+      logger.info(`🙈 Skipped logging ${platform} message (user opted out)`);
+      return null;
+    }
+
+    const attachments = extractAttachments(platform, messageData);
+
+    // Strip PII before anything is written, to the spool or the database
+    const normalizedMessage = redactMessage(message);
+    normalizedMessage.attachment_count = attachments.length;
+
+    const { stored, result } = await spoolAndStore({
+      platform,
+      correlationId: getCorrelationId(),
+      message: normalizedMessage,
+      attachments
+    }, storeSpooledMessage);
+
+    return stored ? result : null;
+  } catch (error) {
+    metrics.messageLogFailures.inc({ platform });
+    logger.error(`Failed to spool ${platform} message`, { error });
+    throw error;
+  }
+}
+
+/**
+ * Store a spooled message: conversation, message row, attachments, then
+ * notify live stream subscribers and webhooks. Throws (keeping the message in
+ * the spool) only if the message row could not be written.
+ * @param {Object} entry - Spool entry ({ platform, correlationId, message, attachments })
+ * @returns {Promise<Object|null>} Stored message, or null if the user opted out meanwhile
+ */
+function storeSpooledMessage(entry) {
+  const { platform, message, attachments } = entry;
+
+  // Retries run outside the original update: keep its correlation ID
+  return withCorrelationId(entry.correlationId, async () => {
+    let data = null;
+
+    try {
+      if (await isMessageExcluded(message)) {
+        metrics.messagesSkipped.inc({ platform, message_type: message.message_type });
+        logger.info(`🙈 Skipped logging ${platform} message (user opted out)`);
+        return null;
+      }
+
+      // Attach the message to its conversation (created on first message).
+      // Kept in the entry, so a retry does not count the message twice.
+      if (message.conversation_id === undefined) {
+        const conversation = await recordConversationMessage(message);
+        message.conversation_id = conversation?.id || null;
+      }
+
+      [data] = await getStorage().insert('messages', message);
+    } catch (error) {
+      metrics.messageLogFailures.inc({ platform });
+      logger.warn(`Failed to store ${platform} message, keeping it in the spool`, {
+        entryId: entry.id,
+        attempt: entry.attempts + 1,
+        error: error.message
+      });
+      throw error;
+    }
+
+    metrics.messagesLogged.inc({ platform, message_type: data.message_type });
+
+    // The message is stored; failures from here on must not store it again
+    try {
+      await saveAttachments(data, attachments);
+
+      // Push the message to live stream subscribers and webhooks (encrypted originals never leave the database)
+      const { encrypted_original: encryptedOriginal, ...logged } = data;
+      publishMessage(logged);
+      await emitWebhookEvent('message.logged', logged);
+    } catch (error) {
+      logger.error(`Failed to finish logging ${platform} message`, { messageId: data.id, error });
+    }
+
+    logger.info(`Logged ${platform} message`, { messageId: data.id, conversationId: data.conversation_id });
+    if (data.redaction_report) {
+      logger.info(`🔒 Redacted ${data.redaction_report.total} item(s) from ${platform} message`, { messageId: data.id });
+    }
+    return data;
+  });
+}
+
+/**
+ * Build a keyset condition selecting rows after a cursor for the given sort
+ * @param {string} sortBy - Sort column
+ * @param {boolean} ascending - Sort direction
+ * @param {Object} cursor - Cursor ({ value, id }) taken from the last row of the previous page
+ * @returns {Object} Storage filter condition
+ */
+function afterCursor(sortBy, ascending, cursor) {
+  const op = ascending ? 'gt' : 'lt';
+
+  if (sortBy === 'id') {
+    return { column: 'id', op, value: cursor.id };
+  }
+
+  return {
+    or: [
+      [{ column: sortBy, op, value: cursor.value }],
+      [
+        { column: sortBy, op: 'eq', value: cursor.value },
+        { column: 'id', op, value: cursor.id }
+      ]
+    ]
+  };
+}
+
+/**
+ * Retrieve messages with pagination, filtering and sorting.
+ * Passing a cursor switches from offset pages to keyset pagination.
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (1-based, ignored when a cursor is given)
+ * @param {number} options.limit - Items per page
+ * @param {string} options.sortBy - Sort column (see SORTABLE_FIELDS)
+ * @param {string} options.sortOrder - 'asc' or 'desc'
+ * @param {Object} options.cursor - Keyset cursor ({ value, id })
+ * @param {string} options.platform - Filter by platform
+ * @param {string} options.search - Search in message text
+ * @param {string} options.messageType - Filter by message type
+ * @param {string} options.dateFrom - Start date (ISO string)
+ * @param {string} options.dateTo - End date (ISO string)
+ * @param {string} options.userId - Filter by user ID
+ * @param {string} options.chatId - Filter by chat ID
+ * @param {string} options.threadId - Filter by thread ID
+ * @returns {Promise<Object>} Messages and pagination info
+ */
+async function getMessages(options = {}) {
+  try {
+    const {
+      page = 1,
+      limit = 50,
+      sortBy = 'created_at',
+      sortOrder = 'desc',
+      cursor = null,
+      ...filters
+    } = options;
+
+    const ascending = sortOrder === 'asc';
+    const conditions = buildMessageFilters(filters);
+    const storage = getStorage();
+
+    // Tie-break on id so ordering (and keyset cursors) are stable
+    const order = [{ column: sortBy, ascending }];
+    if (sortBy !== 'id') {
+      order.push({ column: 'id', ascending });
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const { rows, count } = await storage.select('messages', {
+      columns: MESSAGE_COLUMNS,
+      filters: cursor ? [...conditions, afterCursor(sortBy, ascending, cursor)] : conditions,
+      order,
+      limit: limit + 1,
+      offset: cursor ? 0 : (page - 1) * limit,
+      count: !cursor
+    });
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit);
+    const lastRow = data[data.length - 1];
+    const nextCursor = hasMore && lastRow && KEYSET_FIELDS.includes(sortBy)
+      ? encodeCursor(lastRow, sortBy)
+      : null;
+
+    if (cursor) {
+      return {
+        data,
+        pagination: {
+          limit,
+          hasMore,
+          nextCursor
+        }
+      };
+    }
+
+    return {
+      data,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit),
+        hasMore,
+        nextCursor
+      }
+    };
+  } catch (error) {
+    logger.error('Failed to retrieve messages', { error });
+    throw error;
+  }
+}
+
+/**
+ * Get a single message by ID
+ * @param {number} id - Message ID
+ * @returns {Promise<Object|null>} Message or null if not found
+ */
+async function getMessageById(id) {
+  const { rows } = await getStorage().select('messages', {
+    columns: MESSAGE_COLUMNS,
+    filters: [{ column: 'id', op: 'eq', value: id }, NOT_TRASHED],
+    limit: 1
+  });
+
+  return rows[0] || null;
+}
+
+/**
+ * Get summary statistics about chat messages
+ * @returns {Promise<Object>} Message totals, recent activity and breakdowns
+ */
+async function getMessageStats() {
+  const storage = getStorage();
+
+  // Get total message count
+  const { count: totalMessages } = await storage.select('messages', { filters: [NOT_TRASHED], head: true });
+
+  // Get platform and message type breakdowns
+  const { rows } = await storage.select('messages', { columns: 'platform, message_type', filters: [NOT_TRASHED] });
+
+  const platformBreakdown = rows.reduce((acc, msg) => {
+    acc[msg.platform] = (acc[msg.platform] || 0) + 1;
+    return acc;
+  }, {});
+
+  const messageTypeBreakdown = rows.reduce((acc, msg) => {
+    acc[msg.message_type] = (acc[msg.message_type] || 0) + 1;
+    return acc;
+  }, {});
+
+  // Get recent activity (last 24 hours)
+  const yesterday = new Date();
+  yesterday.setDate(yesterday.getDate() - 1);
+
+  const { count: recentMessages } = await storage.select('messages', {
+    filters: [{ column: 'created_at', op: 'gte', value: yesterday.toISOString() }, NOT_TRASHED],
+    head: true
+  });
+
+  return {
+    totalMessages: totalMessages || 0,
+    recentMessages: recentMessages || 0,
+    platformBreakdown,
+    messageTypeBreakdown
+  };
+}
+
+/**
+ * Test database connection
+ * @returns {Promise<boolean>} Connection status
+ */
+async function testConnection() {
+  try {
+    await getStorage().ping();
+
+    logger.info('Database connection successful');
+    return true;
+  } catch (error) {
+    logger.error('Database connection test error', { error });
+    return false;
+  }
+}
+
+/**
+ * Build the keyset condition selecting rows after a row, for an ascending
+ * order over several columns (none of them null)
+ * @param {Array<string>} columns - Order columns, ending with a unique one
+ * @param {Object} row - Last row of the previous page
+ * @returns {Object} Storage filter condition
+ */
+function afterRow(columns, row) {
+  return {
+    or: columns.map((column, index) => [
+      ...columns.slice(0, index).map(previous => ({ column: previous, op: 'eq', value: row[previous] })),
+      { column, op: 'gt', value: row[column] }
+    ])
+  };
+}
+
+/**
+ * Page through messages in chronological order using a keyset cursor.
+ * Yields one batch at a time so callers never hold the full table in memory.
+ * Messages of users who opted out are left out unless excludeOptedOut is false.
+ * @param {Object} filters - Optional message filters (see buildMessageFilters)
+ * @param {Object} options - Stream options
+ * @param {number} options.batchSize - Rows per page (default: 500)
+ * @param {Array<Object>} options.conditions - Extra storage filter conditions
+ * @param {boolean} options.excludeOptedOut - Leave out opted-out users (default: true)
+ * @param {Array<string>} options.orderBy - Columns to order by before created_at and id (none may be null)
+ * @returns {AsyncGenerator<Array<Object>>} Batches of messages
+ */
+async function* streamMessages(filters = {}, {
+  batchSize = EXPORT_BATCH_SIZE,
+  conditions = [],
+  excludeOptedOut = true,
+  orderBy = []
+} = {}) {
+  const baseFilters = [
+    ...buildMessageFilters(filters),
+    ...conditions,
+    ...(excludeOptedOut ? [CONSENT_EXCLUSION] : [])
+  ];
+  const columns = [...orderBy, ...KEYSET_FIELDS];
+
+  let lastRow = null;
+
+  while (true) {
+    const { rows } = await getStorage().select('messages', {
+      columns: MESSAGE_COLUMNS,
+      filters: lastRow ? [...baseFilters, afterRow(columns, lastRow)] : baseFilters,
+      order: columns.map(column => ({ column, ascending: true })),
+      limit: batchSize
+    });
+
+    if (rows.length > 0) {
+      yield rows;
+    }
+
+    if (rows.length < batchSize) break;
+    lastRow = rows[rows.length - 1];
+  }
+}
+
+/**
+ * Stream messages ordered by some columns and yield each run of messages
+ * that share their values
+ * @param {Object} filters - Message filters
+ * @param {Object} options - streamMessages options (orderBy names the grouping columns)
+ * @returns {AsyncGenerator<Array<Object>>} Messages of one group, in chronological order
+ */
+async function* streamMessageGroups(filters, options) {
+  const keyOf = message => options.orderBy.map(column => message[column]).join(':');
+  let group = [];
+
+  for await (const batch of streamMessages(filters, options)) {
+    for (const message of batch) {
+      if (group.length > 0 && keyOf(group[0]) !== keyOf(message)) {
+        yield group;
+        group = [];
+      }
+      group.push(message);
+    }
+  }
+
+  if (group.length > 0) {
+    yield group;
+  }
+}
+
+/**
+ * Stream the (filtered) messages grouped by conversation, one conversation at
+ * a time. Messages that were never assigned to a conversation (logged before
+ * conversations existed and not backfilled) are grouped by their chat
+ * instead; messages without a chat cannot be grouped and are only counted in
+ * the logs.
+ * @param {Object} filters - Optional message filters (see buildMessageFilters)
+ * @param {Object} options - Stream options
+ * @param {number} options.batchSize - Messages per page (default: 500)
+ * @returns {AsyncGenerator<Object>} { key, messages }
+ */
+async function* streamConversationMessages(filters = {}, { batchSize = EXPORT_BATCH_SIZE } = {}) {
+  const conversations = streamMessageGroups(filters, {
+    batchSize,
+    orderBy: ['conversation_id'],
+    conditions: [{ column: 'conversation_id', op: 'isnot', value: null }]
+  });
+
+  for await (const messages of conversations) {
+    yield { key: `conversation:${messages[0].conversation_id}`, messages };
+  }
+
+  const chats = streamMessageGroups(filters, {
+    batchSize,
+    orderBy: ['platform', 'chat_id'],
+    conditions: [
+      { column: 'conversation_id', op: 'is', value: null },
+      { column: 'chat_id', op: 'isnot', value: null }
+    ]
+  });
+
+  for await (const messages of chats) {
+    yield { key: `${messages[0].platform}:${messages[0].chat_id}`, messages };
+  }
+
+  const { count: ungrouped } = await getStorage().select('messages', {
+    filters: [
+      ...buildMessageFilters(filters),
+      CONSENT_EXCLUSION,
+      { column: 'conversation_id', op: 'is', value: null },
+      { column: 'chat_id', op: 'is', value: null }
+    ],
+    count: true,
+    head: true
+  });
+
+  if (ungrouped > 0) {
+    logger.warn(`⚠️ Left ${ungrouped} messages without a conversation or chat out of a conversation export`);
+  }
+}
+
+/**
+ * Remove the revisions, attachments (including downloaded files) and webhook
+ * deliveries of removed messages
+ * @param {Array<number>} messageIds - IDs of removed messages
+ * @returns {Promise<Object>} Counts of removed revisions, attachments and deliveries
+ */
+async function removeMessageDependents(messageIds) {
+  const storage = getStorage();
+  const removed = { revisions: 0, attachments: 0, webhookDeliveries: 0 };
+
+  for (let i = 0; i < messageIds.length; i += ID_CHUNK_SIZE) {
+    const ids = messageIds.slice(i, i + ID_CHUNK_SIZE);
+    removed.revisions += (await storage.remove('message_revisions', [{ column: 'message_id', op: 'in', value: ids }])).length;
+    removed.attachments += await removeMessageAttachments(ids);
+  }
+  removed.webhookDeliveries += await removeMessageDeliveries(messageIds);
+
+  return removed;
+}
+
+/**
+ * Permanently delete every message matching the conditions, together with
+ * its revisions and attachments. Works in batches so large purges never hold
+ * the deleted rows in memory.
+ * @param {Array<Object>} conditions - Storage filter conditions (at least one)
+ * @returns {Promise<number>} Number of deleted messages
+ */
+async function purgeMessages(conditions) {
+  if (conditions.length === 0) {
+    throw new Error('purgeMessages requires at least one condition');
+  }
+
+  const storage = getStorage();
+  let deleted = 0;
+
+  while (true) {
+    const { rows } = await storage.select('messages', {
+      columns: 'id',
+      filters: conditions,
+      order: [{ column: 'id', ascending: true }],
+      limit: PURGE_BATCH_SIZE
+    });
+
+    if (rows.length === 0) break;
+
+    const removed = await storage.remove('messages', [
+      { column: 'id', op: 'in', value: rows.map(row => row.id) }
+    ]);
+    await removeMessageDependents(removed.map(message => message.id));
+    deleted += removed.length;
+
+    if (rows.length < PURGE_BATCH_SIZE) break;
+  }
+
+  return deleted;
+}
+
+/**
+ * Get database statistics
+ * @returns {Object} Database statistics
+ */
+async function getDatabaseStats() {
+  try {
+    const storage = getStorage();
+
+    // Get total count
+    const { count: totalCount } = await storage.select('messages', { filters: [NOT_TRASHED], head: true });
+
+    // Get messages waiting in the trash
+    const { count: trashedCount } = await storage.select('messages', {
+      filters: [{ column: 'trash_batch_id', op: 'isnot', value: null }],
+      head: true
+    });
+
+    // Get platform breakdown
+    const { rows: platforms } = await storage.select('messages', { columns: 'platform', filters: [NOT_TRASHED] });
+
+    const platformCounts = platforms.reduce((acc, msg) => {
+      if (msg.platform) {
+        acc[msg.platform] = (acc[msg.platform] || 0) + 1;
+      }
+      return acc;
+    }, {});
+
+    // Get date range
+    const { rows: oldest } = await storage.select('messages', {
+      columns: 'created_at',
+      filters: [NOT_TRASHED],
+      order: [{ column: 'created_at', ascending: true }],
+      limit: 1
+    });
+
+    const { rows: newest } = await storage.select('messages', {
+      columns: 'created_at',
+      filters: [NOT_TRASHED],
+      order: [{ column: 'created_at', ascending: false }],
+      limit: 1
+    });
+
+    return {
+      totalMessages: totalCount || 0,
+      trashedMessages: trashedCount || 0,
+      platformCounts,
+      dateRange: {
+        oldest: oldest[0]?.created_at || null,
+        newest: newest[0]?.created_at || null
+      },
+      error: null
+    };
+  } catch (error) {
+    logger.error('Database stats error', { error });
+    return { error };
+  }
+}
+
+module.exports = {
+  logMessage,
+  storeSpooledMessage,
+  getMessages,
+  getMessageById,
+  getMessageStats,
+  normalizeMessage,
+  buildMessageFilters,
+  testConnection,
+  streamMessages,
+  streamConversationMessages,
+  purgeMessages,
+  removeMessageDependents,
+  getDatabaseStats
+};
@@ -3,8 +3,32 @@
  * Forwards messages to management server with thread-based organization
  */
 
-const { Client, GatewayIntentBits, Events, ChannelType, Partials } = require('discord.js');
-const { logMessage } = require('./supabase');
+const crypto = require('crypto');
+const {
+  Client,
+  GatewayIntentBits,
+  Events,
+  ChannelType,
+  Partials,
+  ApplicationCommandOptionType,
+  InteractionType,
+  InteractionResponseType,
+  MessageFlags,
+  Routes
+} = require('discord.js');
+const { logMessage } = require('./database');
+const { recordMessageEdit, recordMessageDelete } = require('./revisions');
+const { FORWARD_OPTED_OUT, isOptedOut } = require('./consent');
+const { parseConsentCommand, runConsentCommand } = require('./consentCommands');
+const { RouteMap, restoreRouteMaps, revivePendingReply } = require('./routing');
+const { platformActor, recordAudit } = require('./audit');
+const { emitWebhookEvent } = require('./webhooks');
+const { getConversations, setConversationStatus } = require('./conversations');
+const { isBlocked, blockUser, unblockUser } = require('./blocklist');
+const { metrics, observeReplyLatency } = require('./metrics');
+const { createLogger, withCorrelationId } = require('./logger');
+
+const logger = createLogger('discord');
 
 // Validate required environment variables
 if (!process.env.DISCORD_BOT_TOKEN) {
@@ -16,6 +40,66 @@ const MANAGEMENT_GUILD_ID = process.env.MANAGEMENT_GUILD_ID || null; // Discord
 const MANAGEMENT_CHANNEL_ID = process.env.MANAGEMENT_CHANNEL_ID || null; // Channel ID for conversations
 const USE_THREADS = process.env.USE_THREADS !== 'false'; // Enable thread-based organization
 
+// Interactions endpoint: slash commands are POSTed to /webhook/discord when the
+// application's Interactions Endpoint URL points there (signed with this key)
+const PUBLIC_KEY = process.env.DISCORD_PUBLIC_KEY || null;
+if (PUBLIC_KEY && !/^[0-9a-f]{64}$/i.test(PUBLIC_KEY)) {
+  throw new Error('DISCORD_PUBLIC_KEY must be the 64 hex character public key of the Discord application');
+}
+
+// DER header of an Ed25519 SubjectPublicKeyInfo, followed by the raw 32-byte key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const interactionKey = PUBLIC_KEY
+  ? crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(PUBLIC_KEY, 'hex')]),
+    format: 'der',
+    type: 'spki'
+  })
+  : null;
+
+// Signed interactions older than this are rejected as replays
+const INTERACTION_MAX_AGE_SECONDS = 5 * 60;
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+// Slash commands registered in the management server
+const USER_ID_OPTION = {
+  type: ApplicationCommandOptionType.String,
+  name: 'user_id',
+  description: 'Discord user ID (default: the user of this thread)',
+  required: false
+};
+
+const SLASH_COMMANDS = [
+  {
+    name: 'threads',
+    description: 'List active user threads'
+  },
+  {
+    name: 'info',
+    description: 'Show a user\'s conversation details',
+    options: [USER_ID_OPTION]
+  },
+  {
+    name: 'close',
+    description: 'Close a user\'s conversation and archive their thread',
+    options: [USER_ID_OPTION]
+  },
+  {
+    name: 'block',
+    description: 'Ignore a user\'s messages (not logged or forwarded)',
+    options: [
+      USER_ID_OPTION,
+      {
+        type: ApplicationCommandOptionType.Boolean,
+        name: 'unblock',
+        description: 'Unblock the user instead',
+        required: false
+      }
+    ]
+  }
+];
+
 // Create Discord client with necessary intents
 const client = new Client({
   intents: [
@@ -26,26 +110,28 @@ const client = new Client({
     GatewayIntentBits.DirectMessageReactions,
     GatewayIntentBits.DirectMessageTyping
   ],
-  partials: [Partials.Channel] // Needed for DMs
+  partials: [Partials.Channel, Partials.Message] // Needed for DMs and edits/deletes of uncached messages
 });
 
-// Store conversation mappings
-const userThreads = new Map(); // Maps user IDs to their thread IDs
-const threadUsers = new Map(); // Maps thread IDs to user IDs (reverse lookup)
-const pendingReplies = new Map(); // Maps user IDs to user info
+// Store conversation mappings (persisted so routing survives restarts)
+const userThreads = new RouteMap('discord', 'user_thread'); // Maps user IDs to their thread IDs
+const threadUsers = new RouteMap('discord', 'thread_user', { subjectOf: (threadId, userId) => userId }); // Maps thread IDs to user IDs (reverse lookup)
+const pendingReplies = new RouteMap('discord', 'pending_reply', { revive: revivePendingReply, memoryOnly: ['originalMessage'] }); // Maps user IDs to user info (the message text is not persisted)
 let managementChannelVerified = false;
+let lastEventAt = null; // When the last message or interaction event was received
+let lastClientError = null; // Latest client error or login failure, for the readiness check
 
 /**
  * Test connection to management channel
  */
 async function testManagementChannel() {
   if (!MANAGEMENT_GUILD_ID || !MANAGEMENT_CHANNEL_ID) {
-    console.log('⚠️ MANAGEMENT_GUILD_ID or MANAGEMENT_CHANNEL_ID not set in .env file');
+    logger.warn('⚠️ MANAGEMENT_GUILD_ID or MANAGEMENT_CHANNEL_ID not set in .env file');
     return false;
   }
 
   try {
-    console.log(`🔍 Testing connection to management channel: ${MANAGEMENT_CHANNEL_ID}`);
+    logger.info('🔍 Testing connection to management channel', { channelId: MANAGEMENT_CHANNEL_ID });
     
     const guild = await client.guilds.fetch(MANAGEMENT_GUILD_ID);
     const channel = await guild.channels.fetch(MANAGEMENT_CHANNEL_ID);
@@ -65,27 +151,33 @@ ${USE_THREADS ? `🧵 **Thread Mode Enabled:**
 • Just type messages normally - no need to reply!
 • Much better organization for multiple conversations
 
-` : ''}Commands:
+` : ''}Commands (also available as slash commands):
 !test - Test connection
 !help - Show help
-!threads - List active user threads (if enabled)`;
+!threads - List active user threads (if enabled)
+!info [userId] - Show a user's conversation details
+!close [userId] - Close a conversation${USE_THREADS ? ' and archive its thread' : ''}
+!block [userId] / !unblock [userId] - Ignore a user's messages`;
     
     await channel.send(testMessage);
-    console.log('✅ Management channel connection successful!');
+    logger.info('✅ Management channel connection successful!');
     managementChannelVerified = true;
     return true;
     
   } catch (error) {
-    console.error('❌ Failed to send test message to management channel:', error.message);
     managementChannelVerified = false;
     
-    console.log('\n🔧 TROUBLESHOOTING:');
-    console.log('1. Make sure bot is added to your Discord server');
-    console.log('2. Bot needs "Send Messages" and "Create Public Threads" permissions');
-    console.log('3. Get server ID and channel ID, add to .env file');
-    console.log('4. MANAGEMENT_GUILD_ID=your_server_id');
-    console.log('5. MANAGEMENT_CHANNEL_ID=your_channel_id');
-    console.log('6. Restart the server\n');
+    logger.error('❌ Failed to send test message to management channel', {
+      error: error.message,
+      troubleshooting: [
+        'Make sure bot is added to your Discord server',
+        'Bot needs "Send Messages" and "Create Public Threads" permissions',
+        'Get server ID and channel ID, add to .env file',
+        'MANAGEMENT_GUILD_ID=your_server_id',
+        'MANAGEMENT_CHANNEL_ID=your_channel_id',
+        'Restart the server'
+      ]
+    });
     
     return false;
   }
@@ -133,7 +225,7 @@ async function getOrCreateUserThread(userId, username) {
     userThreads.set(userKey, thread.id);
     threadUsers.set(thread.id, userKey);
     
-    console.log(`🧵 Created new thread for ${username}: ${threadName} (ID: ${thread.id})`);
+    logger.info(`🧵 Created new thread for ${username}`, { threadName, threadId: thread.id });
     
     // Send welcome message in the new thread
     await thread.send(`🎉 **New conversation started**
@@ -147,13 +239,15 @@ async function getOrCreateUserThread(userId, username) {
     return thread;
     
   } catch (error) {
-    console.error(`❌ Failed to create thread for ${username}:`, error.message);
-    
-    console.log('\n🔧 THREAD TROUBLESHOOTING:');
-    console.log('1. Bot needs "Create Public Threads" permission');
-    console.log('2. Bot needs "Send Messages in Threads" permission');
-    console.log('3. Channel must support threads (text channels do)');
-    console.log('4. Set USE_THREADS=false in .env to disable\n');
+    logger.error(`❌ Failed to create thread for ${username}`, {
+      error: error.message,
+      troubleshooting: [
+        'Bot needs "Create Public Threads" permission',
+        'Bot needs "Send Messages in Threads" permission',
+        'Channel must support threads (text channels do)',
+        'Set USE_THREADS=false in .env to disable'
+      ]
+    });
     
     return null;
   }
@@ -164,14 +258,15 @@ async function getOrCreateUserThread(userId, username) {
  */
 async function forwardToManagement(message) {
   if (!MANAGEMENT_GUILD_ID || !MANAGEMENT_CHANNEL_ID) {
-    console.log('⚠️ Management channel not configured - cannot forward messages');
+    logger.warn('⚠️ Management channel not configured - cannot forward messages');
     return;
   }
 
   if (!managementChannelVerified) {
-    console.log('⚠️ Management channel not verified - attempting to test connection');
+    logger.warn('⚠️ Management channel not verified - attempting to test connection');
     const success = await testManagementChannel();
     if (!success) {
+      metrics.forwards.inc({ platform: 'discord', result: 'failure' });
       return;
     }
   }
@@ -210,15 +305,52 @@ async function forwardToManagement(message) {
       timestamp: new Date()
     });
     
+    metrics.forwards.inc({ platform: 'discord', result: 'success' });
     const location = targetChannel.id !== MANAGEMENT_CHANNEL_ID ? `thread "${username}"` : 'management channel';
-    console.log(`📨 Forwarded message from ${username} to ${location}`);
+    logger.info(`📨 Forwarded message from ${username} to ${location}`, { channelId: targetChannel.id });
     
   } catch (error) {
-    console.error('❌ Failed to forward message to management channel:', error.message);
+    metrics.forwards.inc({ platform: 'discord', result: 'failure' });
+    logger.error('❌ Failed to forward message to management channel', { error: error.message });
     managementChannelVerified = false;
   }
 }
 
+/**
+ * Record a reply sent from the management server in the audit log and notify webhooks
+ * @param {Object} message - Operator message in the management server
+ * @param {string} targetUserId - User the reply was sent to
+ * @param {string} via - How the reply was addressed ('thread' or 'command')
+ * @param {Object} sentMessage - DM sent to the user
+ */
+async function recordReply(message, targetUserId, via, sentMessage) {
+  const actor = platformActor('discord', message.author);
+
+  // Reply latency counts the first reply after the user's latest message
+  const pendingInfo = pendingReplies.get(String(targetUserId));
+  if (pendingInfo && !pendingInfo.answered) {
+    observeReplyLatency('discord', pendingInfo.timestamp);
+    pendingReplies.set(String(targetUserId), { ...pendingInfo, answered: true });
+  }
+
+  await recordAudit({
+    action: 'discord.reply',
+    actor,
+    target: targetUserId,
+    affectedCount: 1,
+    details: { via, messageId: sentMessage.id }
+  });
+
+  await emitWebhookEvent('reply.sent', {
+    platform: 'discord',
+    chatId: sentMessage.channelId || null,
+    userId: String(targetUserId),
+    via,
+    operator: { id: actor.id, name: actor.name },
+    message: { id: sentMessage.id, text: sentMessage.content || null }
+  });
+}
+
 /**
  * Handle replies from management channel/threads
  */
@@ -243,23 +375,19 @@ async function handleManagementReply(message) {
         // Find the user and send message
         const user = await client.users.fetch(targetUserId);
         if (user) {
-          await user.send(text);
-          await logMessage('discord', { 
-            id: Date.now(), 
-            content: text, 
-            author: { id: client.user.id, username: client.user.username, bot: true },
-            channel: { id: user.id },
-            createdAt: new Date()
-          });
+          // Log the sent DM itself so it lands in the user's conversation
+          const sentMessage = await user.send(text);
+          await logMessage('discord', sentMessage);
+          await recordReply(message, targetUserId, 'thread', sentMessage);
           
           // Confirm in thread
           await message.react('✅');
           
-          console.log(`✅ Sent message to user ${targetUserId}: "${text}"`);
+          logger.info('✅ Sent message to user', { userId: targetUserId, text });
           return true;
         }
       } catch (error) {
-        console.error(`Failed to send message to user ${targetUserId}:`, error.message);
+        logger.error('Failed to send message to user', { userId: targetUserId, error: error.message });
         await message.react('❌');
         await message.reply(`❌ Failed to send message: ${error.message}`);
       }
@@ -276,21 +404,16 @@ async function handleManagementReply(message) {
     try {
       const user = await client.users.fetch(targetUserId);
       if (user) {
-        await user.send(messageText);
-        await logMessage('discord', {
-          id: Date.now(),
-          content: messageText,
-          author: { id: client.user.id, username: client.user.username, bot: true },
-          channel: { id: user.id },
-          createdAt: new Date()
-        });
+        const sentMessage = await user.send(messageText);
+        await logMessage('discord', sentMessage);
+        await recordReply(message, targetUserId, 'command', sentMessage);
         
         await message.react('✅');
-        console.log(`✅ Sent message to user ${targetUserId}: "${messageText}"`);
+        logger.info('✅ Sent message to user', { userId: targetUserId, text: messageText });
         return true;
       }
     } catch (error) {
-      console.error(`Failed to send message to user ${targetUserId}:`, error.message);
+      logger.error('Failed to send message to user', { userId: targetUserId, error: error.message });
       await message.react('❌');
       await message.reply(`❌ Failed to send message: ${error.message}`);
     }
@@ -301,35 +424,10 @@ async function handleManagementReply(message) {
 }
 
 /**
- * Handle management commands
+ * Build the management help text
  */
-async function handleManagementCommands(message) {
-  const command = message.content.toLowerCase();
-  
-  if (command === '!test') {
-    await message.reply('✅ Management channel connection is working! Bot is ready to forward messages.');
-    return true;
-  }
-  
-  if (command === '!threads' && USE_THREADS) {
-    if (userThreads.size === 0) {
-      await message.reply('📝 No user threads created yet. Threads will be created automatically when users first message the bot.');
-      return true;
-    }
-    
-    let threadsList = '🧵 **Active User Threads:**\n\n';
-    for (const [userId, threadId] of userThreads.entries()) {
-      const userInfo = pendingReplies.get(userId);
-      const username = userInfo?.username || 'Unknown';
-      threadsList += `• ${username} (${userId}) - <#${threadId}>\n`;
-    }
-    
-    await message.reply(threadsList);
-    return true;
-  }
-  
-  if (command === '!help') {
-    const helpMessage = `🔧 **Management ${USE_THREADS ? 'Server' : 'Channel'} Commands:**
+function managementHelp() {
+  return `🔧 **Management ${USE_THREADS ? 'Server' : 'Channel'} Commands:**
 
 ${USE_THREADS ? `🧵 **Thread Mode (ENABLED):**
 ✨ Each user gets their own thread!
@@ -343,7 +441,11 @@ ${USE_THREADS ? '✨ Simply type your message in the user\'s thread!' : '✨ Use
 🔧 **Commands:**
 !test - Test connection
 !help - Show this help
-${USE_THREADS ? '!threads - List all active user threads' : ''}
+${USE_THREADS ? '!threads - List all active user threads\n' : ''}!info [userId] - Show a user's conversation details
+!close [userId] - Close a user's conversation${USE_THREADS ? ' and archive their thread' : ''}
+!block [userId] - Ignore a user's messages (not logged or forwarded)
+!unblock [userId] - Stop ignoring a user
+${USE_THREADS ? '💡 In a user\'s thread the user ID can be left out\n' : ''}⌨️ /threads, /info, /close and /block work as slash commands too
 
 💡 **How it works:**
 1. Users message your bot → ${USE_THREADS ? 'forwarded to separate threads' : 'forwarded to this channel'}
@@ -351,12 +453,344 @@ ${USE_THREADS ? '!threads - List all active user threads' : ''}
 3. Your message gets sent as the bot automatically!
 
 🤖 All conversations are logged for AI training!`;
-    
-    await message.reply(helpMessage);
-    return true;
+}
+
+/**
+ * Find the latest conversation of a user
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<Object|null>} Conversation or null
+ */
+async function findUserConversation(userId) {
+  const { data } = await getConversations({ platform: 'discord', userId, limit: 1 });
+  return data[0] || null;
+}
+
+/**
+ * Management commands shared by the !text commands and slash commands.
+ * Each handler gets the target user (from the command or the current thread)
+ * and the operator, and returns the reply text, or { content, afterReply }
+ * when something must happen once the reply is posted.
+ */
+const managementCommands = {
+  async test() {
+    return '✅ Management channel connection is working! Bot is ready to forward messages.';
+  },
+
+  async help() {
+    return managementHelp();
+  },
+
+  async threads() {
+    if (!USE_THREADS) {
+      return '📝 Thread mode is disabled (USE_THREADS=false).';
+    }
+
+    if (userThreads.size === 0) {
+      return '📝 No user threads created yet. Threads will be created automatically when users first message the bot.';
+    }
+
+    let threadsList = '🧵 **Active User Threads:**\n\n';
+    for (const [userId, threadId] of userThreads.entries()) {
+      const userInfo = pendingReplies.get(userId);
+      const username = userInfo?.username || 'Unknown';
+      threadsList += `• ${username} (${userId}) - <#${threadId}>\n`;
+    }
+
+    return threadsList;
+  },
+
+  async info({ userId }) {
+    if (!userId) {
+      return '❌ Give a user ID, or use this command in the user\'s thread';
+    }
+
+    const pendingInfo = pendingReplies.get(userId);
+    const threadId = userThreads.get(userId);
+    const conversation = await findUserConversation(userId);
+
+    if (!pendingInfo && !threadId && !conversation) {
+      return `❌ No conversation found for user ID: ${userId}`;
+    }
+
+    const username = pendingInfo?.username || conversation?.username || 'Unknown';
+    const blocked = await isBlocked('discord', userId);
+
+    let infoMessage = `👤 **User Info for ${username}** (${userId})\n`;
+    if (threadId) infoMessage += `\n🧵 Thread: <#${threadId}>`;
+    if (conversation) {
+      infoMessage += `\n📂 Conversation #${conversation.id}: ${conversation.status}, ${conversation.message_count || 0} message(s)`;
+      infoMessage += `\n🕒 Last activity: ${new Date(conversation.last_message_at).toLocaleString()}`;
+    }
+    if (pendingInfo) {
+      // The message text is kept in memory only, so it is gone after a restart
+      if (pendingInfo.originalMessage !== undefined) {
+        infoMessage += `\n💬 Last message: "${pendingInfo.originalMessage}"`;
+      }
+      infoMessage += `\n📨 Received: ${pendingInfo.timestamp.toLocaleString()}`;
+    }
+    if (blocked) infoMessage += '\n🚫 Blocked';
+
+    return infoMessage;
+  },
+
+  async close({ userId, actor }) {
+    if (!userId) {
+      return '❌ Give a user ID, or use this command in the user\'s thread';
+    }
+
+    const conversation = await findUserConversation(userId);
+    const closed = conversation ? await setConversationStatus('discord', conversation.chat_id, 'closed') : null;
+    const threadId = USE_THREADS ? userThreads.get(userId) : null;
+
+    if (!closed && !threadId) {
+      return `❌ No conversation found for user ID: ${userId}`;
+    }
+
+    await recordAudit({
+      action: 'discord.close',
+      actor,
+      target: userId,
+      affectedCount: closed ? 1 : 0,
+      details: { conversationId: closed?.id || null, threadId: threadId || null }
+    });
+
+    logger.info('📪 Closed conversation', { userId });
+
+    return {
+      content: `📪 Closed the conversation with ${userId}${threadId ? ' and archived the thread' : ''}. A new message from the user reopens it.`,
+      // Archive after replying: posting the reply in an archived thread would unarchive it
+      afterReply: threadId ? async () => {
+        try {
+          const thread = await client.channels.fetch(threadId);
+          await thread.setArchived(true, 'Conversation closed');
+        } catch (error) {
+          logger.error('Failed to archive thread', { threadId, error: error.message });
+        }
+      } : null
+    };
+  },
+
+  async block({ userId, unblock = false, actor }) {
+    if (!userId) {
+      return '❌ Give a user ID, or use this command in the user\'s thread';
+    }
+
+    if (unblock) {
+      const wasBlocked = await unblockUser('discord', userId);
+      if (!wasBlocked) {
+        return `ℹ️ User ${userId} is not blocked`;
+      }
+
+      await recordAudit({ action: 'discord.unblock', actor, target: userId, affectedCount: 1 });
+      return `✅ Unblocked user ${userId}. Their messages are logged and forwarded again.`;
+    }
+
+    await blockUser('discord', userId, {
+      username: pendingReplies.get(userId)?.username,
+      blockedBy: actor.id
+    });
+
+    await recordAudit({ action: 'discord.block', actor, target: userId, affectedCount: 1 });
+    return `🚫 Blocked user ${userId}. Their messages are no longer logged or forwarded (use unblock to undo).`;
+  }
+};
+
+/**
+ * Run a management command
+ * @param {string} name - Command name (without ! or /)
+ * @param {Object} options - Command arguments
+ * @param {string} options.userId - Target user ID or mention (optional in a user's thread)
+ * @param {string} options.channelId - Channel or thread the command was used in
+ * @param {boolean} options.unblock - Undo /block
+ * @param {Object} options.actor - Operator running the command (see platformActor)
+ * @returns {Promise<Object|null>} { content, afterReply }, or null for unknown commands
+ */
+async function runManagementCommand(name, { userId = null, channelId = null, unblock = false, actor }) {
+  const handler = managementCommands[name];
+  if (!handler) return null;
+
+  // Accept plain IDs and <@mentions>
+  const givenUserId = userId ? String(userId).replace(/^<@!?(\d+)>$/, '$1') : null;
+  if (givenUserId && !/^\d{1,20}$/.test(givenUserId)) {
+    return { content: `❌ Invalid user ID: ${userId}` };
+  }
+
+  try {
+    const result = await handler({
+      userId: givenUserId || (channelId && threadUsers.get(channelId)) || null,
+      unblock,
+      actor
+    });
+    return typeof result === 'string' ? { content: result } : result;
+  } catch (error) {
+    logger.error(`Failed to run management command ${name}`, { error });
+    return { content: `❌ Command failed: ${error.message}` };
+  }
+}
+
+/**
+ * Shorten a reply to Discord's message length limit
+ */
+function truncateMessage(text) {
+  return text.length > MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Handle management commands
+ */
+async function handleManagementCommands(message) {
+  const [word, ...args] = message.content.trim().split(/\s+/);
+  const command = word.slice(1).toLowerCase();
+  const unblock = command === 'unblock';
+
+  const reply = await runManagementCommand(unblock ? 'block' : command, {
+    userId: args[0] || null,
+    channelId: message.channel.id,
+    unblock,
+    actor: platformActor('discord', message.author)
+  });
+
+  if (!reply) return false;
+
+  await message.reply(truncateMessage(reply.content));
+  if (reply.afterReply) await reply.afterReply();
+  return true;
+}
+
+/**
+ * Register the slash commands in the management server
+ */
+async function registerSlashCommands() {
+  try {
+    await client.application.commands.set(SLASH_COMMANDS, MANAGEMENT_GUILD_ID);
+    logger.info(`⌨️ Registered ${SLASH_COMMANDS.length} slash commands in the management server`);
+  } catch (error) {
+    logger.error('❌ Failed to register slash commands', {
+      error: error.message,
+      hint: 'Invite the bot with the "applications.commands" scope to use slash commands'
+    });
   }
-  
-  return false;
+}
+
+/**
+ * Verify the Ed25519 signature Discord puts on interaction requests
+ * @param {Object} req - Express request with the raw body as a Buffer
+ * @returns {boolean} True if the request was signed by Discord
+ */
+function isValidInteractionSignature(req) {
+  const signature = req.get('X-Signature-Ed25519') || '';
+  const timestamp = req.get('X-Signature-Timestamp') || '';
+
+  if (!/^[0-9a-f]{128}$/i.test(signature) || !/^\d+$/.test(timestamp) || !Buffer.isBuffer(req.body)) {
+    return false;
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > INTERACTION_MAX_AGE_SECONDS) {
+    return false;
+  }
+
+  return crypto.verify(
+    null,
+    Buffer.concat([Buffer.from(timestamp), req.body]),
+    interactionKey,
+    Buffer.from(signature, 'hex')
+  );
+}
+
+/**
+ * Handle an interaction POSTed by Discord to /webhook/discord. Slash commands
+ * are acknowledged at once (Discord waits 3 seconds at most) and the reply is
+ * filled in when the command finishes.
+ * @param {Object} req - Express request with the raw body as a Buffer
+ * @param {Object} res - Express response
+ */
+async function handleInteractionRequest(req, res) {
+  if (!interactionKey) {
+    return res.status(404).json({
+      success: false,
+      error: 'Discord interactions endpoint is not configured',
+      code: 'WEBHOOK_NOT_ACTIVE'
+    });
+  }
+
+  if (!isValidInteractionSignature(req)) {
+    logger.warn('⚠️ Rejected Discord interaction with an invalid signature', { ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid request signature',
+      code: 'INVALID_SIGNATURE'
+    });
+  }
+
+  let interaction = null;
+  try {
+    interaction = JSON.parse(req.body.toString('utf8'));
+  } catch (error) {
+    // Handled below
+  }
+
+  if (!interaction || typeof interaction.type !== 'number') {
+    return res.status(400).json({
+      success: false,
+      error: 'Request body is not a Discord interaction',
+      code: 'INVALID_INTERACTION'
+    });
+  }
+
+  if (interaction.type === InteractionType.Ping) {
+    return res.json({ type: InteractionResponseType.Pong });
+  }
+
+  if (interaction.type !== InteractionType.ApplicationCommand) {
+    return res.status(400).json({
+      success: false,
+      error: 'Only slash commands are supported',
+      code: 'UNSUPPORTED_INTERACTION'
+    });
+  }
+
+  if (!MANAGEMENT_GUILD_ID || interaction.guild_id !== MANAGEMENT_GUILD_ID) {
+    return res.json({
+      type: InteractionResponseType.ChannelMessageWithSource,
+      data: { content: '❌ Management commands only work in the management server', flags: MessageFlags.Ephemeral }
+    });
+  }
+
+  res.json({ type: InteractionResponseType.DeferredChannelMessageWithSource });
+
+  const name = interaction.data?.name;
+  const options = Object.fromEntries((interaction.data?.options || []).map(option => [option.name, option.value]));
+
+  try {
+    const reply = await runManagementCommand(name, {
+      userId: options.user_id || null,
+      channelId: interaction.channel_id || interaction.channel?.id || null,
+      unblock: options.unblock === true,
+      actor: platformActor('discord', interaction.member?.user || interaction.user)
+    }) || { content: `❌ Unknown command: /${name}` };
+
+    await client.rest.patch(Routes.webhookMessage(interaction.application_id, interaction.token), {
+      body: { content: truncateMessage(reply.content) },
+      auth: false
+    });
+    if (reply.afterReply) await reply.afterReply();
+  } catch (error) {
+    logger.error(`Failed to answer Discord slash command /${name}`, { error });
+  }
+}
+
+/**
+ * Wrap an event handler so everything it logs (down to logMessage and
+ * forwarding) carries the event's correlation ID
+ * @param {Function} getId - Builds the correlation ID from the event arguments
+ * @param {Function} handler - Event handler
+ * @returns {Function} Wrapped handler
+ */
+function correlated(getId, handler) {
+  return (...args) => {
+    lastEventAt = new Date();
+    return withCorrelationId(getId(...args), () => handler(...args));
+  };
 }
 
 /**
@@ -364,7 +798,7 @@ ${USE_THREADS ? '!threads - List all active user threads' : ''}
  */
 client.on(Events.ChannelCreate, (channel) => {
   if (channel.type === ChannelType.DM) {
-    console.log(`🔍 DEBUG: DM channel created with user: ${channel.recipient?.username}`);
+    logger.debug('DM channel created', { channelId: channel.id, username: channel.recipient?.username });
   }
 });
 
@@ -372,7 +806,7 @@ client.on(Events.ChannelCreate, (channel) => {
  * Bot ready event
  */
 client.once(Events.ClientReady, (readyClient) => {
-  console.log(`🎮 Discord bot logged in as ${readyClient.user.tag}`);
+  logger.info(`🎮 Discord bot logged in as ${readyClient.user.tag}`);
   
   // Set bot activity status and online presence
   client.user.setPresence({
@@ -388,32 +822,73 @@ client.once(Events.ClientReady, (readyClient) => {
     });
   }, 5 * 60 * 1000);
   
+  if (MANAGEMENT_GUILD_ID) {
+    registerSlashCommands();
+  }
+
   // Test management channel connection after a short delay
   if (MANAGEMENT_GUILD_ID && MANAGEMENT_CHANNEL_ID) {
-    console.log(`📨 Management server: ${MANAGEMENT_GUILD_ID}, channel: ${MANAGEMENT_CHANNEL_ID}`);
-    console.log('🔍 Testing management channel connection...');
+    logger.info('🔍 Testing management channel connection...', {
+      guildId: MANAGEMENT_GUILD_ID,
+      channelId: MANAGEMENT_CHANNEL_ID
+    });
     
     setTimeout(async () => {
       await testManagementChannel();
     }, 2000);
   } else {
-    console.log('⚠️ Management server/channel not configured - setup mode enabled');
-    console.log('💡 Add MANAGEMENT_GUILD_ID and MANAGEMENT_CHANNEL_ID to .env file');
+    logger.warn('⚠️ Management server/channel not configured - setup mode enabled', {
+      hint: 'Add MANAGEMENT_GUILD_ID and MANAGEMENT_CHANNEL_ID to .env file'
+    });
   }
 });
 
+/**
+ * Handle slash commands delivered over the gateway (used while no
+ * Interactions Endpoint URL is set for the application)
+ */
+client.on(Events.InteractionCreate, correlated(interaction => `discord-${interaction.id}`, async (interaction) => {
+  if (!interaction.isChatInputCommand()) return;
+
+  try {
+    if (!MANAGEMENT_GUILD_ID || interaction.guildId !== MANAGEMENT_GUILD_ID) {
+      await interaction.reply({ content: '❌ Management commands only work in the management server', flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    await interaction.deferReply();
+
+    const reply = await runManagementCommand(interaction.commandName, {
+      userId: interaction.options.getString('user_id'),
+      channelId: interaction.channelId,
+      unblock: interaction.options.getBoolean('unblock') === true,
+      actor: platformActor('discord', interaction.user)
+    }) || { content: `❌ Unknown command: /${interaction.commandName}` };
+
+    await interaction.editReply(truncateMessage(reply.content));
+    if (reply.afterReply) await reply.afterReply();
+  } catch (error) {
+    logger.error('Failed to handle Discord slash command', { error });
+  }
+}));
+
 /**
  * Handle incoming messages
  */
-client.on(Events.MessageCreate, async (message) => {
+client.on(Events.MessageCreate, correlated(message => `discord-${message.id}`, async (message) => {
   try {
     const messageType = message.author.bot ? 'bot' : 'user';
     const username = message.author.username;
     const preview = message.content?.substring(0, 50) || 'No content';
     
-    // DEBUG: Log ALL incoming messages
-    console.log(`🔍 DEBUG: Message received - Type: ${message.channel.type}, From: ${username}, Bot: ${message.author.bot}, Content: "${preview}"`);
-    console.log(`🔍 DEBUG: Channel details - ID: ${message.channel.id}, Guild: ${message.guild?.id || 'DM'}`);;
+    logger.debug('Message received', {
+      channelType: message.channel.type,
+      channelId: message.channel.id,
+      guildId: message.guild?.id || null,
+      username,
+      bot: message.author.bot,
+      content: message.content
+    });
     
     // Handle messages from management server/channel - DON'T LOG THESE
     if (MANAGEMENT_GUILD_ID && message.guild?.id === MANAGEMENT_GUILD_ID) {
@@ -423,13 +898,37 @@ client.on(Events.MessageCreate, async (message) => {
     
     // Handle DMs to the bot from users (LOG THESE)
     if (message.channel.type === ChannelType.DM && !message.author.bot) {
-      // Log user messages to the bot
+      // Handle consent commands (never logged or forwarded)
+      const consentCommand = parseConsentCommand(message.content);
+      if (consentCommand) {
+        const reply = await runConsentCommand('discord', consentCommand, {
+          userId: message.author.id,
+          chatId: message.channel.id,
+          username
+        });
+        await message.channel.send(reply);
+        return;
+      }
+
+      // Ignore users blocked by an operator (neither logged nor forwarded)
+      if (await isBlocked('discord', message.author.id)) {
+        logger.info(`🚫 Ignored DM from blocked user ${username}`, { userId: message.author.id });
+        return;
+      }
+
+      // Log user messages to the bot (skipped for users who opted out)
+      const optedOut = await isOptedOut('discord', message.author.id);
       await logMessage('discord', message);
-      console.log(`🎮 Discord ${messageType} message logged: ${username} - "${preview}..."`);
-      console.log(`💬 New DM from ${username} (${message.author.id})`);
+      logger.info(`🎮 Discord ${messageType} message ${optedOut ? 'not logged (opted out)' : 'logged'}`, {
+        username,
+        userId: message.author.id,
+        preview
+      });
       
       // Forward to management channel
-      await forwardToManagement(message);
+      if (!optedOut || FORWARD_OPTED_OUT) {
+        await forwardToManagement(message);
+      }
       return;
     }
     
@@ -445,6 +944,7 @@ client.on(Events.MessageCreate, async (message) => {
 
 • A human reads messages and replies personally
 • All conversations are saved for AI training  
+• DM me /optout to stop logging or /forgetme to delete your history
 • Send me a DM to start chatting!
 
 💬 Just message me directly and someone will respond! 😊`;
@@ -452,41 +952,131 @@ client.on(Events.MessageCreate, async (message) => {
         const sentMessage = await message.reply(response);
         await logMessage('discord', sentMessage);
         
-        console.log(`🎮 Discord user message logged: ${username} - "${preview}..."`);
-        console.log(`📱 Sent mention response to ${username}`);
+        logger.info(`📱 Sent mention response to ${username}`, { preview });
       }
     }
     
   } catch (error) {
-    console.error('Failed to process Discord message:', error);
+    logger.error('Failed to process Discord message', { error });
   }
-});
+}));
+
+/**
+ * Track edits of logged messages
+ */
+client.on(Events.MessageUpdate, correlated((oldMessage, newMessage) => `discord-${newMessage.id}`, async (oldMessage, newMessage) => {
+  try {
+    // Management server messages are never logged
+    if (MANAGEMENT_GUILD_ID && newMessage.guildId === MANAGEMENT_GUILD_ID) {
+      return;
+    }
+
+    const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+    await recordMessageEdit('discord', message);
+  } catch (error) {
+    logger.error('Failed to record Discord message edit', { error });
+  }
+}));
+
+/**
+ * Flag deleted messages (works for uncached messages thanks to Partials.Message)
+ * @param {Message} message - Deleted (possibly partial) message
+ */
+async function handleMessageDelete(message) {
+  if (MANAGEMENT_GUILD_ID && message.guildId === MANAGEMENT_GUILD_ID) {
+    return;
+  }
+
+  await recordMessageDelete('discord', {
+    platformMessageId: message.id,
+    chatId: message.channelId,
+    rawData: { id: message.id, channelId: message.channelId, guildId: message.guildId }
+  });
+}
+
+client.on(Events.MessageDelete, correlated(message => `discord-${message.id}`, async (message) => {
+  try {
+    await handleMessageDelete(message);
+  } catch (error) {
+    logger.error('Failed to record Discord message deletion', { error });
+  }
+}));
+
+client.on(Events.MessageBulkDelete, correlated(() => null, async (messages) => {
+  try {
+    for (const message of messages.values()) {
+      await handleMessageDelete(message);
+    }
+  } catch (error) {
+    logger.error('Failed to record Discord bulk deletion', { error });
+  }
+}));
 
 /**
  * Handle bot errors
  */
 client.on(Events.Error, (error) => {
-  console.error('Discord client error:', {
-    message: error.message,
-    timestamp: new Date().toISOString()
-  });
+  metrics.discordClientErrors.inc();
+  lastClientError = { message: error.message, at: new Date() };
+  logger.error('Discord client error', { error: error.message });
 });
 
 /**
  * Handle rate limit warnings
  */
 client.on(Events.Warn, (warning) => {
-  console.warn('Discord client warning:', warning);
+  metrics.discordGatewayWarnings.inc();
+  logger.warn('Discord client warning', { warning });
 });
 
-// Login to Discord
-client.login(process.env.DISCORD_BOT_TOKEN)
+// Restore routing state, then login to Discord
+restoreRouteMaps('discord', {
+  'user threads': userThreads,
+  'thread users': threadUsers,
+  'pending replies': pendingReplies
+})
+  .catch((error) => {
+    logger.error('❌ Failed to restore Discord routing state', { error: error.message });
+  })
+  .then(() => client.login(process.env.DISCORD_BOT_TOKEN))
   .then(() => {
-    console.log('🎮 Discord bot login successful - conversation forwarding enabled');
-    console.log('💡 Messages will be forwarded to your management server with thread organization');
+    logger.info('🎮 Discord bot login successful - conversation forwarding enabled');
   })
   .catch((error) => {
-    console.error('❌ Discord bot login failed:', error);
+    lastClientError = { message: `Login failed: ${error.message}`, at: new Date() };
+    logger.error('❌ Discord bot login failed', { error });
   });
 
-module.exports = client; 
\ No newline at end of file
+/**
+ * Current state of the bot for the readiness check
+ * @returns {Object} Connection, event and management channel state
+ */
+function getStatus() {
+  const connected = client.isReady();
+
+  return {
+    connected,
+    gatewayPingMs: connected && client.ws.ping >= 0 ? client.ws.ping : null,
+    lastEventAt: lastEventAt ? lastEventAt.toISOString() : null,
+    lastError: lastClientError ? { ...lastClientError, at: lastClientError.at.toISOString() } : null,
+    management: {
+      configured: Boolean(MANAGEMENT_GUILD_ID && MANAGEMENT_CHANNEL_ID),
+      verified: managementChannelVerified
+    }
+  };
+}
+
+/**
+ * Disconnect from the gateway (for shutdown)
+ */
+async function stop() {
+  await client.destroy();
+  logger.info('🛑 Discord client disconnected');
+}
+
+module.exports = {
+  client,
+  handleInteractionRequest,
+  getStatus,
+  stop
+};
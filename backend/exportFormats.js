@@ -0,0 +1,108 @@
+/**
+ * Export Formats
+ * Serializers used to stream exports chunk by chunk. Each format describes
+ * its content type, file name, header/footer and how to serialize one item.
+ */
+
+const { MESSAGE_COLUMNS } = require('./messageQuery');
+const { TRAINING_FORMATS, buildTrainingConversations, toTrainingRecord } = require('./training');
+
+const EXPORT_FORMATS = ['json', 'ndjson', 'csv', ...TRAINING_FORMATS];
+
+// Fixed column order so every CSV export has the same header row
+const CSV_COLUMNS = MESSAGE_COLUMNS.split(', ');
+
+/**
+ * Serialize a value for a CSV cell
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe value
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Create the serializer for an export format
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} options - Format options
+ * @param {Object} options.filters - Applied filters (included in JSON export info)
+ * @param {string} options.systemPrompt - System prompt for training formats
+ * @param {number} options.minTurns - Minimum turns for training formats
+ * @returns {Object} Format serializer
+ */
+function createExportFormat(format, { filters = {}, systemPrompt, minTurns = 2 } = {}) {
+  const date = new Date().toISOString().split('T')[0];
+
+  switch (format) {
+    case 'json':
+      return {
+        source: 'messages',
+        contentType: 'application/json',
+        filename: `messages_${date}.json`,
+        header: () => '{"success":true,"data":[\n',
+        serialize: (row, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(row)}`,
+        footer: (count) => `\n],"exportInfo":${JSON.stringify({
+          totalMessages: count,
+          filters,
+          exportedAt: new Date().toISOString()
+        })}}\n`
+      };
+
+    case 'ndjson':
+      return {
+        source: 'messages',
+        contentType: 'application/x-ndjson',
+        filename: `messages_${date}.ndjson`,
+        header: () => '',
+        serialize: (row) => `${JSON.stringify(row)}\n`,
+        footer: () => ''
+      };
+
+    case 'csv':
+      return {
+        source: 'messages',
+        contentType: 'text/csv',
+        filename: 'messages.csv',
+        header: () => `${CSV_COLUMNS.join(',')}\n`,
+        serialize: (row) => `${CSV_COLUMNS.map(column => toCsvValue(row[column])).join(',')}\n`,
+        footer: () => ''
+      };
+
+    case 'openai':
+    case 'sharegpt': {
+      const isOpenAI = format === 'openai';
+
+      return {
+        source: 'conversations',
+        contentType: isOpenAI ? 'application/jsonl' : 'application/json',
+        filename: isOpenAI ? `training_openai_${date}.jsonl` : `training_sharegpt_${date}.json`,
+        header: () => (isOpenAI ? '' : '[\n'),
+
+        // Build the training record for one conversation (null if it is too short)
+        toRecord: (messages) => {
+          const [conversation] = buildTrainingConversations(messages, { minTurns });
+          return conversation ? toTrainingRecord(format, conversation, { systemPrompt }) : null;
+        },
+
+        serialize: (record, index) => (isOpenAI
+          ? `${JSON.stringify(record)}\n`
+          : `${index > 0 ? ',\n' : ''}${JSON.stringify(record)}`),
+        footer: () => (isOpenAI ? '' : '\n]\n')
+      };
+    }
+
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  toCsvValue,
+  createExportFormat
+};
@@ -0,0 +1,163 @@
+/**
+ * Health
+ * Liveness and readiness reports for /health/live and /health/ready. The
+ * server is ready when the database answers, the message spool is usable
+ * and every configured bot is connected; a bot whose management chat/channel
+ * is not verified still counts as ready but is reported as degraded, since it
+ * cannot forward messages.
+ */
+
+const { getStorage } = require('./storage');
+const { getSpoolStatus } = require('./spool');
+
+// How long the database may take to answer the readiness check
+const DB_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_DB_TIMEOUT_MS, 10) || 5000;
+
+// Bots started by startServer: platform → { getStatus } or { error } when it failed to start
+const bots = new Map();
+
+/**
+ * Register a running bot
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Function} getStatus - Returns the bot's state (see the bots' getStatus)
+ */
+function registerBot(platform, getStatus) {
+  bots.set(platform, { getStatus });
+}
+
+/**
+ * Record that a bot could not be started
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Error} error - Initialization error
+ */
+function recordBotFailure(platform, error) {
+  bots.set(platform, { error: { message: error.message, at: new Date().toISOString() } });
+}
+
+/**
+ * Ping the database and time the round trip
+ * @returns {Promise<Object>} { status: 'up'|'down', latencyMs, error? }
+ */
+async function checkDatabase() {
+  const start = process.hrtime.bigint();
+  let timer = null;
+
+  try {
+    await Promise.race([
+      getStorage().ping(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${DB_CHECK_TIMEOUT_MS}ms`)), DB_CHECK_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'up', latencyMs: elapsedMs(start) };
+  } catch (error) {
+    return { status: 'down', latencyMs: elapsedMs(start), error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Milliseconds since a process.hrtime.bigint() reading, rounded to 0.1ms
+ */
+function elapsedMs(start) {
+  return Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+}
+
+/**
+ * State of one bot
+ * @param {string} platform - 'telegram' or 'discord'
+ * @returns {Object} { status: 'up'|'degraded'|'down'|'disabled', ...bot state }
+ */
+function checkBot(platform) {
+  const bot = bots.get(platform);
+
+  if (!bot) return { status: 'disabled' };
+  if (bot.error) return { status: 'down', connected: false, lastError: bot.error };
+
+  const state = bot.getStatus();
+  let status = 'up';
+  if (!state.connected) {
+    status = 'down';
+  } else if (!state.management.verified) {
+    status = 'degraded';
+  }
+
+  return { status, ...state };
+}
+
+/**
+ * State of the message spool: degraded while messages wait to be stored or
+ * sit in the dead-letter directory, down if the spool directory is unusable
+ * @returns {Promise<Object>} { status, pending, deadLetters, oldestPendingAt, error? }
+ */
+async function checkSpool() {
+  try {
+    const spool = await getSpoolStatus();
+    const waiting = spool.pending - spool.inFlight;
+
+    return {
+      status: waiting > 0 || spool.deadLetters > 0 ? 'degraded' : 'up',
+      pending: spool.pending,
+      deadLetters: spool.deadLetters,
+      oldestPendingAt: spool.oldestPendingAt
+    };
+  } catch (error) {
+    return { status: 'down', error: error.message };
+  }
+}
+
+/**
+ * Liveness: the process is running and serving requests
+ * @returns {Object} Liveness report
+ */
+function getLiveness() {
+  return {
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptimeSeconds: Math.round(process.uptime())
+  };
+}
+
+/**
+ * Readiness: database, spool and every configured bot are not down
+ * @returns {Promise<Object>} { ready, timestamp, checks: { database, spool, telegram, discord } }
+ */
+async function getReadiness() {
+  const checks = {
+    database: await checkDatabase(),
+    spool: await checkSpool(),
+    telegram: checkBot('telegram'),
+    discord: checkBot('discord')
+  };
+
+  return {
+    ready: Object.values(checks).every(check => check.status !== 'down'),
+    timestamp: new Date().toISOString(),
+    checks
+  };
+}
+
+/**
+ * Strip a readiness report down to the status of each check, for callers
+ * that may not see error messages or bot and management state
+ * @param {Object} report - Report from getReadiness
+ * @returns {Object} { ready, timestamp, checks: { name: { status } } }
+ */
+function summarizeReadiness(report) {
+  return {
+    ready: report.ready,
+    timestamp: report.timestamp,
+    checks: Object.fromEntries(
+      Object.entries(report.checks).map(([name, check]) => [name, { status: check.status }])
+    )
+  };
+}
+
+module.exports = {
+  registerBot,
+  recordBotFailure,
+  getLiveness,
+  getReadiness,
+  summarizeReadiness
+};
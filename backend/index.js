@@ -8,20 +8,61 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
+const crypto = require('crypto');
 require('dotenv').config();
 
 // Import modules
-const { testConnection } = require('./supabase');
+const { testConnection, storeSpooledMessage } = require('./database');
+const { startSpoolFlusher, drainSpool } = require('./spool');
+const { syncOptedOutMessages } = require('./consent');
+const { startRetentionScheduler, stopRetentionScheduler } = require('./retention');
+const { startWebhookDispatcher, stopWebhookDispatcher } = require('./webhooks');
+const {
+  authenticate,
+  requireRole,
+  requireAccess,
+  ensureBootstrapAdmin,
+  hasRole,
+  getSession,
+  readSessionToken
+} = require('./auth');
+const { OPENAPI_DOCUMENT } = require('./openapi');
+const { trackHttpRequests, renderMetrics } = require('./metrics');
+const { createLogger, correlationMiddleware } = require('./logger');
+const { registerBot, recordBotFailure, getLiveness, getReadiness, summarizeReadiness } = require('./health');
 const chatRoutes = require('./routes/chats');
+const conversationRoutes = require('./routes/conversations');
+const attachmentRoutes = require('./routes/attachments');
+const userRoutes = require('./routes/users');
+const retentionRoutes = require('./routes/retention');
+const auditRoutes = require('./routes/audit');
+const authRoutes = require('./routes/auth');
+const accountRoutes = require('./routes/accounts');
+const apiTokenRoutes = require('./routes/apiTokens');
+const webhookRoutes = require('./routes/webhooks');
+const spoolRoutes = require('./routes/spool');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Time allowed on SIGTERM/SIGINT for storing spooled messages before exiting
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+const logger = createLogger('server');
+
 // Security middleware
 app.use(helmet());
 
-// Rate limiting
+// Tag everything logged for a request with its correlation ID (X-Request-Id)
+app.use(correlationMiddleware);
+
+// Request counts and durations for /metrics (includes rejected requests)
+app.use('/api/chats', trackHttpRequests);
+
+// Resolve the API token or session cookie to req.apiToken / req.account
+app.use('/api', authenticate);
+
+// Rate limiting (API tokens have their own per-token limit instead)
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
@@ -29,7 +70,8 @@ const limiter = rateLimit({
     success: false,
     error: 'Too many requests, please try again later.',
     code: 'RATE_LIMIT_EXCEEDED'
-  }
+  },
+  skip: (req) => Boolean(req.apiToken)
 });
 app.use('/api', limiter);
 
@@ -41,17 +83,33 @@ app.use(cors({
   credentials: true
 }));
 
-// Body parsing middleware
+// Body parsing middleware (Discord interactions are signed over the raw body)
+app.use('/webhook/discord', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Body parsers resume in the socket's async context, so restore the correlation ID
+app.use(correlationMiddleware);
+
 // Serve static files from dashboard
 app.use(express.static(path.join(__dirname, '../dashboard')));
 
 // Request logging middleware
 app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path} - ${req.ip}`);
+  const start = Date.now();
+  // Routers rewrite req.path, so keep the full path
+  const requestPath = req.path;
+
+  res.on('finish', () => {
+    logger.info(`${req.method} ${requestPath}`, {
+      method: req.method,
+      path: requestPath,
+      status: res.statusCode,
+      durationMs: Date.now() - start,
+      ip: req.ip
+    });
+  });
+
   next();
 });
 
@@ -75,23 +133,128 @@ app.get('/health', async (req, res) => {
   }
 });
 
-// API routes
-app.use('/api/chats', chatRoutes);
+// Liveness probe: the process is up (dependencies are not checked)
+app.get('/health/live', (req, res) => {
+  res.json({ success: true, ...getLiveness() });
+});
+
+/**
+ * Check the Authorization header against METRICS_TOKEN
+ * @returns {boolean} True if it matches (always false when no token is set)
+ */
+function hasMetricsToken(req) {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) return false;
+
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(req.get('Authorization') || '');
+
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Whether a request may see the full readiness report: the metrics token, or
+ * the session of an operator or admin
+ */
+async function canViewHealthDetails(req) {
+  if (hasMetricsToken(req)) return true;
+
+  // The database may be the reason the probe is failing
+  const session = await getSession(readSessionToken(req)).catch(() => null);
+  return Boolean(session) && hasRole(session.account.role, 'operator');
+}
+
+// Readiness probe: database reachable and every configured bot connected.
+// Anonymous callers only get the status of each check.
+app.get('/health/ready', async (req, res) => {
+  try {
+    const full = await getReadiness();
+    const report = await canViewHealthDetails(req) ? full : summarizeReadiness(full);
+
+    if (!report.ready) {
+      return res.status(503).json({
+        success: false,
+        error: 'Service not ready',
+        code: 'NOT_READY',
+        ...report
+      });
+    }
+
+    res.json({ success: true, ...report });
+  } catch (error) {
+    logger.error('Readiness check failed', { error });
+    res.status(503).json({
+      success: false,
+      error: 'Service unavailable',
+      code: 'HEALTH_CHECK_FAILED'
+    });
+  }
+});
+
+// Prometheus metrics (public unless METRICS_TOKEN is set)
+app.get('/metrics', (req, res) => {
+  if (process.env.METRICS_TOKEN && !hasMetricsToken(req)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid metrics token',
+      code: 'INVALID_METRICS_TOKEN'
+    });
+  }
+
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// OpenAPI document describing every endpoint (public)
+app.get('/api/docs', (req, res) => {
+  res.json(OPENAPI_DOCUMENT);
+});
+
+// API routes (the minimum role per router; some routes require more).
+// API tokens are only accepted on /api/chats, where each route checks their scope.
+app.use('/api/auth', authRoutes);
+app.use('/api/chats', requireAccess('viewer', null), chatRoutes);
+app.use('/api/conversations', requireRole('viewer'), conversationRoutes);
+app.use('/api/attachments', requireRole('viewer'), attachmentRoutes);
+app.use('/api/users', requireRole('admin'), userRoutes);
+app.use('/api/retention', requireRole('operator'), retentionRoutes);
+app.use('/api/audit', requireRole('admin'), auditRoutes);
+app.use('/api/accounts', requireRole('admin'), accountRoutes);
+app.use('/api/tokens', requireRole('admin'), apiTokenRoutes);
+app.use('/api/webhooks', requireRole('admin'), webhookRoutes);
+app.use('/api/spool', requireRole('admin'), spoolRoutes);
 
 // Serve dashboard
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../dashboard/index.html'));
 });
 
-// Webhook endpoints for bots (future implementation)
+// Bot webhook endpoints (Telegram only receives updates here in webhook mode,
+// Discord only sends slash commands here when its Interactions Endpoint URL is set)
+let telegram = null;
+let discord = null;
+
 app.post('/webhook/telegram', (req, res) => {
-  // Telegram webhook will be handled here in production
-  res.status(200).json({ ok: true });
+  if (!telegram) {
+    return res.status(404).json({
+      success: false,
+      error: 'Telegram bot is not running',
+      code: 'WEBHOOK_NOT_ACTIVE'
+    });
+  }
+
+  telegram.handleWebhookRequest(req, res);
 });
 
 app.post('/webhook/discord', (req, res) => {
-  // Discord webhook will be handled here if needed
-  res.status(200).json({ ok: true });
+  if (!discord) {
+    return res.status(404).json({
+      success: false,
+      error: 'Discord bot is not running',
+      code: 'WEBHOOK_NOT_ACTIVE'
+    });
+  }
+
+  discord.handleInteractionRequest(req, res);
 });
 
 // 404 handler
@@ -106,12 +269,10 @@ app.use('*', (req, res) => {
 
 // Global error handling middleware
 app.use((error, req, res, next) => {
-  console.error('Express error:', {
-    message: error.message,
-    stack: error.stack,
+  logger.error('Express error', {
+    error,
     path: req.path,
-    method: req.method,
-    timestamp: new Date().toISOString()
+    method: req.method
   });
 
   // Don't leak error details in production
@@ -130,64 +291,116 @@ app.use((error, req, res, next) => {
  */
 async function startServer() {
   try {
-    console.log('🚀 Starting Learning AI Assistant...');
+    logger.info('🚀 Starting Learning AI Assistant...');
     
     // Test database connection
     const dbConnected = await testConnection();
     if (!dbConnected) {
-      console.error('❌ Database connection failed. Please check your Supabase configuration.');
+      logger.error('❌ Database connection failed. Please check your storage configuration (STORAGE_DRIVER).');
       process.exit(1);
     }
 
+    // Create the first admin account if configured
+    await ensureBootstrapAdmin();
+
+    // Flag messages of users who opted out before messages carried the flag
+    await syncOptedOutMessages();
+
+    // Store messages spooled by logMessage (including ones left from a previous run)
+    startSpoolFlusher(storeSpooledMessage);
+
     // Initialize bots
     try {
       if (process.env.TELEGRAM_BOT_TOKEN) {
-        console.log('📱 Initializing Telegram bot...');
-        const { bot } = require('./telegram'); // Updated import
-        console.log('✅ Telegram bot initialized');
+        logger.info('📱 Initializing Telegram bot...');
+        telegram = require('./telegram');
+        registerBot('telegram', telegram.getStatus);
+        logger.info('✅ Telegram bot initialized');
       } else {
-        console.log('⚠️  TELEGRAM_BOT_TOKEN not found, skipping Telegram bot');
+        logger.warn('⚠️  TELEGRAM_BOT_TOKEN not found, skipping Telegram bot');
       }
     } catch (error) {
-      console.error('❌ Failed to initialize Telegram bot:', error.message);
+      recordBotFailure('telegram', error);
+      logger.error('❌ Failed to initialize Telegram bot', { error: error.message });
     }
 
     try {
       if (process.env.DISCORD_BOT_TOKEN) {
-        console.log('🎮 Initializing Discord bot...');
-        require('./discord');
-        console.log('✅ Discord bot initialized');
+        logger.info('🎮 Initializing Discord bot...');
+        discord = require('./discord');
+        registerBot('discord', discord.getStatus);
+        logger.info('✅ Discord bot initialized');
       } else {
-        console.log('⚠️  DISCORD_BOT_TOKEN not found, skipping Discord bot');
+        logger.warn('⚠️  DISCORD_BOT_TOKEN not found, skipping Discord bot');
       }
     } catch (error) {
-      console.error('❌ Failed to initialize Discord bot:', error.message);
+      recordBotFailure('discord', error);
+      logger.error('❌ Failed to initialize Discord bot', { error: error.message });
     }
 
+    // Enforce retention rules and deliver queued webhooks in the background
+    startRetentionScheduler();
+    startWebhookDispatcher();
+
     // Start Express server
-    app.listen(PORT, () => {
-      console.log(`🌐 Server running on http://localhost:${PORT}`);
-      console.log(`📊 Dashboard available at http://localhost:${PORT}`);
-      console.log(`🔗 API available at http://localhost:${PORT}/api`);
-      console.log(`❤️  Health check at http://localhost:${PORT}/health`);
+    server = app.listen(PORT, () => {
+      logger.info(`🌐 Server running on http://localhost:${PORT}`, {
+        dashboard: `http://localhost:${PORT}`,
+        api: `http://localhost:${PORT}/api`,
+        health: `http://localhost:${PORT}/health`,
+        readiness: `http://localhost:${PORT}/health/ready`,
+        metrics: `http://localhost:${PORT}/metrics`
+      });
     });
 
   } catch (error) {
-    console.error('❌ Failed to start server:', error);
+    logger.error('❌ Failed to start server', { error });
     process.exit(1);
   }
 }
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 Received SIGTERM, shutting down gracefully...');
-  process.exit(0);
-});
+let server = null;
+let shuttingDown = false;
+
+/**
+ * Shut down gracefully: stop receiving messages, let running writes finish
+ * and store what is left in the spool, then exit
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  logger.info(`🛑 Received ${signal}, shutting down gracefully...`);
+  stopRetentionScheduler();
+  stopWebhookDispatcher();
+
+  // Open connections (like live streams) are not waited for
+  if (server) server.close();
+
+  const bots = [telegram, discord].filter(Boolean);
+  const results = await Promise.allSettled(bots.map(bot => bot.stop()));
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      logger.error('Failed to stop a bot', { error: result.reason });
+    }
+  }
+
+  try {
+    const remaining = await drainSpool(SHUTDOWN_TIMEOUT_MS);
+    if (remaining > 0) {
+      logger.warn(`⚠️ ${remaining} message(s) left in the spool; they are stored after the next start`);
+    }
+  } catch (error) {
+    logger.error('Failed to drain the spool', { error });
+  }
 
-process.on('SIGINT', () => {
-  console.log('🛑 Received SIGINT, shutting down gracefully...');
   process.exit(0);
-});
+}
+
+// Handle graceful shutdown
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start the server
 startServer();
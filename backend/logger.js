@@ -0,0 +1,197 @@
+/**
+ * Logger
+ * Structured logging with per-module levels, JSON output and correlation IDs.
+ *
+ * - LOG_LEVEL sets the default level (debug, info, warn, error or silent)
+ * - LOG_LEVELS overrides it per module, e.g. "discord=debug,webhooks=warn";
+ *   a module name like "api.chats" also matches an "api" entry
+ * - LOG_FORMAT is "json" (one object per line) or "pretty" for local use
+ *
+ * Every entry logged while handling an HTTP request or a bot update carries
+ * that request's correlation ID, so a message can be followed from the
+ * platform event through logMessage to forwarding. Message content fields
+ * are only written in debug entries; other levels show their length instead.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+// Fields holding user or operator message text
+const CONTENT_FIELDS = ['content', 'text', 'messageText', 'message_text', 'preview', 'originalMessage', 'caption', 'reply'];
+
+const correlation = new AsyncLocalStorage();
+
+/**
+ * Parse a level name, falling back when it is unknown
+ */
+function parseLevel(value, fallback) {
+  const level = String(value || '').trim().toLowerCase();
+  return LOG_LEVELS.includes(level) ? level : fallback;
+}
+
+/**
+ * Parse LOG_LEVELS ("module=level,module=level")
+ * @param {string} value - Raw setting
+ * @returns {Map<string, string>} Level by module name
+ */
+function parseModuleLevels(value) {
+  const levels = new Map();
+
+  for (const entry of String(value || '').split(',')) {
+    const [name, level] = entry.split('=').map(part => part && part.trim());
+    if (name && LOG_LEVELS.includes(String(level).toLowerCase())) {
+      levels.set(name, level.toLowerCase());
+    }
+  }
+
+  return levels;
+}
+
+const DEFAULT_LEVEL = parseLevel(process.env.LOG_LEVEL, 'info');
+const MODULE_LEVELS = parseModuleLevels(process.env.LOG_LEVELS);
+const FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+
+/**
+ * Effective level of a module: its own entry, the closest parent's, or LOG_LEVEL
+ * @param {string} module - Module name (e.g. "api.chats")
+ * @returns {string} Level name
+ */
+function levelFor(module) {
+  const parts = module.split('.');
+
+  while (parts.length > 0) {
+    const level = MODULE_LEVELS.get(parts.join('.'));
+    if (level) return level;
+    parts.pop();
+  }
+
+  return DEFAULT_LEVEL;
+}
+
+/**
+ * Turn an Error into plain fields
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) return error;
+
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+/**
+ * Prepare entry fields: errors become plain objects and message content is
+ * replaced by its length outside debug entries
+ * @param {Object} fields - Entry fields
+ * @param {string} level - Entry level
+ * @returns {Object} Fields safe to write
+ */
+function prepareFields(fields, level) {
+  const prepared = {};
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined) continue;
+
+    if (level !== 'debug' && CONTENT_FIELDS.includes(key) && typeof value === 'string') {
+      prepared[key] = `[scrubbed ${value.length} chars]`;
+    } else {
+      prepared[key] = serializeError(value);
+    }
+  }
+
+  return prepared;
+}
+
+/**
+ * Write one entry to stdout (debug/info) or stderr (warn/error)
+ */
+function write(level, module, msg, fields) {
+  const store = correlation.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    module,
+    msg,
+    ...(store && { correlationId: store.id }),
+    ...prepareFields(fields, level)
+  };
+
+  let line;
+  if (FORMAT === 'pretty') {
+    const { time, level: entryLevel, module: entryModule, msg: text, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+    line = `${time} ${entryLevel.toUpperCase().padEnd(5)} [${entryModule}] ${text}${extra}`;
+  } else {
+    line = JSON.stringify(entry);
+  }
+
+  const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Create the logger of a module
+ * @param {string} module - Module name, used for LOG_LEVELS and in every entry
+ * @returns {Object} Logger with debug, info, warn and error methods taking (msg, fields)
+ */
+function createLogger(module) {
+  const threshold = LOG_LEVELS.indexOf(levelFor(module));
+  const logger = { module };
+
+  for (const level of LOG_LEVELS.slice(0, -1)) {
+    const enabled = LOG_LEVELS.indexOf(level) >= threshold;
+    logger[level] = enabled
+      ? (msg, fields = {}) => write(level, module, msg, fields)
+      : () => {};
+  }
+
+  logger.isDebugEnabled = threshold === 0;
+  return logger;
+}
+
+/**
+ * Run a function with a correlation ID attached to everything it logs,
+ * including asynchronous work it starts
+ * @param {string} id - Correlation ID (a new one is generated when empty)
+ * @param {Function} fn - Function to run
+ * @returns {*} Whatever fn returns
+ */
+function withCorrelationId(id, fn) {
+  return correlation.run({ id: id || crypto.randomUUID() }, fn);
+}
+
+/**
+ * Correlation ID of the current request or update, if any
+ * @returns {string|null} Correlation ID
+ */
+function getCorrelationId() {
+  return correlation.getStore()?.id || null;
+}
+
+/**
+ * Express middleware giving each request a correlation ID (taken from a
+ * well-formed X-Request-Id header, or generated) and echoing it back. Safe to
+ * mount more than once: later mounts restore the ID the first one picked.
+ */
+function correlationMiddleware(req, res, next) {
+  if (!req.correlationId) {
+    const given = req.get('X-Request-Id');
+    req.correlationId = given && /^[\w.:-]{1,100}$/.test(given) ? given : crypto.randomUUID();
+    res.set('X-Request-Id', req.correlationId);
+  }
+
+  withCorrelationId(req.correlationId, next);
+}
+
+module.exports = {
+  LOG_LEVELS,
+  createLogger,
+  withCorrelationId,
+  getCorrelationId,
+  correlationMiddleware
+};
@@ -0,0 +1,83 @@
+/**
+ * Message Events
+ * In-process feed of newly logged messages, used by the live stream
+ * endpoint. Subscribers only see messages logged by this server process.
+ */
+
+const { createLogger } = require('./logger');
+
+const logger = createLogger('messageEvents');
+
+// Active subscriber callbacks
+const subscribers = new Set();
+
+/**
+ * Check a message against list filters (the in-memory counterpart of
+ * database.buildMessageFilters)
+ * @param {Object} message - Message row
+ * @param {Object} filters - Parsed filters (see messageQuery.parseMessageFilters)
+ * @returns {boolean} True if the message would be listed with these filters
+ */
+function matchesFilters(message, filters = {}) {
+  if (message.trash_batch_id) return false;
+
+  if (filters.platform && message.platform !== filters.platform) return false;
+  if (filters.messageType && message.message_type !== filters.messageType) return false;
+
+  if (filters.search) {
+    const text = (message.message_text || '').toLowerCase();
+    if (!text.includes(filters.search.toLowerCase())) return false;
+  }
+
+  const createdAt = new Date(message.created_at).toISOString();
+  if (filters.dateFrom && createdAt < filters.dateFrom) return false;
+  if (filters.dateTo && createdAt > filters.dateTo) return false;
+
+  if (filters.userId && String(message.user_id) !== filters.userId) return false;
+  if (filters.chatId && String(message.chat_id) !== filters.chatId) return false;
+  if (filters.threadId && String(message.thread_id) !== filters.threadId) return false;
+
+  return true;
+}
+
+/**
+ * Publish a freshly logged message to all subscribers. A failing subscriber
+ * never affects logging or the other subscribers.
+ * @param {Object} message - Logged message (without encrypted_original)
+ */
+function publishMessage(message) {
+  if (!message || subscribers.size === 0) return;
+
+  for (const listener of subscribers) {
+    try {
+      listener(message);
+    } catch (error) {
+      logger.error('Message subscriber failed', { error });
+    }
+  }
+}
+
+/**
+ * Subscribe to newly logged messages
+ * @param {Function} listener - Called with each message row
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeMessages(listener) {
+  subscribers.add(listener);
+  return () => subscribers.delete(listener);
+}
+
+/**
+ * Number of active subscribers
+ * @returns {number} Subscriber count
+ */
+function getSubscriberCount() {
+  return subscribers.size;
+}
+
+module.exports = {
+  matchesFilters,
+  publishMessage,
+  subscribeMessages,
+  getSubscriberCount
+};
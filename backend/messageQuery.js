@@ -0,0 +1,176 @@
+/**
+ * Message Query Parsing
+ * Shared, whitelisted parsing of message filters, sorting and cursors for
+ * the API endpoints
+ */
+
+const { TABLES } = require('./storage/schema');
+
+const PLATFORMS = ['telegram', 'discord'];
+const MESSAGE_TYPES = ['user', 'bot'];
+
+// Columns GET /api/chats may sort by
+const SORTABLE_FIELDS = ['created_at', 'id', 'platform', 'username', 'user_id', 'chat_id', 'message_type'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+// Sort columns that are never null, so keyset pagination can page through them
+const KEYSET_FIELDS = ['created_at', 'id'];
+
+// Columns returned by message queries and exports (encrypted originals never leave the database)
+const MESSAGE_COLUMNS = Object.keys(TABLES.messages.columns)
+  .filter(column => column !== 'encrypted_original')
+  .join(', ');
+
+// Leaves messages that were moved to the trash out of a query
+const NOT_TRASHED = { column: 'trash_batch_id', op: 'is', value: null };
+
+/**
+ * Build a validation error result
+ */
+function invalid(code, error) {
+  return { error: { success: false, error, code } };
+}
+
+/**
+ * Parse an ISO date query parameter
+ * @param {string} value - Raw query value
+ * @returns {string|null} ISO timestamp, or null if invalid
+ */
+function parseDate(value) {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parse and validate a dateFrom/dateTo range from query parameters
+ * @param {Object} query - Request query
+ * @returns {Object} { range: { dateFrom, dateTo } } (only the given bounds) or { error }
+ */
+function parseDateRange({ dateFrom, dateTo }) {
+  const range = {};
+
+  if (dateFrom) {
+    range.dateFrom = parseDate(dateFrom);
+    if (!range.dateFrom) {
+      return invalid('INVALID_DATE_FROM', 'dateFrom must be a valid ISO date');
+    }
+  }
+
+  if (dateTo) {
+    range.dateTo = parseDate(dateTo);
+    if (!range.dateTo) {
+      return invalid('INVALID_DATE_TO', 'dateTo must be a valid ISO date');
+    }
+  }
+
+  if (range.dateFrom && range.dateTo && range.dateFrom > range.dateTo) {
+    return invalid('INVALID_DATE_RANGE', 'dateFrom must be before dateTo');
+  }
+
+  return { range };
+}
+
+/**
+ * Parse and validate message filters from query parameters
+ * @param {Object} query - Request query
+ * @returns {Object} { filters } or { error } with a response body
+ */
+function parseMessageFilters(query = {}) {
+  const { platform, messageType, search, dateFrom, dateTo, userId, chatId, threadId } = query;
+  const filters = {};
+
+  if (platform) {
+    if (!PLATFORMS.includes(platform)) {
+      return invalid('INVALID_PLATFORM', 'Platform must be either "telegram" or "discord"');
+    }
+    filters.platform = platform;
+  }
+
+  if (messageType) {
+    if (!MESSAGE_TYPES.includes(messageType)) {
+      return invalid('INVALID_MESSAGE_TYPE', 'Message type must be either "user" or "bot"');
+    }
+    filters.messageType = messageType;
+  }
+
+  if (search && search.trim()) {
+    filters.search = search.trim();
+  }
+
+  const { range, error } = parseDateRange({ dateFrom, dateTo });
+  if (error) {
+    return { error };
+  }
+  Object.assign(filters, range);
+
+  if (userId) filters.userId = String(userId);
+  if (chatId) filters.chatId = String(chatId);
+  if (threadId) filters.threadId = String(threadId);
+
+  return { filters };
+}
+
+/**
+ * Parse and validate sorting from query parameters
+ * @param {Object} query - Request query
+ * @returns {Object} { sort: { sortBy, sortOrder } } or { error }
+ */
+function parseSort({ sortBy = 'created_at', sortOrder = 'desc' } = {}) {
+  if (!SORTABLE_FIELDS.includes(sortBy)) {
+    return invalid('INVALID_SORT_BY', `sortBy must be one of: ${SORTABLE_FIELDS.join(', ')}`);
+  }
+
+  const order = String(sortOrder).toLowerCase();
+  if (!SORT_ORDERS.includes(order)) {
+    return invalid('INVALID_SORT_ORDER', 'sortOrder must be either "asc" or "desc"');
+  }
+
+  return { sort: { sortBy, sortOrder: order } };
+}
+
+/**
+ * Encode a keyset cursor pointing after the given row
+ * @param {Object} row - Last row of the current page
+ * @param {string} sortBy - Sort column
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(row, sortBy) {
+  return Buffer.from(JSON.stringify({ v: row[sortBy], id: row.id })).toString('base64url');
+}
+
+/**
+ * Decode and validate a keyset cursor
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @param {string} sortBy - Sort column the cursor must belong to
+ * @returns {Object} { cursor: { value, id } } or { error }
+ */
+function parseCursor(cursor, sortBy) {
+  if (!KEYSET_FIELDS.includes(sortBy)) {
+    return invalid('INVALID_CURSOR', `Cursor pagination is only supported when sorting by ${KEYSET_FIELDS.join(' or ')}`);
+  }
+
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (v === undefined || v === null || !Number.isInteger(id)) {
+      throw new Error('Malformed cursor');
+    }
+    return { cursor: { value: v, id } };
+  } catch (error) {
+    return invalid('INVALID_CURSOR', 'Cursor is invalid or expired');
+  }
+}
+
+module.exports = {
+  PLATFORMS,
+  MESSAGE_TYPES,
+  SORTABLE_FIELDS,
+  SORT_ORDERS,
+  KEYSET_FIELDS,
+  MESSAGE_COLUMNS,
+  NOT_TRASHED,
+  parseMessageFilters,
+  parseDateRange,
+  parseSort,
+  encodeCursor,
+  parseCursor
+};
@@ -0,0 +1,295 @@
+/**
+ * Metrics
+ * In-process counters and histograms rendered in the Prometheus text
+ * exposition format at GET /metrics. Values live in memory and start from
+ * zero on every restart, as Prometheus expects.
+ */
+
+const PREFIX = 'learning_ai_assistant_';
+
+// Seconds; from fast local queries up to slow Supabase round trips
+const DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Seconds from a user's message to the operator's reply (5 seconds to a day)
+const REPLY_LATENCY_BUCKETS = [5, 15, 30, 60, 300, 900, 1800, 3600, 10800, 21600, 43200, 86400];
+
+// Every registered metric, in registration order
+const registry = [];
+
+/**
+ * Escape a label value for the exposition format
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {name="value",...} (empty string without labels)
+ * @param {Array<string>} names - Label names
+ * @param {Array<string>} values - Label values, in the same order
+ * @returns {string} Rendered labels
+ */
+function formatLabels(names, values) {
+  if (names.length === 0) return '';
+  return `{${names.map((name, i) => `${name}="${escapeLabel(values[i])}"`).join(',')}}`;
+}
+
+/**
+ * Base of all metrics: keeps one series per label combination
+ */
+class Metric {
+  /**
+   * @param {string} type - 'counter', 'gauge' or 'histogram'
+   * @param {string} name - Metric name (without the application prefix)
+   * @param {string} help - Description shown by Prometheus
+   * @param {Array<string>} labelNames - Label names every observation must give
+   */
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    // Standard process_* metrics keep their usual names
+    this.name = name.startsWith('process_') ? name : PREFIX + name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  /**
+   * Get (or create) the series of a label set
+   * @param {Object} labels - Label values by name (missing labels are empty)
+   * @param {Function} create - Creates the initial series value
+   */
+  seriesFor(labels, create) {
+    const values = this.labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { values, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Render the HELP/TYPE header followed by the samples
+   * @returns {string} Exposition text
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...this.samples()
+    ].join('\n');
+  }
+}
+
+/**
+ * Monotonically increasing count
+ */
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => 0).value += amount;
+  }
+
+  samples() {
+    return [...this.series.values()].map(({ values, value }) =>
+      `${this.name}${formatLabels(this.labelNames, values)} ${value}`);
+  }
+}
+
+/**
+ * Current value, either set directly or read from a callback whenever
+ * metrics are rendered
+ */
+class Gauge extends Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Function} collect - Returns the current value (optional; use set() otherwise)
+   */
+  constructor(name, help, collect = null) {
+    super('gauge', name, help);
+    this.collect = collect;
+    this.value = 0;
+  }
+
+  set(value) {
+    this.value = value;
+  }
+
+  samples() {
+    return [`${this.name} ${this.collect ? this.collect() : this.value}`];
+  }
+}
+
+/**
+ * Distribution of observed values over fixed buckets
+ */
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    })).value;
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start timing an operation
+   * @param {Object} labels - Labels known up front
+   * @returns {Function} Call with any extra labels to record the elapsed seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    };
+  }
+
+  samples() {
+    const lines = [];
+
+    for (const { values, value } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels([...this.labelNames, 'le'], [...values, bound])} ${value.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels([...this.labelNames, 'le'], [...values, '+Inf'])} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${value.count}`);
+    }
+
+    return lines;
+  }
+}
+
+const metrics = {
+  messagesLogged: new Counter('messages_logged_total',
+    'Messages stored in the database', ['platform', 'message_type']),
+  messagesSkipped: new Counter('messages_skipped_total',
+    'Messages not stored because the user opted out', ['platform', 'message_type']),
+  messageLogFailures: new Counter('message_log_failures_total',
+    'Failed attempts to store a message (the message stays in the spool)', ['platform']),
+  messagesDeadLettered: new Counter('messages_dead_lettered_total',
+    'Spooled messages given up after too many failed attempts', ['platform']),
+  spoolPending: new Gauge('spool_pending_messages',
+    'Messages in the local spool waiting to be stored'),
+  spoolDeadLetters: new Gauge('spool_dead_letter_messages',
+    'Messages in the spool\'s dead-letter directory'),
+  forwards: new Counter('forwards_total',
+    'User messages forwarded to the management chat/channel', ['platform', 'result']),
+  replyLatency: new Histogram('operator_reply_latency_seconds',
+    'Time from a user\'s message to the first operator reply', ['platform'], REPLY_LATENCY_BUCKETS),
+  dbQueryDuration: new Histogram('db_query_duration_seconds',
+    'Storage adapter call durations', ['driver', 'operation', 'table', 'result'], DURATION_BUCKETS),
+  telegramPollingErrors: new Counter('telegram_polling_errors_total',
+    'Errors while polling Telegram for updates', ['code']),
+  discordGatewayWarnings: new Counter('discord_gateway_warnings_total',
+    'Warnings emitted by the Discord client'),
+  discordClientErrors: new Counter('discord_client_errors_total',
+    'Errors emitted by the Discord client'),
+  httpRequests: new Counter('http_requests_total',
+    'Requests to /api/chats', ['method', 'route', 'status']),
+  httpRequestDuration: new Histogram('http_request_duration_seconds',
+    'Response times of /api/chats', ['method', 'route'], DURATION_BUCKETS)
+};
+
+new Gauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds',
+  () => Math.floor(Date.now() / 1000 - process.uptime()));
+new Gauge('process_resident_memory_bytes', 'Resident memory size in bytes',
+  () => process.memoryUsage().rss);
+
+/**
+ * Record the time an operator took to answer a user
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Date|string} receivedAt - When the user's message was forwarded
+ */
+function observeReplyLatency(platform, receivedAt) {
+  const seconds = (Date.now() - new Date(receivedAt).getTime()) / 1000;
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    metrics.replyLatency.observe({ platform }, seconds);
+  }
+}
+
+/**
+ * Wrap a storage adapter so every call is timed
+ * @param {Object} adapter - Storage adapter
+ * @param {string} driver - 'supabase' or 'sqlite'
+ * @returns {Object} Adapter with the same interface
+ */
+function instrumentStorage(adapter, driver) {
+  const instrumented = {};
+
+  for (const [operation, member] of Object.entries(adapter)) {
+    if (typeof member !== 'function') {
+      instrumented[operation] = member;
+      continue;
+    }
+
+    instrumented[operation] = async (...args) => {
+      const done = metrics.dbQueryDuration.startTimer({
+        driver,
+        operation,
+        table: typeof args[0] === 'string' ? args[0] : ''
+      });
+
+      try {
+        const result = await member.apply(adapter, args);
+        done({ result: 'success' });
+        return result;
+      } catch (error) {
+        done({ result: 'error' });
+        throw error;
+      }
+    };
+  }
+
+  return instrumented;
+}
+
+/**
+ * Express middleware counting and timing requests. The route label is the
+ * matched route pattern (e.g. /api/chats/:id), or "unmatched" for requests
+ * rejected before reaching a route.
+ */
+function trackHttpRequests(req, res, next) {
+  const baseUrl = req.baseUrl;
+  const done = metrics.httpRequestDuration.startTimer({ method: req.method });
+
+  res.on('finish', () => {
+    const route = req.route ? `${baseUrl}${req.route.path === '/' ? '' : req.route.path}` : 'unmatched';
+    done({ route });
+    metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+
+  next();
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {string} Exposition text
+ */
+function renderMetrics() {
+  return `${registry.map(metric => metric.render()).join('\n')}\n`;
+}
+
+module.exports = {
+  metrics,
+  observeReplyLatency,
+  instrumentStorage,
+  trackHttpRequests,
+  renderMetrics
+};
@@ -0,0 +1,1098 @@
+/**
+ * OpenAPI Specification
+ * Describes every endpoint, parameter and response of the API. The document
+ * is served at /api/docs and its parameter and request body schemas drive
+ * request validation (see validation.js): each parameter and body property
+ * carries the error code it answers with in `x-error-code`.
+ */
+
+const { TABLES } = require('./storage/schema');
+const {
+  PLATFORMS,
+  MESSAGE_TYPES,
+  SORTABLE_FIELDS,
+  SORT_ORDERS
+} = require('./messageQuery');
+const { EXPORT_FORMATS } = require('./exportFormats');
+const { TRASH_STATUSES } = require('./trash');
+const { CONVERSATION_STATUSES } = require('./conversations');
+const { AUDIT_ACTIONS, ACTOR_TYPES } = require('./audit');
+const { ROLES } = require('./auth');
+const { TOKEN_SCOPES } = require('./apiTokens');
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require('./webhooks');
+
+// OpenAPI types of the storage column types
+const COLUMN_TYPES = {
+  id: { type: 'integer' },
+  text: { type: 'string' },
+  integer: { type: 'integer' },
+  boolean: { type: 'boolean' },
+  timestamp: { type: 'string', format: 'date-time' },
+  json: {}
+};
+
+/**
+ * Build an object schema from a storage table definition
+ * @param {string} table - Table name in TABLES
+ * @param {Array<string>} omit - Columns that never leave the server
+ * @returns {Object} Schema object
+ */
+function tableSchema(table, omit = []) {
+  const properties = {};
+
+  for (const [column, type] of Object.entries(TABLES[table].columns)) {
+    if (omit.includes(column)) continue;
+    properties[column] = type === 'id'
+      ? { ...COLUMN_TYPES.id }
+      : { ...COLUMN_TYPES[type], nullable: true };
+  }
+
+  return { type: 'object', properties };
+}
+
+/**
+ * Reference a component
+ */
+function ref(kind, name) {
+  return { $ref: `#/components/${kind}/${name}` };
+}
+
+/**
+ * A query parameter
+ * @param {string} name - Parameter name
+ * @param {Object} schema - Parameter schema
+ * @param {string} code - Error code answered when the value is invalid
+ * @param {string} description - Description
+ * @param {Object} extra - Other parameter fields (required, x-error-message)
+ */
+function query(name, schema, code, description, extra = {}) {
+  return { name, in: 'query', description, schema, 'x-error-code': code, ...extra };
+}
+
+/**
+ * A required path parameter
+ */
+function path(name, schema, code, description) {
+  return { name, in: 'path', required: true, description, schema, 'x-error-code': code };
+}
+
+/**
+ * A request body property
+ * @param {Object} schema - Property schema
+ * @param {string} code - Error code answered when the value is missing or invalid
+ * @param {string} message - Error message (default: generated from the schema)
+ */
+function field(schema, code, message) {
+  return { ...schema, 'x-error-code': code, ...(message && { 'x-error-message': message }) };
+}
+
+/**
+ * page and limit query parameters
+ * @param {number} maxLimit - Largest allowed page size
+ * @param {number} defaultLimit - Default page size
+ */
+function pageParams(maxLimit = 100, defaultLimit = 50) {
+  return [
+    query('page', { type: 'integer', minimum: 1, default: 1 }, 'INVALID_PAGE', 'Page number'),
+    query('limit', { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit }, 'INVALID_LIMIT', 'Items per page')
+  ];
+}
+
+/**
+ * ISO date range query parameters
+ */
+function dateRangeParams(subject) {
+  return [
+    query('dateFrom', { type: 'string', format: 'date-time' }, 'INVALID_DATE_FROM', `Only ${subject} on or after this date`),
+    query('dateTo', { type: 'string', format: 'date-time' }, 'INVALID_DATE_TO', `Only ${subject} on or before this date`)
+  ];
+}
+
+// Filters shared by list, export and clear
+const MESSAGE_FILTER_PARAMS = [
+  ref('parameters', 'platform'),
+  ref('parameters', 'messageType'),
+  query('search', { type: 'string', maxLength: 500 }, 'INVALID_SEARCH', 'Search in message text'),
+  ...dateRangeParams('messages'),
+  query('userId', { type: 'string' }, 'INVALID_USER_ID', 'Filter by user ID'),
+  query('chatId', { type: 'string' }, 'INVALID_CHAT_ID', 'Filter by chat ID'),
+  query('threadId', { type: 'string' }, 'INVALID_THREAD_ID', 'Filter by thread ID')
+];
+
+const CONFIRM_PARAM = query('confirm', { type: 'string', enum: ['true'] }, 'CONFIRMATION_REQUIRED', 'Must be "true" to proceed', {
+  required: true,
+  'x-error-message': 'Deletion requires explicit confirmation. Add ?confirm=true to proceed.'
+});
+
+/**
+ * A JSON success response
+ * @param {string} description - Description
+ * @param {Object} properties - Properties next to success: true
+ */
+function ok(description, properties = {}) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          properties: { success: { type: 'boolean', example: true }, ...properties }
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Standard error responses by status code
+ */
+function errors(...statuses) {
+  return Object.fromEntries(statuses.map(status => [String(status), ref('responses', `Error${status}`)]));
+}
+
+/**
+ * A JSON request body
+ */
+function body(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+/**
+ * An operation with its access requirements
+ * @param {Object} operation - OpenAPI operation
+ * @param {string} role - Minimum account role (null for public endpoints)
+ * @param {string} scope - API token scope that is accepted instead of a session
+ */
+function operation(operation, role, scope) {
+  const security = role === null
+    ? []
+    : [{ sessionCookie: [] }, ...(scope ? [{ bearerToken: [scope] }] : [])];
+
+  const statuses = role === null ? [500] : [401, 403, 500];
+
+  return {
+    ...operation,
+    security,
+    'x-required-role': role,
+    ...(scope && { 'x-token-scope': scope }),
+    responses: { ...operation.responses, ...errors(...statuses) }
+  };
+}
+
+const listOf = (schema) => ({ type: 'array', items: schema });
+
+const CREDENTIALS_MESSAGE = 'Username and password are required';
+
+// Body properties shared by the create and update operations
+const NAME_FIELD = field({ type: 'string', minLength: 1, maxLength: 100 }, 'INVALID_NAME', 'Name is required (at most 100 characters)');
+
+const ACCOUNT_FIELDS = {
+  username: field(
+    { type: 'string', pattern: '^[a-zA-Z0-9_.-]{3,50}$' },
+    'INVALID_USERNAME',
+    'Username must be 3-50 letters, digits, dots, dashes or underscores'
+  ),
+  password: field({ type: 'string', format: 'password', minLength: 10 }, 'INVALID_PASSWORD', 'Password must be at least 10 characters'),
+  role: field({ type: 'string', enum: ROLES }, 'INVALID_ROLE', `Role must be one of: ${ROLES.join(', ')}`)
+};
+
+const WEBHOOK_FIELDS = {
+  url: field({ type: 'string', format: 'uri' }, 'INVALID_URL', 'url must be an http or https URL'),
+  events: field(
+    { ...listOf({ type: 'string', enum: WEBHOOK_EVENTS }), minItems: 1 },
+    'INVALID_EVENTS',
+    `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`
+  ),
+  enabled: field({ type: 'boolean' }, 'INVALID_ENABLED', 'enabled must be true or false')
+};
+
+const paths = {
+  '/health': {
+    get: operation({
+      tags: ['System'],
+      summary: 'Check server and database connectivity',
+      responses: {
+        200: ok('Server status', {
+          status: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+          database: { type: 'string', enum: ['connected', 'disconnected'] },
+          environment: { type: 'string' }
+        }),
+        503: ref('responses', 'Error503')
+      }
+    }, null)
+  },
+
+  '/health/live': {
+    get: operation({
+      tags: ['System'],
+      summary: 'Liveness probe: the process is up (dependencies are not checked)',
+      responses: {
+        200: ok('Process is alive', {
+          status: { type: 'string', enum: ['alive'] },
+          timestamp: { type: 'string', format: 'date-time' },
+          uptimeSeconds: { type: 'integer' }
+        })
+      }
+    }, null)
+  },
+
+  '/health/ready': {
+    get: operation({
+      tags: ['System'],
+      summary: 'Readiness probe: database latency and the state of each bot',
+      description: 'Ready (200) when the database answers and no configured bot is down; '
+        + 'otherwise 503 with code NOT_READY and the same report. A bot is "degraded" '
+        + '(still ready) while its management chat/channel is not verified. Anonymous callers only '
+        + 'get the status of each check; the full report (latency, errors, bot and spool state) needs '
+        + 'Authorization: Bearer <METRICS_TOKEN> or an operator session.',
+      responses: {
+        200: ok('Ready', {
+          ready: { type: 'boolean' },
+          timestamp: { type: 'string', format: 'date-time' },
+          checks: ref('schemas', 'ReadinessChecks')
+        }),
+        503: errorResponse('Database down or a configured bot disconnected (NOT_READY, with the report)')
+      }
+    }, null)
+  },
+
+  '/metrics': {
+    get: operation({
+      tags: ['System'],
+      summary: 'Prometheus metrics (send Authorization: Bearer <METRICS_TOKEN> when it is set)',
+      responses: {
+        200: { description: 'Prometheus text exposition format', content: { 'text/plain': { schema: { type: 'string' } } } },
+        401: errorResponse('Wrong or missing metrics token (INVALID_METRICS_TOKEN)')
+      }
+    }, null)
+  },
+
+  '/api/docs': {
+    get: operation({
+      tags: ['System'],
+      summary: 'This OpenAPI document',
+      responses: { 200: { description: 'OpenAPI 3.0 document', content: { 'application/json': { schema: { type: 'object' } } } } }
+    }, null)
+  },
+
+  '/webhook/telegram': {
+    post: operation({
+      tags: ['Bot Webhooks'],
+      summary: 'Receive a Telegram update (webhook mode only)',
+      description: 'Called by Telegram, not by API clients. The request must carry the configured '
+        + 'secret in the X-Telegram-Bot-Api-Secret-Token header.',
+      requestBody: body({
+        type: 'object',
+        required: ['update_id'],
+        properties: { update_id: { type: 'integer' } },
+        description: 'Telegram Update object'
+      }),
+      responses: {
+        200: { description: 'Update accepted' },
+        400: errorResponse('Body is not a Telegram update (INVALID_UPDATE)'),
+        401: errorResponse('Wrong or missing secret token (INVALID_WEBHOOK_SECRET)'),
+        404: errorResponse('The bot is not running in webhook mode (WEBHOOK_NOT_ACTIVE)')
+      }
+    }, null)
+  },
+
+  '/webhook/discord': {
+    post: operation({
+      tags: ['Bot Webhooks'],
+      summary: 'Receive a Discord interaction (slash commands)',
+      description: 'Called by Discord, not by API clients, when its Interactions Endpoint URL points here. '
+        + 'The raw body must be signed with the X-Signature-Ed25519 and X-Signature-Timestamp headers.',
+      requestBody: body({
+        type: 'object',
+        required: ['type'],
+        properties: { type: { type: 'integer' } },
+        description: 'Discord Interaction object'
+      }),
+      responses: {
+        200: { description: 'Interaction response', content: { 'application/json': { schema: { type: 'object' } } } },
+        400: errorResponse('Body is not a Discord interaction (INVALID_INTERACTION)'),
+        401: errorResponse('Invalid request signature (INVALID_SIGNATURE)'),
+        404: errorResponse('The Discord bot or its interactions endpoint is not active (WEBHOOK_NOT_ACTIVE)')
+      }
+    }, null)
+  },
+
+  '/api/auth/login': {
+    post: operation({
+      tags: ['Auth'],
+      summary: 'Log in and receive a session cookie',
+      requestBody: body({
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          username: field({ type: 'string', minLength: 1 }, 'MISSING_CREDENTIALS', CREDENTIALS_MESSAGE),
+          password: field({ type: 'string', format: 'password', minLength: 1 }, 'MISSING_CREDENTIALS', CREDENTIALS_MESSAGE)
+        }
+      }),
+      responses: {
+        200: ok('Logged in; the session is set as an HttpOnly cookie', {
+          data: ref('schemas', 'Account'),
+          expiresAt: { type: 'string', format: 'date-time' }
+        }),
+        ...errors(400, 401, 429)
+      }
+    }, null)
+  },
+
+  '/api/auth/logout': {
+    post: operation({
+      tags: ['Auth'],
+      summary: 'End the current session',
+      responses: { 200: ok('Logged out', { message: { type: 'string' } }) }
+    }, null)
+  },
+
+  '/api/auth/me': {
+    get: operation({
+      tags: ['Auth'],
+      summary: 'Get the account of the current session',
+      responses: { 200: ok('Current account', { data: ref('schemas', 'Account') }) }
+    }, 'viewer')
+  },
+
+  '/api/accounts': {
+    get: operation({
+      tags: ['Accounts'],
+      summary: 'List accounts',
+      responses: { 200: ok('Accounts', { data: listOf(ref('schemas', 'Account')) }) }
+    }, 'admin'),
+    post: operation({
+      tags: ['Accounts'],
+      summary: 'Create an account',
+      requestBody: body({
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          username: ACCOUNT_FIELDS.username,
+          password: ACCOUNT_FIELDS.password,
+          role: { ...ACCOUNT_FIELDS.role, default: 'viewer' }
+        }
+      }),
+      responses: { 201: ok('Created account', { data: ref('schemas', 'Account') }), ...errors(400, 409) }
+    }, 'admin')
+  },
+
+  '/api/accounts/{id}': {
+    patch: operation({
+      tags: ['Accounts'],
+      summary: 'Change the role, password or disabled flag of an account',
+      parameters: [path('id', { type: 'integer' }, 'INVALID_ACCOUNT_ID', 'Account ID')],
+      requestBody: body({
+        type: 'object',
+        properties: {
+          role: ACCOUNT_FIELDS.role,
+          password: ACCOUNT_FIELDS.password,
+          disabled: field({ type: 'boolean' }, 'INVALID_DISABLED', 'disabled must be true or false')
+        }
+      }),
+      responses: { 200: ok('Updated account', { data: ref('schemas', 'Account') }), ...errors(400, 404, 409) }
+    }, 'admin'),
+    delete: operation({
+      tags: ['Accounts'],
+      summary: 'Delete an account and its sessions',
+      parameters: [path('id', { type: 'integer' }, 'INVALID_ACCOUNT_ID', 'Account ID')],
+      responses: { 200: ok('Deleted account', { message: { type: 'string' }, data: ref('schemas', 'Account') }), ...errors(400, 404, 409) }
+    }, 'admin')
+  },
+
+  '/api/tokens': {
+    get: operation({
+      tags: ['API Tokens'],
+      summary: 'List API tokens (without their values)',
+      responses: { 200: ok('API tokens', { data: listOf(ref('schemas', 'ApiToken')) }) }
+    }, 'admin'),
+    post: operation({
+      tags: ['API Tokens'],
+      summary: 'Issue an API token; the value is only returned once',
+      requestBody: body({
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+          name: NAME_FIELD,
+          scopes: field(
+            { ...listOf({ type: 'string', enum: TOKEN_SCOPES }), minItems: 1 },
+            'INVALID_SCOPES',
+            `Scopes must be a non-empty list of: ${TOKEN_SCOPES.join(', ')}`
+          ),
+          expiresInDays: field(
+            { type: 'number', minimum: 1, maximum: 365, default: 90 },
+            'INVALID_EXPIRY',
+            'expiresInDays must be between 1 and 365'
+          ),
+          rateLimit: field(
+            { type: 'integer', minimum: 1, maximum: 10000, description: 'Requests per minute' },
+            'INVALID_RATE_LIMIT',
+            'rateLimit must be an integer between 1 and 10000'
+          )
+        }
+      }),
+      responses: {
+        201: ok('Issued token', { message: { type: 'string' }, token: { type: 'string' }, data: ref('schemas', 'ApiToken') }),
+        ...errors(400)
+      }
+    }, 'admin')
+  },
+
+  '/api/tokens/{id}': {
+    delete: operation({
+      tags: ['API Tokens'],
+      summary: 'Revoke an API token',
+      parameters: [path('id', { type: 'integer' }, 'INVALID_TOKEN_ID', 'Token ID')],
+      responses: { 200: ok('Revoked token', { message: { type: 'string' }, data: ref('schemas', 'ApiToken') }), ...errors(400, 404) }
+    }, 'admin')
+  },
+
+  '/api/webhooks': {
+    get: operation({
+      tags: ['Webhooks'],
+      summary: 'List webhooks (without their secrets)',
+      responses: { 200: ok('Webhooks', { data: listOf(ref('schemas', 'Webhook')) }) }
+    }, 'admin'),
+    post: operation({
+      tags: ['Webhooks'],
+      summary: 'Register a webhook; the signing secret is only returned once',
+      requestBody: body({
+        type: 'object',
+        required: ['name', 'url', 'events'],
+        properties: {
+          name: NAME_FIELD,
+          url: WEBHOOK_FIELDS.url,
+          events: WEBHOOK_FIELDS.events,
+          enabled: { ...WEBHOOK_FIELDS.enabled, default: true }
+        }
+      }),
+      responses: {
+        201: ok('Registered webhook', { message: { type: 'string' }, secret: { type: 'string' }, data: ref('schemas', 'Webhook') }),
+        ...errors(400)
+      }
+    }, 'admin')
+  },
+
+  '/api/webhooks/deliveries': {
+    get: operation({
+      tags: ['Webhooks'],
+      summary: 'Delivery log, newest first',
+      parameters: [
+        ...pageParams(100),
+        query('webhookId', { type: 'integer', minimum: 1 }, 'INVALID_WEBHOOK_ID', 'Filter by webhook'),
+        query('status', { type: 'string', enum: DELIVERY_STATUSES }, 'INVALID_STATUS', 'Filter by status'),
+        query('event', { type: 'string', enum: WEBHOOK_EVENTS }, 'INVALID_EVENT', 'Filter by event')
+      ],
+      responses: {
+        200: ok('Deliveries', { data: listOf(ref('schemas', 'WebhookDelivery')), pagination: ref('schemas', 'Pagination') }),
+        ...errors(400)
+      }
+    }, 'admin')
+  },
+
+  '/api/webhooks/deliveries/{id}/retry': {
+    post: operation({
+      tags: ['Webhooks'],
+      summary: 'Queue a failed delivery again with a fresh set of attempts',
+      parameters: [path('id', { type: 'integer' }, 'INVALID_DELIVERY_ID', 'Delivery ID')],
+      responses: {
+        200: ok('Queued delivery', { message: { type: 'string' }, data: ref('schemas', 'WebhookDelivery') }),
+        ...errors(400, 404, 409)
+      }
+    }, 'admin')
+  },
+
+  '/api/webhooks/{id}': {
+    patch: operation({
+      tags: ['Webhooks'],
+      summary: 'Change a webhook or rotate its secret',
+      parameters: [path('id', { type: 'integer' }, 'INVALID_WEBHOOK_ID', 'Webhook ID')],
+      requestBody: body({
+        type: 'object',
+        properties: {
+          name: NAME_FIELD,
+          url: WEBHOOK_FIELDS.url,
+          events: WEBHOOK_FIELDS.events,
+          enabled: WEBHOOK_FIELDS.enabled,
+          rotateSecret: field(
+            { type: 'boolean', description: 'Issue a new secret (returned once in the response)' },
+            'INVALID_ROTATE_SECRET',
+            'rotateSecret must be true or false'
+          )
+        }
+      }),
+      responses: {
+        200: ok('Updated webhook', { message: { type: 'string' }, secret: { type: 'string' }, data: ref('schemas', 'Webhook') }),
+        ...errors(400, 404)
+      }
+    }, 'admin'),
+    delete: operation({
+      tags: ['Webhooks'],
+      summary: 'Delete a webhook and its delivery log',
+      parameters: [path('id', { type: 'integer' }, 'INVALID_WEBHOOK_ID', 'Webhook ID')],
+      responses: { 200: ok('Deleted webhook', { message: { type: 'string' }, data: ref('schemas', 'Webhook') }), ...errors(400, 404) }
+    }, 'admin')
+  },
+
+  '/api/spool': {
+    get: operation({
+      tags: ['Spool'],
+      summary: 'Backlog of the local message spool, dead letters and flusher state',
+      responses: {
+        200: ok('Spool status', {
+          data: {
+            type: 'object',
+            properties: {
+              pending: { type: 'integer', description: 'Messages waiting to be stored' },
+              inFlight: { type: 'integer' },
+              deadLetters: { type: 'integer' },
+              oldestPendingAt: { type: 'string', format: 'date-time', nullable: true },
+              flusherRunning: { type: 'boolean' },
+              databaseReachable: { type: 'boolean' },
+              lastFlushAt: { type: 'string', format: 'date-time', nullable: true },
+              lastError: { type: 'object', nullable: true },
+              maxAttempts: { type: 'integer' }
+            }
+          }
+        })
+      }
+    }, 'admin')
+  },
+
+  '/api/spool/dead-letters/retry': {
+    post: operation({
+      tags: ['Spool'],
+      summary: 'Queue every dead-lettered message again with a fresh set of attempts',
+      responses: {
+        200: ok('Queued messages', {
+          message: { type: 'string' },
+          requeued: { type: 'integer' },
+          unreadable: { type: 'integer', description: 'Dead-lettered files that could not be read and were left in place' }
+        })
+      }
+    }, 'admin')
+  },
+
+  '/api/chats': {
+    get: operation({
+      tags: ['Messages'],
+      summary: 'List messages with pagination, filtering and sorting',
+      parameters: [
+        ...pageParams(100),
+        query('cursor', { type: 'string' }, 'INVALID_CURSOR', 'Keyset cursor from pagination.nextCursor (replaces page; only when sorting by created_at or id)'),
+        ...MESSAGE_FILTER_PARAMS,
+        query('sortBy', { type: 'string', enum: SORTABLE_FIELDS, default: 'created_at' }, 'INVALID_SORT_BY', 'Sort field'),
+        query('sortOrder', { type: 'string', enum: SORT_ORDERS, default: 'desc' }, 'INVALID_SORT_ORDER', 'Sort order')
+      ],
+      responses: {
+        200: ok('Messages', {
+          data: listOf(ref('schemas', 'Message')),
+          pagination: ref('schemas', 'Pagination'),
+          filters: { type: 'object' },
+          sort: { type: 'object', properties: { sortBy: { type: 'string' }, sortOrder: { type: 'string' } } }
+        }),
+        ...errors(400)
+      }
+    }, 'viewer', 'read')
+  },
+
+  '/api/chats/stream': {
+    get: operation({
+      tags: ['Messages'],
+      summary: 'Live feed of newly logged messages (Server-Sent Events)',
+      description: 'Sends a `message` event (id = message id, data = Message JSON) for every message logged after the connection opens '
+        + 'that matches the filters. Reconnecting with a Last-Event-ID header replays missed messages first. '
+        + 'Access is checked again with every heartbeat: when the session or token is no longer valid a `revoked` '
+        + 'event (code ACCESS_REVOKED) is sent and the stream ends. Clients that stop reading are disconnected.',
+      parameters: MESSAGE_FILTER_PARAMS,
+      responses: {
+        200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...errors(400)
+      }
+    }, 'viewer', 'read')
+  },
+
+  '/api/chats/stats': {
+    get: operation({
+      tags: ['Messages'],
+      summary: 'Message counts per platform and type',
+      responses: { 200: ok('Statistics', { data: { type: 'object' } }) }
+    }, 'viewer', 'read')
+  },
+
+  '/api/chats/detailed-stats': {
+    get: operation({
+      tags: ['Messages'],
+      summary: 'Detailed database statistics',
+      responses: { 200: ok('Statistics', { data: { type: 'object' } }) }
+    }, 'viewer', 'read')
+  },
+
+  '/api/chats/export': {
+    get: operation({
+      tags: ['Messages'],
+      summary: 'Stream messages or training conversations as a file download',
+      parameters: [
+        query('format', { type: 'string', enum: EXPORT_FORMATS, default: 'json' }, 'INVALID_FORMAT', 'Export format'),
+        ...MESSAGE_FILTER_PARAMS,
+        query('systemPrompt', { type: 'string', maxLength: 10000 }, 'INVALID_SYSTEM_PROMPT', 'System prompt added to each conversation (openai/sharegpt only)'),
+        query('minTurns', { type: 'integer', minimum: 1, default: 2 }, 'INVALID_MIN_TURNS', 'Minimum turns per conversation (openai/sharegpt only)')
+      ],
+      responses: {
+        200: {
+          description: 'Export file',
+          content: {
+            'application/json': { schema: { type: 'object' } },
+            'application/x-ndjson': { schema: { type: 'string' } },
+            'text/csv': { schema: { type: 'string' } },
+            'application/jsonl': { schema: { type: 'string' } }
+          }
+        },
+        ...errors(400)
+      }
+    }, 'operator', 'export')
+  },
+
+  '/api/chats/clear': {
+    delete: operation({
+      tags: ['Messages'],
+      summary: 'Move matching messages to the trash',
+      parameters: [CONFIRM_PARAM, ...MESSAGE_FILTER_PARAMS],
+      responses: {
+        200: ok('Messages moved to the trash', {
+          message: { type: 'string' },
+          deletedCount: { type: 'integer' },
+          batchId: { type: 'string', nullable: true },
+          expiresAt: { type: 'string', format: 'date-time', nullable: true },
+          filters: { type: 'object' }
+        }),
+        ...errors(400)
+      }
+    }, 'admin', 'delete')
+  },
+
+  '/api/chats/trash': {
+    get: operation({
+      tags: ['Messages'],
+      summary: 'List trash batches, newest first',
+      parameters: [
+        ...pageParams(100),
+        query('status', { type: 'string', enum: TRASH_STATUSES }, 'INVALID_STATUS', 'Filter by status')
+      ],
+      responses: {
+        200: ok('Trash batches', { data: listOf(ref('schemas', 'TrashBatch')), pagination: ref('schemas', 'Pagination') }),
+        ...errors(400)
+      }
+    }, 'operator', 'delete')
+  },
+
+  '/api/chats/trash/{batchId}/restore': {
+    post: operation({
+      tags: ['Messages'],
+      summary: 'Move the messages of a trash batch back out of the trash',
+      parameters: [path('batchId', { type: 'string' }, 'INVALID_BATCH_ID', 'Trash batch ID')],
+      responses: {
+        200: ok('Restored', { message: { type: 'string' }, restoredCount: { type: 'integer' }, data: ref('schemas', 'TrashBatch') }),
+        ...errors(404, 409)
+      }
+    }, 'admin', 'delete')
+  },
+
+  '/api/chats/{id}': {
+    get: operation({
+      tags: ['Messages'],
+      summary: 'Get a message with its revisions and attachments',
+      parameters: [path('id', { type: 'integer' }, 'INVALID_MESSAGE_ID', 'Message ID')],
+      responses: {
+        200: ok('Message', {
+          data: {
+            allOf: [ref('schemas', 'Message'), {
+              type: 'object',
+              properties: {
+                revisions: listOf(ref('schemas', 'Revision')),
+                attachments: listOf(ref('schemas', 'Attachment'))
+              }
+            }]
+          }
+        }),
+        ...errors(400, 404)
+      }
+    }, 'viewer', 'read')
+  },
+
+  '/api/conversations': {
+    get: operation({
+      tags: ['Conversations'],
+      summary: 'List conversations',
+      parameters: [
+        ...pageParams(100),
+        ref('parameters', 'platform'),
+        query('status', { type: 'string', enum: CONVERSATION_STATUSES }, 'INVALID_STATUS', 'Filter by status'),
+        query('userId', { type: 'string' }, 'INVALID_USER_ID', 'Filter by user ID'),
+        query('search', { type: 'string' }, 'INVALID_SEARCH', 'Search in username')
+      ],
+      responses: {
+        200: ok('Conversations', { data: listOf(ref('schemas', 'Conversation')), pagination: ref('schemas', 'Pagination'), filters: { type: 'object' } }),
+        ...errors(400)
+      }
+    }, 'viewer')
+  },
+
+  '/api/conversations/{id}': {
+    get: operation({
+      tags: ['Conversations'],
+      summary: 'Get a conversation',
+      parameters: [path('id', { type: 'integer' }, 'INVALID_CONVERSATION_ID', 'Conversation ID')],
+      responses: { 200: ok('Conversation', { data: ref('schemas', 'Conversation') }), ...errors(400, 404) }
+    }, 'viewer')
+  },
+
+  '/api/conversations/{id}/messages': {
+    get: operation({
+      tags: ['Conversations'],
+      summary: 'Get the messages of a conversation in chronological order',
+      parameters: [
+        path('id', { type: 'integer' }, 'INVALID_CONVERSATION_ID', 'Conversation ID'),
+        ...pageParams(500, 100)
+      ],
+      responses: {
+        200: ok('Messages', {
+          conversation: ref('schemas', 'Conversation'),
+          data: listOf(ref('schemas', 'Message')),
+          pagination: ref('schemas', 'Pagination')
+        }),
+        ...errors(400, 404)
+      }
+    }, 'viewer')
+  },
+
+  '/api/attachments/{id}': {
+    get: operation({
+      tags: ['Attachments'],
+      summary: 'Get attachment metadata',
+      parameters: [path('id', { type: 'integer' }, 'INVALID_ATTACHMENT_ID', 'Attachment ID')],
+      responses: { 200: ok('Attachment', { data: ref('schemas', 'Attachment') }), ...errors(400, 404) }
+    }, 'viewer')
+  },
+
+  '/api/attachments/{id}/file': {
+    get: operation({
+      tags: ['Attachments'],
+      summary: 'Download an attachment file (or redirect to the platform URL)',
+      parameters: [path('id', { type: 'integer' }, 'INVALID_ATTACHMENT_ID', 'Attachment ID')],
+      responses: {
+        200: { description: 'File contents', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+        302: { description: 'Redirect to the platform URL' },
+        ...errors(400, 404)
+      }
+    }, 'viewer')
+  },
+
+  '/api/users/{platform}/{userId}/export': {
+    get: operation({
+      tags: ['User Data'],
+      summary: 'Export everything stored about a user',
+      parameters: [
+        path('platform', { type: 'string', enum: PLATFORMS }, 'INVALID_PLATFORM', 'Platform'),
+        path('userId', { type: 'string' }, 'INVALID_USER_ID', 'Platform user ID')
+      ],
+      responses: {
+        200: ok('User data bundle', { data: { type: 'object' }, receipt: ref('schemas', 'Receipt') }),
+        ...errors(400)
+      }
+    }, 'admin')
+  },
+
+  '/api/users/{platform}/{userId}': {
+    delete: operation({
+      tags: ['User Data'],
+      summary: 'Erase the data of a user',
+      parameters: [
+        path('platform', { type: 'string', enum: PLATFORMS }, 'INVALID_PLATFORM', 'Platform'),
+        path('userId', { type: 'string' }, 'INVALID_USER_ID', 'Platform user ID'),
+        CONFIRM_PARAM
+      ],
+      responses: {
+        200: ok('Erased', { message: { type: 'string' }, deleted: { type: 'object' }, receipt: ref('schemas', 'Receipt') }),
+        ...errors(400)
+      }
+    }, 'admin')
+  },
+
+  '/api/retention': {
+    get: operation({
+      tags: ['Retention'],
+      summary: 'Retention rules and scheduler state',
+      responses: { 200: ok('Retention status', { data: { type: 'object' } }) }
+    }, 'operator')
+  },
+
+  '/api/retention/dry-run': {
+    get: operation({
+      tags: ['Retention'],
+      summary: 'Count what each rule would delete right now',
+      responses: { 200: ok('Preview', { data: listOf({ type: 'object' }), total: { type: 'integer' } }) }
+    }, 'operator')
+  },
+
+  '/api/retention/run': {
+    post: operation({
+      tags: ['Retention'],
+      summary: 'Enforce the retention rules now',
+      parameters: [CONFIRM_PARAM],
+      responses: {
+        200: ok('Purges', { message: { type: 'string' }, deletedCount: { type: 'integer' }, data: listOf(ref('schemas', 'RetentionRun')) }),
+        ...errors(400, 409)
+      }
+    }, 'admin')
+  },
+
+  '/api/retention/history': {
+    get: operation({
+      tags: ['Retention'],
+      summary: 'Executed purges, newest first',
+      parameters: [
+        ...pageParams(100),
+        query('rule', { type: 'string' }, 'INVALID_RULE', 'Filter by rule name')
+      ],
+      responses: {
+        200: ok('Purge history', { data: listOf(ref('schemas', 'RetentionRun')), pagination: ref('schemas', 'Pagination') }),
+        ...errors(400)
+      }
+    }, 'operator')
+  },
+
+  '/api/audit': {
+    get: operation({
+      tags: ['Audit'],
+      summary: 'Audit entries, newest first',
+      parameters: [
+        ...pageParams(100),
+        query('action', { type: 'string', enum: AUDIT_ACTIONS }, 'INVALID_ACTION', 'Filter by action'),
+        query('actorType', { type: 'string', enum: ACTOR_TYPES }, 'INVALID_ACTOR_TYPE', 'Filter by actor type'),
+        query('actorId', { type: 'string' }, 'INVALID_ACTOR_ID', 'Filter by actor ID'),
+        query('target', { type: 'string' }, 'INVALID_TARGET', 'Filter by target'),
+        ...dateRangeParams('entries')
+      ],
+      responses: {
+        200: ok('Audit entries', { data: listOf(ref('schemas', 'AuditEntry')), pagination: ref('schemas', 'Pagination'), filters: { type: 'object' } }),
+        ...errors(400)
+      }
+    }, 'admin')
+  }
+};
+
+/**
+ * An error response component
+ */
+function errorResponse(description) {
+  return { description, content: { 'application/json': { schema: ref('schemas', 'Error') } } };
+}
+
+const OPENAPI_DOCUMENT = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Learning AI Assistant API',
+    version: '1.0.0',
+    description: 'Collects Telegram and Discord conversations for AI training. '
+      + 'Log in via /api/auth/login for a session cookie, or send an API token as '
+      + '`Authorization: Bearer <token>` on /api/chats. Errors are returned as '
+      + '`{ success: false, error, code }`; every parameter lists its error code in `x-error-code`.'
+  },
+  tags: ['System', 'Auth', 'Accounts', 'API Tokens', 'Webhooks', 'Messages', 'Conversations', 'Attachments', 'User Data', 'Retention', 'Audit']
+    .map(name => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      sessionCookie: { type: 'apiKey', in: 'cookie', name: 'session' },
+      bearerToken: { type: 'http', scheme: 'bearer', description: `API token with the scopes: ${TOKEN_SCOPES.join(', ')}` }
+    },
+    parameters: {
+      platform: query('platform', { type: 'string', enum: PLATFORMS }, 'INVALID_PLATFORM', 'Filter by platform'),
+      messageType: query('messageType', { type: 'string', enum: MESSAGE_TYPES }, 'INVALID_MESSAGE_TYPE', 'Filter by message type')
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['success', 'error', 'code'],
+        properties: {
+          success: { type: 'boolean', example: false },
+          error: { type: 'string' },
+          code: { type: 'string' }
+        }
+      },
+      Pagination: {
+        type: 'object',
+        properties: {
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          total: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          hasMore: { type: 'boolean', description: 'Cursor pagination only' },
+          nextCursor: { type: 'string', nullable: true, description: 'Cursor pagination only' }
+        }
+      },
+      Message: tableSchema('messages', ['encrypted_original']),
+      Revision: tableSchema('message_revisions', ['encrypted_original']),
+      Attachment: tableSchema('attachments'),
+      Conversation: tableSchema('conversations'),
+      TrashBatch: tableSchema('trash_batches'),
+      RetentionRun: tableSchema('retention_runs'),
+      AuditEntry: tableSchema('audit_log'),
+      Account: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          username: { type: 'string' },
+          role: { type: 'string', enum: ROLES },
+          disabled: { type: 'boolean' },
+          lastLoginAt: { type: 'string', format: 'date-time', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      ApiToken: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          prefix: { type: 'string' },
+          scopes: listOf({ type: 'string', enum: TOKEN_SCOPES }),
+          rateLimit: { type: 'integer' },
+          createdBy: { type: 'integer', nullable: true },
+          expiresAt: { type: 'string', format: 'date-time' },
+          revokedAt: { type: 'string', format: 'date-time', nullable: true },
+          lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+          lastUsedIp: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      Webhook: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          url: { type: 'string' },
+          events: listOf({ type: 'string', enum: WEBHOOK_EVENTS }),
+          enabled: { type: 'boolean' },
+          createdBy: { type: 'integer', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        }
+      },
+      WebhookDelivery: tableSchema('webhook_deliveries'),
+      BotStatus: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['up', 'degraded', 'down', 'disabled'] },
+          connected: { type: 'boolean' },
+          mode: { type: 'string', enum: ['polling', 'webhook'], description: 'Telegram only' },
+          polling: { type: 'boolean', description: 'Telegram only' },
+          lastPollAt: { type: 'string', format: 'date-time', nullable: true, description: 'Telegram only' },
+          gatewayPingMs: { type: 'number', nullable: true, description: 'Discord only' },
+          lastUpdateAt: { type: 'string', format: 'date-time', nullable: true, description: 'Telegram only' },
+          lastEventAt: { type: 'string', format: 'date-time', nullable: true, description: 'Discord only' },
+          lastError: { type: 'object', nullable: true },
+          management: {
+            type: 'object',
+            properties: { configured: { type: 'boolean' }, verified: { type: 'boolean' } }
+          }
+        }
+      },
+      ReadinessChecks: {
+        type: 'object',
+        properties: {
+          database: {
+            type: 'object',
+            properties: {
+              status: { type: 'string', enum: ['up', 'down'] },
+              latencyMs: { type: 'number' },
+              error: { type: 'string' }
+            }
+          },
+          spool: {
+            type: 'object',
+            properties: {
+              status: { type: 'string', enum: ['up', 'degraded', 'down'] },
+              pending: { type: 'integer' },
+              deadLetters: { type: 'integer' },
+              oldestPendingAt: { type: 'string', format: 'date-time', nullable: true },
+              error: { type: 'string' }
+            }
+          },
+          telegram: ref('schemas', 'BotStatus'),
+          discord: ref('schemas', 'BotStatus')
+        }
+      },
+      Receipt: {
+        type: 'object',
+        properties: {
+          receiptId: { type: 'string' },
+          requestType: { type: 'string', enum: ['export', 'erasure'] },
+          platform: { type: 'string' },
+          subjectHash: { type: 'string' },
+          summary: { type: 'object' },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    },
+    responses: {
+      Error400: errorResponse('Invalid request (see x-error-code of the parameters and body properties)'),
+      Error401: errorResponse('Not logged in, or invalid API token (AUTH_REQUIRED, INVALID_TOKEN)'),
+      Error403: errorResponse('Role or token scope not sufficient (INSUFFICIENT_ROLE, INSUFFICIENT_SCOPE, TOKEN_NOT_ALLOWED)'),
+      Error404: errorResponse('Not found'),
+      Error409: errorResponse('Conflict with the current state'),
+      Error429: errorResponse('Rate limit exceeded'),
+      Error500: errorResponse('Server error'),
+      Error503: errorResponse('Service unavailable')
+    }
+  }
+};
+
+/**
+ * Resolve a $ref within the document
+ */
+function resolveRef(value) {
+  if (!value || !value.$ref) return value;
+
+  return value.$ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((node, key) => node[key], OPENAPI_DOCUMENT);
+}
+
+/**
+ * Get the parameters of an operation with references resolved
+ * @param {string} method - HTTP method ('get', 'post', ...)
+ * @param {string} route - Path as written in the document (e.g. '/api/chats/{id}')
+ * @returns {Array<Object>} Parameters
+ */
+function getOperationParameters(method, route) {
+  const op = OPENAPI_DOCUMENT.paths[route]?.[method];
+  if (!op) {
+    throw new Error(`No OpenAPI operation for ${method.toUpperCase()} ${route}`);
+  }
+
+  return (op.parameters || []).map(resolveRef);
+}
+
+/**
+ * Get the JSON request body schema of an operation
+ * @param {string} method - HTTP method ('get', 'post', ...)
+ * @param {string} route - Path as written in the document (e.g. '/api/accounts')
+ * @returns {Object|null} Body schema, or null if the operation takes no body
+ */
+function getOperationRequestBody(method, route) {
+  const op = OPENAPI_DOCUMENT.paths[route]?.[method];
+  if (!op) {
+    throw new Error(`No OpenAPI operation for ${method.toUpperCase()} ${route}`);
+  }
+
+  return resolveRef(op.requestBody?.content['application/json'].schema) || null;
+}
+
+module.exports = {
+  OPENAPI_DOCUMENT,
+  getOperationParameters,
+  getOperationRequestBody
+};
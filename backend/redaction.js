@@ -0,0 +1,251 @@
+/**
+ * PII Redaction
+ * Removes emails, phone numbers, card numbers, street addresses and custom
+ * patterns from messages before they are stored. Depending on the policy the
+ * original can be kept alongside, encrypted with AES-256-GCM.
+ */
+
+const crypto = require('crypto');
+
+// none: store as received, redact: store redacted text only, encrypt: redacted text + encrypted original
+const REDACTION_POLICIES = ['none', 'redact', 'encrypt'];
+
+/**
+ * Luhn checksum used to tell card numbers apart from other long digit runs
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Built-in rules, applied in this order (cards before phones so card digits are not read as a phone number)
+const BUILT_IN_RULES = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+  },
+  card: {
+    pattern: /(?<!\d)(?:\d[ -]?){12,18}\d(?!\d)/g,
+    validate: (match) => {
+      const digits = match.replace(/\D/g, '');
+      return digits.length >= 13 && digits.length <= 19 && passesLuhn(digits);
+    }
+  },
+  // International numbers with a leading +, US-style "(555) 123-4567" / "555-123-4567"
+  // and national numbers with a trunk 0 ("020 7946 0958"); plain digit runs,
+  // dates and times are left alone
+  phone: {
+    pattern: /(?<![\w+.-])(?:\+\d[\d\s().-]{6,}\d|\(\d{3}\)\s?\d{3}[\s.-]\d{4}|\d{3}[\s.-]\d{3}[\s.-]\d{4}|0\d{2,4}[\s.-]?\d{3,4}[\s.-]?\d{3,4})(?!\w|[.-]\d)/g,
+    validate: (match) => {
+      if (/\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./]\d{4}/.test(match)) return false;
+      const digits = match.replace(/\D/g, '').length;
+      return match.startsWith('+') ? digits >= 8 && digits <= 15 : digits >= 10 && digits <= 11;
+    }
+  },
+  // House number, capitalized street name and a street suffix ("221 Baker Street", "10 Downing st")
+  address: {
+    pattern: /\b\d{1,5}\s+(?:[A-Z][A-Za-z'-]*\s+){1,4}(?:[Ss]treet|[Ss]t|[Aa]venue|[Aa]ve|[Rr]oad|[Rr]d|[Bb]oulevard|[Bb]lvd|[Ll]ane|[Ll]n|[Dd]rive|[Dd]r|[Cc]ourt|[Cc]t|[Ww]ay|[Pp]lace|[Pp]l|[Tt]errace|[Cc]ircle|[Pp]arkway|[Pp]kwy|[Hh]ighway|[Hh]wy)\b\.?/g
+  }
+};
+
+// Keys in raw_data whose string values hold user-written text
+const RAW_TEXT_KEYS = ['text', 'caption', 'content', 'cleanContent', 'phone_number', 'email'];
+
+// Keys in raw_data that always hold a phone number (Telegram contacts send it
+// without a leading +), redacted as a whole when the phone rule is active
+const RAW_PHONE_KEYS = ['phone_number'];
+
+/**
+ * Parse the custom rules from REDACTION_CUSTOM_RULES
+ * @param {string} value - JSON array of { name, pattern, flags }
+ * @returns {Array<Object>} Rules ({ name, pattern })
+ */
+function parseCustomRules(value) {
+  if (!value) return [];
+
+  let rules;
+  try {
+    rules = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`REDACTION_CUSTOM_RULES must be a JSON array: ${error.message}`);
+  }
+
+  if (!Array.isArray(rules)) {
+    throw new Error('REDACTION_CUSTOM_RULES must be a JSON array');
+  }
+
+  return rules.map(({ name, pattern, flags = 'gi' }) => {
+    if (!name || !pattern) {
+      throw new Error('Each custom redaction rule needs a name and a pattern');
+    }
+    return {
+      name,
+      pattern: new RegExp(pattern, flags.includes('g') ? flags : `${flags}g`)
+    };
+  });
+}
+
+/**
+ * Build the active rule list from configuration
+ * @param {string} enabled - Comma separated built-in rule names
+ * @param {string} custom - Custom rules JSON
+ * @returns {Array<Object>} Rules ({ name, pattern, validate })
+ */
+function buildRules(enabled, custom) {
+  const names = (enabled || Object.keys(BUILT_IN_RULES).join(','))
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  const unknown = names.filter(name => !BUILT_IN_RULES[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown REDACTION_RULES: ${unknown.join(', ')}. Use any of: ${Object.keys(BUILT_IN_RULES).join(', ')}`);
+  }
+
+  const builtIn = Object.keys(BUILT_IN_RULES)
+    .filter(name => names.includes(name))
+    .map(name => ({ name, ...BUILT_IN_RULES[name] }));
+
+  return [...builtIn, ...parseCustomRules(custom)];
+}
+
+const REDACTION_POLICY = (process.env.REDACTION_POLICY || 'redact').toLowerCase();
+
+if (!REDACTION_POLICIES.includes(REDACTION_POLICY)) {
+  throw new Error(`Unsupported REDACTION_POLICY "${REDACTION_POLICY}". Use one of: ${REDACTION_POLICIES.join(', ')}`);
+}
+
+if (REDACTION_POLICY === 'encrypt' && !process.env.REDACTION_ENCRYPTION_KEY) {
+  throw new Error('REDACTION_ENCRYPTION_KEY is required when REDACTION_POLICY=encrypt');
+}
+
+const RULES = buildRules(process.env.REDACTION_RULES, process.env.REDACTION_CUSTOM_RULES);
+
+// 256-bit key derived from the configured secret
+const ENCRYPTION_KEY = process.env.REDACTION_ENCRYPTION_KEY
+  ? crypto.scryptSync(process.env.REDACTION_ENCRYPTION_KEY, 'learning-ai-assistant:redaction', 32)
+  : null;
+
+/**
+ * Redact a string with every active rule
+ * @param {string} text - Text to redact
+ * @param {Object} counts - Per-rule match counts, updated in place
+ * @returns {string} Redacted text
+ */
+function redactText(text, counts = {}) {
+  if (typeof text !== 'string' || !text) return text;
+
+  return RULES.reduce((result, rule) => result.replace(rule.pattern, (match) => {
+    if (rule.validate && !rule.validate(match)) return match;
+    counts[rule.name] = (counts[rule.name] || 0) + 1;
+    return `[REDACTED_${rule.name.toUpperCase()}]`;
+  }), text);
+}
+
+/**
+ * Redact the user-written text inside a raw platform payload
+ * @param {*} value - Raw data (plain JSON)
+ * @param {Object} counts - Per-rule match counts, updated in place
+ * @param {string} key - Key the value is stored under
+ * @returns {*} Redacted copy
+ */
+function redactRawData(value, counts, key = null) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactRawData(item, counts, key));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([childKey, child]) => (
+      [childKey, redactRawData(child, counts, childKey)]
+    )));
+  }
+
+  if (typeof value === 'string' && value && RAW_PHONE_KEYS.includes(key) && RULES.some(rule => rule.name === 'phone')) {
+    counts.phone = (counts.phone || 0) + 1;
+    return '[REDACTED_PHONE]';
+  }
+
+  return typeof value === 'string' && RAW_TEXT_KEYS.includes(key) ? redactText(value, counts) : value;
+}
+
+/**
+ * Encrypt a value with AES-256-GCM
+ * @param {*} value - JSON-serializable value
+ * @returns {string} iv:authTag:ciphertext (base64)
+ */
+function encryptOriginal(value) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt an original stored by the encrypt policy
+ * @param {string} encrypted - Value produced by encryptOriginal
+ * @returns {*} Original value
+ */
+function decryptOriginal(encrypted) {
+  if (!ENCRYPTION_KEY) {
+    throw new Error('REDACTION_ENCRYPTION_KEY is not configured');
+  }
+
+  const [iv, authTag, ciphertext] = encrypted.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(authTag);
+
+  return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+}
+
+/**
+ * Apply the redaction policy to a normalized message before it is stored
+ * @param {Object} message - Normalized message (see normalizeMessage)
+ * @returns {Object} Message with redacted message_text/raw_data, redaction_report
+ *   and (encrypt policy) encrypted_original
+ */
+function redactMessage(message) {
+  if (REDACTION_POLICY === 'none') {
+    return { ...message, redaction_report: null, encrypted_original: null };
+  }
+
+  const textCounts = {};
+  const rawCounts = {};
+
+  // Platform objects (e.g. discord.js messages) are reduced to plain JSON first
+  const rawData = message.raw_data ? JSON.parse(JSON.stringify(message.raw_data)) : null;
+
+  const redacted = {
+    ...message,
+    message_text: redactText(message.message_text, textCounts),
+    raw_data: rawData ? redactRawData(rawData, rawCounts) : rawData
+  };
+
+  const total = Object.values(textCounts).reduce((sum, count) => sum + count, 0);
+  const hasRedactions = total > 0 || Object.keys(rawCounts).length > 0;
+
+  redacted.redaction_report = hasRedactions
+    ? { policy: REDACTION_POLICY, total, rules: textCounts, rawData: rawCounts }
+    : null;
+
+  redacted.encrypted_original = REDACTION_POLICY === 'encrypt' && hasRedactions
+    ? encryptOriginal({ message_text: message.message_text, raw_data: rawData })
+    : null;
+
+  return redacted;
+}
+
+module.exports = {
+  REDACTION_POLICIES,
+  REDACTION_POLICY,
+  redactText,
+  redactMessage,
+  decryptOriginal
+};
@@ -0,0 +1,345 @@
+/**
+ * Data Retention
+ * Purges messages older than the configured retention rules. Each rule can
+ * target a platform, a message type and a consent state; an in-process
+ * scheduler enforces the rules (and empties expired trash batches) and every
+ * purge is recorded in the history.
+ */
+
+const { getStorage } = require('./storage');
+const { purgeMessages } = require('./database');
+const { PLATFORMS, MESSAGE_TYPES, NOT_TRASHED } = require('./messageQuery');
+const { CONSENT_STATUSES, CONSENT_EXCLUSION, CONSENT_INCLUSION } = require('./consent');
+const { purgeExpiredTrash } = require('./trash');
+const { SCHEDULER_ACTOR, recordAudit } = require('./audit');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('retention');
+
+const RETENTION_TRIGGERS = ['scheduler', 'api'];
+
+// How often the scheduler enforces the rules (0 disables the scheduler)
+const RETENTION_INTERVAL_MINUTES = process.env.RETENTION_INTERVAL_MINUTES !== undefined
+  ? parseInt(process.env.RETENTION_INTERVAL_MINUTES, 10)
+  : 1440;
+
+// Longest interval setTimeout can wait (about 24.8 days)
+const MAX_INTERVAL_MINUTES = Math.floor((2 ** 31 - 1) / (60 * 1000));
+
+// First scheduled run shortly after startup, so frequent restarts don't postpone purges
+const STARTUP_DELAY_MS = 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse and validate the retention rules from RETENTION_RULES
+ * @param {string} value - JSON array of { name, maxAgeDays, platform, messageType, consent }
+ * @returns {Array<Object>} Rules
+ */
+function parseRetentionRules(value) {
+  if (!value) return [];
+
+  let rules;
+  try {
+    rules = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`RETENTION_RULES must be a JSON array: ${error.message}`);
+  }
+
+  if (!Array.isArray(rules)) {
+    throw new Error('RETENTION_RULES must be a JSON array');
+  }
+
+  const names = new Set();
+
+  return rules.map(({ name, maxAgeDays, platform = null, messageType = null, consent = null }) => {
+    if (!name || names.has(name)) {
+      throw new Error('Each retention rule needs a unique name');
+    }
+    names.add(name);
+
+    if (typeof maxAgeDays !== 'number' || !(maxAgeDays > 0)) {
+      throw new Error(`Retention rule "${name}": maxAgeDays must be a positive number`);
+    }
+    if (platform && !PLATFORMS.includes(platform)) {
+      throw new Error(`Retention rule "${name}": platform must be one of: ${PLATFORMS.join(', ')}`);
+    }
+    if (messageType && !MESSAGE_TYPES.includes(messageType)) {
+      throw new Error(`Retention rule "${name}": messageType must be one of: ${MESSAGE_TYPES.join(', ')}`);
+    }
+    if (consent && !CONSENT_STATUSES.includes(consent)) {
+      throw new Error(`Retention rule "${name}": consent must be one of: ${CONSENT_STATUSES.join(', ')}`);
+    }
+
+    return { name, maxAgeDays, platform, messageType, consent };
+  });
+}
+
+if (isNaN(RETENTION_INTERVAL_MINUTES) || RETENTION_INTERVAL_MINUTES < 0 || RETENTION_INTERVAL_MINUTES > MAX_INTERVAL_MINUTES) {
+  throw new Error(`RETENTION_INTERVAL_MINUTES must be an integer between 0 and ${MAX_INTERVAL_MINUTES}`);
+}
+
+const RETENTION_RULES = parseRetentionRules(process.env.RETENTION_RULES);
+
+// Scheduler state
+let timer = null;
+let running = null;
+let lastRunAt = null;
+let nextRunAt = null;
+
+/**
+ * Build the storage conditions selecting the messages a rule purges
+ * @param {Object} rule - Retention rule
+ * @param {Date} now - Reference time
+ * @returns {Object} { cutoff, conditions }
+ */
+function buildRuleConditions(rule, now) {
+  const cutoff = new Date(now.getTime() - rule.maxAgeDays * DAY_MS).toISOString();
+  // Trashed messages are left to the trash, which purges them with their batch
+  const conditions = [{ column: 'created_at', op: 'lt', value: cutoff }, NOT_TRASHED];
+
+  if (rule.platform) {
+    conditions.push({ column: 'platform', op: 'eq', value: rule.platform });
+  }
+
+  if (rule.messageType) {
+    conditions.push({ column: 'message_type', op: 'eq', value: rule.messageType });
+  }
+
+  if (rule.consent === 'opted_in') {
+    conditions.push(CONSENT_EXCLUSION);
+  } else if (rule.consent === 'opted_out') {
+    conditions.push(CONSENT_INCLUSION);
+  }
+
+  return { cutoff, conditions };
+}
+
+/**
+ * Report what the retention rules would delete right now, without deleting anything
+ * @returns {Promise<Array<Object>>} Per rule: { rule, cutoff, count, oldestAt }
+ */
+async function previewRetention() {
+  const storage = getStorage();
+  const now = new Date();
+  const report = [];
+
+  for (const rule of RETENTION_RULES) {
+    const { cutoff, conditions } = buildRuleConditions(rule, now);
+
+    const { rows, count } = await storage.select('messages', {
+      columns: 'created_at',
+      filters: conditions,
+      order: [{ column: 'created_at', ascending: true }],
+      limit: 1,
+      count: true
+    });
+
+    report.push({ rule, cutoff, count, oldestAt: rows[0]?.created_at || null });
+  }
+
+  return report;
+}
+
+/**
+ * Enforce every retention rule once and record the purges
+ * @param {string} trigger - 'scheduler' or 'api'
+ * @returns {Promise<Array<Object>>} Recorded purge runs
+ */
+async function executeRetention(trigger) {
+  const storage = getStorage();
+  const now = new Date();
+  const runs = [];
+
+  for (const rule of RETENTION_RULES) {
+    const startedAt = new Date().toISOString();
+    let deletedCount = 0;
+    let status = 'completed';
+    let errorMessage = null;
+    let cutoff = null;
+
+    try {
+      const built = buildRuleConditions(rule, now);
+      cutoff = built.cutoff;
+      deletedCount = await purgeMessages(built.conditions);
+    } catch (error) {
+      logger.error(`Retention rule "${rule.name}" failed`, { error });
+      status = 'failed';
+      errorMessage = error.message;
+    }
+
+    const [run] = await storage.insert('retention_runs', {
+      rule_name: rule.name,
+      rule,
+      cutoff,
+      deleted_count: deletedCount,
+      triggered_by: trigger,
+      status,
+      error: errorMessage,
+      started_at: startedAt,
+      finished_at: new Date().toISOString()
+    });
+    runs.push(run);
+
+    if (deletedCount > 0) {
+      logger.info(`🧽 Retention rule "${rule.name}" purged ${deletedCount} messages older than ${cutoff}`);
+    }
+  }
+
+  lastRunAt = now.toISOString();
+  return runs;
+}
+
+/**
+ * Enforce the retention rules now (one run at a time)
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - 'scheduler' or 'api'
+ * @returns {Promise<Object>} { runs } or { busy: true } if a run is already in progress
+ */
+async function runRetention({ trigger = 'api' } = {}) {
+  if (running) {
+    return { busy: true, runs: [] };
+  }
+
+  running = executeRetention(trigger);
+  try {
+    return { busy: false, runs: await running };
+  } finally {
+    running = null;
+  }
+}
+
+/**
+ * Record a retention run in the audit log
+ * @param {Array<Object>} runs - Purge runs returned by runRetention
+ * @param {Object} actor - Who triggered the run (see audit.js)
+ * @returns {Promise<Object|null>} Audit entry
+ */
+function auditRetentionRuns(runs, actor) {
+  return recordAudit({
+    action: 'retention.run',
+    actor,
+    affectedCount: runs.reduce((sum, run) => sum + run.deleted_count, 0),
+    details: { runs: runs.map(run => ({ rule: run.rule_name, deleted: run.deleted_count, status: run.status })) }
+  });
+}
+
+/**
+ * Get the recorded purge runs, newest first
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Items per page
+ * @param {string} options.rule - Filter by rule name
+ * @returns {Promise<Object>} { data, pagination }
+ */
+async function getRetentionHistory({ page = 1, limit = 50, rule } = {}) {
+  const filters = rule ? [{ column: 'rule_name', op: 'eq', value: rule }] : [];
+
+  const { rows: data, count } = await getStorage().select('retention_runs', {
+    filters,
+    order: [{ column: 'id', ascending: false }],
+    limit,
+    offset: (page - 1) * limit,
+    count: true
+  });
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+}
+
+/**
+ * Schedule the next scheduler run
+ * @param {number} delay - Milliseconds until the run
+ */
+function scheduleNext(delay) {
+  nextRunAt = new Date(Date.now() + delay).toISOString();
+  timer = setTimeout(async () => {
+    try {
+      const { busy, runs } = await runRetention({ trigger: 'scheduler' });
+      if (!busy && runs.length > 0) {
+        await auditRetentionRuns(runs, SCHEDULER_ACTOR);
+      }
+    } catch (error) {
+      logger.error('Retention run failed', { error });
+    }
+
+    try {
+      const purged = await purgeExpiredTrash();
+      if (purged.batches > 0) {
+        await recordAudit({
+          action: 'trash.purge',
+          actor: SCHEDULER_ACTOR,
+          affectedCount: purged.messages,
+          details: { batches: purged.batches }
+        });
+      }
+    } catch (error) {
+      logger.error('Trash purge failed', { error });
+    }
+
+    // stopRetentionScheduler() may have been called during the run
+    if (timer) scheduleNext(RETENTION_INTERVAL_MINUTES * 60 * 1000);
+  }, delay);
+
+  // The scheduler alone should not keep the process alive
+  timer.unref();
+}
+
+/**
+ * Start enforcing the retention rules and trash expiry in the background
+ * @returns {boolean} True if the scheduler was started
+ */
+function startRetentionScheduler() {
+  if (timer || RETENTION_INTERVAL_MINUTES === 0) {
+    return false;
+  }
+
+  scheduleNext(STARTUP_DELAY_MS);
+  logger.info(`🧽 Retention scheduler enforcing ${RETENTION_RULES.length} rule(s) and trash expiry every ${RETENTION_INTERVAL_MINUTES} minutes`);
+  return true;
+}
+
+/**
+ * Stop the retention scheduler
+ */
+function stopRetentionScheduler() {
+  clearTimeout(timer);
+  timer = null;
+  nextRunAt = null;
+}
+
+/**
+ * Get the configured rules and the scheduler state
+ * @returns {Object} Retention status
+ */
+function getRetentionStatus() {
+  return {
+    rules: RETENTION_RULES,
+    scheduler: {
+      enabled: timer !== null,
+      intervalMinutes: RETENTION_INTERVAL_MINUTES,
+      running: running !== null,
+      lastRunAt,
+      nextRunAt
+    }
+  };
+}
+
+module.exports = {
+  RETENTION_RULES,
+  RETENTION_TRIGGERS,
+  previewRetention,
+  runRetention,
+  auditRetentionRuns,
+  getRetentionHistory,
+  getRetentionStatus,
+  startRetentionScheduler,
+  stopRetentionScheduler
+};
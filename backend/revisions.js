@@ -0,0 +1,170 @@
+/**
+ * Message Revisions
+ * Tracks edits and deletions of logged messages. The message row always holds
+ * the current text (and a deleted flag); every change is kept as a revision
+ * linked to the original message.
+ */
+
+const { getStorage } = require('./storage');
+const { TABLES } = require('./storage/schema');
+const { normalizeMessage } = require('./database');
+const { redactMessage } = require('./redaction');
+const { isMessageExcluded } = require('./consent');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('revisions');
+
+const REVISION_TYPES = ['edit', 'delete'];
+
+// Columns returned by revision queries (the encrypted previous original stays in the database)
+const REVISION_COLUMNS = Object.keys(TABLES.message_revisions.columns)
+  .filter(column => column !== 'encrypted_original')
+  .join(', ');
+
+/**
+ * Find the logged message a platform event refers to
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} platformMessageId - Message ID on the platform
+ * @param {string} chatId - Chat/channel ID (Telegram message IDs are only unique per chat)
+ * @returns {Promise<Object|null>} Message or null if it was never logged
+ */
+async function findLoggedMessage(platform, platformMessageId, chatId) {
+  if (!platformMessageId) return null;
+
+  const filters = [
+    { column: 'platform', op: 'eq', value: platform },
+    { column: 'platform_message_id', op: 'eq', value: platformMessageId }
+  ];
+
+  if (chatId) {
+    filters.push({ column: 'chat_id', op: 'eq', value: chatId });
+  }
+
+  const { rows } = await getStorage().select('messages', {
+    filters,
+    order: [{ column: 'id', ascending: false }],
+    limit: 1
+  });
+
+  return rows[0] || null;
+}
+
+/**
+ * Record an edit of a logged message and update its current text and raw
+ * data. The revision keeps the previous text (and, under the encrypt policy,
+ * the previous encrypted original).
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Object} messageData - Raw edited message from the platform
+ * @returns {Promise<Object|null>} Updated message, or null if nothing changed
+ */
+async function recordMessageEdit(platform, messageData) {
+  // Edits go through the same redaction as new messages
+  const normalized = normalizeMessage(platform, messageData);
+  if (await isMessageExcluded(normalized)) {
+    return null;
+  }
+
+  const edited = redactMessage(normalized);
+  const message = await findLoggedMessage(platform, edited.platform_message_id, edited.chat_id);
+
+  // Ignore messages that were never logged and updates that don't change the text
+  // (Discord also fires updates for embeds and pins)
+  if (!message || message.message_text === edited.message_text) {
+    return null;
+  }
+
+  const storage = getStorage();
+  const now = new Date().toISOString();
+
+  await storage.insert('message_revisions', {
+    message_id: message.id,
+    platform,
+    user_id: message.user_id,
+    revision_type: 'edit',
+    previous_text: message.message_text,
+    new_text: edited.message_text,
+    raw_data: edited.raw_data,
+    encrypted_original: message.encrypted_original
+  });
+
+  const [updated] = await storage.update('messages', [
+    { column: 'id', op: 'eq', value: message.id }
+  ], {
+    message_text: edited.message_text,
+    raw_data: edited.raw_data,
+    redaction_report: edited.redaction_report,
+    encrypted_original: edited.encrypted_original,
+    edited_at: now,
+    updated_at: now
+  });
+
+  logger.info(`✏️ Recorded edit of ${platform} message`, { messageId: message.id });
+  return updated || null;
+}
+
+/**
+ * Record the deletion of a logged message and flag it as deleted
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Object} event - Deletion details
+ * @param {string} event.platformMessageId - Message ID on the platform
+ * @param {string} event.chatId - Chat/channel ID
+ * @param {Object} event.rawData - Raw deletion event
+ * @returns {Promise<Object|null>} Updated message, or null if it was never logged
+ */
+async function recordMessageDelete(platform, { platformMessageId, chatId, rawData = null }) {
+  const message = await findLoggedMessage(platform, platformMessageId, chatId);
+
+  if (!message || message.is_deleted) {
+    return null;
+  }
+
+  const storage = getStorage();
+  const now = new Date().toISOString();
+
+  await storage.insert('message_revisions', {
+    message_id: message.id,
+    platform,
+    user_id: message.user_id,
+    revision_type: 'delete',
+    previous_text: message.message_text,
+    new_text: null,
+    raw_data: rawData,
+    encrypted_original: message.encrypted_original
+  });
+
+  const [updated] = await storage.update('messages', [
+    { column: 'id', op: 'eq', value: message.id }
+  ], {
+    is_deleted: true,
+    deleted_at: now,
+    updated_at: now
+  });
+
+  logger.info(`🗑️ Recorded deletion of ${platform} message`, { messageId: message.id });
+  return updated || null;
+}
+
+/**
+ * Get the revision history of a message, oldest first
+ * @param {number} messageId - Message ID
+ * @returns {Promise<Array<Object>>} Revisions
+ */
+async function getMessageRevisions(messageId) {
+  const { rows } = await getStorage().select('message_revisions', {
+    columns: REVISION_COLUMNS,
+    filters: [{ column: 'message_id', op: 'eq', value: messageId }],
+    order: [
+      { column: 'created_at', ascending: true },
+      { column: 'id', ascending: true }
+    ]
+  });
+
+  return rows;
+}
+
+module.exports = {
+  REVISION_TYPES,
+  recordMessageEdit,
+  recordMessageDelete,
+  getMessageRevisions
+};
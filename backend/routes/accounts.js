@@ -0,0 +1,227 @@
+/**
+ * Account API Routes
+ * Provides admin endpoints for managing dashboard accounts and their roles
+ */
+
+const express = require('express');
+const {
+  validateAccount,
+  publicAccount,
+  getAccount,
+  listAccounts,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  countActiveAdmins
+} = require('../auth');
+const { apiActor, recordAudit } = require('../audit');
+const { validateRequest } = require('../validation');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('api.accounts');
+
+const router = express.Router();
+
+/**
+ * Check whether a change would leave no enabled admin
+ * @param {Object} account - Account before the change
+ * @param {Object} changes - { role, disabled }, or null when deleting
+ * @returns {Promise<boolean>} True if the account is the last enabled admin and would lose that
+ */
+async function removesLastAdmin(account, changes) {
+  if (account.role !== 'admin' || account.disabled) return false;
+
+  const staysAdmin = changes
+    && (changes.role === undefined || changes.role === 'admin')
+    && !changes.disabled;
+  if (staysAdmin) return false;
+
+  return (await countActiveAdmins()) <= 1;
+}
+
+const LAST_ADMIN_ERROR = {
+  success: false,
+  error: 'At least one enabled admin account must remain',
+  code: 'LAST_ADMIN'
+};
+
+const NOT_FOUND_ERROR = {
+  success: false,
+  error: 'Account not found',
+  code: 'ACCOUNT_NOT_FOUND'
+};
+
+/**
+ * GET /api/accounts
+ * List all accounts
+ */
+router.get('/', async (req, res) => {
+  try {
+    const accounts = await listAccounts();
+
+    res.json({
+      success: true,
+      data: accounts.map(publicAccount)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching accounts', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch accounts',
+      code: 'FETCH_ACCOUNTS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/accounts
+ * Create an account
+ *
+ * Body:
+ * - username: 3-50 letters, digits, dots, dashes or underscores
+ * - password: At least 10 characters
+ * - role: 'viewer' (default), 'operator' or 'admin'
+ */
+router.post('/', validateRequest('post', '/api/accounts'), async (req, res) => {
+  try {
+    const { username, password, role } = req.validated.body;
+    const { account, error } = await createAccount({ username, password, role });
+
+    if (error) {
+      return res.status(error.code === 'USERNAME_TAKEN' ? 409 : 400).json({ success: false, ...error });
+    }
+
+    await recordAudit({
+      action: 'account.create',
+      actor: apiActor(req),
+      target: account.username,
+      details: { role: account.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: publicAccount(account)
+    });
+
+  } catch (error) {
+    logger.error('Error creating account', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create account',
+      code: 'CREATE_ACCOUNT_ERROR'
+    });
+  }
+});
+
+/**
+ * PATCH /api/accounts/:id
+ * Change the role, password or disabled flag of an account. Changing the
+ * password or disabling the account logs it out everywhere.
+ *
+ * Body (all optional):
+ * - role: 'viewer', 'operator' or 'admin'
+ * - password: New password
+ * - disabled: true to block logins
+ */
+router.patch('/:id', validateRequest('patch', '/api/accounts/{id}'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+
+    const { role, password, disabled } = req.validated.body;
+
+    // Validate before the last-admin check, which reads the disabled flag
+    const invalid = validateAccount({ role, password, disabled }, true);
+    if (invalid) {
+      return res.status(400).json({ success: false, ...invalid });
+    }
+
+    const existing = await getAccount(id);
+
+    if (!existing) {
+      return res.status(404).json(NOT_FOUND_ERROR);
+    }
+
+    if (await removesLastAdmin(existing, { role, disabled })) {
+      return res.status(409).json(LAST_ADMIN_ERROR);
+    }
+
+    const { account, error } = await updateAccount(id, { role, password, disabled });
+
+    if (error) {
+      return res.status(400).json({ success: false, ...error });
+    }
+
+    if (!account) {
+      return res.status(404).json(NOT_FOUND_ERROR);
+    }
+
+    await recordAudit({
+      action: 'account.update',
+      actor: apiActor(req),
+      target: account.username,
+      details: {
+        ...(role !== undefined && { role }),
+        ...(disabled !== undefined && { disabled }),
+        ...(password !== undefined && { passwordChanged: true })
+      }
+    });
+
+    res.json({
+      success: true,
+      data: publicAccount(account)
+    });
+
+  } catch (error) {
+    logger.error('Error updating account', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update account',
+      code: 'UPDATE_ACCOUNT_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/accounts/:id
+ * Delete an account and end its sessions
+ */
+router.delete('/:id', validateRequest('delete', '/api/accounts/{id}'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+
+    const existing = await getAccount(id);
+
+    if (!existing) {
+      return res.status(404).json(NOT_FOUND_ERROR);
+    }
+
+    if (await removesLastAdmin(existing, null)) {
+      return res.status(409).json(LAST_ADMIN_ERROR);
+    }
+
+    const account = await deleteAccount(id);
+
+    await recordAudit({
+      action: 'account.delete',
+      actor: apiActor(req),
+      target: existing.username
+    });
+
+    res.json({
+      success: true,
+      message: `Deleted account ${existing.username}`,
+      data: account ? publicAccount(account) : null
+    });
+
+  } catch (error) {
+    logger.error('Error deleting account', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete account',
+      code: 'DELETE_ACCOUNT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+/**
+ * API Token Routes
+ * Provides admin endpoints for issuing, listing and revoking API tokens
+ */
+
+const express = require('express');
+const {
+  DEFAULT_EXPIRY_DAYS,
+  DEFAULT_RATE_LIMIT,
+  publicApiToken,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken
+} = require('../apiTokens');
+const { apiActor, recordAudit } = require('../audit');
+const { validateRequest } = require('../validation');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('api.apiTokens');
+
+const router = express.Router();
+
+/**
+ * GET /api/tokens
+ * List issued tokens (without the token values), newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const tokens = await listApiTokens();
+
+    res.json({
+      success: true,
+      data: tokens.map(publicApiToken)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching API tokens', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API tokens',
+      code: 'FETCH_TOKENS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/tokens
+ * Issue a token. The token value is only returned in this response.
+ *
+ * Body:
+ * - name: What the token is for
+ * - scopes: Any of 'read', 'export', 'delete'
+ * - expiresInDays: Days until the token expires (default: 90, max: 365)
+ * - rateLimit: Requests per minute (default: API_TOKEN_RATE_LIMIT or 60)
+ */
+router.post('/', validateRequest('post', '/api/tokens'), async (req, res) => {
+  try {
+    const {
+      name,
+      scopes,
+      expiresInDays = DEFAULT_EXPIRY_DAYS,
+      rateLimit = DEFAULT_RATE_LIMIT
+    } = req.validated.body;
+
+    const { token, record, error } = await createApiToken({
+      name,
+      scopes,
+      expiresInDays,
+      rateLimit,
+      createdBy: req.account.id
+    });
+
+    if (error) {
+      return res.status(400).json({ success: false, ...error });
+    }
+
+    await recordAudit({
+      action: 'token.create',
+      actor: apiActor(req),
+      target: record.id,
+      details: { name: record.name, scopes: record.scopes, expiresAt: record.expires_at, rateLimit: record.rate_limit }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this token now; it cannot be shown again',
+      token,
+      data: publicApiToken(record)
+    });
+
+  } catch (error) {
+    logger.error('Error creating API token', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API token',
+      code: 'CREATE_TOKEN_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/tokens/:id
+ * Revoke a token; it stops working immediately but stays listed
+ */
+router.delete('/:id', validateRequest('delete', '/api/tokens/{id}'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+
+    const record = await revokeApiToken(id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        error: 'API token not found',
+        code: 'TOKEN_NOT_FOUND'
+      });
+    }
+
+    await recordAudit({
+      action: 'token.revoke',
+      actor: apiActor(req),
+      target: record.id,
+      details: { name: record.name }
+    });
+
+    res.json({
+      success: true,
+      message: `Revoked API token "${record.name}"`,
+      data: publicApiToken(record)
+    });
+
+  } catch (error) {
+    logger.error('Error revoking API token', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API token',
+      code: 'REVOKE_TOKEN_ERROR'
+    });
+  }
+});
+
+module.exports = router;
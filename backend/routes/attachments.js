@@ -0,0 +1,119 @@
+/**
+ * Attachment API Routes
+ * Provides endpoints for attachment metadata and previewing downloaded files
+ */
+
+const express = require('express');
+const path = require('path');
+const { getAttachmentById, getAttachmentFilePath } = require('../attachments');
+const { validateRequest } = require('../validation');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('api.attachments');
+
+const router = express.Router();
+
+// Media types safe to show in the browser; everything else is served as a
+// download of application/octet-stream, since files come from chat users
+const INLINE_MIME_TYPES = new Set([
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp',
+  'audio/ogg', 'audio/mpeg', 'audio/mp4', 'audio/wav', 'audio/webm',
+  'video/mp4', 'video/webm', 'video/ogg'
+]);
+
+/**
+ * GET /api/attachments/:id/file
+ * Serve an attachment file. Downloaded files are served from local storage
+ * (images, audio and video inline, anything else as a sandboxed download);
+ * otherwise the request is redirected to the platform URL when one is known.
+ */
+router.get('/:id/file', validateRequest('get', '/api/attachments/{id}/file'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+
+    const attachment = await getAttachmentById(id);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found',
+        code: 'ATTACHMENT_NOT_FOUND'
+      });
+    }
+
+    const filePath = getAttachmentFilePath(attachment);
+
+    if (filePath) {
+      const mimeType = String(attachment.mime_type || '').split(';')[0].trim().toLowerCase();
+      const inline = INLINE_MIME_TYPES.has(mimeType);
+
+      // Uploaded files must never run as a page or script on the dashboard's origin
+      res.type(inline ? mimeType : 'application/octet-stream');
+      res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${path.basename(filePath)}"`);
+      res.setHeader('Content-Security-Policy', 'sandbox');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      return res.sendFile(filePath, (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({
+            success: false,
+            error: 'Attachment file is missing from storage',
+            code: 'ATTACHMENT_FILE_MISSING'
+          });
+        }
+      });
+    }
+
+    if (attachment.url) {
+      return res.redirect(attachment.url);
+    }
+
+    res.status(404).json({
+      success: false,
+      error: 'Attachment file has not been downloaded',
+      code: 'ATTACHMENT_NOT_DOWNLOADED'
+    });
+
+  } catch (error) {
+    logger.error('Error serving attachment file', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to serve attachment file',
+      code: 'FETCH_ATTACHMENT_FILE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/attachments/:id
+ * Get attachment metadata by ID
+ */
+router.get('/:id', validateRequest('get', '/api/attachments/{id}'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+
+    const data = await getAttachmentById(id);
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Attachment not found',
+        code: 'ATTACHMENT_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Error fetching attachment', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch attachment',
+      code: 'FETCH_ATTACHMENT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,70 @@
+/**
+ * Audit API Routes
+ * Provides read-only access to the audit log
+ */
+
+const express = require('express');
+const { parseDateRange } = require('../messageQuery');
+const { getAuditLog } = require('../audit');
+const { validateRequest } = require('../validation');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('api.audit');
+
+const router = express.Router();
+
+/**
+ * GET /api/audit
+ * Retrieve audit entries, newest first
+ *
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 50, max: 100)
+ * - action: Filter by action (e.g. 'messages.clear')
+ * - actorType: Filter by actor type ('api', 'token', 'telegram', 'discord' or 'system')
+ * - actorId: Filter by actor ID
+ * - target: Filter by target (chat ID, batch ID, ...)
+ * - dateFrom, dateTo: Only entries within this range (ISO dates)
+ */
+router.get('/', validateRequest('get', '/api/audit'), async (req, res) => {
+  try {
+    const { page, limit, action, actorType, actorId, target } = req.validated.query;
+
+    const { range, error: rangeError } = parseDateRange(req.validated.query);
+    if (rangeError) {
+      return res.status(400).json(rangeError);
+    }
+
+    const filters = {
+      action: action || null,
+      actorType: actorType || null,
+      actorId: actorId || null,
+      target: target || null,
+      dateFrom: range.dateFrom || null,
+      dateTo: range.dateTo || null
+    };
+
+    const result = await getAuditLog({
+      page,
+      limit,
+      ...filters
+    });
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      filters
+    });
+
+  } catch (error) {
+    logger.error('Error fetching audit log', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log',
+      code: 'FETCH_AUDIT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+/**
+ * Auth API Routes
+ * Provides login, logout and the current session for the dashboard
+ */
+
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const {
+  publicAccount,
+  authenticateAccount,
+  createSession,
+  endSession,
+  setSessionCookie,
+  clearSessionCookie,
+  requireRole
+} = require('../auth');
+const { apiActor, recordAudit } = require('../audit');
+const { validateRequest } = require('../validation');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('api.auth');
+
+const router = express.Router();
+
+// Failed logins per IP before further attempts are refused
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: {
+    success: false,
+    error: 'Too many login attempts, please try again later.',
+    code: 'TOO_MANY_LOGIN_ATTEMPTS'
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Check a username and password and start a session (set as an HttpOnly cookie)
+ *
+ * Body:
+ * - username: Account username
+ * - password: Account password
+ */
+router.post('/login', loginLimiter, validateRequest('post', '/api/auth/login'), async (req, res) => {
+  try {
+    const { username, password } = req.validated.body;
+
+    const account = await authenticateAccount(username, password);
+
+    if (!account) {
+      await recordAudit({
+        action: 'auth.login_failed',
+        actor: apiActor(req),
+        target: String(username).slice(0, 50)
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    const { token, expiresAt } = await createSession(account, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    req.account = account;
+    await recordAudit({
+      action: 'auth.login',
+      actor: apiActor(req),
+      target: account.username
+    });
+
+    setSessionCookie(res, token, expiresAt);
+    res.json({
+      success: true,
+      data: publicAccount(account),
+      expiresAt
+    });
+
+  } catch (error) {
+    logger.error('Error logging in', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in',
+      code: 'LOGIN_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    await endSession(req.sessionToken);
+
+    clearSessionCookie(res);
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    logger.error('Error logging out', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      code: 'LOGOUT_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the account of the current session
+ */
+router.get('/me', requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    data: publicAccount(req.account)
+  });
+});
+
+module.exports = router;
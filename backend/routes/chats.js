@@ -4,83 +4,89 @@
  */
 
 const express = require('express');
-const { getMessages, exportMessages, clearMessages, getDatabaseStats } = require('../supabase');
+const {
+  getMessages,
+  getMessageById,
+  getMessageStats,
+  streamMessages,
+  streamConversationMessages,
+  getDatabaseStats
+} = require('../database');
+const { createExportFormat } = require('../exportFormats');
+const { parseMessageFilters, parseSort, parseCursor } = require('../messageQuery');
+const { trashMessages, getTrashBatches, restoreTrashBatch } = require('../trash');
+const { getMessageRevisions } = require('../revisions');
+const { getMessageAttachments } = require('../attachments');
+const { apiActor, recordAudit } = require('../audit');
+const { requireAccess, recheckAccess } = require('../auth');
+const { validateRequest } = require('../validation');
+const { matchesFilters, subscribeMessages } = require('../messageEvents');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('api.chats');
 
 const router = express.Router();
 
+// Live stream tuning: client reconnect delay, keep-alive comment interval
+// (below common proxy idle timeouts, and how often access is checked again),
+// how many missed messages to replay and how much unsent data a slow client
+// may have queued before it is disconnected
+const STREAM_RETRY_MS = 5000;
+const STREAM_HEARTBEAT_MS = 25000;
+const STREAM_BACKFILL_LIMIT = parseInt(process.env.STREAM_BACKFILL_LIMIT, 10) || 100;
+const STREAM_MAX_BUFFER_BYTES = parseInt(process.env.STREAM_MAX_BUFFER_BYTES, 10) || 1024 * 1024;
+
 /**
  * GET /api/chats
- * Retrieve chat messages with pagination and filtering
+ * Retrieve chat messages with pagination, filtering and sorting
  * 
  * Query parameters:
  * - page: Page number (default: 1)
  * - limit: Items per page (default: 50, max: 100)
+ * - cursor: Keyset cursor from a previous response's pagination.nextCursor
+ *   (replaces page; only when sorting by created_at or id)
  * - platform: Filter by platform ('telegram' or 'discord')
  * - search: Search in message text
  * - messageType: Filter by message type ('user' or 'bot')
- * - sortBy: Sort field (default: 'created_at')
+ * - dateFrom: Start date (ISO string)
+ * - dateTo: End date (ISO string)
+ * - userId: Filter by user ID
+ * - chatId: Filter by chat ID
+ * - threadId: Filter by thread ID
+ * - sortBy: Sort field (created_at, id, platform, username, user_id, chat_id, message_type; default: 'created_at')
  * - sortOrder: Sort order ('asc' or 'desc', default: 'desc')
  */
-router.get('/', async (req, res) => {
+router.get('/', requireAccess('viewer', 'read'), validateRequest('get', '/api/chats'), async (req, res) => {
   try {
-    // Extract and validate query parameters
-    const {
-      page = 1,
-      limit = 50,
-      platform,
-      search,
-      messageType,
-      sortBy = 'created_at',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Validate pagination parameters
-    const pageNum = parseInt(page, 10);
-    const limitNum = parseInt(limit, 10);
-
-    if (isNaN(pageNum) || pageNum < 1) {
-      return res.status(400).json({
-        success: false,
-        error: 'Page must be a positive integer',
-        code: 'INVALID_PAGE'
-      });
-    }
+    const { page, limit, cursor } = req.validated.query;
 
-    if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
-      return res.status(400).json({
-        success: false,
-        error: 'Limit must be between 1 and 100',
-        code: 'INVALID_LIMIT'
-      });
+    // Normalize filters and sorting (values were validated against the OpenAPI schema)
+    const { filters, error: filterError } = parseMessageFilters(req.validated.query);
+    if (filterError) {
+      return res.status(400).json(filterError);
     }
 
-    // Validate platform filter
-    if (platform && !['telegram', 'discord'].includes(platform)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Platform must be either "telegram" or "discord"',
-        code: 'INVALID_PLATFORM'
-      });
+    const { sort, error: sortError } = parseSort(req.validated.query);
+    if (sortError) {
+      return res.status(400).json(sortError);
     }
 
-    // Validate message type filter
-    if (messageType && !['user', 'bot'].includes(messageType)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Message type must be either "user" or "bot"',
-        code: 'INVALID_MESSAGE_TYPE'
-      });
+    let keysetCursor = null;
+    if (cursor) {
+      const parsed = parseCursor(cursor, sort.sortBy);
+      if (parsed.error) {
+        return res.status(400).json(parsed.error);
+      }
+      keysetCursor = parsed.cursor;
     }
 
     // Get messages from database
     const result = await getMessages({
-      page: pageNum,
-      limit: limitNum,
-      platform,
-      search: search ? search.trim() : undefined,
-      messageType,
-      sortBy,
-      sortOrder
+      page,
+      limit,
+      cursor: keysetCursor,
+      ...sort,
+      ...filters
     });
 
     res.json({
@@ -88,14 +94,20 @@ router.get('/', async (req, res) => {
       data: result.data,
       pagination: result.pagination,
       filters: {
-        platform: platform || null,
-        search: search || null,
-        messageType: messageType || null
-      }
+        platform: filters.platform || null,
+        search: filters.search || null,
+        messageType: filters.messageType || null,
+        dateFrom: filters.dateFrom || null,
+        dateTo: filters.dateTo || null,
+        userId: filters.userId || null,
+        chatId: filters.chatId || null,
+        threadId: filters.threadId || null
+      },
+      sort
     });
 
   } catch (error) {
-    console.error('Error fetching chat messages:', error);
+    logger.error('Error fetching chat messages', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to fetch chat messages',
@@ -105,78 +117,149 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * GET /api/chats/stats
- * Get statistics about chat messages
+ * Format one Server-Sent Event for a message
+ * @param {Object} message - Message row
+ * @returns {string} Event text
  */
-router.get('/stats', async (req, res) => {
-  try {
-    const { supabase } = require('../supabase');
-
-    // Get total message count
-    const { count: totalMessages, error: totalError } = await supabase
-      .from('messages')
-      .select('*', { count: 'exact', head: true });
-
-    if (totalError) throw totalError;
-
-    // Get platform breakdown
-    const { data: platformStats, error: platformError } = await supabase
-      .from('messages')
-      .select('platform')
-      .then(async ({ data, error }) => {
-        if (error) throw error;
-        
-        const stats = data.reduce((acc, msg) => {
-          acc[msg.platform] = (acc[msg.platform] || 0) + 1;
-          return acc;
-        }, {});
-        
-        return { data: stats, error: null };
-      });
+function messageEvent(message) {
+  return `id: ${message.id}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`;
+}
+
+/**
+ * GET /api/chats/stream
+ * Live feed of newly logged messages as Server-Sent Events. Accepts the same
+ * filters as GET /api/chats. Each message is sent as a `message` event whose
+ * id is the message id; reconnecting with Last-Event-ID first replays up to
+ * STREAM_BACKFILL_LIMIT messages logged since that id. The session or token is
+ * checked again with every heartbeat; once it is no longer valid a `revoked`
+ * event is sent and the stream ends. Clients that fall more than
+ * STREAM_MAX_BUFFER_BYTES behind are disconnected.
+ */
+router.get('/stream', requireAccess('viewer', 'read'), validateRequest('get', '/api/chats/stream'), async (req, res) => {
+  const { filters, error: filterError } = parseMessageFilters(req.validated.query);
+  if (filterError) {
+    return res.status(400).json(filterError);
+  }
 
-    if (platformError) throw platformError;
-
-    // Get message type breakdown
-    const { data: typeStats, error: typeError } = await supabase
-      .from('messages')
-      .select('message_type')
-      .then(async ({ data, error }) => {
-        if (error) throw error;
-        
-        const stats = data.reduce((acc, msg) => {
-          acc[msg.message_type] = (acc[msg.message_type] || 0) + 1;
-          return acc;
-        }, {});
-        
-        return { data: stats, error: null };
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  // Messages logged while the backfill query runs are held back, then sent
+  // in order without repeating any the backfill already covered
+  let lastSentId = 0;
+  let pending = [];
+
+  let heartbeat = null;
+  let unsubscribe = null;
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  };
+
+  const write = chunk => {
+    if (res.writableEnded || res.destroyed) return;
+
+    // res.write buffers whatever the client has not read yet
+    res.write(chunk);
+    if (res.writableLength > STREAM_MAX_BUFFER_BYTES) {
+      logger.warn('⚠️ Disconnecting live stream client that is not reading', {
+        bufferedBytes: res.writableLength,
+        ip: req.ip
       });
+      stop();
+      res.destroy();
+    }
+  };
 
-    if (typeError) throw typeError;
+  const send = message => {
+    if (pending) {
+      pending.push(message);
+      return;
+    }
+    if (message.id <= lastSentId) return;
+    lastSentId = message.id;
+    write(messageEvent(message));
+  };
+
+  unsubscribe = subscribeMessages(message => {
+    if (matchesFilters(message, filters)) send(message);
+  });
+
+  heartbeat = setInterval(async () => {
+    let allowed = true;
+    try {
+      allowed = await recheckAccess(req, 'viewer', 'read');
+    } catch (error) {
+      // Keep the stream open while the database is unreachable
+      logger.error('Error checking live stream access', { error });
+    }
 
-    // Get recent activity (last 24 hours)
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
+    if (!allowed) {
+      stop();
+      write(`event: revoked\ndata: ${JSON.stringify({
+        success: false,
+        error: 'Session ended or access revoked',
+        code: 'ACCESS_REVOKED'
+      })}\n\n`);
+      if (!res.destroyed) res.end();
+      return;
+    }
 
-    const { count: recentMessages, error: recentError } = await supabase
-      .from('messages')
-      .select('*', { count: 'exact', head: true })
-      .gte('created_at', yesterday.toISOString());
+    write(': heartbeat\n\n');
+  }, STREAM_HEARTBEAT_MS);
+
+  req.on('close', stop);
+
+  const lastEventId = parseInt(req.get('Last-Event-ID'), 10);
+  if (lastEventId > 0) {
+    try {
+      lastSentId = lastEventId;
+      const { data } = await getMessages({
+        limit: STREAM_BACKFILL_LIMIT,
+        sortBy: 'id',
+        sortOrder: 'asc',
+        cursor: { value: lastEventId, id: lastEventId },
+        ...filters
+      });
+      for (const message of data) {
+        lastSentId = message.id;
+        write(messageEvent(message));
+      }
+    } catch (error) {
+      logger.error('Error replaying missed messages for stream', { error });
+    }
+  }
 
-    if (recentError) throw recentError;
+  const held = pending;
+  pending = null;
+  held.forEach(send);
+});
+
+/**
+ * GET /api/chats/stats
+ * Get statistics about chat messages
+ */
+router.get('/stats', requireAccess('viewer', 'read'), async (req, res) => {
+  try {
+    const stats = await getMessageStats();
 
     res.json({
       success: true,
       data: {
-        totalMessages: totalMessages || 0,
-        recentMessages: recentMessages || 0,
-        platformBreakdown: platformStats || {},
-        messageTypeBreakdown: typeStats || {},
+        ...stats,
         lastUpdated: new Date().toISOString()
       }
     });
 
   } catch (error) {
-    console.error('Error fetching chat statistics:', error);
+    logger.error('Error fetching chat statistics', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to fetch chat statistics',
@@ -185,81 +268,120 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * Write a chunk to the response, waiting for the socket to drain when its
+ * buffer is full so large exports don't pile up in memory
+ * @param {Object} res - Express response
+ * @param {string} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+function writeChunk(res, chunk) {
+  if (!chunk || res.writableEnded || res.destroyed) {
+    return Promise.resolve();
+  }
+
+  if (res.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
 /**
  * GET /api/chats/export
- * Export all messages with optional filtering
+ * Stream all messages with optional filtering. The database is paged with a
+ * keyset cursor and each page is written as soon as it arrives.
  * 
  * Query parameters:
- * - platform: Filter by platform ('telegram' or 'discord')
- * - messageType: Filter by message type ('user' or 'bot')
- * - dateFrom: Start date (ISO string)
- * - dateTo: End date (ISO string)
- * - format: Export format ('json' or 'csv', default: 'json')
+ * - platform, messageType, search, dateFrom, dateTo, userId, chatId, threadId:
+ *   Same filters as GET /api/chats
+ * - format: Export format ('json', 'ndjson', 'csv', 'openai' or 'sharegpt', default: 'json')
+ * - systemPrompt: System prompt added to each conversation (openai/sharegpt only)
+ * - minTurns: Minimum turns per conversation (openai/sharegpt only, default: 2)
  */
-router.get('/export', async (req, res) => {
+router.get('/export', requireAccess('operator', 'export'), validateRequest('get', '/api/chats/export'), async (req, res) => {
+  // Stop paging the database if the client disconnects mid-export
+  let clientGone = false;
+  res.on('close', () => {
+    if (!res.writableEnded) clientGone = true;
+  });
+
   try {
-    const { platform, messageType, dateFrom, dateTo, format = 'json' } = req.query;
+    const { format, systemPrompt, minTurns } = req.validated.query;
 
-    // Build filters object
-    const filters = {};
-    if (platform) filters.platform = platform;
-    if (messageType) filters.messageType = messageType;
-    if (dateFrom) filters.dateFrom = dateFrom;
-    if (dateTo) filters.dateTo = dateTo;
+    const { filters, error: filterError } = parseMessageFilters(req.validated.query);
+    if (filterError) {
+      return res.status(400).json(filterError);
+    }
 
-    const { data, error } = await exportMessages(filters);
+    const exportFormat = createExportFormat(format, { filters, systemPrompt, minTurns });
 
-    if (error) {
-      throw error;
-    }
+    res.status(200).set({
+      'Content-Type': exportFormat.contentType,
+      'Content-Disposition': `attachment; filename="${exportFormat.filename}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    await writeChunk(res, exportFormat.header());
 
-    if (format === 'csv') {
-      // Convert to CSV format
-      if (data.length === 0) {
-        return res.status(200)
-          .set({
-            'Content-Type': 'text/csv',
-            'Content-Disposition': 'attachment; filename="messages.csv"'
-          })
-          .send('No data to export');
+    let count = 0;
+
+    if (exportFormat.source === 'conversations') {
+      for await (const { messages } of streamConversationMessages(filters)) {
+        if (clientGone) break;
+
+        const record = exportFormat.toRecord(messages);
+        if (!record) continue;
+
+        await writeChunk(res, exportFormat.serialize(record, count));
+        count += 1;
+      }
+    } else {
+      for await (const batch of streamMessages(filters)) {
+        if (clientGone) break;
+
+        // One write per page keeps chunks large enough to be efficient
+        const chunk = batch.map((row, index) => exportFormat.serialize(row, count + index)).join('');
+        await writeChunk(res, chunk);
+        count += batch.length;
       }
+    }
+
+    // Partial exports are audited too - the data already left the server
+    await recordAudit({
+      action: 'messages.export',
+      actor: apiActor(req),
+      filters,
+      affectedCount: count,
+      details: { format, aborted: clientGone }
+    });
 
-      const headers = Object.keys(data[0]).join(',');
-      const rows = data.map(row => 
-        Object.values(row).map(value => 
-          typeof value === 'string' ? `"${value.replace(/"/g, '""')}"` : value
-        ).join(',')
-      );
-      
-      const csv = [headers, ...rows].join('\n');
-      
-      return res.status(200)
-        .set({
-          'Content-Type': 'text/csv',
-          'Content-Disposition': 'attachment; filename="messages.csv"'
-        })
-        .send(csv);
+    if (clientGone) {
+      logger.warn(`⚠️ Export aborted by client after ${count} items`);
+      return;
     }
 
-    // Default JSON format
-    const filename = `messages_${new Date().toISOString().split('T')[0]}.json`;
-    res.status(200)
-      .set({
-        'Content-Type': 'application/json',
-        'Content-Disposition': `attachment; filename="${filename}"`
-      })
-      .json({
-        success: true,
-        data,
-        exportInfo: {
-          totalMessages: data.length,
-          filters,
-          exportedAt: new Date().toISOString()
-        }
-      });
+    await writeChunk(res, exportFormat.footer(count));
+    res.end();
 
   } catch (error) {
-    console.error('Error exporting messages:', error);
+    logger.error('Error exporting messages', { error });
+
+    // Once streaming has started the status can't change - abort the response instead
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+
+    res.removeHeader('Content-Disposition');
     res.status(500).json({
       success: false,
       error: 'Failed to export messages',
@@ -270,50 +392,43 @@ router.get('/export', async (req, res) => {
 
 /**
  * DELETE /api/chats/clear
- * Clear messages with optional filtering
+ * Move messages to the trash with optional filtering. The batch can be
+ * restored until it expires (TRASH_RETENTION_DAYS), then it is purged.
  * 
  * Query parameters:
- * - platform: Filter by platform ('telegram' or 'discord')
- * - messageType: Filter by message type ('user' or 'bot')
- * - dateFrom: Start date (ISO string)
- * - dateTo: End date (ISO string)
+ * - platform, messageType, search, dateFrom, dateTo, userId, chatId, threadId:
+ *   Same filters as GET /api/chats
  * - confirm: Must be 'true' to proceed with deletion
  */
-router.delete('/clear', async (req, res) => {
+router.delete('/clear', requireAccess('admin', 'delete'), validateRequest('delete', '/api/chats/clear'), async (req, res) => {
   try {
-    const { platform, messageType, dateFrom, dateTo, confirm } = req.query;
-
-    // Safety check - require explicit confirmation
-    if (confirm !== 'true') {
-      return res.status(400).json({
-        success: false,
-        error: 'Deletion requires explicit confirmation. Add ?confirm=true to proceed.',
-        code: 'CONFIRMATION_REQUIRED'
-      });
+    // confirm=true is enforced by the schema before we get here
+    const { filters, error: filterError } = parseMessageFilters(req.validated.query);
+    if (filterError) {
+      return res.status(400).json(filterError);
     }
 
-    // Build filters object
-    const filters = {};
-    if (platform) filters.platform = platform;
-    if (messageType) filters.messageType = messageType;
-    if (dateFrom) filters.dateFrom = dateFrom;
-    if (dateTo) filters.dateTo = dateTo;
-
-    const { count, error } = await clearMessages(filters);
+    const { batch, count } = await trashMessages(filters);
 
-    if (error) {
-      throw error;
-    }
+    await recordAudit({
+      action: 'messages.clear',
+      actor: apiActor(req),
+      target: batch ? batch.batch_id : null,
+      filters,
+      affectedCount: count
+    });
 
     res.json({
       success: true,
-      message: `Successfully deleted ${count} messages`,
+      message: `Moved ${count} messages to the trash`,
       deletedCount: count,
+      batchId: batch ? batch.batch_id : null,
+      expiresAt: batch ? batch.expires_at : null,
       filters
     });
 
   } catch (error) {
-    console.error('Error clearing messages:', error);
+    logger.error('Error clearing messages', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to clear messages',
@@ -322,11 +437,91 @@ router.delete('/clear', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/chats/trash
+ * List trash batches (one per clear), newest first
+ *
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 50, max: 100)
+ * - status: Filter by status ('trashed', 'restored' or 'purged')
+ */
+router.get('/trash', requireAccess('operator', 'delete'), validateRequest('get', '/api/chats/trash'), async (req, res) => {
+  try {
+    const { page, limit, status } = req.validated.query;
+
+    const result = await getTrashBatches({ page, limit, status });
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    logger.error('Error fetching trash', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trash',
+      code: 'FETCH_TRASH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/chats/trash/:batchId/restore
+ * Move the messages of a trash batch back out of the trash
+ */
+router.post('/trash/:batchId/restore', requireAccess('admin', 'delete'), validateRequest('post', '/api/chats/trash/{batchId}/restore'), async (req, res) => {
+  try {
+    const { batch, restored } = await restoreTrashBatch(req.params.batchId);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Trash batch not found',
+        code: 'TRASH_BATCH_NOT_FOUND'
+      });
+    }
+
+    if (restored === null) {
+      return res.status(409).json({
+        success: false,
+        error: `Trash batch has already been ${batch.status}`,
+        code: 'TRASH_BATCH_NOT_RESTORABLE'
+      });
+    }
+
+    await recordAudit({
+      action: 'trash.restore',
+      actor: apiActor(req),
+      target: batch.batch_id,
+      filters: batch.filters,
+      affectedCount: restored
+    });
+
+    res.json({
+      success: true,
+      message: `Restored ${restored} messages from the trash`,
+      restoredCount: restored,
+      data: batch
+    });
+
+  } catch (error) {
+    logger.error('Error restoring trash batch', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore trash batch',
+      code: 'RESTORE_TRASH_ERROR'
+    });
+  }
+});
+
 /**
  * GET /api/chats/detailed-stats
  * Get detailed database statistics
  */
-router.get('/detailed-stats', async (req, res) => {
+router.get('/detailed-stats', requireAccess('viewer', 'read'), async (req, res) => {
   try {
     const stats = await getDatabaseStats();
 
@@ -340,7 +535,7 @@ router.get('/detailed-stats', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error fetching database stats:', error);
+    logger.error('Error fetching database stats', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to fetch database statistics',
@@ -353,37 +548,23 @@ router.get('/detailed-stats', async (req, res) => {
 
 /**
  * GET /api/chats/:id
- * Get a specific message by ID
+ * Get a specific message by ID, including its edit/delete revision history and attachments
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireAccess('viewer', 'read'), validateRequest('get', '/api/chats/{id}'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { supabase } = require('../supabase');
+    const data = await getMessageById(req.validated.params.id);
 
-    if (!id || isNaN(parseInt(id, 10))) {
-      return res.status(400).json({
+    if (!data) {
+      return res.status(404).json({
         success: false,
-        error: 'Invalid message ID',
-        code: 'INVALID_MESSAGE_ID'
+        error: 'Message not found',
+        code: 'MESSAGE_NOT_FOUND'
       });
     }
 
-    const { data, error } = await supabase
-      .from('messages')
-      .select('*')
-      .eq('id', parseInt(id, 10))
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        return res.status(404).json({
-          success: false,
-          error: 'Message not found',
-          code: 'MESSAGE_NOT_FOUND'
-        });
-      }
-      throw error;
-    }
+    // Include the edit/delete history and attachments of the message
+    data.revisions = await getMessageRevisions(data.id);
+    data.attachments = await getMessageAttachments(data.id);
 
     res.json({
       success: true,
@@ -391,7 +572,7 @@ router.get('/:id', async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error fetching message:', error);
+    logger.error('Error fetching message', { error });
     res.status(500).json({
       success: false,
       error: 'Failed to fetch message',
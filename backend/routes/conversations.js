@@ -0,0 +1,141 @@
+/**
+ * Conversation API Routes
+ * Provides endpoints for browsing whole conversations instead of individual messages
+ */
+
+const express = require('express');
+const {
+  getConversations,
+  getConversationById,
+  getConversationMessages
+} = require('../conversations');
+const { validateRequest } = require('../validation');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('api.conversations');
+
+const router = express.Router();
+
+/**
+ * GET /api/conversations
+ * Retrieve conversations with pagination and filtering
+ *
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 50, max: 100)
+ * - platform: Filter by platform ('telegram' or 'discord')
+ * - status: Filter by status ('open' or 'closed')
+ * - userId: Filter by user ID
+ * - search: Search in username
+ */
+router.get('/', validateRequest('get', '/api/conversations'), async (req, res) => {
+  try {
+    const { page, limit, platform, status, userId, search } = req.validated.query;
+
+    const result = await getConversations({
+      page,
+      limit,
+      platform,
+      status,
+      userId,
+      search: search ? search.trim() : undefined
+    });
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination,
+      filters: {
+        platform: platform || null,
+        status: status || null,
+        userId: userId || null,
+        search: search || null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching conversations', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversations',
+      code: 'FETCH_CONVERSATIONS_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/conversations/:id/messages
+ * Retrieve the messages of a conversation in chronological order
+ *
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 100, max: 500)
+ */
+router.get('/:id/messages', validateRequest('get', '/api/conversations/{id}/messages'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+    const { page, limit } = req.validated.query;
+
+    const conversation = await getConversationById(id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found',
+        code: 'CONVERSATION_NOT_FOUND'
+      });
+    }
+
+    const result = await getConversationMessages(id, { page, limit });
+
+    res.json({
+      success: true,
+      conversation,
+      data: result.data,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    logger.error('Error fetching conversation messages', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation messages',
+      code: 'FETCH_CONVERSATION_MESSAGES_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/conversations/:id
+ * Get a specific conversation by ID
+ */
+router.get('/:id', validateRequest('get', '/api/conversations/{id}'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+
+    const data = await getConversationById(id);
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found',
+        code: 'CONVERSATION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    logger.error('Error fetching conversation', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conversation',
+      code: 'FETCH_CONVERSATION_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+/**
+ * Retention API Routes
+ * Provides endpoints for inspecting the retention rules, previewing what
+ * they would delete, running them on demand and browsing past purges
+ */
+
+const express = require('express');
+const {
+  previewRetention,
+  runRetention,
+  auditRetentionRuns,
+  getRetentionHistory,
+  getRetentionStatus
+} = require('../retention');
+const { apiActor } = require('../audit');
+const { requireRole } = require('../auth');
+const { validateRequest } = require('../validation');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('api.retention');
+
+const router = express.Router();
+
+/**
+ * GET /api/retention
+ * Get the configured retention rules and the scheduler state
+ */
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    data: getRetentionStatus()
+  });
+});
+
+/**
+ * GET /api/retention/dry-run
+ * Report how many messages each rule would delete right now, without deleting anything
+ */
+router.get('/dry-run', async (req, res) => {
+  try {
+    const data = await previewRetention();
+
+    res.json({
+      success: true,
+      data,
+      total: data.reduce((sum, item) => sum + item.count, 0)
+    });
+
+  } catch (error) {
+    logger.error('Error previewing retention', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview retention rules',
+      code: 'RETENTION_PREVIEW_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/retention/run
+ * Enforce the retention rules now instead of waiting for the scheduler
+ *
+ * Query parameters:
+ * - confirm: Must be 'true' to proceed with deletion
+ */
+router.post('/run', requireRole('admin'), validateRequest('post', '/api/retention/run'), async (req, res) => {
+  try {
+    // confirm=true is enforced by the schema before we get here
+    const { busy, runs } = await runRetention({ trigger: 'api' });
+
+    if (busy) {
+      return res.status(409).json({
+        success: false,
+        error: 'A retention run is already in progress',
+        code: 'RETENTION_RUNNING'
+      });
+    }
+
+    const deletedCount = runs.reduce((sum, run) => sum + run.deleted_count, 0);
+
+    await auditRetentionRuns(runs, apiActor(req));
+
+    res.json({
+      success: true,
+      message: `Retention purged ${deletedCount} messages`,
+      deletedCount,
+      data: runs
+    });
+
+  } catch (error) {
+    logger.error('Error running retention', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run retention rules',
+      code: 'RETENTION_RUN_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/retention/history
+ * Get executed purges, newest first
+ *
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 50, max: 100)
+ * - rule: Filter by rule name
+ */
+router.get('/history', validateRequest('get', '/api/retention/history'), async (req, res) => {
+  try {
+    const { page, limit, rule } = req.validated.query;
+
+    const result = await getRetentionHistory({ page, limit, rule });
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    logger.error('Error fetching retention history', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch retention history',
+      code: 'FETCH_RETENTION_HISTORY_ERROR'
+    });
+  }
+});
+
+module.exports = router;
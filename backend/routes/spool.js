@@ -0,0 +1,72 @@
+/**
+ * Spool API Routes
+ * Shows the backlog of the local message spool and queues dead-lettered
+ * messages again
+ */
+
+const express = require('express');
+const { getSpoolStatus, requeueDeadLetters } = require('../spool');
+const { apiActor, recordAudit } = require('../audit');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('api.spool');
+
+const router = express.Router();
+
+/**
+ * GET /api/spool
+ * Spool backlog (messages waiting to be stored), dead letters and flusher state
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await getSpoolStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+
+  } catch (error) {
+    logger.error('Error fetching spool status', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch spool status',
+      code: 'FETCH_SPOOL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/spool/dead-letters/retry
+ * Queue every dead-lettered message again with a fresh set of attempts
+ * (unreadable files are skipped and counted)
+ */
+router.post('/dead-letters/retry', async (req, res) => {
+  try {
+    const { requeued, unreadable } = await requeueDeadLetters();
+
+    await recordAudit({
+      action: 'spool.retry',
+      actor: apiActor(req),
+      affectedCount: requeued,
+      details: { unreadable }
+    });
+
+    res.json({
+      success: true,
+      message: `Queued ${requeued} dead-lettered message(s) again`,
+      requeued,
+      unreadable
+    });
+
+  } catch (error) {
+    logger.error('Error retrying dead-lettered messages', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry dead-lettered messages',
+      code: 'RETRY_SPOOL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,115 @@
+/**
+ * User Data API Routes
+ * Provides data-subject access (export) and erasure endpoints for a single
+ * platform user. Every request is recorded with a compliance receipt.
+ */
+
+const express = require('express');
+const { exportUserData, eraseUserData } = require('../userData');
+const { apiActor, recordAudit } = require('../audit');
+const { validateRequest } = require('../validation');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('api.users');
+
+const router = express.Router();
+
+/**
+ * Shape a stored receipt for API responses
+ */
+function formatReceipt(receipt) {
+  return {
+    receiptId: receipt.receipt_id,
+    requestType: receipt.request_type,
+    platform: receipt.platform,
+    subjectHash: receipt.subject_hash,
+    summary: receipt.summary,
+    createdAt: receipt.created_at
+  };
+}
+
+/**
+ * GET /api/users/:platform/:userId/export
+ * Download everything stored about a user as a JSON bundle: consent record,
+ * conversations, messages (with decrypted originals when the encryption key
+ * is configured), revisions, attachment metadata, routing entries and
+ * previous data requests
+ */
+router.get('/:platform/:userId/export', validateRequest('get', '/api/users/{platform}/{userId}/export'), async (req, res) => {
+  try {
+    const { platform, userId } = req.validated.params;
+
+    const { bundle, receipt } = await exportUserData(platform, userId);
+
+    await recordAudit({
+      action: 'user.export',
+      actor: apiActor(req),
+      target: receipt.receipt_id,
+      filters: { platform },
+      affectedCount: bundle.summary.messages,
+      details: bundle.summary
+    });
+
+    const date = new Date().toISOString().split('T')[0];
+    const safeUserId = userId.replace(/[^\w-]/g, '_');
+
+    res.setHeader('Content-Disposition', `attachment; filename="user_${platform}_${safeUserId}_${date}.json"`);
+    res.json({
+      success: true,
+      data: bundle,
+      receipt: formatReceipt(receipt)
+    });
+
+  } catch (error) {
+    logger.error('Error exporting user data', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export user data',
+      code: 'USER_EXPORT_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/users/:platform/:userId
+ * Erase a user's messages, private conversations, revisions, attachments
+ * (including downloaded files) and routing entries. The consent record is
+ * kept so an opt-out stays in effect.
+ *
+ * Query parameters:
+ * - confirm: Must be 'true' to proceed with deletion
+ */
+router.delete('/:platform/:userId', validateRequest('delete', '/api/users/{platform}/{userId}'), async (req, res) => {
+  try {
+    // confirm=true is enforced by the schema before we get here
+    const { platform, userId } = req.validated.params;
+
+    const { receipt, ...deleted } = await eraseUserData(platform, userId);
+
+    await recordAudit({
+      action: 'user.erase',
+      actor: apiActor(req),
+      target: receipt.receipt_id,
+      filters: { platform },
+      affectedCount: deleted.messages,
+      details: deleted
+    });
+
+    res.json({
+      success: true,
+      message: `Successfully erased ${deleted.messages} messages of ${platform} user ${userId}`,
+      deleted,
+      receipt: formatReceipt(receipt)
+    });
+
+  } catch (error) {
+    logger.error('Error erasing user data', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to erase user data',
+      code: 'USER_ERASE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
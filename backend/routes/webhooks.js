@@ -0,0 +1,271 @@
+/**
+ * Webhook API Routes
+ * Provides admin endpoints for managing outbound webhooks and reading their
+ * delivery log
+ */
+
+const express = require('express');
+const {
+  publicWebhook,
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  retryDelivery
+} = require('../webhooks');
+const { apiActor, recordAudit } = require('../audit');
+const { validateRequest } = require('../validation');
+const { createLogger } = require('../logger');
+
+const logger = createLogger('api.webhooks');
+
+const router = express.Router();
+
+const NOT_FOUND_ERROR = {
+  success: false,
+  error: 'Webhook not found',
+  code: 'WEBHOOK_NOT_FOUND'
+};
+
+/**
+ * GET /api/webhooks
+ * List webhooks (without their secrets), newest first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const webhooks = await listWebhooks();
+
+    res.json({
+      success: true,
+      data: webhooks.map(publicWebhook)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching webhooks', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhooks',
+      code: 'FETCH_WEBHOOKS_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register a webhook. The signing secret is only returned in this response.
+ *
+ * Body:
+ * - name: What the webhook is for
+ * - url: Receiver URL (http or https)
+ * - events: Any of 'message.logged', 'reply.sent', 'conversation.created'
+ * - enabled: Whether events are delivered (default: true)
+ */
+router.post('/', validateRequest('post', '/api/webhooks'), async (req, res) => {
+  try {
+    const { name, url, events, enabled } = req.validated.body;
+
+    const { secret, record, error } = await createWebhook({
+      name,
+      url,
+      events,
+      enabled,
+      createdBy: req.account.id
+    });
+
+    if (error) {
+      return res.status(400).json({ success: false, ...error });
+    }
+
+    await recordAudit({
+      action: 'webhook.create',
+      actor: apiActor(req),
+      target: record.id,
+      details: { name: record.name, url: record.url, events: record.events }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this secret now; it cannot be shown again',
+      secret,
+      data: publicWebhook(record)
+    });
+
+  } catch (error) {
+    logger.error('Error creating webhook', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook',
+      code: 'CREATE_WEBHOOK_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * Delivery log, newest first
+ *
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 50, max: 100)
+ * - webhookId: Filter by webhook
+ * - status: Filter by status ('pending', 'delivered' or 'failed')
+ * - event: Filter by event
+ */
+router.get('/deliveries', validateRequest('get', '/api/webhooks/deliveries'), async (req, res) => {
+  try {
+    const { page, limit, webhookId, status, event } = req.validated.query;
+
+    const result = await getDeliveries({ page, limit, webhookId, status, event });
+
+    res.json({
+      success: true,
+      data: result.data,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries',
+      code: 'FETCH_DELIVERIES_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:id/retry
+ * Queue a failed delivery again
+ */
+router.post('/deliveries/:id/retry', validateRequest('post', '/api/webhooks/deliveries/{id}/retry'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+
+    const { delivery, error } = await retryDelivery(id);
+
+    if (error) {
+      return res.status(409).json({ success: false, ...error });
+    }
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found',
+        code: 'DELIVERY_NOT_FOUND'
+      });
+    }
+
+    await recordAudit({
+      action: 'webhook.retry',
+      actor: apiActor(req),
+      target: delivery.id,
+      details: { webhookId: delivery.webhook_id, event: delivery.event }
+    });
+
+    res.json({
+      success: true,
+      message: `Queued delivery ${delivery.id} again`,
+      data: delivery
+    });
+
+  } catch (error) {
+    logger.error('Error retrying webhook delivery', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry webhook delivery',
+      code: 'RETRY_DELIVERY_ERROR'
+    });
+  }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Change a webhook
+ *
+ * Body (all optional):
+ * - name, url, events, enabled: As for POST /api/webhooks
+ * - rotateSecret: true to issue a new secret (returned once in this response)
+ */
+router.patch('/:id', validateRequest('patch', '/api/webhooks/{id}'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+    const { name, url, events, enabled, rotateSecret } = req.validated.body;
+
+    const { record, secret, error } = await updateWebhook(id, { name, url, events, enabled, rotateSecret });
+
+    if (error) {
+      return res.status(400).json({ success: false, ...error });
+    }
+
+    if (!record) {
+      return res.status(404).json(NOT_FOUND_ERROR);
+    }
+
+    await recordAudit({
+      action: 'webhook.update',
+      actor: apiActor(req),
+      target: record.id,
+      details: {
+        ...(name !== undefined && { name: record.name }),
+        ...(url !== undefined && { url: record.url }),
+        ...(events !== undefined && { events: record.events }),
+        ...(enabled !== undefined && { enabled }),
+        ...(secret && { secretRotated: true })
+      }
+    });
+
+    res.json({
+      success: true,
+      ...(secret && { message: 'Store this secret now; it cannot be shown again', secret }),
+      data: publicWebhook(record)
+    });
+
+  } catch (error) {
+    logger.error('Error updating webhook', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook',
+      code: 'UPDATE_WEBHOOK_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook and its delivery log
+ */
+router.delete('/:id', validateRequest('delete', '/api/webhooks/{id}'), async (req, res) => {
+  try {
+    const { id } = req.validated.params;
+
+    const record = await deleteWebhook(id);
+
+    if (!record) {
+      return res.status(404).json(NOT_FOUND_ERROR);
+    }
+
+    await recordAudit({
+      action: 'webhook.delete',
+      actor: apiActor(req),
+      target: record.id,
+      details: { name: record.name }
+    });
+
+    res.json({
+      success: true,
+      message: `Deleted webhook "${record.name}"`,
+      data: publicWebhook(record)
+    });
+
+  } catch (error) {
+    logger.error('Error deleting webhook', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook',
+      code: 'DELETE_WEBHOOK_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,325 @@
+/**
+ * Conversation Routing State
+ * Persists the bots' routing maps (user <-> topic/thread, forwarded message
+ * mappings, pending replies) so open conversations survive restarts.
+ * Per-message entries expire after ROUTE_TTL_DAYS and are pruned hourly.
+ */
+
+const { getStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('routing');
+
+const LOAD_PAGE_SIZE = 1000;
+
+// Days a forwarded message or pending reply stays routable after its last update
+const ROUTE_TTL_DAYS = parseInt(process.env.ROUTE_TTL_DAYS, 10) || 30;
+
+// Route types written per forwarded message, which would otherwise grow forever
+const EXPIRING_ROUTE_TYPES = ['forwarded_message', 'pending_reply'];
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every route map created in this process, so entries can be erased per user
+const routeMaps = new Set();
+
+let pruneTimer = null;
+
+/**
+ * Map-compatible store that keeps routing entries in memory and writes
+ * every change through to the conversation_routes table.
+ *
+ * Keys are stored as strings, so lookups with a number (e.g. a Telegram
+ * message_thread_id) find the same entry as lookups with its string form.
+ */
+class RouteMap {
+  /**
+   * @param {string} platform - 'telegram' or 'discord'
+   * @param {string} routeType - Kind of mapping (e.g. 'user_topic')
+   * @param {Object} options - Store options
+   * @param {Function} options.subjectOf - (key, value) => ID of the user/chat the entry belongs to
+   * @param {Function} options.revive - Restore a value loaded from the database
+   * @param {Array<string>} options.memoryOnly - Value fields that are never written to the database
+   */
+  constructor(platform, routeType, {
+    subjectOf = (key) => key,
+    revive = (value) => value,
+    memoryOnly = []
+  } = {}) {
+    this.platform = platform;
+    this.routeType = routeType;
+    this.subjectOf = subjectOf;
+    this.revive = revive;
+    this.memoryOnly = memoryOnly;
+    this.cache = new Map();
+    this.updatedAt = new Map();
+    this.writeQueue = Promise.resolve();
+    routeMaps.add(this);
+  }
+
+  get size() {
+    return this.cache.size;
+  }
+
+  has(key) {
+    return this.cache.has(String(key));
+  }
+
+  get(key) {
+    return this.cache.get(String(key));
+  }
+
+  set(key, value) {
+    const routeKey = String(key);
+    this.cache.set(routeKey, value);
+    this.updatedAt.set(routeKey, Date.now());
+
+    const now = new Date().toISOString();
+    this.persist(() => getStorage().upsert('conversation_routes', {
+      platform: this.platform,
+      route_type: this.routeType,
+      route_key: routeKey,
+      route_value: this.stored(value),
+      subject_id: String(this.subjectOf(routeKey, value)),
+      updated_at: now
+    }, { onConflict: ['platform', 'route_type', 'route_key'] }));
+
+    return this;
+  }
+
+  delete(key) {
+    const routeKey = String(key);
+    const existed = this.cache.delete(routeKey);
+    this.updatedAt.delete(routeKey);
+
+    if (existed) {
+      this.persist(() => getStorage().remove('conversation_routes', this.filters([
+        { column: 'route_key', op: 'eq', value: routeKey }
+      ])));
+    }
+
+    return existed;
+  }
+
+  entries() {
+    return this.cache.entries();
+  }
+
+  keys() {
+    return this.cache.keys();
+  }
+
+  values() {
+    return this.cache.values();
+  }
+
+  [Symbol.iterator]() {
+    return this.cache.entries();
+  }
+
+  /**
+   * Load all persisted entries into memory, replacing the current contents
+   * @returns {Promise<number>} Number of entries loaded
+   */
+  async load() {
+    const loaded = new Map();
+    const updatedAt = new Map();
+    let lastId = 0;
+
+    // Page through the table so large mappings aren't truncated by row caps
+    while (true) {
+      const { rows } = await getStorage().select('conversation_routes', {
+        filters: this.filters([{ column: 'id', op: 'gt', value: lastId }]),
+        order: [{ column: 'id', ascending: true }],
+        limit: LOAD_PAGE_SIZE
+      });
+
+      for (const row of rows) {
+        loaded.set(row.route_key, this.revive(row.route_value));
+        updatedAt.set(row.route_key, new Date(row.updated_at || row.created_at).getTime() || Date.now());
+      }
+
+      if (rows.length < LOAD_PAGE_SIZE) break;
+      lastId = rows[rows.length - 1].id;
+    }
+
+    this.cache = loaded;
+    this.updatedAt = updatedAt;
+    return loaded.size;
+  }
+
+  /**
+   * Drop in-memory entries last updated before a cutoff (the rows are
+   * removed by pruneExpiredRoutes)
+   * @param {number} cutoff - Timestamp in milliseconds
+   * @returns {number} Number of entries dropped
+   */
+  dropBefore(cutoff) {
+    let dropped = 0;
+
+    for (const [key, updatedAt] of [...this.updatedAt]) {
+      if (updatedAt < cutoff) {
+        this.cache.delete(key);
+        this.updatedAt.delete(key);
+        dropped++;
+      }
+    }
+
+    return dropped;
+  }
+
+  /**
+   * The part of a value that is written to the database
+   */
+  stored(value) {
+    if (this.memoryOnly.length === 0 || !value || typeof value !== 'object') return value;
+
+    const stored = { ...value };
+    this.memoryOnly.forEach(field => delete stored[field]);
+    return stored;
+  }
+
+  /**
+   * Filters selecting this store's rows
+   */
+  filters(extra = []) {
+    return [
+      { column: 'platform', op: 'eq', value: this.platform },
+      { column: 'route_type', op: 'eq', value: this.routeType },
+      ...extra
+    ];
+  }
+
+  /**
+   * Queue a database write so changes to this store are applied in order
+   */
+  persist(write) {
+    this.writeQueue = this.writeQueue
+      .then(write)
+      .catch((error) => {
+        logger.error(`Failed to persist ${this.platform} ${this.routeType} route`, { error: error.message });
+      });
+  }
+
+  /**
+   * Wait for queued writes to finish
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.writeQueue;
+  }
+}
+
+/**
+ * Restore persisted routing state for a set of route maps
+ * @param {string} platform - Platform name (for logging)
+ * @param {Object<string, RouteMap>} routeMaps - Route maps keyed by display name
+ * @returns {Promise<void>}
+ */
+async function restoreRouteMaps(platform, routeMaps) {
+  const summary = [];
+
+  for (const [name, routeMap] of Object.entries(routeMaps)) {
+    const count = await routeMap.load();
+    summary.push(`${count} ${name}`);
+  }
+
+  logger.info(`🔁 Restored ${platform} routing state: ${summary.join(', ')}`);
+  startRoutePruner();
+}
+
+/**
+ * Remove forwarded message and pending reply routes that were not updated
+ * for ROUTE_TTL_DAYS, from memory and from the database
+ * @returns {Promise<number>} Number of rows removed
+ */
+async function pruneExpiredRoutes() {
+  const cutoff = Date.now() - ROUTE_TTL_DAYS * DAY_MS;
+
+  for (const routeMap of routeMaps) {
+    if (!EXPIRING_ROUTE_TYPES.includes(routeMap.routeType)) continue;
+
+    routeMap.dropBefore(cutoff);
+    await routeMap.flush();
+  }
+
+  const removed = (await getStorage().remove('conversation_routes', [
+    { column: 'route_type', op: 'in', value: EXPIRING_ROUTE_TYPES },
+    { column: 'updated_at', op: 'lt', value: new Date(cutoff).toISOString() }
+  ])).length;
+
+  if (removed > 0) {
+    logger.info(`🔁 Pruned ${removed} routing entries older than ${ROUTE_TTL_DAYS} days`);
+  }
+
+  return removed;
+}
+
+/**
+ * Prune expired routes now and then every hour (once per process)
+ */
+function startRoutePruner() {
+  if (pruneTimer) return;
+
+  const prune = () => pruneExpiredRoutes().catch((error) => {
+    logger.error('Failed to prune expired routes', { error: error.message });
+  });
+
+  prune();
+  pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+
+  // The pruner alone should not keep the process alive
+  pruneTimer.unref();
+}
+
+/**
+ * Erase every routing entry that belongs to a user/chat
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Array<string>} subjectIds - User/chat IDs the entries belong to
+ * @returns {Promise<number>} Number of entries erased
+ */
+async function forgetRouteSubjects(platform, subjectIds) {
+  const subjects = new Set(subjectIds.map(String));
+  let erased = 0;
+
+  for (const routeMap of routeMaps) {
+    if (routeMap.platform !== platform) continue;
+
+    for (const [key, value] of [...routeMap.entries()]) {
+      if (subjects.has(String(routeMap.subjectOf(key, value)))) {
+        routeMap.delete(key);
+        erased++;
+      }
+    }
+
+    await routeMap.flush();
+  }
+
+  // Also remove entries of route maps not loaded in this process
+  const removed = await getStorage().remove('conversation_routes', [
+    { column: 'platform', op: 'eq', value: platform },
+    { column: 'subject_id', op: 'in', value: [...subjects] }
+  ]);
+
+  return erased + removed.length;
+}
+
+/**
+ * Revive a pending reply entry loaded from the database
+ * @param {Object} value - Stored pending reply
+ * @returns {Object} Pending reply with its timestamp as a Date
+ */
+function revivePendingReply(value) {
+  return {
+    ...value,
+    timestamp: value?.timestamp ? new Date(value.timestamp) : new Date()
+  };
+}
+
+module.exports = {
+  RouteMap,
+  restoreRouteMaps,
+  forgetRouteSubjects,
+  revivePendingReply
+};
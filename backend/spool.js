@@ -0,0 +1,623 @@
+/**
+ * Message Spool
+ * Write-ahead spool for logged messages: logMessage writes every message to
+ * disk before it touches the database, so messages survive database outages
+ * and restarts. A background flusher stores spooled messages, retrying failed
+ * ones with exponential backoff; messages that keep failing are moved to a
+ * dead-letter directory, from where an admin can queue them again.
+ *
+ * Every entry is one JSON file, written under a temporary name, synced and
+ * renamed, so a crash never leaves a half-written entry behind. Storing is
+ * at-least-once: a crash between storing a message and removing its file
+ * stores the message again on the next start.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { metrics } = require('./metrics');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('spool');
+
+const SPOOL_DIR = path.resolve(process.env.SPOOL_DIR || './data/spool');
+const PENDING_DIR = path.join(SPOOL_DIR, 'pending');
+const DEAD_LETTER_DIR = path.join(SPOOL_DIR, 'dead-letter');
+
+// Failed attempts before a message is dead-lettered, and the delay before the
+// first retry (doubled after every failed attempt, up to RETRY_MAX_MS).
+// The flusher only makes attempts while the database answers, so an outage
+// alone never dead-letters messages.
+const SPOOL_MAX_ATTEMPTS = parseInt(process.env.SPOOL_MAX_ATTEMPTS, 10) || 10;
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+
+// How often the flusher looks for entries that are due
+const FLUSH_INTERVAL_MS = 5 * 1000;
+
+// Longest error message kept with an entry
+const MAX_ERROR_LENGTH = 500;
+
+// Pending entries (ID → time of the next attempt, 0 when due) and
+// dead-lettered entry IDs, loaded from disk on first use
+let pending = null;
+let deadLetters = null;
+let loading = null;
+
+// Entries being stored right now, and logMessage calls that have not finished
+const inFlight = new Set();
+const activeWrites = new Set();
+
+// Flusher state
+let timer = null;
+let flushing = null;
+let flushRequested = false;
+let flushHandler = null;
+let databaseDown = false;
+let lastFlushAt = null;
+let lastError = null;
+let sequence = 0;
+
+/**
+ * Create a new entry ID. IDs start with the spool time, so sorting them
+ * gives the order messages were received in.
+ */
+function nextId() {
+  sequence = (sequence + 1) % 1000000;
+  return `${Date.now()}-${String(sequence).padStart(6, '0')}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * Time an entry was spooled, taken from its ID
+ */
+function spooledAt(id) {
+  return new Date(Number(id.split('-')[0])).toISOString();
+}
+
+/**
+ * List the entry IDs in a spool directory, removing temporary files of
+ * writes that never completed
+ * @param {string} dir - Directory
+ * @returns {Promise<Array<string>>} Entry IDs, oldest first
+ */
+async function listEntryIds(dir) {
+  const ids = [];
+
+  for (const name of await fs.promises.readdir(dir)) {
+    if (name.endsWith('.json')) {
+      ids.push(name.slice(0, -'.json'.length));
+    } else if (name.endsWith('.tmp')) {
+      await fs.promises.unlink(path.join(dir, name)).catch(() => {});
+    }
+  }
+
+  return ids.sort();
+}
+
+/**
+ * Load the spool directories once, creating them if needed
+ */
+async function load() {
+  if (pending) return;
+
+  if (!loading) {
+    loading = (async () => {
+      await fs.promises.mkdir(PENDING_DIR, { recursive: true });
+      await fs.promises.mkdir(DEAD_LETTER_DIR, { recursive: true });
+
+      const pendingIds = await listEntryIds(PENDING_DIR);
+      deadLetters = new Set(await listEntryIds(DEAD_LETTER_DIR));
+      pending = new Map(pendingIds.map(id => [id, 0]));
+      updateGauges();
+
+      if (pending.size > 0) {
+        logger.info(`📥 Found ${pending.size} spooled message(s) from a previous run`);
+      }
+    })().finally(() => {
+      loading = null;
+    });
+  }
+
+  return loading;
+}
+
+/**
+ * Publish the spool size to /metrics
+ */
+function updateGauges() {
+  metrics.spoolPending.set(pending.size);
+  metrics.spoolDeadLetters.set(deadLetters.size);
+}
+
+/**
+ * Durably write an entry: temporary file, fsync, then rename over the entry
+ * @param {string} dir - PENDING_DIR or DEAD_LETTER_DIR
+ * @param {Object} entry - Entry (its id names the file)
+ */
+async function writeEntry(dir, entry) {
+  const file = path.join(dir, `${entry.id}.json`);
+  const temp = `${file}.tmp`;
+  const handle = await fs.promises.open(temp, 'w');
+
+  try {
+    await handle.writeFile(JSON.stringify(entry));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  await fs.promises.rename(temp, file);
+}
+
+/**
+ * Read an entry
+ * @param {string} dir - PENDING_DIR or DEAD_LETTER_DIR
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object>} Entry
+ */
+async function readEntry(dir, id) {
+  return JSON.parse(await fs.promises.readFile(path.join(dir, `${id}.json`), 'utf8'));
+}
+
+/**
+ * Remove a stored entry from the spool
+ */
+async function removeEntry(id) {
+  await fs.promises.unlink(path.join(PENDING_DIR, `${id}.json`)).catch((error) => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+  pending.delete(id);
+  updateGauges();
+}
+
+/**
+ * Move an entry to the dead-letter directory
+ * @param {Object} entry - Entry (written as given, with its last error)
+ */
+async function deadLetter(entry) {
+  await writeEntry(DEAD_LETTER_DIR, { ...entry, deadLetteredAt: new Date().toISOString() });
+  deadLetters.add(entry.id);
+  await removeEntry(entry.id);
+
+  metrics.messagesDeadLettered.inc({ platform: entry.platform || '' });
+  logger.error(`☠️ Gave up storing a spooled ${entry.platform} message after ${entry.attempts} attempt(s)`, {
+    entryId: entry.id,
+    error: entry.lastError
+  });
+}
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Write a record to the spool
+ * @param {Object} record - Entry data (must be JSON-serializable; platform is used for metrics and logs)
+ * @param {boolean} claim - Mark the entry as in flight, so the flusher leaves it to the caller
+ * @returns {Promise<Object>} Entry as stored on disk ({ id, spooledAt, attempts, ...record })
+ */
+async function enqueue(record, claim) {
+  await load();
+
+  // Work on the JSON form, so a retry after a restart sees exactly the same data
+  const entry = JSON.parse(JSON.stringify({
+    ...record,
+    id: nextId(),
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null
+  }));
+  entry.spooledAt = spooledAt(entry.id);
+
+  await writeEntry(PENDING_DIR, entry);
+  if (claim) inFlight.add(entry.id);
+  pending.set(entry.id, 0);
+  updateGauges();
+  return entry;
+}
+
+/**
+ * Whether spooled entries are waiting for the flusher (not counting ones
+ * being stored right now)
+ * @returns {boolean} True if entries are waiting
+ */
+function hasBacklog() {
+  return Boolean(pending) && pending.size > inFlight.size;
+}
+
+/**
+ * Spool a record, then store it right away unless older entries are still
+ * waiting (they go first, so the flusher takes care of it)
+ * @param {Object} record - Entry data (see enqueue)
+ * @param {Function} handler - Stores the entry (see processEntry)
+ * @returns {Promise<Object>} { entry, stored, result } (stored is false while the entry waits in the spool)
+ */
+async function spoolAndStore(record, handler) {
+  const waiting = hasBacklog();
+  const entry = await enqueue(record, !waiting);
+
+  if (waiting) {
+    logger.info(`📥 Spooled ${entry.platform} message behind older messages`, { entryId: entry.id });
+    flushSpool().catch(error => logger.error('Spool flush failed', { error }));
+    return { entry, stored: false };
+  }
+
+  return { entry, ...await processEntry(entry, handler) };
+}
+
+/**
+ * Store a spooled entry, removing it from the spool on success. On failure
+ * the entry stays in the spool for a retry (any changes the handler made to
+ * it are kept), or is dead-lettered once it has used up its attempts.
+ * @param {Object} entry - Entry from enqueue
+ * @param {Function} handler - Stores the entry; resolves with a result or throws
+ * @returns {Promise<Object>} { stored: true, result } or { stored: false, error }
+ */
+async function processEntry(entry, handler) {
+  inFlight.add(entry.id);
+
+  try {
+    const result = await handler(entry);
+    await removeEntry(entry.id);
+    return { stored: true, result };
+  } catch (error) {
+    entry.attempts += 1;
+    entry.lastError = String(error.message || error).slice(0, MAX_ERROR_LENGTH);
+    lastError = { message: entry.lastError, at: new Date().toISOString() };
+
+    if (entry.attempts >= SPOOL_MAX_ATTEMPTS) {
+      await deadLetter(entry);
+    } else {
+      const nextAttempt = Date.now() + retryDelay(entry.attempts);
+      entry.nextAttemptAt = new Date(nextAttempt).toISOString();
+      await writeEntry(PENDING_DIR, entry);
+      pending.set(entry.id, nextAttempt);
+    }
+
+    return { stored: false, error };
+  } finally {
+    inFlight.delete(entry.id);
+  }
+}
+
+/**
+ * Check that the database answers before spending attempts on entries
+ * @returns {Promise<boolean>} True if the database is reachable
+ */
+async function isDatabaseUp() {
+  try {
+    await getStorage().ping();
+
+    if (databaseDown) {
+      databaseDown = false;
+      logger.info('✅ Database reachable again, storing spooled messages');
+    }
+    return true;
+  } catch (error) {
+    lastError = { message: String(error.message || error).slice(0, MAX_ERROR_LENGTH), at: new Date().toISOString() };
+
+    if (!databaseDown) {
+      databaseDown = true;
+      logger.warn(`⚠️ Database unreachable, keeping ${pending.size} message(s) in the spool`, { error: error.message });
+    }
+    return false;
+  }
+}
+
+/**
+ * Store all spooled entries that are due, oldest first. Only one pass runs at
+ * a time; calls made during a pass share it and make it look for new entries
+ * once more.
+ * @returns {Promise<number>} Entries stored
+ */
+function flushSpool() {
+  if (!flushHandler) return Promise.resolve(0);
+
+  if (flushing) {
+    flushRequested = true;
+    return flushing;
+  }
+
+  flushing = (async () => {
+    await load();
+    let stored = 0;
+
+    for (;;) {
+      flushRequested = false;
+
+      const now = Date.now();
+      const due = [...pending.entries()]
+        .filter(([id, nextAttempt]) => nextAttempt <= now && !inFlight.has(id))
+        .map(([id]) => id)
+        .sort();
+
+      if (due.length === 0 || !await isDatabaseUp()) break;
+
+      for (const id of due) {
+        let entry = null;
+        try {
+          entry = await readEntry(PENDING_DIR, id);
+        } catch (error) {
+          // Unreadable entries can never be stored; keep the file for inspection
+          logger.error('Unreadable spool entry moved to the dead-letter directory', { entryId: id, error: error.message });
+          await fs.promises.rename(path.join(PENDING_DIR, `${id}.json`), path.join(DEAD_LETTER_DIR, `${id}.json`)).catch(() => {});
+          deadLetters.add(id);
+          pending.delete(id);
+          updateGauges();
+          continue;
+        }
+
+        const { stored: ok } = await processEntry(entry, flushHandler);
+        if (ok) {
+          stored++;
+        } else if (!await isDatabaseUp()) {
+          // The database went away: stop here instead of failing every entry
+          break;
+        }
+      }
+
+      lastFlushAt = new Date().toISOString();
+      if (!flushRequested) break;
+    }
+
+    if (stored > 0) {
+      logger.info(`📤 Stored ${stored} spooled message(s)`, { remaining: pending.size });
+    }
+    return stored;
+  })().finally(() => {
+    flushing = null;
+  });
+
+  return flushing;
+}
+
+/**
+ * Schedule the next flusher pass
+ */
+function scheduleNext() {
+  timer = setTimeout(async () => {
+    try {
+      await flushSpool();
+    } catch (error) {
+      logger.error('Spool flush failed', { error });
+    }
+
+    if (timer) scheduleNext();
+  }, FLUSH_INTERVAL_MS);
+
+  // The flusher alone should not keep the process alive
+  timer.unref();
+}
+
+/**
+ * Start storing spooled entries in the background (including ones left over
+ * from a previous run)
+ * @param {Function} handler - Stores an entry (see processEntry)
+ * @returns {boolean} True if the flusher was started
+ */
+function startSpoolFlusher(handler) {
+  if (timer) return false;
+
+  flushHandler = handler;
+  scheduleNext();
+  flushSpool().catch(error => logger.error('Spool flush failed', { error }));
+  logger.info(`📥 Spool flusher started (up to ${SPOOL_MAX_ATTEMPTS} attempts per message)`, { directory: SPOOL_DIR });
+  return true;
+}
+
+/**
+ * Stop the spool flusher
+ */
+function stopSpoolFlusher() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+/**
+ * Keep track of a logMessage call, so shutdown can wait for it
+ * @param {Promise} write - The call's promise
+ * @returns {Promise} The same promise
+ */
+function trackWrite(write) {
+  activeWrites.add(write);
+  write.then(() => activeWrites.delete(write), () => activeWrites.delete(write));
+  return write;
+}
+
+/**
+ * Resolve with a promise's outcome, or give up at a deadline
+ * @returns {Promise<boolean>} True if the promise settled in time
+ */
+function settleBy(promise, deadline) {
+  let deadlineTimer = null;
+
+  return Promise.race([
+    Promise.resolve(promise).then(() => true, () => true),
+    new Promise((resolve) => {
+      deadlineTimer = setTimeout(() => resolve(false), Math.max(0, deadline - Date.now()));
+    })
+  ]).finally(() => clearTimeout(deadlineTimer));
+}
+
+/**
+ * Stop the flusher, let running logMessage calls finish, and store as much of
+ * the spool as possible (ignoring retry delays) before shutting down. Entries
+ * left over stay on disk and are stored after the next start.
+ * @param {number} timeoutMs - Time allowed for draining
+ * @returns {Promise<number>} Entries left in the spool
+ */
+async function drainSpool(timeoutMs) {
+  stopSpoolFlusher();
+  if (!pending) return 0;
+
+  const deadline = Date.now() + timeoutMs;
+  await settleBy(Promise.all([...activeWrites, flushing].filter(Boolean).map(p => p.catch(() => {}))), deadline);
+
+  if (pending.size > 0 && Date.now() < deadline) {
+    for (const id of pending.keys()) {
+      pending.set(id, 0);
+    }
+    await settleBy(flushSpool(), deadline);
+  }
+
+  return pending.size;
+}
+
+/**
+ * Queue every dead-lettered entry again with a fresh set of attempts.
+ * Unreadable files are left in the dead-letter directory for inspection.
+ * @returns {Promise<Object>} { requeued, unreadable } entry counts
+ */
+async function requeueDeadLetters() {
+  await load();
+  let requeued = 0;
+  let unreadable = 0;
+
+  for (const id of [...deadLetters].sort()) {
+    let entry = null;
+    try {
+      entry = await readEntry(DEAD_LETTER_DIR, id);
+    } catch (error) {
+      logger.warn('Skipped unreadable dead-lettered spool entry', { entryId: id, error: error.message });
+      unreadable++;
+      continue;
+    }
+    const { deadLetteredAt, ...rest } = entry;
+
+    await writeEntry(PENDING_DIR, { ...rest, attempts: 0, nextAttemptAt: null });
+    await fs.promises.unlink(path.join(DEAD_LETTER_DIR, `${id}.json`));
+    deadLetters.delete(id);
+    pending.set(id, 0);
+    requeued++;
+  }
+
+  updateGauges();
+
+  if (requeued > 0 && timer) {
+    flushSpool().catch(error => logger.error('Spool flush failed', { error }));
+  }
+
+  return { requeued, unreadable };
+}
+
+/**
+ * Find the waiting and dead-lettered entries whose message was sent by or in
+ * one of the given users/chats. Entries being stored right now are skipped
+ * (they are about to become messages), and unreadable files can't be checked.
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Array<string>} subjectIds - User/chat IDs
+ * @returns {Promise<Object>} { matches: [{ dir, ids, entry }], unreadable }
+ */
+async function findSubjectEntries(platform, subjectIds) {
+  await load();
+  const subjects = new Set(subjectIds.map(String));
+  const matches = [];
+  let unreadable = 0;
+
+  const isSubject = (entry) => {
+    const message = entry.message || {};
+    return entry.platform === platform
+      && (subjects.has(String(message.user_id)) || subjects.has(String(message.chat_id)));
+  };
+
+  for (const [dir, ids] of [[PENDING_DIR, pending], [DEAD_LETTER_DIR, deadLetters]]) {
+    for (const id of [...ids.keys()]) {
+      if (inFlight.has(id)) continue;
+
+      let entry = null;
+      try {
+        entry = await readEntry(dir, id);
+      } catch (error) {
+        // Stored or removed since the listing was taken
+        if (error.code === 'ENOENT') continue;
+        unreadable++;
+        continue;
+      }
+      if (isSubject(entry)) matches.push({ dir, ids, entry });
+    }
+  }
+
+  if (unreadable > 0) {
+    logger.warn(`⚠️ ${unreadable} unreadable spool entry file(s) could not be checked for a user`, { directory: SPOOL_DIR });
+  }
+  return { matches, unreadable };
+}
+
+/**
+ * List the waiting and dead-lettered entries about the given users/chats
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Array<string>} subjectIds - User/chat IDs
+ * @returns {Promise<Object>} { entries, unreadable }; each entry has a state of 'pending' or 'dead_letter'
+ */
+async function getSpoolSubjectEntries(platform, subjectIds) {
+  const { matches, unreadable } = await findSubjectEntries(platform, subjectIds);
+
+  return {
+    entries: matches.map(({ dir, entry }) => ({
+      state: dir === PENDING_DIR ? 'pending' : 'dead_letter',
+      ...entry
+    })),
+    unreadable
+  };
+}
+
+/**
+ * Remove every waiting and dead-lettered entry whose message was sent by or
+ * in one of the given users/chats
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Array<string>} subjectIds - User/chat IDs
+ * @returns {Promise<Object>} { removed, unreadable } entry counts
+ */
+async function forgetSpoolSubjects(platform, subjectIds) {
+  const { matches, unreadable } = await findSubjectEntries(platform, subjectIds);
+
+  for (const { dir, ids, entry } of matches) {
+    await fs.promises.unlink(path.join(dir, `${entry.id}.json`)).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    ids.delete(entry.id);
+  }
+
+  updateGauges();
+  return { removed: matches.length, unreadable };
+}
+
+/**
+ * Spool backlog and flusher state
+ * @returns {Promise<Object>} Spool status
+ */
+async function getSpoolStatus() {
+  await load();
+  const oldest = [...pending.keys()].sort()[0];
+
+  return {
+    pending: pending.size,
+    inFlight: inFlight.size,
+    deadLetters: deadLetters.size,
+    oldestPendingAt: oldest ? spooledAt(oldest) : null,
+    flusherRunning: Boolean(timer),
+    databaseReachable: !databaseDown,
+    lastFlushAt,
+    lastError,
+    maxAttempts: SPOOL_MAX_ATTEMPTS
+  };
+}
+
+module.exports = {
+  spoolAndStore,
+  flushSpool,
+  startSpoolFlusher,
+  stopSpoolFlusher,
+  trackWrite,
+  drainSpool,
+  requeueDeadLetters,
+  getSpoolSubjectEntries,
+  forgetSpoolSubjects,
+  getSpoolStatus
+};
@@ -0,0 +1,80 @@
+/**
+ * Storage adapter selection
+ * Picks the storage backend from configuration so the bots, routes and
+ * dashboard can run against Supabase or a local SQLite database
+ *
+ * Every adapter implements the same interface:
+ * - insert(table, rows) -> inserted rows
+ * - upsert(table, rows, { onConflict }) -> upserted rows
+ * - select(table, { columns, filters, order, limit, offset, count, head }) -> { rows, count }
+ * - countBy(table, column, filters) -> [{ value, count }] per distinct column value
+ * - update(table, filters, patch) -> updated rows
+ * - remove(table, filters) -> deleted rows
+ * - ping() -> resolves when the database is reachable
+ *
+ * Filters are arrays of { column, op, value } conditions combined with AND,
+ * where op is one of eq, neq, gt, gte, lt, lte, ilike, in, nin, is, isnot.
+ * An { or: [[...conditions], [...conditions]] } entry matches if any group matches.
+ */
+
+require('dotenv').config();
+const { instrumentStorage } = require('../metrics');
+
+const STORAGE_DRIVERS = ['supabase', 'sqlite'];
+
+let storage = null;
+
+/**
+ * Create the storage adapter configured by STORAGE_DRIVER
+ * @returns {Object} Storage adapter (instrumented for /metrics)
+ */
+function createStorage() {
+  const driver = (process.env.STORAGE_DRIVER || 'supabase').toLowerCase();
+
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`Unsupported STORAGE_DRIVER "${driver}". Use one of: ${STORAGE_DRIVERS.join(', ')}`);
+  }
+
+  let adapter;
+
+  if (driver === 'sqlite') {
+    const { createSqliteStorage } = require('./sqlite');
+    adapter = createSqliteStorage({
+      filename: process.env.SQLITE_PATH || './data/learning-ai-assistant.sqlite'
+    });
+  } else {
+    const { createSupabaseStorage } = require('./supabase');
+    adapter = createSupabaseStorage({
+      url: process.env.SUPABASE_URL,
+      serviceKey: process.env.SUPABASE_SERVICE_KEY
+    });
+  }
+
+  // Time every query for /metrics
+  return instrumentStorage(adapter, driver);
+}
+
+/**
+ * Get the shared storage adapter, creating it on first use
+ * @returns {Object} Storage adapter
+ */
+function getStorage() {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+}
+
+/**
+ * Replace the shared storage adapter (useful for tests)
+ * @param {Object|null} adapter - Storage adapter, or null to reset
+ */
+function setStorage(adapter) {
+  storage = adapter;
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,366 @@
+/**
+ * Storage schema definitions
+ * Describes every table the storage adapters work with. The SQLite adapter
+ * builds its tables from this file; the Supabase schema lives in the README.
+ *
+ * Column types:
+ * - id: auto-incrementing primary key
+ * - text, integer, boolean, timestamp
+ * - json: structured data (JSONB in Postgres, serialized TEXT in SQLite)
+ */
+
+const TABLES = {
+  messages: {
+    columns: {
+      id: 'id',
+      platform: 'text',
+      platform_message_id: 'text',
+      user_id: 'text',
+      username: 'text',
+      message_text: 'text',
+      message_type: 'text',
+      thread_id: 'text',
+      chat_id: 'text',
+      conversation_id: 'integer',
+      raw_data: 'json',
+      attachment_count: 'integer',
+      redaction_report: 'json',
+      encrypted_original: 'text',
+      is_deleted: 'boolean',
+      edited_at: 'timestamp',
+      deleted_at: 'timestamp',
+      trash_batch_id: 'text',
+      trashed_at: 'timestamp',
+      opted_out_at: 'timestamp',
+      created_at: 'timestamp',
+      updated_at: 'timestamp'
+    },
+    indexes: [
+      ['platform'],
+      ['created_at'],
+      ['user_id'],
+      ['message_type'],
+      ['conversation_id'],
+      ['platform', 'platform_message_id'],
+      ['platform', 'chat_id'],
+      ['trash_batch_id']
+    ]
+  },
+
+  message_revisions: {
+    columns: {
+      id: 'id',
+      message_id: 'integer',
+      platform: 'text',
+      user_id: 'text',
+      revision_type: 'text',
+      previous_text: 'text',
+      new_text: 'text',
+      raw_data: 'json',
+      encrypted_original: 'text',
+      created_at: 'timestamp'
+    },
+    indexes: [
+      ['message_id'],
+      ['platform', 'user_id']
+    ]
+  },
+
+  attachments: {
+    columns: {
+      id: 'id',
+      message_id: 'integer',
+      platform: 'text',
+      attachment_type: 'text',
+      platform_file_id: 'text',
+      file_name: 'text',
+      mime_type: 'text',
+      file_size: 'integer',
+      width: 'integer',
+      height: 'integer',
+      duration: 'integer',
+      url: 'text',
+      storage_path: 'text',
+      download_status: 'text',
+      created_at: 'timestamp',
+      updated_at: 'timestamp'
+    },
+    indexes: [
+      ['message_id'],
+      ['download_status']
+    ]
+  },
+
+  conversations: {
+    columns: {
+      id: 'id',
+      platform: 'text',
+      chat_id: 'text',
+      user_id: 'text',
+      username: 'text',
+      participants: 'json',
+      first_message_at: 'timestamp',
+      last_message_at: 'timestamp',
+      status: 'text',
+      created_at: 'timestamp',
+      updated_at: 'timestamp'
+    },
+    unique: [
+      ['platform', 'chat_id']
+    ],
+    indexes: [
+      ['last_message_at'],
+      ['user_id'],
+      ['status']
+    ]
+  },
+
+  user_consent: {
+    columns: {
+      id: 'id',
+      platform: 'text',
+      user_id: 'text',
+      chat_id: 'text',
+      username: 'text',
+      status: 'text',
+      created_at: 'timestamp',
+      updated_at: 'timestamp'
+    },
+    unique: [
+      ['platform', 'user_id']
+    ],
+    indexes: [
+      ['status']
+    ]
+  },
+
+  blocked_users: {
+    columns: {
+      id: 'id',
+      platform: 'text',
+      user_id: 'text',
+      username: 'text',
+      blocked_by: 'text',
+      created_at: 'timestamp'
+    },
+    unique: [
+      ['platform', 'user_id']
+    ]
+  },
+
+  data_requests: {
+    columns: {
+      id: 'id',
+      receipt_id: 'text',
+      request_type: 'text',
+      platform: 'text',
+      subject_hash: 'text',
+      source: 'text',
+      summary: 'json',
+      created_at: 'timestamp'
+    },
+    unique: [
+      ['receipt_id']
+    ],
+    indexes: [
+      ['subject_hash'],
+      ['request_type']
+    ]
+  },
+
+  trash_batches: {
+    columns: {
+      id: 'id',
+      batch_id: 'text',
+      filters: 'json',
+      message_count: 'integer',
+      status: 'text',
+      expires_at: 'timestamp',
+      restored_at: 'timestamp',
+      purged_at: 'timestamp',
+      created_at: 'timestamp',
+      updated_at: 'timestamp'
+    },
+    unique: [
+      ['batch_id']
+    ],
+    indexes: [
+      ['status', 'expires_at']
+    ]
+  },
+
+  retention_runs: {
+    columns: {
+      id: 'id',
+      rule_name: 'text',
+      rule: 'json',
+      cutoff: 'timestamp',
+      deleted_count: 'integer',
+      triggered_by: 'text',
+      status: 'text',
+      error: 'text',
+      started_at: 'timestamp',
+      finished_at: 'timestamp',
+      created_at: 'timestamp'
+    },
+    indexes: [
+      ['rule_name']
+    ]
+  },
+
+  audit_log: {
+    columns: {
+      id: 'id',
+      action: 'text',
+      actor_type: 'text',
+      actor_id: 'text',
+      actor_name: 'text',
+      target: 'text',
+      filters: 'json',
+      affected_count: 'integer',
+      details: 'json',
+      created_at: 'timestamp'
+    },
+    indexes: [
+      ['action'],
+      ['actor_type', 'actor_id'],
+      ['created_at']
+    ]
+  },
+
+  accounts: {
+    columns: {
+      id: 'id',
+      username: 'text',
+      password_hash: 'text',
+      role: 'text',
+      disabled: 'boolean',
+      last_login_at: 'timestamp',
+      created_at: 'timestamp',
+      updated_at: 'timestamp'
+    },
+    unique: [
+      ['username']
+    ]
+  },
+
+  sessions: {
+    columns: {
+      id: 'id',
+      token_hash: 'text',
+      account_id: 'integer',
+      ip: 'text',
+      user_agent: 'text',
+      expires_at: 'timestamp',
+      last_seen_at: 'timestamp',
+      created_at: 'timestamp'
+    },
+    unique: [
+      ['token_hash']
+    ],
+    indexes: [
+      ['account_id'],
+      ['expires_at']
+    ]
+  },
+
+  api_tokens: {
+    columns: {
+      id: 'id',
+      name: 'text',
+      token_hash: 'text',
+      token_prefix: 'text',
+      scopes: 'json',
+      rate_limit: 'integer',
+      created_by: 'integer',
+      expires_at: 'timestamp',
+      revoked_at: 'timestamp',
+      last_used_at: 'timestamp',
+      last_used_ip: 'text',
+      created_at: 'timestamp'
+    },
+    unique: [
+      ['token_hash']
+    ]
+  },
+
+  webhooks: {
+    columns: {
+      id: 'id',
+      name: 'text',
+      url: 'text',
+      events: 'json',
+      secret: 'text',
+      enabled: 'boolean',
+      created_by: 'integer',
+      created_at: 'timestamp',
+      updated_at: 'timestamp'
+    }
+  },
+
+  webhook_deliveries: {
+    columns: {
+      id: 'id',
+      webhook_id: 'integer',
+      event: 'text',
+      payload: 'json',
+      platform: 'text',
+      user_id: 'text',
+      chat_id: 'text',
+      message_id: 'integer',
+      status: 'text',
+      attempts: 'integer',
+      next_attempt_at: 'timestamp',
+      response_status: 'integer',
+      last_error: 'text',
+      delivered_at: 'timestamp',
+      created_at: 'timestamp'
+    },
+    indexes: [
+      ['status', 'next_attempt_at'],
+      ['webhook_id'],
+      ['message_id'],
+      ['platform', 'user_id'],
+      ['platform', 'chat_id'],
+      ['created_at']
+    ]
+  },
+
+  conversation_routes: {
+    columns: {
+      id: 'id',
+      platform: 'text',
+      route_type: 'text',
+      route_key: 'text',
+      route_value: 'json',
+      subject_id: 'text',
+      created_at: 'timestamp',
+      updated_at: 'timestamp'
+    },
+    unique: [
+      ['platform', 'route_type', 'route_key']
+    ],
+    indexes: [
+      ['platform', 'route_type'],
+      ['subject_id']
+    ]
+  }
+};
+
+/**
+ * Get the definition of a table
+ * @param {string} table - Table name
+ * @returns {Object} Table definition
+ */
+function getTable(table) {
+  const definition = TABLES[table];
+  if (!definition) {
+    throw new Error(`Unknown table: ${table}`);
+  }
+  return definition;
+}
+
+module.exports = {
+  TABLES,
+  getTable
+};
@@ -0,0 +1,300 @@
+/**
+ * SQLite storage adapter
+ * Local file-backed implementation of the storage interface for offline
+ * development, demos and automated tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { TABLES, getTable } = require('./schema');
+
+const COLUMN_TYPES = {
+  id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  text: 'TEXT',
+  integer: 'INTEGER',
+  boolean: 'INTEGER',
+  json: 'TEXT',
+  timestamp: 'TEXT'
+};
+
+const COMPARISON_OPERATORS = {
+  eq: '=',
+  neq: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  ilike: 'LIKE'
+};
+
+/**
+ * Create tables, columns and indexes that don't exist yet
+ * @param {Database} db - SQLite connection
+ */
+function createSchema(db) {
+  for (const [table, definition] of Object.entries(TABLES)) {
+    const columns = Object.entries(definition.columns).map(([column, type]) => {
+      let sql = `${column} ${COLUMN_TYPES[type]}`;
+      if (type === 'timestamp' && (column === 'created_at' || column === 'updated_at')) {
+        sql += ` DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`;
+      }
+      return sql;
+    });
+
+    for (const unique of definition.unique || []) {
+      columns.push(`UNIQUE (${unique.join(', ')})`);
+    }
+
+    db.exec(`CREATE TABLE IF NOT EXISTS ${table} (${columns.join(', ')})`);
+
+    // Add columns introduced after the database file was created
+    const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(({ name }) => name));
+    for (const [column, type] of Object.entries(definition.columns)) {
+      if (!existing.has(column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${COLUMN_TYPES[type]}`);
+      }
+    }
+
+    for (const index of definition.indexes || []) {
+      db.exec(`CREATE INDEX IF NOT EXISTS idx_${table}_${index.join('_')} ON ${table} (${index.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Create a SQLite-backed storage adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.filename - Database file path (':memory:' for in-memory)
+ * @returns {Object} Storage adapter
+ */
+function createSqliteStorage({ filename }) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  createSchema(db);
+
+  /**
+   * Make sure a column exists on a table before using it in SQL
+   */
+  function assertColumn(table, column) {
+    if (!getTable(table).columns[column]) {
+      throw new Error(`Unknown column "${column}" on table "${table}"`);
+    }
+  }
+
+  /**
+   * Convert a JavaScript value to its SQLite representation
+   */
+  function toSqlValue(table, column, value) {
+    if (value === undefined || value === null) return null;
+
+    const type = getTable(table).columns[column];
+    if (type === 'json') return JSON.stringify(value);
+    if (type === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+  }
+
+  /**
+   * Convert a SQLite row back to its JavaScript representation
+   */
+  function fromSqlRow(table, row) {
+    const { columns } = getTable(table);
+    const result = {};
+
+    for (const [column, value] of Object.entries(row)) {
+      const type = columns[column];
+      if (value !== null && type === 'json') {
+        result[column] = JSON.parse(value);
+      } else if (value !== null && type === 'boolean') {
+        result[column] = value === 1;
+      } else {
+        result[column] = value;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Build a SQL condition for a single filter
+   */
+  function buildCondition(table, { column, op, value }, params) {
+    assertColumn(table, column);
+
+    if (COMPARISON_OPERATORS[op]) {
+      params.push(toSqlValue(table, column, value));
+      return `${column} ${COMPARISON_OPERATORS[op]} ?`;
+    }
+
+    if (op === 'in' || op === 'nin') {
+      if (value.length === 0) {
+        return op === 'in' ? '0' : '1';
+      }
+      params.push(...value.map(item => toSqlValue(table, column, item)));
+      return `${column} ${op === 'in' ? 'IN' : 'NOT IN'} (${value.map(() => '?').join(', ')})`;
+    }
+
+    if (op === 'is' || op === 'isnot') {
+      if (value === null) {
+        return `${column} ${op === 'is' ? 'IS NULL' : 'IS NOT NULL'}`;
+      }
+      params.push(toSqlValue(table, column, value));
+      return `${column} ${op === 'is' ? 'IS' : 'IS NOT'} ?`;
+    }
+
+    throw new Error(`Unsupported filter operator: ${op}`);
+  }
+
+  /**
+   * Build a WHERE clause from filter conditions
+   */
+  function buildWhere(table, filters = [], params) {
+    const conditions = filters.map(filter => {
+      if (filter.or) {
+        const groups = filter.or.map(group => (
+          `(${group.map(condition => buildCondition(table, condition, params)).join(' AND ')})`
+        ));
+        return `(${groups.join(' OR ')})`;
+      }
+      return buildCondition(table, filter, params);
+    });
+
+    return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  }
+
+  /**
+   * Build an INSERT statement for one row
+   */
+  function buildInsert(table, row, params) {
+    const columns = Object.keys(row).filter(column => row[column] !== undefined);
+    columns.forEach(column => assertColumn(table, column));
+    params.push(...columns.map(column => toSqlValue(table, column, row[column])));
+
+    if (columns.length === 0) {
+      return `INSERT INTO ${table} DEFAULT VALUES`;
+    }
+    return `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+  }
+
+  return {
+    name: 'sqlite',
+    db,
+
+    async insert(table, rows) {
+      const list = Array.isArray(rows) ? rows : [rows];
+
+      const insertAll = db.transaction(() => list.map(row => {
+        const params = [];
+        const sql = `${buildInsert(table, row, params)} RETURNING *`;
+        return fromSqlRow(table, db.prepare(sql).get(...params));
+      }));
+
+      return insertAll();
+    },
+
+    async upsert(table, rows, { onConflict }) {
+      const list = Array.isArray(rows) ? rows : [rows];
+      onConflict.forEach(column => assertColumn(table, column));
+
+      const upsertAll = db.transaction(() => list.map(row => {
+        const params = [];
+        const updates = Object.keys(row)
+          .filter(column => row[column] !== undefined && !onConflict.includes(column))
+          .map(column => `${column} = excluded.${column}`);
+        const action = updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING';
+        const sql = `${buildInsert(table, row, params)} ON CONFLICT (${onConflict.join(', ')}) ${action} RETURNING *`;
+        const result = db.prepare(sql).get(...params);
+        return result ? fromSqlRow(table, result) : null;
+      }).filter(Boolean));
+
+      return upsertAll();
+    },
+
+    async select(table, options = {}) {
+      const {
+        columns = '*',
+        filters = [],
+        order = [],
+        limit,
+        offset = 0,
+        count = false,
+        head = false
+      } = options;
+
+      const selected = columns === '*'
+        ? ['*']
+        : columns.split(',').map(column => column.trim());
+      selected.filter(column => column !== '*').forEach(column => assertColumn(table, column));
+
+      const whereParams = [];
+      const where = buildWhere(table, filters, whereParams);
+
+      let total = null;
+      if (count || head) {
+        total = db.prepare(`SELECT COUNT(*) AS total FROM ${table}${where}`).get(...whereParams).total;
+      }
+
+      if (head) {
+        return { rows: [], count: total };
+      }
+
+      let sql = `SELECT ${selected.join(', ')} FROM ${table}${where}`;
+      const params = [...whereParams];
+
+      if (order.length > 0) {
+        order.forEach(({ column }) => assertColumn(table, column));
+        sql += ` ORDER BY ${order.map(({ column, ascending = true }) => `${column} ${ascending ? 'ASC' : 'DESC'}`).join(', ')}`;
+      }
+
+      if (limit !== undefined) {
+        sql += ' LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+      }
+
+      const rows = db.prepare(sql).all(...params).map(row => fromSqlRow(table, row));
+      return { rows, count: total };
+    },
+
+    async countBy(table, column, filters = []) {
+      assertColumn(table, column);
+
+      const params = [];
+      const where = buildWhere(table, filters, params);
+
+      return db.prepare(`SELECT ${column}, COUNT(*) AS count FROM ${table}${where} GROUP BY ${column}`)
+        .all(...params)
+        .map(({ count, ...row }) => ({ value: fromSqlRow(table, row)[column], count }));
+    },
+
+    async update(table, filters, patch) {
+      const columns = Object.keys(patch).filter(column => patch[column] !== undefined);
+      columns.forEach(column => assertColumn(table, column));
+
+      const params = columns.map(column => toSqlValue(table, column, patch[column]));
+      const where = buildWhere(table, filters, params);
+      const sql = `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')}${where} RETURNING *`;
+
+      return db.prepare(sql).all(...params).map(row => fromSqlRow(table, row));
+    },
+
+    async remove(table, filters) {
+      const params = [];
+      const where = buildWhere(table, filters, params);
+
+      return db.prepare(`DELETE FROM ${table}${where} RETURNING *`)
+        .all(...params)
+        .map(row => fromSqlRow(table, row));
+    },
+
+    async ping() {
+      db.prepare('SELECT 1').get();
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,264 @@
+/**
+ * Supabase storage adapter
+ * Implements the storage interface on top of the Supabase client
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+// Rows per request when tallying counts (the PostgREST default row limit)
+const COUNT_PAGE_SIZE = 1000;
+
+/**
+ * Quote a value for use inside a PostgREST logic tree (or/and)
+ * @param {*} value - Filter value
+ * @returns {string} Quoted value
+ */
+function formatLogicValue(value) {
+  if (value === null || value === true || value === false) {
+    return String(value);
+  }
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Convert a single filter condition to PostgREST logic tree syntax
+ * @param {Object} condition - Filter condition
+ * @returns {string} PostgREST condition
+ */
+function toLogicCondition({ column, op, value }) {
+  if (op === 'in' || op === 'nin') {
+    const list = `(${value.map(formatLogicValue).join(',')})`;
+    return op === 'in' ? `${column}.in.${list}` : `${column}.not.in.${list}`;
+  }
+  if (op === 'isnot') {
+    return `${column}.not.is.${formatLogicValue(value)}`;
+  }
+  return `${column}.${op}.${formatLogicValue(value)}`;
+}
+
+/**
+ * Apply filter conditions to a Supabase query
+ * @param {Object} query - Supabase query builder
+ * @param {Array<Object>} filters - Filter conditions
+ * @returns {Object} Query builder with filters applied
+ */
+function applyFilters(query, filters = []) {
+  for (const filter of filters) {
+    if (filter.or) {
+      const groups = filter.or.map(group => (
+        group.length === 1
+          ? toLogicCondition(group[0])
+          : `and(${group.map(toLogicCondition).join(',')})`
+      ));
+      query = query.or(groups.join(','));
+      continue;
+    }
+
+    const { column, op, value } = filter;
+
+    switch (op) {
+      case 'eq':
+      case 'neq':
+      case 'gt':
+      case 'gte':
+      case 'lt':
+      case 'lte':
+      case 'ilike':
+      case 'in':
+      case 'is':
+        query = query[op](column, value);
+        break;
+      case 'nin':
+        query = query.not(column, 'in', `(${value.map(formatLogicValue).join(',')})`);
+        break;
+      case 'isnot':
+        query = query.not(column, 'is', value);
+        break;
+      default:
+        throw new Error(`Unsupported filter operator: ${op}`);
+    }
+  }
+
+  return query;
+}
+
+/**
+ * Create a Supabase-backed storage adapter
+ * @param {Object} options - Adapter options
+ * @param {string} options.url - Supabase project URL
+ * @param {string} options.serviceKey - Supabase service role key
+ * @returns {Object} Storage adapter
+ */
+function createSupabaseStorage({ url, serviceKey }) {
+  if (!url || !serviceKey) {
+    throw new Error('Missing required environment variable: SUPABASE_URL and SUPABASE_SERVICE_KEY are required for the supabase storage driver');
+  }
+
+  // Initialize Supabase client with service key for backend operations
+  const client = createClient(url, serviceKey, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+
+  return {
+    name: 'supabase',
+    client,
+
+    /**
+     * Insert rows into a table
+     * @param {string} table - Table name
+     * @param {Object|Array<Object>} rows - Row or rows to insert
+     * @returns {Promise<Array<Object>>} Inserted rows
+     */
+    async insert(table, rows) {
+      const { data, error } = await client
+        .from(table)
+        .insert(rows)
+        .select();
+
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * Insert rows, updating existing rows that collide on a unique key
+     * @param {string} table - Table name
+     * @param {Object|Array<Object>} rows - Row or rows to upsert
+     * @param {Object} options - Upsert options
+     * @param {Array<string>} options.onConflict - Unique key columns
+     * @returns {Promise<Array<Object>>} Upserted rows
+     */
+    async upsert(table, rows, { onConflict }) {
+      const { data, error } = await client
+        .from(table)
+        .upsert(rows, { onConflict: onConflict.join(',') })
+        .select();
+
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * Select rows from a table
+     * @param {string} table - Table name
+     * @param {Object} options - Query options
+     * @param {string} options.columns - Columns to select (default: '*')
+     * @param {Array<Object>} options.filters - Filter conditions
+     * @param {Array<Object>} options.order - Sort order ({ column, ascending })
+     * @param {number} options.limit - Maximum rows to return
+     * @param {number} options.offset - Rows to skip
+     * @param {boolean} options.count - Include an exact count of matching rows
+     * @param {boolean} options.head - Only count, don't return rows
+     * @returns {Promise<Object>} Rows and optional count
+     */
+    async select(table, options = {}) {
+      const {
+        columns = '*',
+        filters = [],
+        order = [],
+        limit,
+        offset = 0,
+        count = false,
+        head = false
+      } = options;
+
+      let query = client
+        .from(table)
+        .select(columns, count || head ? { count: 'exact', head } : undefined);
+
+      query = applyFilters(query, filters);
+
+      for (const { column, ascending = true } of order) {
+        query = query.order(column, { ascending });
+      }
+
+      if (limit !== undefined) {
+        query = query.range(offset, offset + limit - 1);
+      }
+
+      const { data, error, count: total } = await query;
+
+      if (error) throw error;
+      return { rows: data || [], count: total ?? null };
+    },
+
+    /**
+     * Count the rows matching the filters per value of a column. PostgREST
+     * only groups when aggregates are enabled, so the column is read in
+     * pages and tallied here.
+     * @param {string} table - Table name
+     * @param {string} column - Column to group by
+     * @param {Array<Object>} filters - Filter conditions
+     * @returns {Promise<Array<Object>>} { value, count } per distinct value
+     */
+    async countBy(table, column, filters = []) {
+      const counts = new Map();
+
+      for (let offset = 0; ; offset += COUNT_PAGE_SIZE) {
+        let query = client.from(table).select(column);
+        query = applyFilters(query, filters).order('id').range(offset, offset + COUNT_PAGE_SIZE - 1);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        for (const row of data || []) {
+          counts.set(row[column], (counts.get(row[column]) || 0) + 1);
+        }
+
+        if (!data || data.length < COUNT_PAGE_SIZE) break;
+      }
+
+      return [...counts].map(([value, count]) => ({ value, count }));
+    },
+
+    /**
+     * Update rows matching the filters
+     * @param {string} table - Table name
+     * @param {Array<Object>} filters - Filter conditions
+     * @param {Object} patch - Column values to set
+     * @returns {Promise<Array<Object>>} Updated rows
+     */
+    async update(table, filters, patch) {
+      let query = client.from(table).update(patch);
+      query = applyFilters(query, filters);
+
+      const { data, error } = await query.select();
+
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * Delete rows matching the filters
+     * @param {string} table - Table name
+     * @param {Array<Object>} filters - Filter conditions
+     * @returns {Promise<Array<Object>>} Deleted rows
+     */
+    async remove(table, filters) {
+      let query = client.from(table).delete();
+      query = applyFilters(query, filters);
+
+      const { data, error } = await query.select();
+
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * Check that the database is reachable
+     * @returns {Promise<void>}
+     */
+    async ping() {
+      const { error } = await client
+        .from('messages')
+        .select('count')
+        .limit(1);
+
+      if (error) throw error;
+    }
+  };
+}
+
+module.exports = { createSupabaseStorage };
@@ -1,10 +1,24 @@
 /**
  * Telegram Bot Implementation
- * Forwards messages to a group with topics for organized conversations
+ * Forwards messages to a group with topics for organized conversations.
+ * Updates arrive through a webhook when TELEGRAM_WEBHOOK_URL is set, and by
+ * long polling otherwise.
  */
 
+const crypto = require('crypto');
 const TelegramBot = require('node-telegram-bot-api');
-const { logMessage } = require('./supabase');
+const { logMessage } = require('./database');
+const { recordMessageEdit } = require('./revisions');
+const { setFileUrlResolver } = require('./attachments');
+const { FORWARD_OPTED_OUT, isOptedOut } = require('./consent');
+const { CONSENT_COMMAND_PATTERN, parseConsentCommand, runConsentCommand } = require('./consentCommands');
+const { RouteMap, restoreRouteMaps, revivePendingReply } = require('./routing');
+const { platformActor, recordAudit } = require('./audit');
+const { emitWebhookEvent } = require('./webhooks');
+const { metrics, observeReplyLatency } = require('./metrics');
+const { createLogger, withCorrelationId } = require('./logger');
+
+const logger = createLogger('telegram');
 
 // Validate required environment variables
 if (!process.env.TELEGRAM_BOT_TOKEN) {
@@ -15,36 +29,72 @@ if (!process.env.TELEGRAM_BOT_TOKEN) {
 const MANAGEMENT_CHAT_ID = process.env.MANAGEMENT_CHAT_ID || process.env.PERSONAL_TELEGRAM_ID || null;
 const USE_TOPICS = process.env.USE_TOPICS === 'true'; // Enable topic-based organization
 
-// Initialize bot
+// Webhook mode: Telegram POSTs updates to this public HTTPS URL (served by /webhook/telegram)
+const WEBHOOK_URL = process.env.TELEGRAM_WEBHOOK_URL || null;
+// Sent back by Telegram in X-Telegram-Bot-Api-Secret-Token; derived from the bot token unless set
+const WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET
+  || crypto.createHash('sha256').update(process.env.TELEGRAM_BOT_TOKEN).digest('hex');
+
+if (!/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET)) {
+  throw new Error('TELEGRAM_WEBHOOK_SECRET must be 1-256 letters, digits, underscores or dashes');
+}
+
+// Initialize bot (updates are received once routing state has been restored)
 const bot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, {
   polling: {
     interval: 1000,
-    autoStart: true,
+    autoStart: false,
     params: {
       timeout: 30
     }
   }
 });
 
-// Store conversation mappings
+// Polling and the webhook both hand updates to processUpdate: tag everything
+// logged while handling an update (down to logMessage and forwarding) with its ID
+const processUpdate = bot.processUpdate.bind(bot);
+bot.processUpdate = (update) => {
+  lastUpdateAt = new Date();
+  return withCorrelationId(`telegram-${update.update_id}`, () => processUpdate(update));
+};
+
+// Long polling calls getUpdates in a loop: remember when it last succeeded
+const getUpdates = bot.getUpdates.bind(bot);
+bot.getUpdates = async (...args) => {
+  const updates = await getUpdates(...args);
+  lastPollAt = new Date();
+  return updates;
+};
+
+// Telegram only sends file IDs, so attachment downloads look up the file link through the bot
+setFileUrlResolver('telegram', (attachment) => bot.getFileLink(attachment.platform_file_id));
+
+// Store conversation mappings (persisted so routing survives restarts)
 const conversationMap = new Map(); // Maps your personal messages to original chat IDs
-const pendingReplies = new Map(); // Maps original chat IDs to user info for context
-const forwardedMessageMap = new Map(); // Maps forwarded message IDs to original chat IDs
-const userTopics = new Map(); // Maps user chat IDs to their topic thread IDs
-const topicUsers = new Map(); // Maps topic thread IDs to user chat IDs (reverse lookup)
+const pendingReplies = new RouteMap('telegram', 'pending_reply', { revive: revivePendingReply, memoryOnly: ['originalMessage'] }); // Maps original chat IDs to user info for context (the message text is not persisted)
+const forwardedMessageMap = new RouteMap('telegram', 'forwarded_message', { subjectOf: (messageId, chatId) => chatId }); // Maps forwarded message IDs to original chat IDs
+const userTopics = new RouteMap('telegram', 'user_topic'); // Maps user chat IDs to their topic thread IDs
+const topicUsers = new RouteMap('telegram', 'topic_user', { subjectOf: (topicId, chatId) => chatId }); // Maps topic thread IDs to user chat IDs (reverse lookup)
 let managementChatVerified = false; // Track if management chat is working
+let webhookActive = false; // Whether updates currently arrive through the webhook
+let lastUpdateAt = null; // When the last update was received
+let lastPollAt = null; // When getUpdates last succeeded (polling mode)
+let lastPollingError = null; // Latest polling error, for the readiness check
+
+// A successful poll older than this means polling is stuck (long polls last 30 seconds)
+const POLL_STALE_MS = 2 * 60 * 1000;
 
 /**
  * Test connection to management chat (personal or group)
  */
 async function testManagementChat() {
   if (!MANAGEMENT_CHAT_ID) {
-    console.log('⚠️ MANAGEMENT_CHAT_ID not set in .env file');
+    logger.warn('⚠️ MANAGEMENT_CHAT_ID not set in .env file');
     return false;
   }
 
   try {
-    console.log(`🔍 Testing connection to management chat: ${MANAGEMENT_CHAT_ID}`);
+    logger.info('🔍 Testing connection to management chat', { chatId: MANAGEMENT_CHAT_ID });
     
     const testMessage = `🤖 Bot Setup Complete!
 
@@ -64,23 +114,26 @@ ${USE_TOPICS ? `🧵 *Topic Mode Enabled:*
 ${USE_TOPICS ? '/topics - List all user topics' : ''}`;
     
     await bot.sendMessage(MANAGEMENT_CHAT_ID, testMessage);
-    console.log('✅ Management chat connection successful!');
+    logger.info('✅ Management chat connection successful!');
     managementChatVerified = true;
     return true;
     
   } catch (error) {
-    console.error('❌ Failed to send test message to management chat:', error.message);
     managementChatVerified = false;
     
-    if (error.message.includes('chat not found')) {
-      console.log('\n🔧 TROUBLESHOOTING:');
-      console.log('1. For personal chat: Send /start to your bot first');
-      console.log('2. For group: Add the bot to your group and make it admin');
-      console.log('3. Get chat ID and add MANAGEMENT_CHAT_ID=your_chat_id to .env');
-      console.log('4. For topics: Enable "Topics" in group settings');
-      console.log('5. Add USE_TOPICS=true to .env file');
-      console.log('6. Restart the server\n');
-    }
+    logger.error('❌ Failed to send test message to management chat', {
+      error: error.message,
+      ...(error.message.includes('chat not found') && {
+        troubleshooting: [
+          'For personal chat: Send /start to your bot first',
+          'For group: Add the bot to your group and make it admin',
+          'Get chat ID and add MANAGEMENT_CHAT_ID=your_chat_id to .env',
+          'For topics: Enable "Topics" in group settings',
+          'Add USE_TOPICS=true to .env file',
+          'Restart the server'
+        ]
+      })
+    });
     
     return false;
   }
@@ -92,7 +145,7 @@ ${USE_TOPICS ? '/topics - List all user topics' : ''}`;
 async function setupManagementChatId(msg) {
   if (msg.from?.is_bot) return;
   
-  console.log(`🔧 Setting up management chat ID: ${msg.chat.id}`);
+  logger.info('🔧 Setting up management chat ID', { chatId: msg.chat.id });
   
   try {
     const isGroup = msg.chat.type === 'group' || msg.chat.type === 'supergroup';
@@ -116,7 +169,7 @@ ${isGroup ? 'The bot will create separate topics for each user!' : 'The bot will
     await bot.sendMessage(msg.chat.id, setupMessage, { parse_mode: 'Markdown' });
     
   } catch (error) {
-    console.error('Failed to send setup message:', error);
+    logger.error('Failed to send setup message', { error });
   }
 }
 
@@ -145,7 +198,7 @@ async function getOrCreateUserTopic(chatId, username) {
     userTopics.set(userKey, topicId);
     topicUsers.set(topicId, userKey); // Store reverse lookup
     
-    console.log(`🧵 Created new topic for ${username}: ${topicName} (ID: ${topicId})`);
+    logger.info(`🧵 Created new topic for ${username}`, { topicName, topicId });
     
     // Send welcome message in the new topic
     await bot.sendMessage(MANAGEMENT_CHAT_ID, `🎉 *New conversation started*
@@ -163,7 +216,7 @@ async function getOrCreateUserTopic(chatId, username) {
     return topicId;
     
   } catch (error) {
-    console.error(`❌ Failed to create topic for ${username}:`, error.message);
+    logger.error(`❌ Failed to create topic for ${username}`, { error: error.message });
     
     if (error.message.includes('not enough rights') || error.message.includes('not found') || error.message.includes('forum')) {
       
@@ -187,14 +240,17 @@ I couldn't auto-create a topic for *${username}* due to permissions.
       try {
         await bot.sendMessage(MANAGEMENT_CHAT_ID, helpMessage, { parse_mode: 'Markdown' });
       } catch (e) {
-        console.error('Failed to send help message:', e.message);
+        logger.error('Failed to send help message', { error: e.message });
       }
       
-      console.log('\n🔧 TOPICS TROUBLESHOOTING:');
-      console.log('1. Make sure your group has "Topics" enabled in settings');
-      console.log('2. Bot must be admin in the group with "Manage Topics" permission');
-      console.log('3. Group must support topics (enable in group settings)');
-      console.log('4. Alternatively: Create topics manually and I\'ll use them\n');
+      logger.warn('🔧 Topics are not available, forwarding to the main chat', {
+        troubleshooting: [
+          'Make sure your group has "Topics" enabled in settings',
+          'Bot must be admin in the group with "Manage Topics" permission',
+          'Group must support topics (enable in group settings)',
+          'Alternatively: Create topics manually and I\'ll use them'
+        ]
+      });
     }
     
     return null; // Continue without topics for now
@@ -215,14 +271,15 @@ async function findExistingUserTopic(chatId, username) {
  */
 async function forwardToManagement(originalMsg) {
   if (!MANAGEMENT_CHAT_ID) {
-    console.log('⚠️ MANAGEMENT_CHAT_ID not set - cannot forward messages');
+    logger.warn('⚠️ MANAGEMENT_CHAT_ID not set - cannot forward messages');
     return;
   }
 
   if (!managementChatVerified) {
-    console.log('⚠️ Management chat not verified - attempting to test connection');
+    logger.warn('⚠️ Management chat not verified - attempting to test connection');
     const success = await testManagementChat();
     if (!success) {
+      metrics.forwards.inc({ platform: 'telegram', result: 'failure' });
       return;
     }
   }
@@ -262,23 +319,66 @@ async function forwardToManagement(originalMsg) {
     // Map the forwarded message ID to the original chat ID for direct replies
     forwardedMessageMap.set(forwardedMsg.message_id.toString(), chatId.toString());
     
+    metrics.forwards.inc({ platform: 'telegram', result: 'success' });
     const location = topicId ? `topic "${username}"` : 'management chat';
-    console.log(`📨 Forwarded message from ${username} to ${location} (msg ID: ${forwardedMsg.message_id})`);
+    logger.info(`📨 Forwarded message from ${username} to ${location}`, { forwardedMessageId: forwardedMsg.message_id });
     
   } catch (error) {
-    console.error('❌ Failed to forward message to management chat:', error.message);
-    
-    if (error.message.includes('chat not found')) {
-      console.log('\n🔧 TROUBLESHOOTING:');
-      console.log('1. Send /start to your bot from your management chat first');
-      console.log('2. Verify MANAGEMENT_CHAT_ID in .env file');
-      console.log('3. For groups: Make sure bot is admin');
-      console.log('4. Restart the server after updating .env\n');
+    metrics.forwards.inc({ platform: 'telegram', result: 'failure' });
+    const chatNotFound = error.message.includes('chat not found');
+
+    logger.error('❌ Failed to forward message to management chat', {
+      error: error.message,
+      ...(chatNotFound && {
+        troubleshooting: [
+          'Send /start to your bot from your management chat first',
+          'Verify MANAGEMENT_CHAT_ID in .env file',
+          'For groups: Make sure bot is admin',
+          'Restart the server after updating .env'
+        ]
+      })
+    });
+    
+    if (chatNotFound) {
       managementChatVerified = false;
     }
   }
 }
 
+/**
+ * Record a reply sent from the management chat in the audit log and notify webhooks
+ * @param {Object} msg - Operator message in the management chat
+ * @param {string} targetChatId - Chat the reply was sent to
+ * @param {string} via - How the reply was addressed ('topic', 'reply' or 'command')
+ * @param {Object} sentMessage - Message sent to the user
+ */
+async function recordReply(msg, targetChatId, via, sentMessage) {
+  const actor = platformActor('telegram', msg.from);
+
+  // Reply latency counts the first reply after the user's latest message
+  const pendingInfo = pendingReplies.get(String(targetChatId));
+  if (pendingInfo && !pendingInfo.answered) {
+    observeReplyLatency('telegram', pendingInfo.timestamp);
+    pendingReplies.set(String(targetChatId), { ...pendingInfo, answered: true });
+  }
+
+  await recordAudit({
+    action: 'telegram.reply',
+    actor,
+    target: targetChatId,
+    affectedCount: 1,
+    details: { via, messageId: sentMessage.message_id }
+  });
+
+  await emitWebhookEvent('reply.sent', {
+    platform: 'telegram',
+    chatId: String(targetChatId),
+    via,
+    operator: { id: actor.id, name: actor.name },
+    message: { id: String(sentMessage.message_id), text: sentMessage.text || null }
+  });
+}
+
 /**
  * Handle replies from your management chat
  */
@@ -295,6 +395,7 @@ async function handleManagementReply(msg) {
         // Send message to user as the bot
         const sentMessage = await bot.sendMessage(targetChatId, text);
         await logMessage('telegram', sentMessage);
+        await recordReply(msg, targetChatId, 'topic', sentMessage);
         
         // Confirm in the same topic
         await bot.sendMessage(MANAGEMENT_CHAT_ID, `✅ Message sent to ${pendingReplies.get(targetChatId)?.username || 'user'}!`, {
@@ -302,10 +403,10 @@ async function handleManagementReply(msg) {
           reply_to_message_id: msg.message_id
         });
         
-        console.log(`✅ Sent topic message to chat ${targetChatId}: "${text}"`);
+        logger.info('✅ Sent topic message', { chatId: targetChatId, text });
         
       } catch (error) {
-        console.error(`Failed to send topic message to chat ${targetChatId}:`, error.message);
+        logger.error('Failed to send topic message', { chatId: targetChatId, error: error.message });
         await bot.sendMessage(MANAGEMENT_CHAT_ID, `❌ Failed to send message: ${error.message}`, {
           message_thread_id: topicId,
           reply_to_message_id: msg.message_id
@@ -325,6 +426,7 @@ async function handleManagementReply(msg) {
         // Send reply to original user as the bot
         const sentMessage = await bot.sendMessage(originalChatId, text);
         await logMessage('telegram', sentMessage);
+        await recordReply(msg, originalChatId, 'reply', sentMessage);
         
         // Confirm in management chat
         const confirmOptions = {};
@@ -343,10 +445,10 @@ async function handleManagementReply(msg) {
         // pendingReplies.delete(originalChatId);
         // forwardedMessageMap.delete(repliedToMessageId);
         
-        console.log(`✅ Sent reply via direct reply to chat ${originalChatId}: "${text}"`);
+        logger.info('✅ Sent reply via direct reply', { chatId: originalChatId, text });
         
       } catch (error) {
-        console.error(`Failed to send reply to chat ${originalChatId}:`, error.message);
+        logger.error('Failed to send reply', { chatId: originalChatId, error: error.message });
         await bot.sendMessage(MANAGEMENT_CHAT_ID, `❌ Failed to send reply: ${error.message}`, {
           reply_to_message_id: msg.message_id
         });
@@ -362,16 +464,17 @@ async function handleManagementReply(msg) {
           try {
             const sentMessage = await bot.sendMessage(targetChatId, text);
             await logMessage('telegram', sentMessage);
+            await recordReply(msg, targetChatId, 'topic', sentMessage);
             
             await bot.sendMessage(MANAGEMENT_CHAT_ID, `✅ Reply sent to ${pendingReplies.get(targetChatId)?.username || 'user'}!`, {
               message_thread_id: topicId,
               reply_to_message_id: msg.message_id
             });
             
-            console.log(`✅ Sent message to chat ${targetChatId}: "${text}"`);
+            logger.info('✅ Sent message', { chatId: targetChatId, text });
             return true;
                       } catch (error) {
-              console.error(`Failed to send message:`, error.message);
+              logger.error('Failed to send message', { chatId: targetChatId, error: error.message });
               await bot.sendMessage(MANAGEMENT_CHAT_ID, `❌ Failed to send: ${error.message}`, {
                 message_thread_id: topicId,
                 reply_to_message_id: msg.message_id
@@ -392,6 +495,7 @@ async function handleManagementReply(msg) {
       // Send reply to original user as the bot
       const sentMessage = await bot.sendMessage(targetChatId, replyText);
       await logMessage('telegram', sentMessage);
+      await recordReply(msg, targetChatId, 'command', sentMessage);
       
       // Confirm to management chat
       await bot.sendMessage(MANAGEMENT_CHAT_ID, `✅ Reply sent to ${pendingReplies.get(targetChatId)?.username || 'user'}: "${replyText}"`);
@@ -399,10 +503,10 @@ async function handleManagementReply(msg) {
       // Clean up pending reply
       pendingReplies.delete(targetChatId);
       
-      console.log(`✅ Sent reply to chat ${targetChatId}: "${replyText}"`);
+      logger.info('✅ Sent reply', { chatId: targetChatId, text: replyText });
       
     } catch (error) {
-      console.error(`Failed to send reply to chat ${targetChatId}:`, error.message);
+      logger.error('Failed to send reply', { chatId: targetChatId, error: error.message });
       await bot.sendMessage(MANAGEMENT_CHAT_ID, `❌ Failed to send reply: ${error.message}`);
     }
     return true;
@@ -423,10 +527,13 @@ async function handleInfoCommand(msg) {
     const pendingInfo = pendingReplies.get(chatId);
     
     if (pendingInfo) {
+      // The message text is kept in memory only, so it is gone after a restart
+      const lastMessage = pendingInfo.originalMessage !== undefined
+        ? `\n💬 Last Message: "${pendingInfo.originalMessage}"`
+        : '';
       const infoMessage = `👤 User Info for Chat ID: ${chatId}
       
-📝 Username: ${pendingInfo.username}
-💬 Last Message: "${pendingInfo.originalMessage}"
+📝 Username: ${pendingInfo.username}${lastMessage}
 🕒 Received: ${pendingInfo.timestamp.toLocaleString()}
 
 💡 Reply with: r${chatId} your message here`;
@@ -445,10 +552,9 @@ async function handleInfoCommand(msg) {
  * Handle bot errors
  */
 bot.on('error', (error) => {
-  console.error('Telegram bot error:', {
-    message: error.message,
-    code: error.code,
-    timestamp: new Date().toISOString()
+  logger.error('Telegram bot error', {
+    error: error.message,
+    code: error.code
   });
 });
 
@@ -456,10 +562,11 @@ bot.on('error', (error) => {
  * Handle polling errors
  */
 bot.on('polling_error', (error) => {
-  console.error('Telegram polling error:', {
-    message: error.message,
-    code: error.code,
-    timestamp: new Date().toISOString()
+  metrics.telegramPollingErrors.inc({ code: error.code || 'UNKNOWN' });
+  lastPollingError = { message: error.message, code: error.code || null, at: new Date() };
+  logger.error('Telegram polling error', {
+    error: error.message,
+    code: error.code
   });
 });
 
@@ -539,6 +646,14 @@ bot.on('message', async (msg) => {
           
           userTopics.set(chatId, topicId);
           topicUsers.set(topicId, chatId); // Store reverse lookup
+
+          await recordAudit({
+            action: 'telegram.link_topic',
+            actor: platformActor('telegram', msg.from),
+            target: chatId,
+            affectedCount: 1,
+            details: { topicId }
+          });
           
           await bot.sendMessage(MANAGEMENT_CHAT_ID, `✅ *Topic linked successfully!*
 
@@ -594,19 +709,46 @@ ${USE_TOPICS ? '• Each user has their own topic thread for perfect organizatio
       return; // Don't process other personal account messages
     }
     
+    // Consent commands are handled (and never logged) by their own handler
+    if (parseConsentCommand(msg.text)) {
+      return;
+    }
+    
     // Handle messages to the bot from other users (LOG THESE)
     if (!msg.from?.is_bot && (!MANAGEMENT_CHAT_ID || msg.chat.id.toString() !== MANAGEMENT_CHAT_ID?.toString())) {
-      // Log user messages to the bot
+      // Log user messages to the bot (skipped for users who opted out)
+      const optedOut = await isOptedOut('telegram', msg.from?.id?.toString());
       await logMessage('telegram', msg);
-      console.log(`📱 Telegram ${messageType} message logged: ${username} - "${preview}..."`);
-      console.log(`💬 New message from ${username} in chat ${msg.chat.id}`);
+      logger.info(`📱 Telegram ${messageType} message ${optedOut ? 'not logged (opted out)' : 'logged'}`, {
+        username,
+        chatId: msg.chat.id,
+        preview
+      });
       
       // Forward to your personal account
-      await forwardToManagement(msg);
+      if (!optedOut || FORWARD_OPTED_OUT) {
+        await forwardToManagement(msg);
+      }
     }
     
   } catch (error) {
-    console.error('Failed to process Telegram message:', error);
+    logger.error('Failed to process Telegram message', { error });
+  }
+});
+
+/**
+ * Track edits of logged messages (Telegram does not notify bots about deletions)
+ */
+bot.on('edited_message', async (msg) => {
+  try {
+    // Management chat messages are never logged
+    if (MANAGEMENT_CHAT_ID && msg.chat.id.toString() === MANAGEMENT_CHAT_ID.toString()) {
+      return;
+    }
+
+    await recordMessageEdit('telegram', msg);
+  } catch (error) {
+    logger.error('Failed to record Telegram message edit', { error });
   }
 });
 
@@ -635,7 +777,7 @@ bot.onText(/\/start/, async (msg) => {
 
 This bot connects you with a human for conversation. Your messages will be forwarded to a real person who will respond personally.
 
-All conversations are logged for AI training to help improve future responses.
+All conversations are logged for AI training to help improve future responses. Send /optout to stop logging or /forgetme to delete your history.
 
 Start chatting! 💬`;
 
@@ -643,11 +785,10 @@ Start chatting! 💬`;
     await logMessage('telegram', sentMessage);
     
     const username = msg.from?.username || msg.from?.first_name || 'Unknown';
-    console.log(`📱 Telegram user message logged: ${username} - "/start"`);
-    console.log(`📱 Sent welcome message to ${username}`);
+    logger.info(`📱 Sent welcome message to ${username}`, { chatId });
     
   } catch (error) {
-    console.error('Error handling /start command:', error);
+    logger.error('Error handling /start command', { error });
   }
 });
 
@@ -676,6 +817,9 @@ bot.onText(/\/help/, async (msg) => {
 Commands:
 /start - Welcome message
 /help - This help message
+/optout - Stop logging your messages
+/optin - Allow logging again
+/forgetme - Delete your history and stop logging
 
 Questions? Just ask! 😊`;
 
@@ -683,27 +827,170 @@ Questions? Just ask! 😊`;
     await logMessage('telegram', sentMessage);
     
     const username = msg.from?.username || msg.from?.first_name || 'Unknown';
-    console.log(`📱 Telegram user message logged: ${username} - "/help"`);
+    logger.info(`📱 Sent help message to ${username}`, { chatId });
     
   } catch (error) {
-    console.error('Error handling /help command:', error);
+    logger.error('Error handling /help command', { error });
+  }
+});
+
+/**
+ * Handle /optout, /optin and /forgetme
+ */
+bot.onText(CONSENT_COMMAND_PATTERN, async (msg) => {
+  // Skip if it's from personal account
+  if (!msg.from || msg.from.is_bot || (MANAGEMENT_CHAT_ID && msg.chat.id.toString() === MANAGEMENT_CHAT_ID.toString())) {
+    return;
+  }
+
+  try {
+    const reply = await runConsentCommand('telegram', parseConsentCommand(msg.text), {
+      userId: msg.from.id.toString(),
+      chatId: msg.chat.type === 'private' ? msg.chat.id.toString() : null,
+      username: msg.from.username || msg.from.first_name
+    });
+
+    await bot.sendMessage(msg.chat.id, reply);
+  } catch (error) {
+    logger.error('Error handling consent command', { error });
+    await bot.sendMessage(msg.chat.id, '❌ Sorry, your request could not be processed. Please try again later.').catch(() => {});
   }
 });
 
-console.log('📱 Telegram bot initialized');
+/**
+ * Register the webhook when configured, falling back to long polling if it
+ * is not configured or Telegram rejects it
+ */
+async function startReceivingUpdates() {
+  if (WEBHOOK_URL) {
+    try {
+      await bot.setWebHook(WEBHOOK_URL, { secret_token: WEBHOOK_SECRET });
+      webhookActive = true;
+      logger.info(`🌐 Telegram webhook set to ${WEBHOOK_URL}`);
+      return;
+    } catch (error) {
+      logger.error('❌ Failed to set Telegram webhook, falling back to polling', { error: error.message });
+    }
+  }
+
+  bot.startPolling();
+  logger.info('🔄 Telegram bot polling for updates');
+}
+
+/**
+ * Check the secret token Telegram sends with every webhook request
+ * @param {string} token - X-Telegram-Bot-Api-Secret-Token header
+ * @returns {boolean} True if it matches WEBHOOK_SECRET
+ */
+function isValidWebhookSecret(token) {
+  if (typeof token !== 'string') return false;
+
+  const expected = Buffer.from(WEBHOOK_SECRET);
+  const given = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+/**
+ * Express handler for POST /webhook/telegram: verifies the secret token and
+ * feeds the update into the bot's handlers
+ */
+function handleWebhookRequest(req, res) {
+  if (!webhookActive) {
+    return res.status(404).json({
+      success: false,
+      error: 'Telegram webhook mode is not active',
+      code: 'WEBHOOK_NOT_ACTIVE'
+    });
+  }
+
+  if (!isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+    logger.warn('⚠️ Rejected Telegram webhook request with a wrong secret token', { ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid secret token',
+      code: 'INVALID_WEBHOOK_SECRET'
+    });
+  }
+
+  if (!req.body || typeof req.body.update_id !== 'number') {
+    return res.status(400).json({
+      success: false,
+      error: 'Request body is not a Telegram update',
+      code: 'INVALID_UPDATE'
+    });
+  }
+
+  // Answer right away; the handlers log their own errors and Telegram would
+  // otherwise resend the update after a timeout
+  bot.processUpdate(req.body);
+  res.sendStatus(200);
+}
+
+/**
+ * Current state of the bot for the readiness check
+ * @returns {Object} Connection, update and management chat state
+ */
+function getStatus() {
+  const polling = !webhookActive && bot.isPolling();
+  const pollingHealthy = Boolean(lastPollAt)
+    && Date.now() - lastPollAt.getTime() < POLL_STALE_MS
+    && (!lastPollingError || lastPollAt > lastPollingError.at);
+
+  return {
+    mode: webhookActive ? 'webhook' : 'polling',
+    connected: webhookActive || (polling && pollingHealthy),
+    polling,
+    lastPollAt: lastPollAt ? lastPollAt.toISOString() : null,
+    lastUpdateAt: lastUpdateAt ? lastUpdateAt.toISOString() : null,
+    lastError: lastPollingError ? { ...lastPollingError, at: lastPollingError.at.toISOString() } : null,
+    management: {
+      configured: Boolean(MANAGEMENT_CHAT_ID),
+      verified: managementChatVerified
+    }
+  };
+}
+
+/**
+ * Stop receiving updates (for shutdown). The webhook stays registered, so
+ * Telegram keeps updates that arrive meanwhile for the next start.
+ */
+async function stop() {
+  webhookActive = false;
+
+  if (bot.isPolling()) {
+    await bot.stopPolling({ cancel: true, reason: 'Server shutting down' });
+    logger.info('🛑 Telegram polling stopped');
+  }
+}
+
+logger.info('📱 Telegram bot initialized');
+
+// Restore routing state before receiving updates so operator replies keep routing
+restoreRouteMaps('telegram', {
+  'pending replies': pendingReplies,
+  'forwarded messages': forwardedMessageMap,
+  'user topics': userTopics,
+  'topic users': topicUsers
+})
+  .catch((error) => {
+    logger.error('❌ Failed to restore Telegram routing state', { error: error.message });
+  })
+  .finally(() => {
+    startReceivingUpdates();
+  });
 
 // Test personal chat connection on startup
 if (MANAGEMENT_CHAT_ID) {
-  console.log(`📨 Management chat ID: ${MANAGEMENT_CHAT_ID}`);
-  console.log('🔍 Testing management chat connection...');
+  logger.info('🔍 Testing management chat connection...', { chatId: MANAGEMENT_CHAT_ID });
   
   // Test connection after a short delay
   setTimeout(async () => {
     await testManagementChat();
   }, 2000);
 } else {
-  console.log('⚠️ MANAGEMENT_CHAT_ID not set - setup mode enabled');
-  console.log('💡 Send /start to your bot from your management chat to get your chat ID');
+  logger.warn('⚠️ MANAGEMENT_CHAT_ID not set - setup mode enabled', {
+    hint: 'Send /start to your bot from your management chat to get your chat ID'
+  });
 }
 
-module.exports = { bot }; 
\ No newline at end of file
+module.exports = { bot, handleWebhookRequest, getStatus, stop };
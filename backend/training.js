@@ -0,0 +1,169 @@
+/**
+ * Training Dataset Formatting
+ * Turns logged messages into chat-format training examples
+ * (OpenAI fine-tuning JSONL and ShareGPT JSON)
+ */
+
+const TRAINING_FORMATS = ['openai', 'sharegpt'];
+
+// Stored message_type -> chat role
+const ROLE_BY_MESSAGE_TYPE = {
+  user: 'user',
+  bot: 'assistant'
+};
+
+// Chat role -> ShareGPT speaker
+const SHAREGPT_SPEAKERS = {
+  system: 'system',
+  user: 'human',
+  assistant: 'gpt'
+};
+
+/**
+ * Key used to group a message into its conversation
+ * @param {Object} message - Stored message row
+ * @returns {string} Conversation key
+ */
+function conversationKey(message) {
+  return message.conversation_id
+    ? `conversation:${message.conversation_id}`
+    : `${message.platform}:${message.chat_id}`;
+}
+
+/**
+ * Convert the messages of one conversation into chat turns.
+ * Deleted messages are skipped and edited messages use their latest text.
+ * Consecutive messages from the same role are merged into a single turn,
+ * and the dialog is trimmed so it starts with a user turn and ends with an
+ * assistant turn.
+ * @param {Array<Object>} messages - Messages of one conversation
+ * @returns {Array<Object>} Turns ({ role, content })
+ */
+function buildTurns(messages) {
+  const sorted = [...messages].sort((a, b) => (
+    new Date(a.created_at) - new Date(b.created_at) || a.id - b.id
+  ));
+
+  const turns = [];
+
+  for (const message of sorted) {
+    const role = ROLE_BY_MESSAGE_TYPE[message.message_type];
+    const content = message.message_text?.trim();
+
+    if (!role || !content || message.is_deleted) continue;
+
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === role) {
+      previous.content += `\n${content}`;
+    } else {
+      turns.push({ role, content });
+    }
+  }
+
+  while (turns.length > 0 && turns[0].role !== 'user') {
+    turns.shift();
+  }
+
+  while (turns.length > 0 && turns[turns.length - 1].role !== 'assistant') {
+    turns.pop();
+  }
+
+  return turns;
+}
+
+/**
+ * Group messages into training conversations
+ * @param {Array<Object>} messages - Stored message rows (any order)
+ * @param {Object} options - Build options
+ * @param {number} options.minTurns - Minimum number of turns a conversation needs (default: 2)
+ * @returns {Array<Object>} Conversations ({ id, platform, chatId, turns })
+ */
+function buildTrainingConversations(messages, { minTurns = 2 } = {}) {
+  const groups = new Map();
+
+  for (const message of messages) {
+    const key = conversationKey(message);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(message);
+  }
+
+  const conversations = [];
+
+  for (const [key, groupMessages] of groups.entries()) {
+    const turns = buildTurns(groupMessages);
+    if (turns.length < minTurns) continue;
+
+    conversations.push({
+      id: key,
+      platform: groupMessages[0].platform,
+      chatId: groupMessages[0].chat_id,
+      turns
+    });
+  }
+
+  return conversations;
+}
+
+/**
+ * Format a conversation as an OpenAI fine-tuning record
+ * @param {Object} conversation - Training conversation
+ * @param {Object} options - Format options
+ * @param {string} options.systemPrompt - Optional system prompt to prepend
+ * @returns {Object} { messages: [{ role, content }] }
+ */
+function toOpenAIRecord(conversation, { systemPrompt } = {}) {
+  const messages = conversation.turns.map(({ role, content }) => ({ role, content }));
+
+  if (systemPrompt) {
+    messages.unshift({ role: 'system', content: systemPrompt });
+  }
+
+  return { messages };
+}
+
+/**
+ * Format a conversation as a ShareGPT record
+ * @param {Object} conversation - Training conversation
+ * @param {Object} options - Format options
+ * @param {string} options.systemPrompt - Optional system prompt to prepend
+ * @returns {Object} { id, conversations: [{ from, value }] }
+ */
+function toShareGPTRecord(conversation, { systemPrompt } = {}) {
+  const turns = conversation.turns.map(({ role, content }) => ({
+    from: SHAREGPT_SPEAKERS[role],
+    value: content
+  }));
+
+  if (systemPrompt) {
+    turns.unshift({ from: SHAREGPT_SPEAKERS.system, value: systemPrompt });
+  }
+
+  return {
+    id: conversation.id,
+    conversations: turns
+  };
+}
+
+/**
+ * Format a conversation for the given training format
+ * @param {string} format - 'openai' or 'sharegpt'
+ * @param {Object} conversation - Training conversation
+ * @param {Object} options - Format options (systemPrompt)
+ * @returns {Object} Training record
+ */
+function toTrainingRecord(format, conversation, options = {}) {
+  if (format === 'openai') return toOpenAIRecord(conversation, options);
+  if (format === 'sharegpt') return toShareGPTRecord(conversation, options);
+  throw new Error(`Unsupported training format: ${format}`);
+}
+
+module.exports = {
+  TRAINING_FORMATS,
+  buildTurns,
+  buildTrainingConversations,
+  toOpenAIRecord,
+  toShareGPTRecord,
+  toTrainingRecord
+};
@@ -0,0 +1,207 @@
+/**
+ * Message Trash
+ * Clearing messages moves them into the trash instead of deleting them.
+ * Every clear becomes a batch that can be restored until it expires; expired
+ * batches are purged permanently by the retention scheduler.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { buildMessageFilters, purgeMessages } = require('./database');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('trash');
+
+const TRASH_STATUSES = ['trashed', 'restored', 'purged'];
+
+// Days a cleared batch can be restored before it is purged
+const TRASH_RETENTION_DAYS = process.env.TRASH_RETENTION_DAYS !== undefined
+  ? parseFloat(process.env.TRASH_RETENTION_DAYS)
+  : 30;
+
+if (isNaN(TRASH_RETENTION_DAYS) || TRASH_RETENTION_DAYS < 0) {
+  throw new Error('TRASH_RETENTION_DAYS must be a non-negative number');
+}
+
+// Messages moved per update request
+const TRASH_BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Set the trash columns of every message matching the conditions, in batches
+ * @param {Array<Object>} conditions - Storage filter conditions
+ * @param {Object} patch - trash_batch_id / trashed_at values
+ * @returns {Promise<number>} Number of updated messages
+ */
+async function updateMatching(conditions, patch) {
+  const storage = getStorage();
+  let updated = 0;
+
+  while (true) {
+    const { rows } = await storage.select('messages', {
+      columns: 'id',
+      filters: conditions,
+      order: [{ column: 'id', ascending: true }],
+      limit: TRASH_BATCH_SIZE
+    });
+
+    if (rows.length === 0) break;
+
+    const changed = await storage.update('messages', [
+      { column: 'id', op: 'in', value: rows.map(row => row.id) }
+    ], { ...patch, updated_at: new Date().toISOString() });
+    updated += changed.length;
+
+    if (rows.length < TRASH_BATCH_SIZE) break;
+  }
+
+  return updated;
+}
+
+/**
+ * Get a trash batch by its batch ID
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object|null>} Batch or null
+ */
+async function getTrashBatch(batchId) {
+  const { rows } = await getStorage().select('trash_batches', {
+    filters: [{ column: 'batch_id', op: 'eq', value: batchId }],
+    limit: 1
+  });
+
+  return rows[0] || null;
+}
+
+/**
+ * Move the messages matching the filters into the trash
+ * @param {Object} filters - Message filters (see buildMessageFilters)
+ * @returns {Promise<Object>} { batch, count }, batch is null if nothing matched
+ */
+async function trashMessages(filters = {}) {
+  const storage = getStorage();
+  const now = new Date();
+
+  const [batch] = await storage.insert('trash_batches', {
+    batch_id: crypto.randomUUID(),
+    filters,
+    message_count: 0,
+    status: 'trashed',
+    expires_at: new Date(now.getTime() + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+  });
+
+  const count = await updateMatching(buildMessageFilters(filters), {
+    trash_batch_id: batch.batch_id,
+    trashed_at: now.toISOString()
+  });
+
+  if (count === 0) {
+    await storage.remove('trash_batches', [{ column: 'id', op: 'eq', value: batch.id }]);
+    return { batch: null, count };
+  }
+
+  const [updated] = await storage.update('trash_batches', [
+    { column: 'id', op: 'eq', value: batch.id }
+  ], { message_count: count, updated_at: new Date().toISOString() });
+
+  logger.info(`🗑️ Moved ${count} messages to the trash`, { batchId: batch.batch_id });
+  return { batch: updated, count };
+}
+
+/**
+ * Get trash batches, newest first
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number
+ * @param {number} options.limit - Items per page
+ * @param {string} options.status - Filter by status ('trashed', 'restored' or 'purged')
+ * @returns {Promise<Object>} { data, pagination }
+ */
+async function getTrashBatches({ page = 1, limit = 50, status } = {}) {
+  const filters = status ? [{ column: 'status', op: 'eq', value: status }] : [];
+
+  const { rows: data, count } = await getStorage().select('trash_batches', {
+    filters,
+    order: [{ column: 'id', ascending: false }],
+    limit,
+    offset: (page - 1) * limit,
+    count: true
+  });
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+}
+
+/**
+ * Move the messages of a trash batch back out of the trash
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<Object>} { batch, restored }; batch is null if not found and
+ *   restored is null if the batch was already restored or purged
+ */
+async function restoreTrashBatch(batchId) {
+  const batch = await getTrashBatch(batchId);
+
+  if (!batch || batch.status !== 'trashed') {
+    return { batch, restored: null };
+  }
+
+  const restored = await updateMatching([
+    { column: 'trash_batch_id', op: 'eq', value: batchId }
+  ], { trash_batch_id: null, trashed_at: null });
+
+  const now = new Date().toISOString();
+  const [updated] = await getStorage().update('trash_batches', [
+    { column: 'id', op: 'eq', value: batch.id }
+  ], { status: 'restored', restored_at: now, updated_at: now });
+
+  logger.info(`♻️ Restored ${restored} messages from the trash`, { batchId });
+  return { batch: updated, restored };
+}
+
+/**
+ * Permanently delete the messages of every trash batch past its expiry
+ * @returns {Promise<Object>} { batches, messages } purged
+ */
+async function purgeExpiredTrash() {
+  const storage = getStorage();
+  const { rows: expired } = await storage.select('trash_batches', {
+    filters: [
+      { column: 'status', op: 'eq', value: 'trashed' },
+      { column: 'expires_at', op: 'lte', value: new Date().toISOString() }
+    ],
+    order: [{ column: 'id', ascending: true }]
+  });
+
+  let messages = 0;
+
+  for (const batch of expired) {
+    messages += await purgeMessages([{ column: 'trash_batch_id', op: 'eq', value: batch.batch_id }]);
+
+    const now = new Date().toISOString();
+    await storage.update('trash_batches', [
+      { column: 'id', op: 'eq', value: batch.id }
+    ], { status: 'purged', purged_at: now, updated_at: now });
+  }
+
+  if (expired.length > 0) {
+    logger.info(`🔥 Purged ${messages} messages from ${expired.length} expired trash batch(es)`);
+  }
+
+  return { batches: expired.length, messages };
+}
+
+module.exports = {
+  TRASH_STATUSES,
+  TRASH_RETENTION_DAYS,
+  trashMessages,
+  getTrashBatch,
+  getTrashBatches,
+  restoreTrashBatch,
+  purgeExpiredTrash
+};
@@ -0,0 +1,366 @@
+/**
+ * User Data
+ * Answers data-subject requests for a single platform user: exports a bundle
+ * of everything stored about them, or erases their messages, their private
+ * conversations (including the bot's replies), attachments, revisions,
+ * routing entries, webhook deliveries and messages still waiting in the spool. Every request is recorded with a receipt.
+ */
+
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { TABLES } = require('./storage/schema');
+const { removeMessageDependents } = require('./database');
+const { forgetRouteSubjects } = require('./routing');
+const { forgetDeliverySubjects } = require('./webhooks');
+const { getSpoolSubjectEntries, forgetSpoolSubjects } = require('./spool');
+const { getConsent } = require('./consent');
+const { decryptOriginal } = require('./redaction');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('userData');
+
+const DATA_REQUEST_TYPES = ['export', 'erasure'];
+
+// IDs per request when filtering by ID list (keeps filter URLs short)
+const ID_CHUNK_SIZE = 200;
+
+// Rows fetched per page when collecting a user's data
+const PAGE_SIZE = 1000;
+
+/**
+ * Pseudonymous identifier stored on receipts instead of the raw user ID
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @returns {string} SHA-256 hex digest
+ */
+function subjectHash(platform, userId) {
+  return crypto.createHash('sha256').update(`${platform}:${userId}`).digest('hex');
+}
+
+/**
+ * Select every row matching the filters, paging by id
+ * @param {string} table - Table name
+ * @param {Array<Object>} filters - Storage filter conditions
+ * @param {Function} keep - Optional predicate for rows the filters can't express
+ * @returns {Promise<Array<Object>>} Rows
+ */
+async function selectAll(table, filters, keep = null) {
+  const rows = [];
+  let lastId = 0;
+
+  while (true) {
+    const { rows: page } = await getStorage().select(table, {
+      filters: [...filters, { column: 'id', op: 'gt', value: lastId }],
+      order: [{ column: 'id', ascending: true }],
+      limit: PAGE_SIZE
+    });
+
+    rows.push(...(keep ? page.filter(keep) : page));
+    if (page.length < PAGE_SIZE) break;
+    lastId = page[page.length - 1].id;
+  }
+
+  return rows;
+}
+
+/**
+ * Select every row whose column is in a (possibly long) list of IDs
+ * @param {string} table - Table name
+ * @param {string} column - Column to match
+ * @param {Array} ids - Values to match
+ * @returns {Promise<Array<Object>>} Rows
+ */
+async function selectByIds(table, column, ids) {
+  const rows = [];
+
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    rows.push(...await selectAll(table, [{ column, op: 'in', value: ids.slice(i, i + ID_CHUNK_SIZE) }]));
+  }
+
+  return rows;
+}
+
+/**
+ * Get the conversations a user started or took part in, split into private
+ * conversations (started by the user, who is the only human) and shared ones
+ * (group chats). Participants are stored as JSON, so every conversation of
+ * the platform is scanned for them.
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @returns {Promise<Object>} { private, shared }
+ */
+async function getUserConversations(platform, userId) {
+  const id = String(userId);
+  const conversations = await selectAll('conversations', [
+    { column: 'platform', op: 'eq', value: platform }
+  ], conversation => conversation.user_id === id
+    || (conversation.participants || []).some(participant => participant.user_id === id));
+
+  const isPrivate = (conversation) => conversation.user_id === id
+    && (conversation.participants || []).every(participant => participant.message_type !== 'user' || participant.user_id === id);
+
+  return {
+    private: conversations.filter(isPrivate),
+    shared: conversations.filter(conversation => !isPrivate(conversation))
+  };
+}
+
+/**
+ * Get a user's revisions: those of the given messages plus any the user
+ * authored whose message is gone
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @param {Array<number>} messageIds - IDs of the user's messages
+ * @returns {Promise<Array<Object>>} Revisions ordered by id
+ */
+async function getUserRevisions(platform, userId, messageIds) {
+  const byId = new Map();
+  const linked = await selectByIds('message_revisions', 'message_id', messageIds);
+  const authored = await selectAll('message_revisions', [
+    { column: 'platform', op: 'eq', value: platform },
+    { column: 'user_id', op: 'eq', value: String(userId) }
+  ]);
+
+  [...linked, ...authored].forEach(revision => byId.set(revision.id, revision));
+  return [...byId.values()].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Get the webhook deliveries about a user: those of the given messages plus
+ * any whose user or chat is one of the subjects
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Array<string>} subjectIds - User/chat IDs
+ * @param {Array<number>} messageIds - IDs of the user's messages
+ * @returns {Promise<Array<Object>>} Deliveries ordered by id
+ */
+async function getUserDeliveries(platform, subjectIds, messageIds) {
+  const byId = new Map();
+  const linked = await selectByIds('webhook_deliveries', 'message_id', messageIds);
+  const about = [];
+
+  for (let i = 0; i < subjectIds.length; i += ID_CHUNK_SIZE) {
+    const ids = subjectIds.slice(i, i + ID_CHUNK_SIZE);
+    about.push(...await selectAll('webhook_deliveries', [
+      { column: 'platform', op: 'eq', value: platform },
+      {
+        or: [
+          [{ column: 'user_id', op: 'in', value: ids }],
+          [{ column: 'chat_id', op: 'in', value: ids }]
+        ]
+      }
+    ]));
+  }
+
+  [...linked, ...about].forEach(delivery => byId.set(delivery.id, delivery));
+  return [...byId.values()].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Replace a stored message's encrypted original with the decrypted text, as
+ * originals kept by the encrypt redaction policy are part of what is stored
+ * about the user
+ * @param {Object} message - Stored (or spooled) message
+ * @returns {Object} Message without encrypted_original
+ */
+function withOriginal({ encrypted_original: encryptedOriginal, ...message }) {
+  if (encryptedOriginal) {
+    try {
+      message.original = decryptOriginal(encryptedOriginal);
+    } catch (error) {
+      message.original = null;
+    }
+  }
+
+  return message;
+}
+
+/**
+ * Record a data-subject request
+ * @param {string} requestType - 'export' or 'erasure'
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @param {Object} summary - What was exported/erased (counts)
+ * @param {string} source - Where the request came from ('api', 'telegram', 'discord')
+ * @returns {Promise<Object>} Receipt
+ */
+async function recordDataRequest(requestType, platform, userId, summary, source) {
+  const [receipt] = await getStorage().insert('data_requests', {
+    receipt_id: crypto.randomUUID(),
+    request_type: requestType,
+    platform,
+    subject_hash: subjectHash(platform, userId),
+    source,
+    summary
+  });
+
+  return receipt;
+}
+
+/**
+ * Collect everything stored about a user
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @param {Object} options - Request options
+ * @param {string} options.source - Where the request came from (default: 'api')
+ * @returns {Promise<Object>} { bundle, receipt }
+ */
+async function exportUserData(platform, userId, { source = 'api' } = {}) {
+  const id = String(userId);
+  const conversations = await getUserConversations(platform, id);
+  const privateIds = conversations.private.map(conversation => conversation.id);
+
+  // The user's own messages plus everything in their private conversations
+  const byId = new Map();
+  const ownMessages = await selectAll('messages', [
+    { column: 'platform', op: 'eq', value: platform },
+    { column: 'user_id', op: 'eq', value: id }
+  ]);
+  const conversationMessages = await selectByIds('messages', 'conversation_id', privateIds);
+  [...ownMessages, ...conversationMessages].forEach(message => byId.set(message.id, message));
+
+  const messageIds = [...byId.keys()].sort((a, b) => a - b);
+
+  const messages = messageIds.map(messageId => withOriginal(byId.get(messageId)));
+
+  const revisionColumns = Object.keys(TABLES.message_revisions.columns).filter(column => column !== 'encrypted_original');
+  const revisions = (await getUserRevisions(platform, id, messageIds))
+    .map(revision => Object.fromEntries(revisionColumns.map(column => [column, revision[column]])));
+
+  const attachments = await selectByIds('attachments', 'message_id', messageIds);
+
+  const subjects = [id, ...conversations.private.map(conversation => conversation.chat_id)];
+  const routes = (await selectByIds('conversation_routes', 'subject_id', subjects))
+    .filter(route => route.platform === platform);
+
+  const webhookDeliveries = await getUserDeliveries(platform, subjects, messageIds);
+
+  // Messages still waiting in the spool are not in the messages table yet
+  const { entries: spooled } = await getSpoolSubjectEntries(platform, subjects);
+  const spooledMessages = spooled.map(entry => ({ ...entry, message: withOriginal(entry.message || {}) }));
+
+  const consent = await getConsent(platform, id);
+  const blocks = await selectAll('blocked_users', [
+    { column: 'platform', op: 'eq', value: platform },
+    { column: 'user_id', op: 'eq', value: id }
+  ]);
+
+  const receipts = await selectAll('data_requests', [
+    { column: 'subject_hash', op: 'eq', value: subjectHash(platform, id) }
+  ]);
+
+  const summary = {
+    messages: messages.length,
+    conversations: conversations.private.length + conversations.shared.length,
+    revisions: revisions.length,
+    attachments: attachments.length,
+    routes: routes.length,
+    webhookDeliveries: webhookDeliveries.length,
+    spooledMessages: spooledMessages.length
+  };
+
+  const receipt = await recordDataRequest('export', platform, id, summary, source);
+
+  return {
+    bundle: {
+      user: { platform, userId: id },
+      consent,
+      blocks,
+      conversations: [...conversations.private, ...conversations.shared],
+      messages,
+      revisions,
+      attachments,
+      routes,
+      webhookDeliveries,
+      spooledMessages,
+      dataRequests: receipts,
+      summary,
+      exportedAt: new Date().toISOString()
+    },
+    receipt
+  };
+}
+
+/**
+ * Erase all stored data of a user
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {string} userId - Platform user ID
+ * @param {Object} options - Request options
+ * @param {string} options.source - Where the request came from (default: 'api')
+ * @returns {Promise<Object>} Counts of erased rows and the receipt
+ */
+async function eraseUserData(platform, userId, { source = 'api' } = {}) {
+  const storage = getStorage();
+  const id = String(userId);
+
+  // Private conversations are erased entirely; in shared (group)
+  // conversations only the user's own messages are removed
+  const conversations = await getUserConversations(platform, id);
+  const conversationIds = conversations.private.map(conversation => conversation.id);
+
+  for (const conversation of conversations.shared) {
+    const startedByUser = conversation.user_id === id;
+
+    await storage.update('conversations', [{ column: 'id', op: 'eq', value: conversation.id }], {
+      user_id: startedByUser ? null : conversation.user_id,
+      username: startedByUser ? null : conversation.username,
+      participants: (conversation.participants || []).filter(participant => participant.user_id !== id),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // The user's own messages, wherever they were sent
+  const removedIds = (await storage.remove('messages', [
+    { column: 'platform', op: 'eq', value: platform },
+    { column: 'user_id', op: 'eq', value: id }
+  ])).map(message => message.id);
+
+  // Everything else in their private conversations (bot and operator replies)
+  for (let i = 0; i < conversationIds.length; i += ID_CHUNK_SIZE) {
+    const ids = conversationIds.slice(i, i + ID_CHUNK_SIZE);
+
+    const removed = await storage.remove('messages', [
+      { column: 'conversation_id', op: 'in', value: ids }
+    ]);
+    removedIds.push(...removed.map(message => message.id));
+
+    await storage.remove('conversations', [{ column: 'id', op: 'in', value: ids }]);
+  }
+
+  const dependents = await removeMessageDependents(removedIds);
+
+  // Revisions the user authored whose message was already gone
+  dependents.revisions += (await storage.remove('message_revisions', [
+    { column: 'platform', op: 'eq', value: platform },
+    { column: 'user_id', op: 'eq', value: id }
+  ])).length;
+
+  const subjects = [id, ...conversations.private.map(conversation => conversation.chat_id)];
+  const routes = await forgetRouteSubjects(platform, subjects);
+  const webhookDeliveries = dependents.webhookDeliveries + await forgetDeliverySubjects(platform, subjects);
+  const { removed: spooledMessages } = await forgetSpoolSubjects(platform, subjects);
+  const { revisions, attachments } = dependents;
+
+  const summary = {
+    messages: removedIds.length,
+    conversations: conversationIds.length,
+    revisions,
+    attachments,
+    routes,
+    webhookDeliveries,
+    spooledMessages
+  };
+
+  const receipt = await recordDataRequest('erasure', platform, id, summary, source);
+
+  logger.info(`🧹 Erased ${platform} user: ${removedIds.length} messages, ${conversationIds.length} conversations, ${attachments} attachments, ${routes} routes`, { receiptId: receipt.receipt_id });
+
+  return { ...summary, receipt };
+}
+
+module.exports = {
+  DATA_REQUEST_TYPES,
+  subjectHash,
+  getUserConversations,
+  exportUserData,
+  eraseUserData
+};
@@ -0,0 +1,227 @@
+/**
+ * Request Validation
+ * Validates query and path parameters and JSON request bodies against the
+ * schemas of the OpenAPI document, so the documented rules and the enforced
+ * rules are the same. Invalid requests get the `x-error-code` of the
+ * parameter or body property.
+ */
+
+const { getOperationParameters, getOperationRequestBody } = require('./openapi');
+
+const INTEGER_PATTERN = /^-?\d+$/;
+
+/**
+ * Describe the valid range of an integer schema
+ */
+function describeRange(name, { minimum, maximum }) {
+  if (minimum !== undefined && maximum !== undefined) return `${name} must be between ${minimum} and ${maximum}`;
+  if (minimum === 1) return `${name} must be a positive integer`;
+  if (minimum !== undefined) return `${name} must be at least ${minimum}`;
+  if (maximum !== undefined) return `${name} must be at most ${maximum}`;
+  return `${name} must be an integer`;
+}
+
+/**
+ * Check one raw parameter value against its schema
+ * @param {Object} parameter - OpenAPI parameter
+ * @param {*} raw - Raw value from the request (string, array or undefined)
+ * @returns {Object} { value } (coerced, or the default) or { message }
+ */
+function checkParameter({ name, required, schema }, raw) {
+  if (raw === undefined || raw === '') {
+    if (required) return { message: `${name} is required` };
+    return { value: schema.default };
+  }
+
+  if (typeof raw !== 'string') {
+    return { message: `${name} must be a single value` };
+  }
+
+  if (schema.type === 'integer') {
+    const value = parseInt(raw, 10);
+    const outOfRange = (schema.minimum !== undefined && value < schema.minimum)
+      || (schema.maximum !== undefined && value > schema.maximum);
+
+    if (!INTEGER_PATTERN.test(raw.trim()) || outOfRange) {
+      return { message: describeRange(name, schema) };
+    }
+    return { value };
+  }
+
+  if (schema.enum && !schema.enum.includes(raw)) {
+    return { message: `${name} must be one of: ${schema.enum.join(', ')}` };
+  }
+
+  if (schema.format === 'date-time' && isNaN(new Date(raw).getTime())) {
+    return { message: `${name} must be a valid ISO date` };
+  }
+
+  if (schema.maxLength !== undefined && raw.length > schema.maxLength) {
+    return { message: `${name} must be at most ${schema.maxLength} characters` };
+  }
+
+  return { value: raw };
+}
+
+/**
+ * Check one JSON value against its schema. Unlike parameters, body values are
+ * not coerced: "5" is not an integer.
+ * @param {string} name - Property name (for the message)
+ * @param {Object} schema - Property schema
+ * @param {*} value - Value from the parsed body
+ * @returns {string|null} Message, or null if valid
+ */
+function checkValue(name, schema, value) {
+  switch (schema.type) {
+    case 'string':
+      if (typeof value !== 'string') return `${name} must be a string`;
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) return describeRange(name, schema);
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return `${name} must be true or false`;
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return `${name} must be a list`;
+      break;
+    default:
+      break;
+  }
+
+  if (typeof value === 'number'
+    && ((schema.minimum !== undefined && value < schema.minimum)
+      || (schema.maximum !== undefined && value > schema.maximum))) {
+    return describeRange(name, schema);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.enum && !schema.enum.includes(value)) {
+      return `${name} must be one of: ${schema.enum.join(', ')}`;
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return schema.minLength === 1 ? `${name} must not be empty` : `${name} must be at least ${schema.minLength} characters`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${name} must be at most ${schema.maxLength} characters`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return `${name} has an invalid format`;
+    }
+    if (schema.format === 'uri' && !URL.canParse(value)) {
+      return `${name} must be a valid URL`;
+    }
+    if (schema.format === 'date-time' && isNaN(new Date(value).getTime())) {
+      return `${name} must be a valid ISO date`;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return `${name} must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`;
+    }
+    if (schema.items) {
+      for (const item of value) {
+        const message = checkValue(`${name} items`, schema.items, item);
+        if (message) return message;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check a JSON request body against its object schema
+ * @param {Object} schema - Body schema
+ * @param {*} raw - Parsed body (undefined when none was sent)
+ * @returns {Object} { value } (known properties, with defaults applied) or
+ *   { code, message } for the first invalid property
+ */
+function checkBody(schema, raw) {
+  const data = raw === undefined ? {} : raw;
+
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { code: 'INVALID_BODY', message: 'Request body must be a JSON object' };
+  }
+
+  const required = schema.required || [];
+  const value = {};
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const given = data[name];
+    const message = given === undefined
+      ? (required.includes(name) ? `${name} is required` : null)
+      : checkValue(name, property, given);
+
+    if (message) {
+      return { code: property['x-error-code'], message: property['x-error-message'] || message };
+    }
+
+    const resolved = given === undefined ? property.default : given;
+    if (resolved !== undefined) {
+      value[name] = resolved;
+    }
+  }
+
+  return { value };
+}
+
+/**
+ * Middleware factory: validate a request against an operation of the OpenAPI
+ * document. Coerced values (with defaults applied) are stored in
+ * req.validated.query and req.validated.params, and the documented properties
+ * of a JSON body in req.validated.body.
+ * @param {string} method - HTTP method ('get', 'post', ...)
+ * @param {string} route - Path as written in the document (e.g. '/api/chats/{id}')
+ * @returns {Function} Express middleware
+ */
+function validateRequest(method, route) {
+  const parameters = getOperationParameters(method, route);
+  const bodySchema = getOperationRequestBody(method, route);
+
+  return (req, res, next) => {
+    const validated = { query: {}, params: {}, body: {} };
+
+    for (const parameter of parameters) {
+      const source = parameter.in === 'path' ? req.params : req.query;
+      const { value, message } = checkParameter(parameter, source[parameter.name]);
+
+      if (message) {
+        return res.status(400).json({
+          success: false,
+          error: parameter['x-error-message'] || message,
+          code: parameter['x-error-code']
+        });
+      }
+
+      if (value !== undefined) {
+        validated[parameter.in === 'path' ? 'params' : 'query'][parameter.name] = value;
+      }
+    }
+
+    if (bodySchema) {
+      const { value, code, message } = checkBody(bodySchema, req.body);
+
+      if (message) {
+        return res.status(400).json({
+          success: false,
+          error: message,
+          code
+        });
+      }
+
+      validated.body = value;
+    }
+
+    req.validated = validated;
+    next();
+  };
+}
+
+module.exports = {
+  validateRequest
+};
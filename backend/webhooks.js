@@ -0,0 +1,623 @@
+/**
+ * Outbound Webhooks
+ * Notifies external systems about logged messages, operator replies and new
+ * conversations. Every event is queued as a delivery row; a background
+ * dispatcher POSTs it with an HMAC-SHA256 signature and retries failed
+ * deliveries with exponential backoff. The delivery rows double as the
+ * delivery log: each one records the user, chat and message it is about so
+ * erasure and purges can remove it, and finished deliveries are pruned after
+ * WEBHOOK_DELIVERY_RETENTION_DAYS.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { getStorage } = require('./storage');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('webhooks');
+
+const WEBHOOK_EVENTS = ['message.logged', 'reply.sent', 'conversation.created'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+const SECRET_PREFIX = 'whsec_';
+
+// Attempts before a delivery is given up, and the delay before the first
+// retry (doubled after every failed attempt, up to RETRY_MAX_MS)
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// How long a receiver gets to answer
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000;
+
+// How often the dispatcher looks for due retries, and how many deliveries it loads at once
+const DISPATCH_INTERVAL_MS = 15 * 1000;
+const DISPATCH_BATCH_SIZE = 20;
+
+// Longest response excerpt or error kept in the delivery log
+const MAX_ERROR_LENGTH = 500;
+
+// How long delivered and failed deliveries stay in the delivery log, and how
+// often the dispatcher removes older ones
+const WEBHOOK_DELIVERY_RETENTION_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 10) || 30;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// IDs per request when removing deliveries by ID list (keeps filter URLs short)
+const ID_CHUNK_SIZE = 200;
+
+// Dispatcher state
+let timer = null;
+let dispatching = null;
+let dispatchRequested = false;
+let lastPruneAt = 0;
+
+/**
+ * Shape a webhook for API responses (never includes the secret)
+ */
+function publicWebhook(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    url: record.url,
+    events: record.events,
+    enabled: Boolean(record.enabled),
+    createdBy: record.created_by,
+    createdAt: record.created_at,
+    updatedAt: record.updated_at
+  };
+}
+
+/**
+ * Validate webhook fields
+ * @param {Object} fields - { name, url, events, enabled }
+ * @param {boolean} partial - Skip fields that are not given (for updates)
+ * @returns {Object|null} { code, error } or null if valid
+ */
+function validateWebhook({ name, url, events, enabled }, partial = false) {
+  const given = value => !partial || value !== undefined;
+
+  if (given(name) && (typeof name !== 'string' || !name.trim() || name.length > 100)) {
+    return { code: 'INVALID_NAME', error: 'Name is required (at most 100 characters)' };
+  }
+
+  if (given(url)) {
+    let parsed = null;
+    try {
+      parsed = typeof url === 'string' ? new URL(url) : null;
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return { code: 'INVALID_URL', error: 'url must be an http or https URL' };
+    }
+  }
+
+  if (given(events)
+    && (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event)))) {
+    return { code: 'INVALID_EVENTS', error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    return { code: 'INVALID_ENABLED', error: 'enabled must be true or false' };
+  }
+
+  return null;
+}
+
+/**
+ * Generate a signing secret
+ */
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Sign a request body the way receivers are expected to verify it
+ * @param {string} secret - Webhook secret
+ * @param {string} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex HMAC-SHA256 of `${timestamp}.${body}`
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Register a webhook
+ * @param {Object} fields - Webhook fields
+ * @param {string} fields.name - What the webhook is for
+ * @param {string} fields.url - Receiver URL
+ * @param {Array<string>} fields.events - Events from WEBHOOK_EVENTS
+ * @param {boolean} fields.enabled - Whether events are delivered (default: true)
+ * @param {number} fields.createdBy - ID of the creating account
+ * @returns {Promise<Object>} { secret, record } or { error } if invalid
+ */
+async function createWebhook({ name, url, events, enabled = true, createdBy = null }) {
+  const invalid = validateWebhook({ name, url, events, enabled });
+  if (invalid) return { error: invalid };
+
+  const secret = generateSecret();
+
+  const [record] = await getStorage().insert('webhooks', {
+    name: name.trim(),
+    url,
+    events: [...new Set(events)],
+    secret,
+    enabled,
+    created_by: createdBy
+  });
+
+  logger.info(`🪝 Registered webhook "${record.name}"`, { webhookId: record.id, events: record.events });
+  return { secret, record };
+}
+
+/**
+ * Get all webhooks, newest first
+ * @returns {Promise<Array<Object>>} Webhooks
+ */
+async function listWebhooks() {
+  const { rows } = await getStorage().select('webhooks', {
+    order: [{ column: 'id', ascending: false }]
+  });
+
+  return rows;
+}
+
+/**
+ * Change a webhook
+ * @param {number} id - Webhook ID
+ * @param {Object} changes - { name, url, events, enabled, rotateSecret } (all optional)
+ * @returns {Promise<Object>} { record, secret } (secret only when rotated), { record: null } if not found, or { error }
+ */
+async function updateWebhook(id, { name, url, events, enabled, rotateSecret }) {
+  const invalid = validateWebhook({ name, url, events, enabled }, true);
+  if (invalid) return { error: invalid };
+
+  const patch = { updated_at: new Date().toISOString() };
+  if (name !== undefined) patch.name = name.trim();
+  if (url !== undefined) patch.url = url;
+  if (events !== undefined) patch.events = [...new Set(events)];
+  if (enabled !== undefined) patch.enabled = enabled;
+  if (rotateSecret === true) patch.secret = generateSecret();
+
+  const [record] = await getStorage().update('webhooks', [
+    { column: 'id', op: 'eq', value: id }
+  ], patch);
+
+  return { record: record || null, secret: record ? patch.secret : undefined };
+}
+
+/**
+ * Delete a webhook together with its deliveries
+ * @param {number} id - Webhook ID
+ * @returns {Promise<Object|null>} Deleted webhook, or null if not found
+ */
+async function deleteWebhook(id) {
+  const storage = getStorage();
+  const [record] = await storage.remove('webhooks', [{ column: 'id', op: 'eq', value: id }]);
+
+  if (record) {
+    await storage.remove('webhook_deliveries', [{ column: 'webhook_id', op: 'eq', value: id }]);
+  }
+
+  return record || null;
+}
+
+/**
+ * The user, chat and message an event is about
+ * @param {string} event - Event from WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Object} { platform, user_id, chat_id, message_id } columns of the delivery
+ */
+function deliverySubject(event, data) {
+  if (event === 'reply.sent') {
+    return {
+      platform: data.platform,
+      user_id: data.userId || null,
+      chat_id: data.chatId || null,
+      message_id: null
+    };
+  }
+
+  // message.logged carries a message row, conversation.created a conversation row
+  return {
+    platform: data.platform,
+    user_id: data.user_id || null,
+    chat_id: data.chat_id || null,
+    message_id: event === 'message.logged' ? data.id : null
+  };
+}
+
+/**
+ * Queue an event for every enabled webhook subscribed to it. Failures are
+ * logged and never reach the caller, so webhooks can't break message logging.
+ * @param {string} event - Event from WEBHOOK_EVENTS
+ * @param {Object} data - Event data
+ * @returns {Promise<number>} Deliveries queued
+ */
+async function emitWebhookEvent(event, data) {
+  try {
+    const storage = getStorage();
+    const { rows } = await storage.select('webhooks', {
+      filters: [{ column: 'enabled', op: 'eq', value: true }]
+    });
+
+    const subscribed = rows.filter(webhook => (webhook.events || []).includes(event));
+    if (subscribed.length === 0) return 0;
+
+    const now = new Date().toISOString();
+    const subject = deliverySubject(event, data);
+    await storage.insert('webhook_deliveries', subscribed.map(webhook => ({
+      webhook_id: webhook.id,
+      event,
+      payload: data,
+      ...subject,
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: now
+    })));
+
+    // Deliver right away when this process runs the dispatcher; otherwise the
+    // deliveries wait in the queue for the server to pick them up
+    if (timer) {
+      dispatchDeliveries().catch(error => logger.error('Webhook dispatch failed', { error }));
+    }
+
+    return subscribed.length;
+  } catch (error) {
+    logger.error('Failed to queue webhook event', { event, error });
+    return 0;
+  }
+}
+
+/**
+ * POST a body to a URL
+ * @param {string} url - Receiver URL
+ * @param {string} body - JSON body
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Object>} { status, text } (text is truncated)
+ */
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+
+    const request = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'learning-ai-assistant-webhooks',
+        ...headers
+      }
+    }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', (chunk) => {
+        if (text.length < MAX_ERROR_LENGTH) text += chunk;
+      });
+      response.on('end', () => resolve({ status: response.statusCode, text: text.slice(0, MAX_ERROR_LENGTH) }));
+      response.on('error', reject);
+    });
+
+    request.setTimeout(WEBHOOK_TIMEOUT_MS, () => request.destroy(new Error(`No response within ${WEBHOOK_TIMEOUT_MS}ms`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+/**
+ * Send one delivery and record the outcome
+ * @param {Object} delivery - Delivery row
+ * @param {Object} webhook - Webhook row (null if it no longer exists)
+ * @returns {Promise<Object>} Updated delivery row
+ */
+async function sendDelivery(delivery, webhook) {
+  const attempts = (delivery.attempts || 0) + 1;
+  const now = new Date();
+  let outcome;
+
+  if (!webhook || !webhook.enabled) {
+    outcome = { status: 'failed', response_status: null, last_error: 'Webhook is disabled or deleted' };
+  } else {
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      createdAt: delivery.created_at,
+      data: delivery.payload
+    });
+    const timestamp = String(Math.floor(now.getTime() / 1000));
+
+    let responseStatus = null;
+    let error = null;
+    try {
+      const response = await postJson(webhook.url, body, {
+        'X-Webhook-Id': String(delivery.id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      });
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        error = `Receiver answered ${response.status}${response.text ? `: ${response.text}` : ''}`;
+      }
+    } catch (requestError) {
+      error = requestError.message.slice(0, MAX_ERROR_LENGTH);
+    }
+
+    if (!error) {
+      outcome = { status: 'delivered', response_status: responseStatus, last_error: null, delivered_at: now.toISOString() };
+    } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+      outcome = { status: 'failed', response_status: responseStatus, last_error: error };
+      logger.error(`❌ Webhook delivery failed after ${attempts} attempts`, { deliveryId: delivery.id, event: delivery.event, error });
+    } else {
+      outcome = {
+        status: 'pending',
+        response_status: responseStatus,
+        last_error: error,
+        next_attempt_at: new Date(now.getTime() + retryDelay(attempts)).toISOString()
+      };
+    }
+  }
+
+  const [updated] = await getStorage().update('webhook_deliveries', [
+    { column: 'id', op: 'eq', value: delivery.id }
+  ], { ...outcome, attempts });
+
+  return updated;
+}
+
+/**
+ * Send all deliveries that are due. Only one pass runs at a time; calls made
+ * during a pass share it and make it look for new deliveries once more.
+ * @returns {Promise<number>} Deliveries attempted
+ */
+function dispatchDeliveries() {
+  if (dispatching) {
+    dispatchRequested = true;
+    return dispatching;
+  }
+
+  dispatching = (async () => {
+    const storage = getStorage();
+    let attempted = 0;
+
+    for (;;) {
+      dispatchRequested = false;
+
+      const { rows: due } = await storage.select('webhook_deliveries', {
+        filters: [
+          { column: 'status', op: 'eq', value: 'pending' },
+          { column: 'next_attempt_at', op: 'lte', value: new Date().toISOString() }
+        ],
+        order: [{ column: 'id', ascending: true }],
+        limit: DISPATCH_BATCH_SIZE
+      });
+      if (due.length === 0) {
+        if (dispatchRequested) continue;
+        break;
+      }
+
+      const webhookIds = [...new Set(due.map(delivery => delivery.webhook_id))];
+      const { rows: webhooks } = await storage.select('webhooks', {
+        filters: [{ column: 'id', op: 'in', value: webhookIds }]
+      });
+      const byId = new Map(webhooks.map(webhook => [webhook.id, webhook]));
+
+      for (const delivery of due) {
+        await sendDelivery(delivery, byId.get(delivery.webhook_id) || null);
+        attempted++;
+      }
+
+      if (due.length < DISPATCH_BATCH_SIZE && !dispatchRequested) break;
+    }
+
+    return attempted;
+  })().finally(() => {
+    dispatching = null;
+  });
+
+  return dispatching;
+}
+
+/**
+ * Get deliveries, newest first
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Items per page
+ * @param {number} options.webhookId - Filter by webhook
+ * @param {string} options.status - Filter by status (see DELIVERY_STATUSES)
+ * @param {string} options.event - Filter by event
+ * @returns {Promise<Object>} Deliveries and pagination info
+ */
+async function getDeliveries({ page = 1, limit = 50, webhookId, status, event } = {}) {
+  const filters = [];
+  if (webhookId) filters.push({ column: 'webhook_id', op: 'eq', value: webhookId });
+  if (status) filters.push({ column: 'status', op: 'eq', value: status });
+  if (event) filters.push({ column: 'event', op: 'eq', value: event });
+
+  const { rows: data, count } = await getStorage().select('webhook_deliveries', {
+    filters,
+    order: [{ column: 'id', ascending: false }],
+    limit,
+    offset: (page - 1) * limit,
+    count: true
+  });
+
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+}
+
+/**
+ * Queue a failed delivery again with a fresh set of attempts
+ * @param {number} id - Delivery ID
+ * @returns {Promise<Object>} { delivery }, { delivery: null } if not found, or { error } if it isn't failed
+ */
+async function retryDelivery(id) {
+  const storage = getStorage();
+  const filters = [{ column: 'id', op: 'eq', value: id }];
+
+  const { rows: [delivery] } = await storage.select('webhook_deliveries', { filters });
+  if (!delivery) return { delivery: null };
+
+  if (delivery.status !== 'failed') {
+    return { error: { code: 'DELIVERY_NOT_FAILED', error: 'Only failed deliveries can be retried' } };
+  }
+
+  const [updated] = await storage.update('webhook_deliveries', filters, {
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString()
+  });
+
+  if (timer) {
+    dispatchDeliveries().catch(error => logger.error('Webhook dispatch failed', { error }));
+  }
+
+  return { delivery: updated };
+}
+
+/**
+ * Remove the deliveries of messages that were deleted for good
+ * @param {Array<number>} messageIds - IDs of removed messages
+ * @returns {Promise<number>} Number of deliveries removed
+ */
+async function removeMessageDeliveries(messageIds) {
+  let removed = 0;
+
+  for (let i = 0; i < messageIds.length; i += ID_CHUNK_SIZE) {
+    removed += (await getStorage().remove('webhook_deliveries', [
+      { column: 'message_id', op: 'in', value: messageIds.slice(i, i + ID_CHUNK_SIZE) }
+    ])).length;
+  }
+
+  return removed;
+}
+
+/**
+ * Erase every delivery about a user/chat
+ * @param {string} platform - 'telegram' or 'discord'
+ * @param {Array<string>} subjectIds - User/chat IDs the deliveries are about
+ * @returns {Promise<number>} Number of deliveries erased
+ */
+async function forgetDeliverySubjects(platform, subjectIds) {
+  const subjects = [...new Set(subjectIds.map(String))];
+  let removed = 0;
+
+  for (let i = 0; i < subjects.length; i += ID_CHUNK_SIZE) {
+    const ids = subjects.slice(i, i + ID_CHUNK_SIZE);
+    removed += (await getStorage().remove('webhook_deliveries', [
+      { column: 'platform', op: 'eq', value: platform },
+      {
+        or: [
+          [{ column: 'user_id', op: 'in', value: ids }],
+          [{ column: 'chat_id', op: 'in', value: ids }]
+        ]
+      }
+    ])).length;
+  }
+
+  return removed;
+}
+
+/**
+ * Remove delivered and failed deliveries older than WEBHOOK_DELIVERY_RETENTION_DAYS
+ * @returns {Promise<number>} Number of deliveries removed
+ */
+async function pruneDeliveries() {
+  const cutoff = new Date(Date.now() - WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const removed = await getStorage().remove('webhook_deliveries', [
+    { column: 'status', op: 'in', value: ['delivered', 'failed'] },
+    { column: 'created_at', op: 'lt', value: cutoff }
+  ]);
+
+  if (removed.length > 0) {
+    logger.info(`🧽 Pruned ${removed.length} webhook deliveries older than ${WEBHOOK_DELIVERY_RETENTION_DAYS} days`);
+  }
+  return removed.length;
+}
+
+/**
+ * Schedule the next dispatcher pass
+ */
+function scheduleNext() {
+  timer = setTimeout(async () => {
+    try {
+      await dispatchDeliveries();
+    } catch (error) {
+      logger.error('Webhook dispatch failed', { error });
+    }
+
+    if (Date.now() - lastPruneAt >= PRUNE_INTERVAL_MS) {
+      lastPruneAt = Date.now();
+      try {
+        await pruneDeliveries();
+      } catch (error) {
+        logger.error('Webhook delivery pruning failed', { error });
+      }
+    }
+
+    if (timer) scheduleNext();
+  }, DISPATCH_INTERVAL_MS);
+
+  // The dispatcher alone should not keep the process alive
+  timer.unref();
+}
+
+/**
+ * Start sending queued deliveries (including ones left over from a previous run)
+ * @returns {boolean} True if the dispatcher was started
+ */
+function startWebhookDispatcher() {
+  if (timer) return false;
+
+  scheduleNext();
+  dispatchDeliveries().catch(error => logger.error('Webhook dispatch failed', { error }));
+  logger.info(`🪝 Webhook dispatcher started (up to ${WEBHOOK_MAX_ATTEMPTS} attempts per delivery)`);
+  return true;
+}
+
+/**
+ * Stop the webhook dispatcher
+ */
+function stopWebhookDispatcher() {
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  publicWebhook,
+  signPayload,
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  emitWebhookEvent,
+  dispatchDeliveries,
+  removeMessageDeliveries,
+  forgetDeliverySubjects,
+  pruneDeliveries,
+  getDeliveries,
+  retryDelivery,
+  startWebhookDispatcher,
+  stopWebhookDispatcher
+};
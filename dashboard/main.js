@@ -7,9 +7,15 @@ class Dashboard {
   constructor() {
     this.currentPage = 1;
     this.currentFilters = {};
+    this.currentSort = { sortBy: 'created_at', sortOrder: 'desc' };
     this.messages = [];
     this.pagination = {};
     this.stats = {};
+    this.auditPage = 1;
+    this.auditFilters = {};
+    this.auditPagination = {};
+    this.account = null;
+    this.liveStream = null;
     
     this.init();
   }
@@ -26,17 +32,264 @@ class Dashboard {
     // Check server health
     await this.checkHealth();
     
-    // Load initial data
-    await this.loadStats();
-    await this.loadMessages();
+    // Show the login form unless a session exists
+    if (!(await this.loadAccount())) {
+      this.showLogin();
+      return;
+    }
+    
+    await this.showApp();
     
     console.log('✅ Dashboard initialized successfully');
   }
 
+  /**
+   * Fetch an API endpoint, showing the login form if the session has ended
+   * @param {string} url - API URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} Response
+   */
+  async apiFetch(url, options) {
+    const response = await fetch(url, options);
+
+    if (response.status === 401) {
+      this.showLogin();
+      throw new Error('Your session has expired, please log in again');
+    }
+
+    return response;
+  }
+
+  /**
+   * Load the account of the current session
+   * @returns {Promise<Object|null>} Account or null if not logged in
+   */
+  async loadAccount() {
+    try {
+      const response = await fetch('/api/auth/me');
+      const result = await response.json();
+
+      this.account = result.success ? result.data : null;
+    } catch (error) {
+      console.error('Error loading account:', error);
+      this.account = null;
+    }
+
+    return this.account;
+  }
+
+  /**
+   * Check whether the logged-in account has at least the given role
+   * @param {string} role - 'viewer', 'operator' or 'admin'
+   * @returns {boolean} True if allowed
+   */
+  hasRole(role) {
+    const roles = ['viewer', 'operator', 'admin'];
+    return Boolean(this.account) && roles.indexOf(this.account.role) >= roles.indexOf(role);
+  }
+
+  /**
+   * Show the login form and hide the dashboard
+   */
+  showLogin() {
+    this.account = null;
+    this.disconnectLiveStream();
+    document.getElementById('appView').classList.add('d-none');
+    document.getElementById('accountNav').classList.add('d-none');
+    document.getElementById('logoutNav').classList.add('d-none');
+    document.getElementById('loginView').classList.remove('d-none');
+    document.getElementById('loginUsername').focus();
+  }
+
+  /**
+   * Show the dashboard for the logged-in account and load its data
+   */
+  async showApp() {
+    document.getElementById('loginView').classList.add('d-none');
+    document.getElementById('appView').classList.remove('d-none');
+    document.getElementById('accountNav').classList.remove('d-none');
+    document.getElementById('logoutNav').classList.remove('d-none');
+    document.getElementById('accountName').textContent = this.account.username;
+    document.getElementById('accountRole').textContent = this.account.role;
+
+    // Hide controls the role is not allowed to use
+    document.querySelectorAll('[data-min-role]').forEach(element => {
+      element.classList.toggle('d-none', !this.hasRole(element.dataset.minRole));
+    });
+
+    await this.loadStats();
+    await this.loadMessages();
+    this.connectLiveStream();
+  }
+
+  /**
+   * Log in with the credentials from the login form
+   */
+  async login() {
+    const btn = document.getElementById('loginBtn');
+    const errorBox = document.getElementById('loginError');
+    const passwordInput = document.getElementById('loginPassword');
+
+    try {
+      btn.disabled = true;
+      errorBox.classList.add('d-none');
+
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: document.getElementById('loginUsername').value.trim(),
+          password: passwordInput.value
+        })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Login failed');
+      }
+
+      passwordInput.value = '';
+      this.account = result.data;
+      await this.showApp();
+
+    } catch (error) {
+      errorBox.textContent = error.message;
+      errorBox.classList.remove('d-none');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  /**
+   * End the session and return to the login form
+   */
+  async logout() {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+
+    this.showLogin();
+  }
+
+  /**
+   * Subscribe to newly logged messages. The stream is unfiltered so the stat
+   * cards count every message; the active filters are applied per message.
+   * EventSource reconnects by itself and replays missed messages.
+   */
+  connectLiveStream() {
+    if (this.liveStream) return;
+
+    this.liveStream = new EventSource('/api/chats/stream');
+
+    this.liveStream.addEventListener('open', () => {
+      this.setLiveIndicator(true);
+    });
+
+    this.liveStream.addEventListener('error', () => {
+      this.setLiveIndicator(false);
+    });
+
+    this.liveStream.addEventListener('message', (event) => {
+      try {
+        this.handleLiveMessage(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Error handling live message:', error);
+      }
+    });
+
+    // The server ends the stream once the session is no longer valid
+    this.liveStream.addEventListener('revoked', () => {
+      this.showLogin();
+    });
+  }
+
+  /**
+   * Close the live message stream
+   */
+  disconnectLiveStream() {
+    if (this.liveStream) {
+      this.liveStream.close();
+      this.liveStream = null;
+    }
+    this.setLiveIndicator(false);
+  }
+
+  /**
+   * Show whether the live stream is connected
+   * @param {boolean} connected - Connection state
+   */
+  setLiveIndicator(connected) {
+    const indicator = document.getElementById('liveIndicator');
+    indicator.className = `badge ${connected ? 'bg-success' : 'bg-secondary'}`;
+    indicator.innerHTML = `<i class="bi bi-broadcast"></i> ${connected ? 'Live' : 'Offline'}`;
+  }
+
+  /**
+   * Check a live message against the active filters
+   * @param {Object} message - Message from the stream
+   * @returns {boolean} True if the message belongs in the current list
+   */
+  matchesCurrentFilters(message) {
+    const { platform, messageType, search, dateFrom, dateTo } = this.currentFilters;
+
+    if (platform && message.platform !== platform) return false;
+    if (messageType && message.message_type !== messageType) return false;
+    if (search && !(message.message_text || '').toLowerCase().includes(search.toLowerCase())) return false;
+    if (dateFrom && message.created_at < dateFrom) return false;
+    if (dateTo && message.created_at > dateTo) return false;
+
+    return true;
+  }
+
+  /**
+   * Update the stat cards and message list for a newly logged message
+   * @param {Object} message - Message from the stream
+   */
+  handleLiveMessage(message) {
+    // Replayed messages may already be on screen
+    if (this.messages.some(existing => existing.id === message.id)) return;
+
+    this.stats.totalMessages = (this.stats.totalMessages || 0) + 1;
+    this.stats.recentMessages = (this.stats.recentMessages || 0) + 1;
+    this.stats.platformBreakdown = this.stats.platformBreakdown || {};
+    this.stats.platformBreakdown[message.platform] = (this.stats.platformBreakdown[message.platform] || 0) + 1;
+    this.updateStatsCards();
+
+    if (!this.matchesCurrentFilters(message)) return;
+
+    this.pagination.total = (this.pagination.total || 0) + 1;
+    this.updateMessageCount();
+
+    // Only the first page of a newest-first list gains the row at the top
+    const newestFirst = ['created_at', 'id'].includes(this.currentSort.sortBy) && this.currentSort.sortOrder === 'desc';
+    if (this.currentPage !== 1 || !newestFirst) return;
+
+    this.messages.unshift(message);
+    this.messages = this.messages.slice(0, this.currentFilters.limit || 50);
+    this.renderMessages();
+
+    const row = document.querySelector(`#messagesTableBody tr[data-message-id="${message.id}"]`);
+    if (row) {
+      row.classList.add('live-new');
+    }
+  }
+
   /**
    * Bind event listeners
    */
   bindEventListeners() {
+    // Login and logout
+    document.getElementById('loginForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.login();
+    });
+
+    document.getElementById('logoutBtn').addEventListener('click', () => {
+      this.logout();
+    });
+
     // Search input with debounce
     const searchInput = document.getElementById('searchInput');
     let searchTimeout;
@@ -62,6 +315,32 @@ class Dashboard {
       this.loadMessages();
     });
 
+    // Date range (end date is inclusive, so it covers the whole day)
+    document.getElementById('dateFromFilter').addEventListener('change', (e) => {
+      this.currentFilters.dateFrom = e.target.value ? `${e.target.value}T00:00:00.000Z` : undefined;
+      this.currentPage = 1;
+      this.loadMessages();
+    });
+
+    document.getElementById('dateToFilter').addEventListener('change', (e) => {
+      this.currentFilters.dateTo = e.target.value ? `${e.target.value}T23:59:59.999Z` : undefined;
+      this.currentPage = 1;
+      this.loadMessages();
+    });
+
+    // Sorting
+    document.getElementById('sortBySelect').addEventListener('change', (e) => {
+      this.currentSort.sortBy = e.target.value;
+      this.currentPage = 1;
+      this.loadMessages();
+    });
+
+    document.getElementById('sortOrderSelect').addEventListener('change', (e) => {
+      this.currentSort.sortOrder = e.target.value;
+      this.currentPage = 1;
+      this.loadMessages();
+    });
+
     document.getElementById('limitSelect').addEventListener('change', (e) => {
       this.currentFilters.limit = parseInt(e.target.value);
       this.currentPage = 1;
@@ -82,6 +361,14 @@ class Dashboard {
       this.exportData('csv');
     });
 
+    document.getElementById('exportOpenaiBtn').addEventListener('click', () => {
+      this.exportData('openai');
+    });
+
+    document.getElementById('exportSharegptBtn').addEventListener('click', () => {
+      this.exportData('sharegpt');
+    });
+
     // Clear buttons
     document.getElementById('clearAllBtn').addEventListener('click', () => {
       this.clearData(false);
@@ -91,6 +378,43 @@ class Dashboard {
       this.clearData(true);
     });
 
+    // Audit log tab (loaded when opened)
+    document.getElementById('auditTabBtn').addEventListener('shown.bs.tab', () => {
+      this.loadAuditLog();
+    });
+
+    const auditFilterInputs = {
+      auditActionFilter: (value) => ({ action: value || undefined }),
+      auditActorTypeFilter: (value) => ({ actorType: value || undefined }),
+      auditDateFromFilter: (value) => ({ dateFrom: value ? `${value}T00:00:00.000Z` : undefined }),
+      auditDateToFilter: (value) => ({ dateTo: value ? `${value}T23:59:59.999Z` : undefined })
+    };
+
+    for (const [id, toFilter] of Object.entries(auditFilterInputs)) {
+      document.getElementById(id).addEventListener('change', (e) => {
+        Object.assign(this.auditFilters, toFilter(e.target.value));
+        this.auditPage = 1;
+        this.loadAuditLog();
+      });
+    }
+
+    document.getElementById('auditRefreshBtn').addEventListener('click', () => {
+      this.loadAuditLog();
+    });
+
+    // Trash button
+    document.getElementById('showTrashBtn').addEventListener('click', () => {
+      this.showTrash();
+    });
+
+    // Restore buttons inside the trash modal
+    document.getElementById('messageDetails').addEventListener('click', (event) => {
+      const btn = event.target.closest('[data-restore-batch]');
+      if (btn) {
+        this.restoreTrashBatch(btn.dataset.restoreBatch, btn);
+      }
+    });
+
     // Stats button
     document.getElementById('showStatsBtn').addEventListener('click', () => {
       this.showDatabaseStats();
@@ -134,7 +458,7 @@ class Dashboard {
    */
   async loadStats() {
     try {
-      const response = await fetch('/api/chats/stats');
+      const response = await this.apiFetch('/api/chats/stats');
       const data = await response.json();
       
       if (data.success) {
@@ -158,6 +482,23 @@ class Dashboard {
     document.getElementById('recentMessages').textContent = this.stats.recentMessages || 0;
   }
 
+  /**
+   * Build query parameters for the active filters (shared by list, export and clear)
+   * @returns {URLSearchParams} Filter parameters
+   */
+  buildFilterParams() {
+    const params = new URLSearchParams();
+    const filterKeys = ['platform', 'messageType', 'search', 'dateFrom', 'dateTo'];
+
+    for (const key of filterKeys) {
+      if (this.currentFilters[key]) {
+        params.append(key, this.currentFilters[key]);
+      }
+    }
+
+    return params;
+  }
+
   /**
    * Load messages with current filters and pagination
    */
@@ -165,13 +506,13 @@ class Dashboard {
     this.showLoading(true);
     
     try {
-      const params = new URLSearchParams({
-        page: this.currentPage,
-        limit: this.currentFilters.limit || 50,
-        ...this.currentFilters
-      });
+      const params = this.buildFilterParams();
+      params.append('page', this.currentPage);
+      params.append('limit', this.currentFilters.limit || 50);
+      params.append('sortBy', this.currentSort.sortBy);
+      params.append('sortOrder', this.currentSort.sortOrder);
 
-      const response = await fetch(`/api/chats?${params}`);
+      const response = await this.apiFetch(`/api/chats?${params}`);
       const data = await response.json();
       
       if (data.success) {
@@ -236,6 +577,10 @@ class Dashboard {
           <div class="message-content">
             ${this.formatMessageText(message.message_text)}
           </div>
+          ${message.attachment_count ? `<span class="badge bg-light text-dark border"><i class="bi bi-paperclip"></i> ${message.attachment_count}</span>` : ''}
+          ${message.redaction_report ? '<span class="badge bg-warning text-dark"><i class="bi bi-shield-lock"></i> redacted</span>' : ''}
+          ${message.edited_at ? '<span class="badge bg-info text-dark"><i class="bi bi-pencil"></i> edited</span>' : ''}
+          ${message.is_deleted ? '<span class="badge bg-danger"><i class="bi bi-trash"></i> deleted</span>' : ''}
         </td>
         <td>
           <div class="text-muted">
@@ -302,8 +647,23 @@ class Dashboard {
    * Render pagination
    */
   renderPagination() {
-    const pagination = document.getElementById('pagination');
-    const { page, totalPages } = this.pagination;
+    this.renderPaginationInto('pagination', this.pagination, (newPage) => {
+      if (newPage !== this.currentPage) {
+        this.currentPage = newPage;
+        this.loadMessages();
+      }
+    });
+  }
+
+  /**
+   * Render pagination controls into a list element
+   * @param {string} elementId - Pagination <ul> element ID
+   * @param {Object} paginationInfo - { page, totalPages } from the API
+   * @param {Function} onPageChange - Called with the selected page number
+   */
+  renderPaginationInto(elementId, paginationInfo, onPageChange) {
+    const pagination = document.getElementById(elementId);
+    const { page, totalPages } = paginationInfo;
     
     if (totalPages <= 1) {
       pagination.innerHTML = '';
@@ -362,11 +722,7 @@ class Dashboard {
     pagination.querySelectorAll('a[data-page]').forEach(link => {
       link.addEventListener('click', (e) => {
         e.preventDefault();
-        const newPage = parseInt(link.dataset.page);
-        if (newPage !== this.currentPage) {
-          this.currentPage = newPage;
-          this.loadMessages();
-        }
+        onPageChange(parseInt(link.dataset.page));
       });
     });
   }
@@ -429,12 +785,13 @@ class Dashboard {
    */
   async showMessageDetails(messageId) {
     try {
-      const response = await fetch(`/api/chats/${messageId}`);
+      const response = await this.apiFetch(`/api/chats/${messageId}`);
       const data = await response.json();
       
       if (data.success) {
         const message = data.data;
         const modalBody = document.getElementById('messageDetails');
+        document.getElementById('messageModalLabel').textContent = 'Message Details';
         
         modalBody.innerHTML = `
           <div class="row">
@@ -457,6 +814,8 @@ class Dashboard {
                 <tr><td><strong>User ID:</strong></td><td>${message.user_id || 'N/A'}</td></tr>
                 <tr><td><strong>Chat ID:</strong></td><td>${message.chat_id || 'N/A'}</td></tr>
                 <tr><td><strong>Created:</strong></td><td>${this.formatDate(message.created_at)} ${this.formatTime(message.created_at)}</td></tr>
+                ${message.edited_at ? `<tr><td><strong>Edited:</strong></td><td>${this.formatDate(message.edited_at)} ${this.formatTime(message.edited_at)}</td></tr>` : ''}
+                ${message.is_deleted ? `<tr><td><strong>Deleted:</strong></td><td>${this.formatDate(message.deleted_at)} ${this.formatTime(message.deleted_at)}</td></tr>` : ''}
               </table>
             </div>
             <div class="col-md-6">
@@ -465,6 +824,21 @@ class Dashboard {
                 ${message.message_text ? this.escapeHtml(message.message_text) : '<em>No text content</em>'}
               </div>
               
+              ${message.redaction_report ? `
+                <h6 class="mt-3">Redactions</h6>
+                ${this.renderRedactionReport(message.redaction_report)}
+              ` : ''}
+              
+              ${message.attachments?.length ? `
+                <h6 class="mt-3">Attachments</h6>
+                ${this.renderAttachments(message.attachments)}
+              ` : ''}
+              
+              ${message.revisions?.length ? `
+                <h6 class="mt-3">Revision History</h6>
+                ${this.renderRevisions(message.revisions)}
+              ` : ''}
+              
               ${message.raw_data ? `
                 <h6 class="mt-3">Raw Data</h6>
                 <details>
@@ -487,6 +861,73 @@ class Dashboard {
     }
   }
 
+  /**
+   * Render the per-rule counts of a message's redaction report
+   * @param {Object} report - Redaction report
+   * @returns {string} HTML badges
+   */
+  renderRedactionReport(report) {
+    const rawRules = Object.keys(report.rawData || {});
+
+    return `
+      <div class="small">
+        ${Object.entries(report.rules || {}).map(([rule, count]) => `
+          <span class="badge bg-warning text-dark">${this.escapeHtml(rule)}: ${count}</span>
+        `).join('')}
+        ${rawRules.length ? `<div class="text-muted mt-1">Also redacted in raw data: ${this.escapeHtml(rawRules.join(', '))}</div>` : ''}
+        <div class="text-muted mt-1">Policy: ${this.escapeHtml(report.policy)}${report.policy === 'encrypt' ? ' (original stored encrypted)' : ''}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render attachment previews (images inline, other files as links)
+   * @param {Array<Object>} attachments - Message attachments
+   * @returns {string} HTML list
+   */
+  renderAttachments(attachments) {
+    return `
+      <div class="d-flex flex-column gap-2">
+        ${attachments.map(attachment => {
+          const fileUrl = `/api/attachments/${attachment.id}/file`;
+          const available = attachment.download_status === 'downloaded' || attachment.url;
+          const isImage = ['photo', 'image', 'sticker'].includes(attachment.attachment_type);
+          const label = this.escapeHtml(attachment.file_name || attachment.attachment_type);
+          const size = attachment.file_size ? ` (${Math.ceil(attachment.file_size / 1024)} KB)` : '';
+
+          return `
+            <div class="border rounded p-2 small">
+              <span class="badge bg-secondary">${attachment.attachment_type}</span>
+              ${available ? `<a href="${fileUrl}" target="_blank" rel="noopener">${label}</a>` : label}${size}
+              ${!available ? `<span class="text-muted">- ${attachment.download_status}</span>` : ''}
+              ${available && isImage ? `<div class="mt-2"><img src="${fileUrl}" alt="${label}" class="img-fluid rounded" style="max-height: 200px;"></div>` : ''}
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render the edit/delete history of a message
+   * @param {Array<Object>} revisions - Revisions, oldest first
+   * @returns {string} HTML list
+   */
+  renderRevisions(revisions) {
+    return `
+      <ul class="list-group list-group-flush small">
+        ${revisions.map(revision => `
+          <li class="list-group-item px-0">
+            <span class="badge ${revision.revision_type === 'delete' ? 'bg-danger' : 'bg-info text-dark'}">${revision.revision_type}</span>
+            <span class="text-muted">${this.formatDate(revision.created_at)} ${this.formatTime(revision.created_at)}</span>
+            <div class="text-decoration-line-through text-muted">${revision.previous_text ? this.escapeHtml(revision.previous_text) : '<em>No text content</em>'}</div>
+            ${revision.revision_type === 'edit' ? `<div>${revision.new_text ? this.escapeHtml(revision.new_text) : '<em>No text content</em>'}</div>` : ''}
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  }
+
   /**
    * Refresh all data
    */
@@ -502,29 +943,24 @@ class Dashboard {
 
   /**
    * Export data in specified format
-   * @param {string} format - 'json' or 'csv'
+   * @param {string} format - 'json', 'csv', 'openai' or 'sharegpt'
    */
   async exportData(format) {
     // Build query parameters from current filters
-    const params = new URLSearchParams();
-    
-    if (this.currentFilters.platform) {
-      params.append('platform', this.currentFilters.platform);
-    }
-    if (this.currentFilters.messageType) {
-      params.append('messageType', this.currentFilters.messageType);
-    }
-    if (this.currentFilters.search) {
-      params.append('search', this.currentFilters.search);
-    }
-    
+    const params = this.buildFilterParams();
     params.append('format', format);
 
     // Create download link
     const url = `/api/chats/export?${params.toString()}`;
     
     // Get button reference and store original text
-    const btn = document.getElementById(format === 'json' ? 'exportJsonBtn' : 'exportCsvBtn');
+    const buttonIds = {
+      json: 'exportJsonBtn',
+      csv: 'exportCsvBtn',
+      openai: 'exportOpenaiBtn',
+      sharegpt: 'exportSharegptBtn'
+    };
+    const btn = document.getElementById(buttonIds[format]);
     const originalText = btn.innerHTML;
 
     try {
@@ -562,8 +998,8 @@ class Dashboard {
   async clearData(useFilters) {
     const filterText = useFilters ? 'filtered' : 'all';
     const message = useFilters 
-      ? 'Are you sure you want to delete all messages matching current filters? This cannot be undone!'
-      : 'Are you sure you want to delete ALL messages? This cannot be undone!';
+      ? 'Are you sure you want to delete all messages matching current filters? They will be moved to the trash and can be restored until the batch expires.'
+      : 'Are you sure you want to delete ALL messages? They will be moved to the trash and can be restored until the batch expires.';
 
     if (!confirm(message)) {
       return;
@@ -584,30 +1020,24 @@ class Dashboard {
 
     try {
       // Build query parameters
-      const params = new URLSearchParams();
+      const params = useFilters ? this.buildFilterParams() : new URLSearchParams();
       params.append('confirm', 'true');
-      
-      if (useFilters) {
-        if (this.currentFilters.platform) {
-          params.append('platform', this.currentFilters.platform);
-        }
-        if (this.currentFilters.messageType) {
-          params.append('messageType', this.currentFilters.messageType);
-        }
-      }
 
       // Show loading state
       btn.innerHTML = '<i class="bi bi-hourglass-split"></i> Deleting...';
       btn.disabled = true;
 
-      const response = await fetch(`/api/chats/clear?${params.toString()}`, {
+      const response = await this.apiFetch(`/api/chats/clear?${params.toString()}`, {
         method: 'DELETE'
       });
 
       const result = await response.json();
 
       if (result.success) {
-        this.showSuccess(`Successfully deleted ${result.deletedCount} messages`);
+        const restoreHint = result.expiresAt
+          ? ` (restorable from Trash until ${this.formatDate(result.expiresAt)})`
+          : '';
+        this.showSuccess(`Moved ${result.deletedCount} messages to the trash${restoreHint}`);
         await this.refresh(); // Reload data
       } else {
         throw new Error(result.error || 'Failed to clear data');
@@ -623,6 +1053,172 @@ class Dashboard {
     }
   }
 
+  /**
+   * Load the audit log with the current audit filters and page
+   */
+  async loadAuditLog() {
+    try {
+      const params = new URLSearchParams({ page: this.auditPage, limit: 50 });
+      for (const [key, value] of Object.entries(this.auditFilters)) {
+        if (value) {
+          params.append(key, value);
+        }
+      }
+
+      const response = await this.apiFetch(`/api/audit?${params}`);
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load audit log');
+      }
+
+      this.auditPagination = result.pagination;
+      this.renderAuditLog(result.data);
+      this.renderPaginationInto('auditPagination', this.auditPagination, (newPage) => {
+        if (newPage !== this.auditPage) {
+          this.auditPage = newPage;
+          this.loadAuditLog();
+        }
+      });
+      document.getElementById('auditCount').textContent = `${result.pagination.total.toLocaleString()} entries`;
+
+    } catch (error) {
+      console.error('Audit log error:', error);
+      this.showError('Failed to load audit log: ' + error.message);
+    }
+  }
+
+  /**
+   * Render audit entries in the audit table
+   * @param {Array<Object>} entries - Audit entries
+   */
+  renderAuditLog(entries) {
+    const tbody = document.getElementById('auditTableBody');
+    const emptyState = document.getElementById('auditEmptyState');
+
+    if (entries.length === 0) {
+      tbody.innerHTML = '';
+      emptyState.classList.remove('d-none');
+      return;
+    }
+
+    emptyState.classList.add('d-none');
+
+    const describe = (value) => Object.entries(value || {})
+      .map(([key, item]) => `${key}: ${typeof item === 'object' ? JSON.stringify(item) : item}`)
+      .join(', ');
+
+    tbody.innerHTML = entries.map(entry => `
+      <tr>
+        <td>
+          <div>${this.formatDate(entry.created_at)}</div>
+          <small class="text-muted">${this.formatTime(entry.created_at)}</small>
+        </td>
+        <td><span class="badge bg-secondary">${this.escapeHtml(entry.action)}</span></td>
+        <td>
+          <div class="fw-semibold">${this.escapeHtml(entry.actor_name || entry.actor_id || 'Unknown')}</div>
+          <small class="text-muted">${this.escapeHtml(entry.actor_type)}${entry.actor_name && entry.actor_id ? ` · ${this.escapeHtml(entry.actor_id)}` : ''}</small>
+        </td>
+        <td><small>${this.escapeHtml(entry.target || '—')}</small></td>
+        <td><small class="text-muted">${this.escapeHtml([describe(entry.filters), describe(entry.details)].filter(Boolean).join(' | ') || '—')}</small></td>
+        <td>${entry.affected_count !== null ? entry.affected_count.toLocaleString() : '—'}</td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * Show trash batches with restore buttons
+   */
+  async showTrash() {
+    const btn = document.getElementById('showTrashBtn');
+    const originalText = btn.innerHTML;
+
+    try {
+      btn.innerHTML = '<i class="bi bi-hourglass-split"></i> Loading...';
+      btn.disabled = true;
+
+      const response = await this.apiFetch('/api/chats/trash?status=trashed&limit=100');
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to fetch trash');
+      }
+
+      const trashHtml = result.data.length === 0
+        ? '<p class="text-muted mb-0">The trash is empty.</p>'
+        : `
+          <div class="table-responsive">
+            <table class="table table-sm align-middle">
+              <thead>
+                <tr><th>Cleared</th><th>Messages</th><th>Filters</th><th>Expires</th><th></th></tr>
+              </thead>
+              <tbody>
+                ${result.data.map(batch => `
+                  <tr>
+                    <td>${this.formatDate(batch.created_at)} ${this.formatTime(batch.created_at)}</td>
+                    <td>${batch.message_count.toLocaleString()}</td>
+                    <td><small class="text-muted">${this.escapeHtml(Object.entries(batch.filters || {}).map(([key, value]) => `${key}: ${value}`).join(', ') || 'All messages')}</small></td>
+                    <td>${this.formatDate(batch.expires_at)}</td>
+                    <td class="text-end">
+                      ${this.hasRole('admin') ? `
+                        <button class="btn btn-outline-success btn-sm" data-restore-batch="${this.escapeHtml(batch.batch_id)}">
+                          <i class="bi bi-arrow-counterclockwise"></i> Restore
+                        </button>
+                      ` : ''}
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        `;
+
+      document.getElementById('messageModalLabel').textContent = 'Trash';
+      document.getElementById('messageDetails').innerHTML = trashHtml;
+
+      const modal = new bootstrap.Modal(document.getElementById('messageModal'));
+      modal.show();
+
+    } catch (error) {
+      console.error('Trash error:', error);
+      this.showError('Failed to load trash: ' + error.message);
+    } finally {
+      btn.innerHTML = originalText;
+      btn.disabled = false;
+    }
+  }
+
+  /**
+   * Restore a trash batch
+   * @param {string} batchId - Trash batch ID
+   * @param {HTMLElement} btn - Restore button
+   */
+  async restoreTrashBatch(batchId, btn) {
+    try {
+      btn.innerHTML = '<i class="bi bi-hourglass-split"></i> Restoring...';
+      btn.disabled = true;
+
+      const response = await this.apiFetch(`/api/chats/trash/${encodeURIComponent(batchId)}/restore`, {
+        method: 'POST'
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to restore messages');
+      }
+
+      btn.closest('tr').remove();
+      this.showSuccess(`Restored ${result.restoredCount} messages from the trash`);
+      await this.refresh();
+
+    } catch (error) {
+      console.error('Restore error:', error);
+      this.showError('Failed to restore messages: ' + error.message);
+      btn.innerHTML = '<i class="bi bi-arrow-counterclockwise"></i> Restore';
+      btn.disabled = false;
+    }
+  }
+
   /**
    * Show database statistics
    */
@@ -634,7 +1230,7 @@ class Dashboard {
       btn.innerHTML = '<i class="bi bi-hourglass-split"></i> Loading...';
       btn.disabled = true;
 
-      const response = await fetch('/api/chats/detailed-stats');
+      const response = await this.apiFetch('/api/chats/detailed-stats');
       const result = await response.json();
 
       if (result.success) {
@@ -646,6 +1242,7 @@ class Dashboard {
             <div class="col-md-6">
               <h6>Total Messages</h6>
               <p class="display-6 text-primary">${stats.totalMessages.toLocaleString()}</p>
+              ${stats.trashedMessages ? `<p class="text-muted small">${stats.trashedMessages.toLocaleString()} more in the trash</p>` : ''}
             </div>
             <div class="col-md-6">
               <h6>Platform Breakdown</h6>
@@ -668,7 +1265,7 @@ class Dashboard {
 
         // Show in modal
         document.getElementById('messageModalLabel').textContent = 'Database Statistics';
-        document.getElementById('messageModalBody').innerHTML = statsHtml;
+        document.getElementById('messageDetails').innerHTML = statsHtml;
         
         const modal = new bootstrap.Modal(document.getElementById('messageModal'));
         modal.show();